@@ -0,0 +1,32 @@
+-- AlterTable
+ALTER TABLE "forms" ADD COLUMN     "liveVersionId" TEXT;
+
+-- AlterTable
+ALTER TABLE "responses" ADD COLUMN     "formVersionId" TEXT;
+
+-- CreateTable
+CREATE TABLE "form_versions" (
+    "id" TEXT NOT NULL,
+    "formId" TEXT NOT NULL,
+    "version" INTEGER NOT NULL,
+    "snapshot" JSONB NOT NULL,
+    "publishedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "publishedById" TEXT,
+
+    CONSTRAINT "form_versions_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "form_versions_formId_version_key" ON "form_versions"("formId", "version");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "forms_liveVersionId_key" ON "forms"("liveVersionId");
+
+-- AddForeignKey
+ALTER TABLE "forms" ADD CONSTRAINT "forms_liveVersionId_fkey" FOREIGN KEY ("liveVersionId") REFERENCES "form_versions"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "form_versions" ADD CONSTRAINT "form_versions_formId_fkey" FOREIGN KEY ("formId") REFERENCES "forms"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "responses" ADD CONSTRAINT "responses_formVersionId_fkey" FOREIGN KEY ("formVersionId") REFERENCES "form_versions"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,12 @@
+-- AlterTable
+ALTER TABLE "forms" ADD COLUMN     "lastResponseAt" TIMESTAMP(3);
+
+-- Backfill from existing responses
+UPDATE "forms" AS f
+SET "lastResponseAt" = r."lastStartedAt"
+FROM (
+    SELECT "formId", MAX("startedAt") AS "lastStartedAt"
+    FROM "responses"
+    GROUP BY "formId"
+) AS r
+WHERE f."id" = r."formId";
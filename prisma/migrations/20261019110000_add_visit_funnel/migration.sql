@@ -0,0 +1,24 @@
+-- AlterTable
+ALTER TABLE "responses" ADD COLUMN     "visitId" TEXT;
+
+-- CreateTable
+CREATE TABLE "question_views" (
+    "id" TEXT NOT NULL,
+    "responseId" TEXT NOT NULL,
+    "questionId" TEXT NOT NULL,
+    "viewedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "question_views_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "question_views_responseId_questionId_key" ON "question_views"("responseId", "questionId");
+
+-- AddForeignKey
+ALTER TABLE "responses" ADD CONSTRAINT "responses_visitId_fkey" FOREIGN KEY ("visitId") REFERENCES "form_visits"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "question_views" ADD CONSTRAINT "question_views_responseId_fkey" FOREIGN KEY ("responseId") REFERENCES "responses"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "question_views" ADD CONSTRAINT "question_views_questionId_fkey" FOREIGN KEY ("questionId") REFERENCES "questions"("id") ON DELETE CASCADE ON UPDATE CASCADE;
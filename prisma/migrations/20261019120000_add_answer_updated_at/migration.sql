@@ -0,0 +1,7 @@
+-- AlterTable
+ALTER TABLE "answers" ADD COLUMN     "updatedAt" TIMESTAMP(3);
+
+-- Existing answers were last changed no later than we can tell - use their creation time
+UPDATE "answers" SET "updatedAt" = "createdAt";
+
+ALTER TABLE "answers" ALTER COLUMN "updatedAt" SET NOT NULL;
@@ -0,0 +1,7 @@
+-- AlterTable
+ALTER TABLE "form_visits" ADD COLUMN     "country" TEXT,
+ADD COLUMN     "utmCampaign" TEXT,
+ADD COLUMN     "utmContent" TEXT,
+ADD COLUMN     "utmMedium" TEXT,
+ADD COLUMN     "utmSource" TEXT,
+ADD COLUMN     "utmTerm" TEXT;
@@ -0,0 +1,39 @@
+-- AlterTable
+ALTER TABLE "form_visits" ADD COLUMN     "isBot" BOOLEAN NOT NULL DEFAULT false,
+ADD COLUMN     "visitorHash" TEXT;
+
+-- CreateTable
+CREATE TABLE "visitor_salts" (
+    "day" TEXT NOT NULL,
+    "salt" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "visitor_salts_pkey" PRIMARY KEY ("day")
+);
+
+-- CreateIndex
+CREATE INDEX "form_visits_formId_visitorHash_visitedAt_idx" ON "form_visits"("formId", "visitorHash", "visitedAt");
+
+-- Hash existing visits with a throwaway random salt per day, so visitors stay
+-- distinct within a day but raw IPs cannot be recovered or matched later
+CREATE TEMPORARY TABLE "legacy_visit_salts" AS
+SELECT "day", md5(random()::text || clock_timestamp()::text) || md5(random()::text || "day"::text) AS "salt"
+FROM (SELECT DISTINCT date_trunc('day', "visitedAt") AS "day" FROM "form_visits") AS days;
+
+UPDATE "form_visits" AS v
+SET "visitorHash" = encode(sha256(convert_to(
+    s."salt" || '|' || v."formId" || '|' || COALESCE(v."ipAddress", '') || '|' || COALESCE(v."userAgent", ''),
+    'UTF8'
+)), 'hex')
+FROM "legacy_visit_salts" AS s
+WHERE s."day" = date_trunc('day', v."visitedAt");
+
+DROP TABLE "legacy_visit_salts";
+
+-- Flag crawlers and scripted clients - keep in sync with BOT_PATTERN in src/utils/userAgent.js
+UPDATE "form_visits"
+SET "isBot" = true
+WHERE "userAgent" ~* 'bot|crawl|spider|slurp|facebookexternalhit|embedly|preview|headless|lighthouse|pingdom|uptime|monitor|curl|wget|python-requests|axios|node-fetch|go-http-client|java/';
+
+-- Raw IP addresses are no longer stored
+ALTER TABLE "form_visits" DROP COLUMN "ipAddress";
@@ -0,0 +1,12 @@
+-- AlterTable
+ALTER TABLE "responses" ADD COLUMN     "deviceId" TEXT,
+ADD COLUMN     "userId" TEXT;
+
+-- CreateIndex
+CREATE INDEX "responses_formId_userId_idx" ON "responses"("formId", "userId");
+
+-- CreateIndex
+CREATE INDEX "responses_formId_deviceId_idx" ON "responses"("formId", "deviceId");
+
+-- AddForeignKey
+ALTER TABLE "responses" ADD CONSTRAINT "responses_userId_fkey" FOREIGN KEY ("userId") REFERENCES "users"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,7 @@
+-- AlterTable
+ALTER TABLE "form_settings" ADD COLUMN     "questionPools" JSONB;
+
+-- AlterTable
+ALTER TABLE "questions" ADD COLUMN     "isPinned" BOOLEAN NOT NULL DEFAULT false,
+ADD COLUMN     "poolId" TEXT,
+ADD COLUMN     "shuffleOptions" BOOLEAN NOT NULL DEFAULT false;
@@ -0,0 +1,9 @@
+-- AlterTable
+ALTER TABLE "form_settings" ADD COLUMN     "closedMessage" TEXT,
+ADD COLUMN     "closesAt" TIMESTAMP(3),
+ADD COLUMN     "maxResponses" INTEGER,
+ADD COLUMN     "opensAt" TIMESTAMP(3);
+
+-- AlterTable
+ALTER TABLE "forms" ADD COLUMN     "closedAt" TIMESTAMP(3),
+ADD COLUMN     "closedReason" TEXT;
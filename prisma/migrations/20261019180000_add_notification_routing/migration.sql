@@ -0,0 +1,4 @@
+-- AlterTable
+ALTER TABLE "form_settings" ADD COLUMN     "notificationRules" JSONB,
+ADD COLUMN     "receiptQuestionId" TEXT,
+ADD COLUMN     "sendReceipt" BOOLEAN NOT NULL DEFAULT false;
@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "form_settings" ADD COLUMN     "partialResponseRetentionDays" INTEGER;
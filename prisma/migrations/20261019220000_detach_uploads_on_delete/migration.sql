@@ -0,0 +1,21 @@
+-- DropForeignKey
+ALTER TABLE "uploads" DROP CONSTRAINT "uploads_responseId_fkey";
+
+-- DropForeignKey
+ALTER TABLE "uploads" DROP CONSTRAINT "uploads_questionId_fkey";
+
+-- DropIndex
+DROP INDEX "uploads_answerId_idx";
+
+-- AlterTable
+ALTER TABLE "uploads" ALTER COLUMN "responseId" DROP NOT NULL,
+ALTER COLUMN "questionId" DROP NOT NULL;
+
+-- CreateIndex
+CREATE INDEX "uploads_answerId_createdAt_idx" ON "uploads"("answerId", "createdAt");
+
+-- AddForeignKey
+ALTER TABLE "uploads" ADD CONSTRAINT "uploads_responseId_fkey" FOREIGN KEY ("responseId") REFERENCES "responses"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "uploads" ADD CONSTRAINT "uploads_questionId_fkey" FOREIGN KEY ("questionId") REFERENCES "questions"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE "questions" ADD COLUMN "deletedAt" TIMESTAMP(3);
+
+-- CreateIndex
+CREATE INDEX "questions_formId_deletedAt_idx" ON "questions"("formId", "deletedAt");
@@ -0,0 +1,3 @@
+-- AlterTable
+ALTER TABLE "webhook_deliveries" DROP COLUMN "responseBody",
+ADD COLUMN "durationMs" INTEGER;
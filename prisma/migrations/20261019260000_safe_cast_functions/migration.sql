@@ -0,0 +1,20 @@
+-- Casts for free-text answer values used by analytics: null instead of an error when the
+-- value does not parse, so one malformed answer cannot fail a whole report
+
+-- CreateFunction
+CREATE OR REPLACE FUNCTION safe_jsonb(input TEXT) RETURNS JSONB AS $$
+BEGIN
+  RETURN input::jsonb;
+EXCEPTION WHEN others THEN
+  RETURN NULL;
+END;
+$$ LANGUAGE plpgsql IMMUTABLE;
+
+-- CreateFunction
+CREATE OR REPLACE FUNCTION safe_date(input TEXT) RETURNS DATE AS $$
+BEGIN
+  RETURN input::date;
+EXCEPTION WHEN others THEN
+  RETURN NULL;
+END;
+$$ LANGUAGE plpgsql STABLE;
@@ -0,0 +1,6 @@
+-- Full-text search over form titles and descriptions for the forms listing; queries must
+-- use the same expression for the index to apply
+
+-- CreateIndex
+CREATE INDEX "forms_search_idx" ON "forms"
+USING GIN (to_tsvector('simple', coalesce("title", '') || ' ' || coalesce("description", '')));
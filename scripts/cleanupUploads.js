@@ -0,0 +1,73 @@
+// backend/scripts/cleanupUploads.js
+// Reports uploaded files that would be cleaned up, and deletes them with --delete
+//
+// Usage:
+//   npm run uploads:cleanup              # dry run - prints the report only
+//   npm run uploads:cleanup -- --delete  # deletes expired uploads and untracked files
+//   npm run uploads:cleanup -- --json    # prints the report as JSON
+
+require('dotenv').config();
+const {
+  buildStorageReport,
+  deleteUntrackedFiles,
+  expiredUploadsWhere,
+  getUploadRetentionHours,
+  purgeUploads
+} = require('../src/services/upload.service');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+function formatBytes(bytes) {
+  const units = ['B', 'KB', 'MB', 'GB', 'TB'];
+  let value = bytes;
+  let unit = 0;
+  while (value >= 1024 && unit < units.length - 1) {
+    value /= 1024;
+    unit++;
+  }
+  return `${unit === 0 ? value : value.toFixed(1)} ${units[unit]}`;
+}
+
+function printReport(report) {
+  const { expiredUploads, untrackedFiles } = report;
+  console.log(`Uploads not part of an answer for more than ${report.retentionHours} hours: ${expiredUploads.count} (${formatBytes(expiredUploads.bytes)})`);
+  expiredUploads.items.forEach(upload => {
+    console.log(`  ${upload.storageKey}  ${formatBytes(upload.size)}  ${upload.status}  created ${upload.createdAt.toISOString()}`);
+  });
+  console.log(`Files in storage with no upload record: ${untrackedFiles.count} (${formatBytes(untrackedFiles.bytes)})`);
+  untrackedFiles.items.forEach(file => {
+    console.log(`  ${file.key}  ${formatBytes(file.size)}  modified ${file.lastModified.toISOString()}`);
+  });
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  const shouldDelete = args.includes('--delete');
+
+  const report = await buildStorageReport();
+  if (args.includes('--json')) {
+    console.log(JSON.stringify(report, null, 2));
+  } else {
+    printReport(report);
+  }
+
+  if (!shouldDelete) {
+    console.log('Dry run - nothing was deleted. Run with --delete to remove these files.');
+    return 0;
+  }
+
+  const cutoff = new Date(Date.now() - getUploadRetentionHours() * HOUR_MS);
+  const uploads = await purgeUploads(expiredUploadsWhere(cutoff));
+  const files = await deleteUntrackedFiles(report.untrackedFiles.items);
+  console.log(`Deleted ${uploads.deleted} uploads and ${files.deleted} untracked files`);
+
+  return uploads.failed + files.failed > 0 ? 1 : 0;
+}
+
+// Exit explicitly - the services keep their database connections open
+main()
+  .then(code => process.exit(code))
+  .catch(error => {
+    console.error(error);
+    process.exit(1);
+  });
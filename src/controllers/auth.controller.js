@@ -5,6 +5,7 @@ const bcrypt = require('bcryptjs');
 const { PrismaClient } = require('@prisma/client');
 const { generateToken } = require('../utils/jwt');
 const logger = require('../utils/logger');
+const { ensurePersonalWorkspace } = require('../services/workspace.service');
 
 const prisma = new PrismaClient();
 
@@ -31,19 +32,23 @@ async function register(req, res, next) {
     // Hash the password
     const hashedPassword = await bcrypt.hash(password, 12);
 
-    // Create the user
-    const user = await prisma.user.create({
-      data: {
-        email,
-        name,
-        password: hashedPassword
-      },
-      select: {
-        id: true,
-        email: true,
-        name: true,
-        createdAt: true
-      }
+    // Create the user with the personal workspace their forms go to
+    const user = await prisma.$transaction(async (tx) => {
+      const created = await tx.user.create({
+        data: {
+          email,
+          name,
+          password: hashedPassword
+        },
+        select: {
+          id: true,
+          email: true,
+          name: true,
+          createdAt: true
+        }
+      });
+      await ensurePersonalWorkspace(created.id, tx);
+      return created;
     });
 
     // Generate token
@@ -1,28 +1,188 @@
 // backend/src/controllers/form.controller.js
 // Form management controller - handles form CRUD operations and analytics
 
-const { PrismaClient } = require('@prisma/client');
+const { PrismaClient, Prisma } = require('@prisma/client');
 const { v4: uuidv4 } = require('uuid');
 const logger = require('../utils/logger');
+const { publishVersion, getLiveDefinition, getReportQuestionIds } = require('../services/formVersion.service');
+const {
+  FORM_DEFINITION_INCLUDE, toDefinition, createFormFromDefinition
+} = require('../services/formDefinition.service');
+const { toFormDocument, parseFormDocument } = require('../services/formDocument.service');
+const { EXPORT_FORMATS, streamResponses } = require('../services/responseExport.service');
+const { buildResponseWhere, buildResponseOrderBy } = require('../utils/responseFilters');
+const { parseCursorPagination, toPageArgs, toPage } = require('../utils/pagination');
+const { buildFormWhere, buildFormOrderBy } = require('../utils/formFilters');
+const {
+  getQuestionDistributions, getTimeseries, getFunnel, getCompletionTiming, getDwellTimes, isFastCompletion,
+  getTrafficBreakdown
+} = require('../services/analytics.service');
+const { recordVisit } = require('../services/visit.service');
+const { questionPoolsSchema, findRulesOnPooledQuestions } = require('../services/questionOrder.service');
+const { checkFormAvailability, toUnavailableBody } = require('../services/formAvailability.service');
+const { notificationRulesSchema } = require('../services/notification.service');
+const { checkPattern } = require('../services/validation.service');
+const { emitWebhookEvent, buildFormData } = require('../services/webhook.service');
+const { findUploadIds, purgeUploadsInBackground } = require('../services/upload.service');
+const {
+  accessibleFormsWhere, getFormAccess, getWorkspaceAccess, findForeignQuestionIds
+} = require('../services/access.service');
+const { ensurePersonalWorkspace } = require('../services/workspace.service');
 
 const prisma = new PrismaClient();
 
+/**
+ * Validate the settings from a request body that need more than a type check
+ * @returns {Array} Errors, empty when the settings are valid or not provided
+ */
+function validateSettings(settings) {
+  if (!settings) {
+    return [];
+  }
+  const errors = [];
+
+  const schemas = { questionPools: questionPoolsSchema, notificationRules: notificationRulesSchema };
+  Object.entries(schemas).forEach(([field, schema]) => {
+    if (settings[field] === undefined) {
+      return;
+    }
+    const { error } = schema.validate(settings[field], { abortEarly: false });
+    if (error) {
+      error.details.forEach(detail => {
+        errors.push({ field: `settings.${[field, ...detail.path].join('.')}`, message: detail.message });
+      });
+    }
+  });
+
+  const dates = {};
+  ['opensAt', 'closesAt'].forEach(field => {
+    if (settings[field] === undefined || settings[field] === null) {
+      return;
+    }
+    const date = new Date(settings[field]);
+    if (Number.isNaN(date.getTime())) {
+      errors.push({ field: `settings.${field}`, message: `${field} must be a valid date` });
+    } else {
+      dates[field] = date;
+    }
+  });
+  if (dates.opensAt && dates.closesAt && dates.opensAt >= dates.closesAt) {
+    errors.push({ field: 'settings.closesAt', message: 'closesAt must be after opensAt' });
+  }
+
+  if (settings.maxResponses !== undefined && settings.maxResponses !== null
+    && (!Number.isInteger(settings.maxResponses) || settings.maxResponses < 1)) {
+    errors.push({ field: 'settings.maxResponses', message: 'maxResponses must be a positive integer' });
+  }
+
+  if (settings.partialResponseRetentionDays !== undefined && settings.partialResponseRetentionDays !== null
+    && (!Number.isInteger(settings.partialResponseRetentionDays)
+      || settings.partialResponseRetentionDays < 1 || settings.partialResponseRetentionDays > 365)) {
+    errors.push({
+      field: 'settings.partialResponseRetentionDays',
+      message: 'partialResponseRetentionDays must be an integer between 1 and 365'
+    });
+  }
+
+  if (settings.receiptQuestionId !== undefined && settings.receiptQuestionId !== null
+    && typeof settings.receiptQuestionId !== 'string') {
+    errors.push({ field: 'settings.receiptQuestionId', message: 'receiptQuestionId must be a question ID' });
+  }
+
+  return errors;
+}
+
+/**
+ * Check the validation patterns of the questions in a request body
+ * @returns {Array} Errors, empty when every pattern is safe to run or none is given
+ */
+function validateQuestionPatterns(questions) {
+  if (!Array.isArray(questions)) {
+    return [];
+  }
+  return questions.flatMap((question, index) => {
+    const message = checkPattern(question && question.validation && question.validation.pattern);
+    return message ? [{ field: `questions.${index}.validation.pattern`, message }] : [];
+  });
+}
+
+/**
+ * Whether a question from an update body refers to an existing question rather than a new one
+ */
+function isExistingQuestionId(id) {
+  return typeof id === 'string' && id.startsWith('question-') && id.length > 9;
+}
+
+/**
+ * Check that the existing questions in an update body are questions of the form
+ * Removed questions of the form count, since sending one back restores it.
+ * @returns {Promise<Array>} Errors, empty when every question belongs to the form
+ */
+async function validateQuestionOwnership(formId, questions) {
+  if (!Array.isArray(questions)) {
+    return [];
+  }
+  const ids = questions.map(question => question && question.id).filter(isExistingQuestionId);
+  const foreignIds = new Set(await findForeignQuestionIds(formId, ids, { includeDeleted: true }));
+
+  return questions.flatMap((question, index) => (
+    question && foreignIds.has(question.id)
+      ? [{ field: `questions.${index}.id`, message: `Question ${question.id} is not in this form` }]
+      : []
+  ));
+}
+
+/**
+ * Find the workspace new forms go to and check that the user may create forms there
+ * @param {string} userId - ID of the acting user
+ * @param {string} [workspaceId] - Requested workspace, defaults to the user's personal workspace
+ * @returns {Object} { workspaceId, error } - error is { statusCode, message } when refused
+ */
+async function resolveTargetWorkspace(userId, workspaceId) {
+  if (workspaceId === undefined || workspaceId === null) {
+    const workspace = await ensurePersonalWorkspace(userId);
+    return { workspaceId: workspace.id, error: null };
+  }
+
+  const { workspace, error } = await getWorkspaceAccess(String(workspaceId), userId, 'form.create');
+  return { workspaceId: workspace ? workspace.id : null, error };
+}
+
 /**
  * Create a new form
+ * The form goes to body.workspaceId, or the user's personal workspace when it is not given
  * @route POST /api/forms
  */
 async function createForm(req, res, next) {
   try {
-    const { title, description, isPublished, theme, settings } = req.body;
+    const { title, description, theme, settings, workspaceId: requestedWorkspaceId } = req.body;
     const userId = req.user.id;
 
+    const settingsErrors = validateSettings(settings);
+    if (settingsErrors.length > 0) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Invalid form settings',
+        errors: settingsErrors
+      });
+    }
+
+    const { workspaceId, error: accessError } = await resolveTargetWorkspace(userId, requestedWorkspaceId);
+    if (accessError) {
+      return res.status(accessError.statusCode).json({
+        status: 'error',
+        message: accessError.message
+      });
+    }
+
     // Create form with optional theme and settings
     const form = await prisma.form.create({
       data: {
         title,
         description,
-        isPublished: isPublished || false,
+        isPublished: false, // Published through publishForm, which snapshots a version
         userId,
+        workspaceId,
         // Add theme if provided
         ...(theme && {
           theme: {
@@ -43,7 +203,16 @@ async function createForm(req, res, next) {
               shuffleQuestions: settings.shuffleQuestions || false,
               confirmationMessage: settings.confirmationMessage || "Thank you for your submission!",
               redirectUrl: settings.redirectUrl || "",
-              notifyOnSubmission: settings.notifyOnSubmission || false
+              notifyOnSubmission: settings.notifyOnSubmission || false,
+              ...(settings.questionPools && { questionPools: settings.questionPools }),
+              opensAt: settings.opensAt ? new Date(settings.opensAt) : null,
+              closesAt: settings.closesAt ? new Date(settings.closesAt) : null,
+              maxResponses: settings.maxResponses || null,
+              closedMessage: settings.closedMessage || null,
+              ...(settings.notificationRules && { notificationRules: settings.notificationRules }),
+              sendReceipt: settings.sendReceipt || false,
+              receiptQuestionId: settings.receiptQuestionId || null,
+              partialResponseRetentionDays: settings.partialResponseRetentionDays || null
             }
           }
         })
@@ -62,36 +231,92 @@ async function createForm(req, res, next) {
 }
 
 /**
- * Get all forms for the current user
+ * Full-text search over the titles and descriptions of the forms in a user's workspaces
+ * The expression matches the forms_search_idx GIN index
+ * @param {string} userId - User ID
+ * @param {string} search - Search in web search syntax
+ * @returns {Promise<Array>} IDs of the matching forms
+ */
+async function findFormIdsMatching(userId, search) {
+  const rows = await prisma.$queryRaw`
+    SELECT f.id
+    FROM "forms" f
+    JOIN "workspace_members" m ON m."workspaceId" = f."workspaceId" AND m."userId" = ${userId}
+    WHERE to_tsvector('simple', coalesce(f."title", '') || ' ' || coalesce(f."description", ''))
+      @@ websearch_to_tsquery('simple', ${search})
+  `;
+  return rows.map(row => row.id);
+}
+
+/**
+ * Get a page of the forms in the current user's workspaces
+ * Filters: workspaceId, q, status, createdFrom/To, updatedFrom/To, respondedSince
+ * Sorting: sort=createdAt|updatedAt|title|responseCount|lastResponseAt, order=asc|desc
+ * Pagination: limit (max 100), cursor (ID of the last form of the previous page)
  * @route GET /api/forms
  */
 async function getForms(req, res, next) {
   try {
     const userId = req.user.id;
-    const forms = await prisma.form.findMany({
-      where: {
-        userId
-      },
-      include: {
-        theme: true,
-        settings: true,
-        _count: {
-          select: {
-            questions: true, // Changed from fields to questions
-            responses: true,
-            visits: true // Added visits to match schema
+
+    const { where, search, errors: filterErrors } = buildFormWhere(accessibleFormsWhere(userId), req.query);
+    const { orderBy, errors: sortErrors } = buildFormOrderBy(req.query);
+    const pagination = parseCursorPagination(req.query, { defaultLimit: 50, maxLimit: 100 });
+    const errors = [...filterErrors, ...sortErrors, ...pagination.errors];
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Invalid query parameters',
+        errors
+      });
+    }
+
+    if (search) {
+      where.id = { in: await findFormIdsMatching(userId, search) };
+    }
+
+    const [rows, total] = await Promise.all([
+      prisma.form.findMany({
+        where,
+        include: {
+          theme: true,
+          settings: true,
+          workspace: {
+            select: {
+              id: true,
+              name: true,
+              isPersonal: true
+            }
+          },
+          _count: {
+            select: {
+              questions: { where: { deletedAt: null } }, // Changed from fields to questions
+              responses: true,
+              visits: true // Added visits to match schema
+            }
           }
-        }
-      },
-      orderBy: {
-        createdAt: 'desc'
-      }
-    });
+        },
+        orderBy,
+        ...toPageArgs(pagination)
+      }),
+      prisma.form.count({
+        where
+      })
+    ]);
+
+    const { items: forms, nextCursor, hasMore } = toPage(rows, pagination.limit);
 
     res.status(200).json({
       status: 'success',
       data: {
-        forms
+        forms,
+        total,
+        pagination: {
+          limit: pagination.limit,
+          nextCursor,
+          hasMore
+        }
       }
     });
   } catch (error) {
@@ -108,11 +333,7 @@ async function getForm(req, res, next) {
     const { id } = req.params;
     const userId = req.user.id;
 
-    const form = await prisma.form.findFirst({
-      where: {
-        id,
-        userId
-      },
+    const { form, role, error: accessError } = await getFormAccess(id, userId, 'form.view', {
       include: {
         theme: true,
         settings: {
@@ -121,6 +342,9 @@ async function getForm(req, res, next) {
           }
         },
         questions: { // Changed from fields to questions
+          where: {
+            deletedAt: null
+          },
           include: {
             conditionalLogic: {
               include: {
@@ -132,6 +356,13 @@ async function getForm(req, res, next) {
             order: 'asc'
           }
         },
+        liveVersion: {
+          select: {
+            id: true,
+            version: true,
+            publishedAt: true
+          }
+        },
         _count: {
           select: {
             responses: true
@@ -140,17 +371,18 @@ async function getForm(req, res, next) {
       }
     });
 
-    if (!form) {
-      return res.status(404).json({
+    if (accessError) {
+      return res.status(accessError.statusCode).json({
         status: 'error',
-        message: 'Form not found'
+        message: accessError.message
       });
     }
 
     res.status(200).json({
       status: 'success',
       data: {
-        form
+        form,
+        role // The user's workspace role, so clients can hide what it does not allow
       }
     });
   } catch (error) {
@@ -159,31 +391,55 @@ async function getForm(req, res, next) {
 }
 
 /**
- * Update a form
+ * Update a form's draft
+ * isPublished is ignored - publishing goes through PUT /api/forms/:id/publish, which
+ * snapshots a version, and PUT /api/forms/:id/unpublish
  * @route PUT /api/forms/:id
  */
 async function updateForm(req, res, next) {
   try {
     const { id } = req.params;
-    const { title, description, isPublished, theme, settings, questions } = req.body; // Changed fields to questions
+    const { title, description, theme, settings, questions } = req.body; // Changed fields to questions
     const userId = req.user.id;
 
-    // Check if form exists and belongs to user
-    const existingForm = await prisma.form.findFirst({
-      where: {
-        id,
-        userId
-      },
+    const settingsErrors = validateSettings(settings);
+    if (settingsErrors.length > 0) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Invalid form settings',
+        errors: settingsErrors
+      });
+    }
+
+    const questionErrors = validateQuestionPatterns(questions);
+    if (questionErrors.length > 0) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Invalid questions',
+        errors: questionErrors
+      });
+    }
+
+    const { form: existingForm, error: accessError } = await getFormAccess(id, userId, 'form.edit', {
       include: {
         theme: true,
         settings: true
       }
     });
 
-    if (!existingForm) {
-      return res.status(404).json({
+    if (accessError) {
+      return res.status(accessError.statusCode).json({
         status: 'error',
-        message: 'Form not found'
+        message: accessError.message
+      });
+    }
+
+    const ownershipErrors = await validateQuestionOwnership(id, questions);
+    if (ownershipErrors.length > 0) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Invalid questions',
+        errors: ownershipErrors
       });
     }
 
@@ -194,8 +450,7 @@ async function updateForm(req, res, next) {
         where: { id },
         data: { 
           title, 
-          description, 
-          isPublished: isPublished || false
+          description
         }
       });
 
@@ -235,7 +490,16 @@ async function updateForm(req, res, next) {
               shuffleQuestions: settings.shuffleQuestions,
               confirmationMessage: settings.confirmationMessage,
               redirectUrl: settings.redirectUrl,
-              notifyOnSubmission: settings.notifyOnSubmission
+              notifyOnSubmission: settings.notifyOnSubmission,
+              questionPools: settings.questionPools === null ? Prisma.DbNull : settings.questionPools,
+              opensAt: settings.opensAt ? new Date(settings.opensAt) : settings.opensAt,
+              closesAt: settings.closesAt ? new Date(settings.closesAt) : settings.closesAt,
+              maxResponses: settings.maxResponses,
+              closedMessage: settings.closedMessage,
+              notificationRules: settings.notificationRules === null ? Prisma.DbNull : settings.notificationRules,
+              sendReceipt: settings.sendReceipt,
+              receiptQuestionId: settings.receiptQuestionId,
+              partialResponseRetentionDays: settings.partialResponseRetentionDays
             }
           });
 
@@ -268,6 +532,15 @@ async function updateForm(req, res, next) {
               confirmationMessage: settings.confirmationMessage || "Thank you for your submission!",
               redirectUrl: settings.redirectUrl || "",
               notifyOnSubmission: settings.notifyOnSubmission || false,
+              ...(settings.questionPools && { questionPools: settings.questionPools }),
+              opensAt: settings.opensAt ? new Date(settings.opensAt) : null,
+              closesAt: settings.closesAt ? new Date(settings.closesAt) : null,
+              maxResponses: settings.maxResponses || null,
+              closedMessage: settings.closedMessage || null,
+              ...(settings.notificationRules && { notificationRules: settings.notificationRules }),
+              sendReceipt: settings.sendReceipt || false,
+              receiptQuestionId: settings.receiptQuestionId || null,
+              partialResponseRetentionDays: settings.partialResponseRetentionDays || null,
               ...(settings.notificationEmails && settings.notificationEmails.length > 0 && {
                 notificationEmails: {
                   create: settings.notificationEmails.map(email => ({ email }))
@@ -282,10 +555,10 @@ async function updateForm(req, res, next) {
       if (questions && Array.isArray(questions)) {
         // Process each question
         for (const question of questions) {
-          if (question.id && question.id.startsWith('question-') && question.id.length > 9) {
+          if (isExistingQuestionId(question.id)) {
             // Existing question - update it
-            const existingQuestion = await prisma.question.findUnique({
-              where: { id: question.id }
+            const existingQuestion = await prisma.question.findFirst({
+              where: { id: question.id, formId: id }
             });
 
             if (existingQuestion) {
@@ -297,10 +570,18 @@ async function updateForm(req, res, next) {
                   description: question.description, // Changed from helpText to description
                   isRequired: question.isRequired, // Changed from required to isRequired
                   order: question.order,
+                  deletedAt: null, // Sending a removed question back restores it
+                  isPinned: question.isPinned,
+                  shuffleOptions: question.shuffleOptions,
+                  poolId: question.poolId,
                   validation: question.validation ? {
                     min: question.validation.min,
                     max: question.validation.max,
-                    pattern: question.validation.pattern
+                    pattern: question.validation.pattern,
+                    maxFileSize: question.validation.maxFileSize,
+                    minFiles: question.validation.minFiles,
+                    maxFiles: question.validation.maxFiles,
+                    allowedTypes: question.validation.allowedTypes
                   } : null // Changed to use JSON validation field
                 }
               });
@@ -390,10 +671,17 @@ async function updateForm(req, res, next) {
                 description: question.description, // Changed from helpText to description
                 isRequired: question.isRequired || false, // Changed from required to isRequired
                 order: question.order,
+                isPinned: question.isPinned || false,
+                shuffleOptions: question.shuffleOptions || false,
+                poolId: question.poolId || null,
                 validation: question.validation ? {
                   min: question.validation.min,
                   max: question.validation.max,
-                  pattern: question.validation.pattern
+                  pattern: question.validation.pattern,
+                  maxFileSize: question.validation.maxFileSize,
+                  minFiles: question.validation.minFiles,
+                  maxFiles: question.validation.maxFiles,
+                  allowedTypes: question.validation.allowedTypes
                 } : null, // Changed to use JSON validation field
                 options: ['multipleChoice', 'checkboxes', 'dropdown'].includes(question.type) ? 
                   question.options : null
@@ -425,13 +713,18 @@ async function updateForm(req, res, next) {
           }
         }
 
-        // Delete questions that are no longer in the form
+        // Remove questions that are no longer in the form - soft-deleted, since published
+        // versions and their answers still refer to them
         const questionIds = questions.map(q => q.id).filter(id => id && id.startsWith('question-'));
         if (questionIds.length > 0) {
-          await prisma.question.deleteMany({
+          await prisma.question.updateMany({
             where: {
               formId: id,
-              id: { notIn: questionIds }
+              id: { notIn: questionIds },
+              deletedAt: null
+            },
+            data: {
+              deletedAt: new Date()
             }
           });
         }
@@ -448,6 +741,9 @@ async function updateForm(req, res, next) {
             }
           },
           questions: { // Changed from fields to questions
+            where: {
+              deletedAt: null
+            },
             include: {
               conditionalLogic: {
                 include: {
@@ -463,6 +759,8 @@ async function updateForm(req, res, next) {
       });
     });
 
+    emitWebhookEvent(id, 'form.updated', buildFormData(updatedForm));
+
     res.status(200).json({
       status: 'success',
       data: {
@@ -483,21 +781,17 @@ async function deleteForm(req, res, next) {
     const { id } = req.params;
     const userId = req.user.id;
 
-    // Check if form exists and belongs to user
-    const existingForm = await prisma.form.findFirst({
-      where: {
-        id,
-        userId
-      }
-    });
+    const { error: accessError } = await getFormAccess(id, userId, 'form.delete');
 
-    if (!existingForm) {
-      return res.status(404).json({
+    if (accessError) {
+      return res.status(accessError.statusCode).json({
         status: 'error',
-        message: 'Form not found'
+        message: accessError.message
       });
     }
 
+    const uploadIds = await findUploadIds({ response: { formId: id } });
+
     // Delete form (will cascade delete questions and responses)
     await prisma.form.delete({
       where: {
@@ -505,6 +799,9 @@ async function deleteForm(req, res, next) {
       }
     });
 
+    // Uploaded files are not covered by the cascade
+    purgeUploadsInBackground(uploadIds);
+
     res.status(200).json({
       status: 'success',
       message: 'Form deleted successfully'
@@ -515,54 +812,79 @@ async function deleteForm(req, res, next) {
 }
 
 /**
- * Publish a form
- * @route PUT /api/forms/:id/publish
+ * Duplicate a form with its questions, logic, theme and settings
+ * Responses and visits are not copied and the copy starts as an unpublished draft.
+ * Only users who may edit the original can copy it.
+ * The copy goes to body.targetWorkspaceId, or the original's workspace when it is not given.
+ * Copying to another user's account means copying to a workspace of theirs the caller can
+ * create forms in. Personal workspaces are never shared, so body.targetUserId only accepts
+ * the caller, whose copy goes to their personal workspace.
+ * @route POST /api/forms/:id/duplicate
  */
-async function publishForm(req, res, next) {
+async function duplicateForm(req, res, next) {
   try {
     const { id } = req.params;
+    const { title, targetWorkspaceId, targetUserId } = req.body || {};
     const userId = req.user.id;
 
-    // Check if form exists and belongs to user
-    const existingForm = await prisma.form.findFirst({
-      where: {
-        id,
-        userId
-      },
-      include: {
-        questions: true // Changed from fields to questions
-      }
+    if (targetUserId !== undefined && targetUserId !== userId) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Invalid duplicate target',
+        errors: [{
+          field: 'targetUserId',
+          message: 'Forms are copied to other users through a workspace you share - use targetWorkspaceId'
+        }]
+      });
+    }
+    if (targetUserId !== undefined && targetWorkspaceId !== undefined) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Invalid duplicate target',
+        errors: [{ field: 'targetWorkspaceId', message: 'Give either targetWorkspaceId or targetUserId' }]
+      });
+    }
+
+    const { form: existingForm, error: accessError } = await getFormAccess(id, userId, 'form.edit', {
+      include: FORM_DEFINITION_INCLUDE
     });
 
-    if (!existingForm) {
-      return res.status(404).json({
+    if (accessError) {
+      return res.status(accessError.statusCode).json({
         status: 'error',
-        message: 'Form not found'
+        message: accessError.message
       });
     }
 
-    // Validate form has at least one question
-    if (existingForm.questions.length === 0) { // Changed from fields to questions
-      return res.status(400).json({
+    // Without a target the copy stays next to the original; targetUserId means the caller's own account
+    const target = await resolveTargetWorkspace(
+      userId,
+      targetUserId !== undefined ? undefined : (targetWorkspaceId || existingForm.workspaceId)
+    );
+    if (target.error) {
+      return res.status(target.error.statusCode).json({
         status: 'error',
-        message: 'Cannot publish a form with no questions' // Changed message
+        message: target.error.message
       });
     }
 
-    // Publish the form
-    const updatedForm = await prisma.form.update({
-      where: {
-        id
-      },
-      data: {
-        isPublished: true
-      }
+    const duplicatedForm = await prisma.$transaction(async (tx) => {
+      const form = await createFormFromDefinition(tx, toDefinition(existingForm), {
+        userId,
+        workspaceId: target.workspaceId,
+        title: title || `${existingForm.title} (Copy)`
+      });
+
+      return tx.form.findUnique({
+        where: { id: form.id },
+        include: FORM_DEFINITION_INCLUDE
+      });
     });
 
-    res.status(200).json({
+    res.status(201).json({
       status: 'success',
       data: {
-        form: updatedForm
+        form: duplicatedForm
       }
     });
   } catch (error) {
@@ -571,153 +893,407 @@ async function publishForm(req, res, next) {
 }
 
 /**
- * Get form to fill (public endpoint)
- * @route GET /api/forms/:id/fill
- * @access Public
+ * Turn a form title into a safe download file name
  */
-async function getFormToFill(req, res, next) {
+function toFileName(title) {
+  return title.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'form';
+}
+
+/**
+ * Export a form definition as a portable JSON document
+ * @route GET /api/forms/:id/export
+ */
+async function exportForm(req, res, next) {
   try {
     const { id } = req.params;
-    
-    // Debug logging
-    console.log(`Fetching form to fill with ID: ${id}`);
-    
-    const form = await prisma.form.findUnique({
-      where: { id },
-      include: {
-        theme: true,
-        questions: { // Changed from fields to questions
-          include: {
-            conditionalLogic: {
-              include: {
-                rules: true
-              }
-            }
-          },
-          orderBy: { order: 'asc' }
-        }
-      }
+    const userId = req.user.id;
+
+    const { form, error: accessError } = await getFormAccess(id, userId, 'form.view', {
+      include: FORM_DEFINITION_INCLUDE
     });
-    
-    if (!form) {
-      console.log(`Form not found: ${id}`);
-      return res.status(404).json({
+
+    if (accessError) {
+      return res.status(accessError.statusCode).json({
         status: 'error',
-        message: 'Form not found'
+        message: accessError.message
       });
     }
-    
-    // Debug logging
-    console.log(`Form found. Published status: ${form.isPublished}`);
-    
-    if (!form.isPublished) {
-      return res.status(403).json({
+
+    res.setHeader('Content-Disposition', `attachment; filename="${toFileName(form.title)}.triddle.json"`);
+    res.status(200).json(toFormDocument(toDefinition(form)));
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Import a form from a portable JSON document
+ * The form is created as an unpublished draft in the workspace given by ?workspaceId=,
+ * or the user's personal workspace
+ * @route POST /api/forms/import
+ */
+async function importForm(req, res, next) {
+  try {
+    const userId = req.user.id;
+
+    const { definition, errors } = parseFormDocument(req.body);
+    if (errors.length > 0) {
+      return res.status(422).json({
         status: 'error',
-        message: 'This form is not published and cannot be filled'
+        message: 'Invalid form document',
+        errors
       });
     }
-    
-    // Create a form visit record for analytics
-    await prisma.formVisit.create({
-      data: {
-        formId: id,
-        ipAddress: req.ip,
-        userAgent: req.headers['user-agent'],
-        referrer: req.headers.referer || req.headers.referrer
-      }
+
+    const { workspaceId, error: accessError } = await resolveTargetWorkspace(userId, req.query.workspaceId);
+    if (accessError) {
+      return res.status(accessError.statusCode).json({
+        status: 'error',
+        message: accessError.message
+      });
+    }
+
+    const form = await prisma.$transaction(async (tx) => {
+      const created = await createFormFromDefinition(tx, definition, { userId, workspaceId });
+
+      return tx.form.findUnique({
+        where: { id: created.id },
+        include: FORM_DEFINITION_INCLUDE
+      });
     });
-    
-    return res.status(200).json({
+
+    res.status(201).json({
       status: 'success',
-      data: form
+      data: {
+        form
+      }
     });
   } catch (error) {
-    console.error('Error in getFormToFill:', error);
-    return res.status(500).json({
-      status: 'error',
-      message: 'Server error while fetching form',
-      error: error.message
-    });
+    next(error);
   }
 }
 
 /**
- * Get form analytics
- * @route GET /api/forms/:id/analytics
+ * Move a form to another workspace, with its responses, versions and webhooks
+ * Needs permission to delete the form where it is and to create forms where it goes
+ * @route PUT /api/forms/:id/workspace
  */
-async function getFormAnalytics(req, res, next) {
+async function moveForm(req, res, next) {
   try {
     const { id } = req.params;
+    const { workspaceId } = req.body || {};
     const userId = req.user.id;
 
-    // Check if form exists and belongs to user
-    const form = await prisma.form.findFirst({
-      where: {
-        id,
-        userId
-      }
-    });
-
-    if (!form) {
-      return res.status(404).json({
+    if (typeof workspaceId !== 'string' || workspaceId === '') {
+      return res.status(400).json({
         status: 'error',
-        message: 'Form not found'
+        message: 'Invalid workspace',
+        errors: [{ field: 'workspaceId', message: 'workspaceId must be a workspace ID' }]
       });
     }
 
+    const { error: accessError } = await getFormAccess(id, userId, 'form.delete');
+    if (accessError) {
+      return res.status(accessError.statusCode).json({
+        status: 'error',
+        message: accessError.message
+      });
+    }
+
+    const target = await resolveTargetWorkspace(userId, workspaceId);
+    if (target.error) {
+      return res.status(target.error.statusCode).json({
+        status: 'error',
+        message: target.error.message
+      });
+    }
+
+    const form = await prisma.form.update({
+      where: { id },
+      data: { workspaceId: target.workspaceId }
+    });
+
+    logger.info(`Form ${id} moved to workspace ${target.workspaceId}`);
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        form
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Publish a form
+ * @route PUT /api/forms/:id/publish
+ */
+async function publishForm(req, res, next) {
+  try {
+    const { id } = req.params;
+    const userId = req.user.id;
+
+    const { form: existingForm, error: accessError } = await getFormAccess(id, userId, 'form.edit', {
+      include: FORM_DEFINITION_INCLUDE
+    });
+
+    if (accessError) {
+      return res.status(accessError.statusCode).json({
+        status: 'error',
+        message: accessError.message
+      });
+    }
+
+    // Validate form has at least one question
+    if (existingForm.questions.length === 0) { // Changed from fields to questions
+      return res.status(400).json({
+        status: 'error',
+        message: 'Cannot publish a form with no questions' // Changed message
+      });
+    }
+
+    const pooledRules = findRulesOnPooledQuestions(
+      existingForm.questions,
+      existingForm.settings && existingForm.settings.questionPools
+    );
+    if (pooledRules.length > 0) {
+      return res.status(422).json({
+        status: 'error',
+        message: 'Conditional logic cannot depend on questions in random pools',
+        errors: pooledRules.map(rule => ({
+          field: `questions.${rule.questionIndex}.conditionalLogic.rules.${rule.ruleIndex}`,
+          message: `Question ${rule.targetQuestionId} is in a random pool and may not be shown`
+        }))
+      });
+    }
+
+    // Publish the form as a new immutable version
+    const { form: updatedForm, version } = await publishVersion(id, userId);
+
+    emitWebhookEvent(id, 'form.published', buildFormData(updatedForm, version));
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        form: updatedForm,
+        version: {
+          id: version.id,
+          version: version.version,
+          publishedAt: version.publishedAt
+        }
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Stop accepting responses - the live version is kept, so publishing or rolling back
+ * makes the form available again
+ * @route PUT /api/forms/:id/unpublish
+ */
+async function unpublishForm(req, res, next) {
+  try {
+    const { id } = req.params;
+    const userId = req.user.id;
+
+    const { error: accessError } = await getFormAccess(id, userId, 'form.edit');
+
+    if (accessError) {
+      return res.status(accessError.statusCode).json({
+        status: 'error',
+        message: accessError.message
+      });
+    }
+
+    const form = await prisma.form.update({
+      where: { id },
+      data: {
+        isPublished: false,
+        // Unpublished by hand rather than closed automatically
+        closedAt: null,
+        closedReason: null
+      }
+    });
+
+    emitWebhookEvent(id, 'form.updated', buildFormData(form));
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        form
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Get form to fill (public endpoint)
+ * @route GET /api/forms/:id/fill
+ * @access Public
+ */
+async function getFormToFill(req, res, next) {
+  try {
+    const { id } = req.params;
+    
+    // Debug logging
+    console.log(`Fetching form to fill with ID: ${id}`);
+    
+    // Respondents are served the live version, never the draft
+    const live = await getLiveDefinition(id);
+    
+    if (!live) {
+      console.log(`Form not found: ${id}`);
+      return res.status(404).json({
+        status: 'error',
+        message: 'Form not found'
+      });
+    }
+    
+    const { form, version, definition } = live;
+
+    // Debug logging
+    console.log(`Form found. Published status: ${form.isPublished}`);
+    
+    if (!form.isPublished && !form.closedReason) {
+      return res.status(403).json({
+        status: 'error',
+        message: 'This form is not published and cannot be filled'
+      });
+    }
+
+    // Scheduled, past its close time, at its response cap, or closed automatically
+    const availability = await checkFormAvailability(form);
+    if (!availability.isOpen) {
+      return res.status(403).json(toUnavailableBody(availability));
+    }
+    
+    // Create a form visit record for analytics - the client passes visitId back when starting a response
+    const visit = await recordVisit(req, id, req.query);
+
+    // Let the client ask for sign-in up front rather than on the first answer
+    const settings = await prisma.formSettings.findUnique({
+      where: { formId: id }
+    });
+    
+    return res.status(200).json({
+      status: 'success',
+      data: {
+        id: form.id,
+        visitId: visit.id,
+        title: definition.title,
+        description: definition.description,
+        isPublished: form.isPublished,
+        versionId: version ? version.id : null,
+        version: version ? version.version : null,
+        theme: definition.theme,
+        requireSignIn: settings ? settings.requireSignIn : false,
+        limitOneResponsePerUser: settings ? settings.limitOneResponsePerUser : false,
+        questions: definition.questions
+      }
+    });
+  } catch (error) {
+    console.error('Error in getFormToFill:', error);
+    return res.status(500).json({
+      status: 'error',
+      message: 'Server error while fetching form',
+      error: error.message
+    });
+  }
+}
+
+/**
+ * Put rows in the order of a list of their IDs
+ */
+function orderByIds(rows, ids) {
+  const positionById = new Map(ids.map((id, index) => [id, index]));
+  return [...rows].sort((a, b) => positionById.get(a.id) - positionById.get(b.id));
+}
+
+/**
+ * Get form analytics
+ * Covers the questions of the live version - see getReportQuestionIds
+ * @route GET /api/forms/:id/analytics
+ */
+async function getFormAnalytics(req, res, next) {
+  try {
+    const { id } = req.params;
+    const userId = req.user.id;
+
+    const { error: accessError } = await getFormAccess(id, userId, 'responses.view');
+
+    if (accessError) {
+      return res.status(accessError.statusCode).json({
+        status: 'error',
+        message: accessError.message
+      });
+    }
+
+    const questionIds = await getReportQuestionIds(id);
+
     // Get analytics data
-    const [visitsCount, responsesCount, completionRate, questions] = await Promise.all([
-      // Total visits
-      prisma.formVisit.count({
-        where: { formId: id }
-      }),
-      // Total responses
-      prisma.response.count({
-        where: { formId: id }
-      }),
-      // Completion rate
-      prisma.response.findMany({
-        where: { formId: id },
-        select: { isCompleted: true } // Changed from completed to isCompleted
-      }).then(responses => {
-        const completed = responses.filter(r => r.isCompleted).length; // Changed from completed to isCompleted
-        return responses.length > 0 ? (completed / responses.length) * 100 : 0;
-      }),
+    const [funnel, timing, dwellTimes, questionRows] = await Promise.all([
+      // Visits, starts, completions and per-question reach
+      getFunnel(id),
+      // Time to complete and time spent per question, in seconds
+      getCompletionTiming(id),
+      getDwellTimes(id),
       // Question-level analytics - Changed from field-level
       prisma.question.findMany({ // Changed from field to question
-        where: { formId: id },
+        where: { formId: id, id: { in: questionIds } },
         include: {
           _count: {
             select: {
               answers: true // Changed from fieldResponses to answers
             }
           }
-        },
-        orderBy: { order: 'asc' }
+        }
       })
     ]);
+    const questions = orderByIds(questionRows, questionIds);
+
+    // Per-question answer distributions, aggregated in the database
+    const distributions = await getQuestionDistributions(questions);
 
-    // Calculate drop-off rates
-    let questionsWithDropoff = []; // Changed variable name
-    if (questions.length > 0) {
-      const firstQuestionResponses = questions[0]._count.answers; // Changed field to question and fieldResponses to answers
-      questionsWithDropoff = questions.map(q => ({ // Changed f to q
+    // Drop-off is measured against the responses that actually reached each question
+    const questionsWithDropoff = questions.map(q => { // Changed f to q
+      const reach = funnel.questions[q.id] || { reached: 0, answered: 0, abandoned: 0, answerRate: 0, dropoffRate: 0 };
+      return {
         id: q.id,
         title: q.title, // Changed label to title
         type: q.type,
         responses: q._count.answers, // Changed fieldResponses to answers
-        dropoffRate: firstQuestionResponses > 0 
-          ? ((firstQuestionResponses - q._count.answers) / firstQuestionResponses) * 100 // Changed fieldResponses to answers
-          : 0
-      }));
-    }
+        reached: reach.reached,
+        answered: reach.answered,
+        abandoned: reach.abandoned,
+        answerRate: reach.answerRate,
+        dropoffRate: reach.dropoffRate,
+        dwell: dwellTimes[q.id] || { count: 0, median: null, p90: null },
+        distribution: distributions[q.id]
+      };
+    });
 
     res.status(200).json({
       status: 'success',
       data: {
-        visits: visitsCount,
-        responses: responsesCount,
-        completionRate: Math.round(completionRate * 100) / 100, // Round to 2 decimal places
+        visits: funnel.visited,
+        responses: funnel.started,
+        completionRate: funnel.completionRate,
+        funnel: {
+          visited: funnel.visited,
+          uniqueVisitors: funnel.uniqueVisitors,
+          visitsWithResponse: funnel.visitsWithResponse,
+          started: funnel.started,
+          startedFromVisit: funnel.startedFromVisit,
+          completed: funnel.completed,
+          startRate: funnel.startRate
+        },
+        timing,
         questions: questionsWithDropoff // Changed fields to questions
       }
     });
@@ -726,46 +1302,215 @@ async function getFormAnalytics(req, res, next) {
   }
 }
 
+// Default window and bucket cap per timeseries interval
+const TIMESERIES_INTERVALS = {
+  hour: { defaultSpanMs: 48 * 60 * 60 * 1000, maxBuckets: 24 * 93 },
+  day: { defaultSpanMs: 30 * 24 * 60 * 60 * 1000, maxBuckets: 366 * 3 },
+  week: { defaultSpanMs: 12 * 7 * 24 * 60 * 60 * 1000, maxBuckets: 53 * 5 }
+};
+const INTERVAL_MS = { hour: 60 * 60 * 1000, day: 24 * 60 * 60 * 1000, week: 7 * 24 * 60 * 60 * 1000 };
+
+function isValidTimeZone(timeZone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
 /**
- * Get all responses for a form
- * @route GET /api/forms/:id/responses
+ * Get bucketed visits, starts and completions over time
+ * @route GET /api/forms/:id/analytics/timeseries?interval=hour|day|week&from&to&tz
  */
-async function getFormResponses(req, res, next) {
+async function getFormTimeseries(req, res, next) {
   try {
     const { id } = req.params;
     const userId = req.user.id;
+    const interval = req.query.interval || 'day';
+    const timeZone = req.query.tz || 'UTC';
+    const errors = [];
 
-    // Check if form exists and belongs to user
-    const form = await prisma.form.findFirst({
-      where: {
-        id,
-        userId
+    const settings = TIMESERIES_INTERVALS[interval];
+    if (!settings) {
+      errors.push({ field: 'interval', message: `interval must be one of: ${Object.keys(TIMESERIES_INTERVALS).join(', ')}` });
+    }
+    if (!isValidTimeZone(timeZone)) {
+      errors.push({ field: 'tz', message: 'tz must be an IANA time zone such as Europe/Paris' });
+    }
+
+    const to = req.query.to ? new Date(req.query.to) : new Date();
+    const from = req.query.from
+      ? new Date(req.query.from)
+      : new Date(to.getTime() - (settings ? settings.defaultSpanMs : 0));
+    if (Number.isNaN(to.getTime())) {
+      errors.push({ field: 'to', message: 'to must be a valid date' });
+    }
+    if (Number.isNaN(from.getTime())) {
+      errors.push({ field: 'from', message: 'from must be a valid date' });
+    }
+
+    if (errors.length === 0) {
+      if (from > to) {
+        errors.push({ field: 'from', message: 'from must be before to' });
+      } else if ((to - from) / INTERVAL_MS[interval] > settings.maxBuckets) {
+        errors.push({ field: 'from', message: `Range is too large for ${interval} buckets (max ${settings.maxBuckets})` });
+      }
+    }
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Invalid query parameters',
+        errors
+      });
+    }
+
+    const { error: accessError } = await getFormAccess(id, userId, 'responses.view');
+
+    if (accessError) {
+      return res.status(accessError.statusCode).json({
+        status: 'error',
+        message: accessError.message
+      });
+    }
+
+    const buckets = await getTimeseries(id, { interval, from, to, timeZone });
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        interval,
+        timeZone,
+        from,
+        to,
+        buckets
       }
     });
+  } catch (error) {
+    next(error);
+  }
+}
 
-    if (!form) {
-      return res.status(404).json({
+/**
+ * Get visits and conversion per traffic source, campaign, device and country
+ * @route GET /api/forms/:id/analytics/sources?from&to
+ */
+async function getFormTrafficSources(req, res, next) {
+  try {
+    const { id } = req.params;
+    const userId = req.user.id;
+    const errors = [];
+
+    const parseDate = field => {
+      if (req.query[field] === undefined) {
+        return null;
+      }
+      const date = new Date(req.query[field]);
+      if (Number.isNaN(date.getTime())) {
+        errors.push({ field, message: `${field} must be a valid date` });
+        return null;
+      }
+      return date;
+    };
+    const from = parseDate('from');
+    const to = parseDate('to');
+    if (from && to && from > to) {
+      errors.push({ field: 'from', message: 'from must be before to' });
+    }
+
+    if (errors.length > 0) {
+      return res.status(400).json({
         status: 'error',
-        message: 'Form not found'
+        message: 'Invalid query parameters',
+        errors
       });
     }
 
-    // Get responses with answers
-    const responses = await prisma.response.findMany({
-      where: {
-        formId: id
-      },
-      include: {
-        answers: { // Changed from fieldResponses
-          include: {
-            question: true // Changed from field to question
-          }
-        }
-      },
-      orderBy: {
-        startedAt: 'desc' // Changed from createdAt to startedAt to match schema
+    const { error: accessError } = await getFormAccess(id, userId, 'responses.view');
+
+    if (accessError) {
+      return res.status(accessError.statusCode).json({
+        status: 'error',
+        message: accessError.message
+      });
+    }
+
+    const breakdown = await getTrafficBreakdown(id, { from, to });
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        from,
+        to,
+        ...breakdown
       }
     });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Get a page of responses for a form
+ * Filters: status, startedFrom/To, completedFrom/To, answer[<questionId>][equals|contains|in]
+ * Sorting: sort=startedAt|completedAt, order=asc|desc
+ * Pagination: limit (max 100), cursor (ID of the last response of the previous page)
+ * @route GET /api/forms/:id/responses
+ */
+async function getFormResponses(req, res, next) {
+  try {
+    const { id } = req.params;
+    const userId = req.user.id;
+
+    const { where, errors: filterErrors } = buildResponseWhere(id, req.query);
+    const { orderBy, errors: sortErrors } = buildResponseOrderBy(req.query);
+    const pagination = parseCursorPagination(req.query, { defaultLimit: 25, maxLimit: 100 });
+    const errors = [...filterErrors, ...sortErrors, ...pagination.errors];
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Invalid query parameters',
+        errors
+      });
+    }
+
+    const { error: accessError } = await getFormAccess(id, userId, 'responses.view');
+
+    if (accessError) {
+      return res.status(accessError.statusCode).json({
+        status: 'error',
+        message: accessError.message
+      });
+    }
+
+    // Get one page of responses with answers, plus counts for the dashboard
+    const [rows, total, completed, matching] = await Promise.all([
+      prisma.response.findMany({
+        where,
+        include: {
+          answers: { // Changed from fieldResponses
+            include: {
+              question: true // Changed from field to question
+            }
+          }
+        },
+        orderBy,
+        ...toPageArgs(pagination)
+      }),
+      prisma.response.count({
+        where: { formId: id }
+      }),
+      prisma.response.count({
+        where: { formId: id, isCompleted: true }
+      }),
+      prisma.response.count({
+        where
+      })
+    ]);
+
+    const { items: responses, nextCursor, hasMore } = toPage(rows, pagination.limit);
 
     // Format the responses for better readability
     const formattedResponses = responses.map(response => {
@@ -791,7 +1536,18 @@ async function getFormResponses(req, res, next) {
     res.status(200).json({
       status: 'success',
       data: {
-        responses: formattedResponses
+        responses: formattedResponses,
+        counts: {
+          total,
+          completed,
+          partial: total - completed,
+          matching
+        },
+        pagination: {
+          limit: pagination.limit,
+          nextCursor,
+          hasMore
+        }
       }
     });
   } catch (error) {
@@ -800,26 +1556,175 @@ async function getFormResponses(req, res, next) {
 }
 
 /**
- * Get response count for a form
- * @route GET /api/forms/:id/responses/count
+ * Get a single response with answer timings
+ * @route GET /api/forms/:id/responses/:responseId
  */
-async function getFormResponseCount(req, res, next) {
+async function getFormResponse(req, res, next) {
   try {
-    const { id } = req.params;
+    const { id, responseId } = req.params;
     const userId = req.user.id;
 
-    // Check if form exists and belongs to user
-    const form = await prisma.form.findFirst({
+    const { error: accessError } = await getFormAccess(id, userId, 'responses.view');
+
+    if (accessError) {
+      return res.status(accessError.statusCode).json({
+        status: 'error',
+        message: accessError.message
+      });
+    }
+
+    const response = await prisma.response.findFirst({
       where: {
-        id,
-        userId
+        id: responseId,
+        formId: id
+      },
+      include: {
+        answers: {
+          include: {
+            question: true
+          }
+        },
+        views: true
       }
     });
 
-    if (!form) {
+    if (!response) {
       return res.status(404).json({
         status: 'error',
-        message: 'Form not found'
+        message: 'Response not found'
+      });
+    }
+
+    const timing = await getCompletionTiming(id);
+    const toSeconds = (from, to) => Math.round((to.getTime() - from.getTime()) / 10) / 100;
+
+    const viewedAt = {};
+    response.views.forEach(view => {
+      viewedAt[view.questionId] = view.viewedAt;
+    });
+
+    const durationSeconds = response.isCompleted && response.completedAt
+      ? toSeconds(response.startedAt, response.completedAt)
+      : null;
+
+    const answers = response.answers
+      .sort((a, b) => a.question.order - b.question.order)
+      .map(answer => {
+        const viewed = viewedAt[answer.questionId] || null;
+        return {
+          questionId: answer.questionId,
+          questionTitle: answer.question.title,
+          questionType: answer.question.type,
+          value: answer.value,
+          fileUrl: answer.fileUrl,
+          viewedAt: viewed,
+          answeredAt: answer.createdAt,
+          updatedAt: answer.updatedAt,
+          dwellSeconds: viewed && answer.createdAt >= viewed ? toSeconds(viewed, answer.createdAt) : null
+        };
+      });
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        response: {
+          id: response.id,
+          respondentId: response.respondentId,
+          formVersionId: response.formVersionId,
+          isCompleted: response.isCompleted,
+          startedAt: response.startedAt,
+          completedAt: response.completedAt,
+          durationSeconds,
+          isFastCompletion: isFastCompletion(durationSeconds, timing),
+          answers
+        },
+        timing: {
+          median: timing.median,
+          p90: timing.p90,
+          fastThreshold: timing.fastThreshold
+        }
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Export a form's responses as CSV or NDJSON
+ * Accepts the same filters as the responses listing. There is a column for each question of
+ * the live version - see getReportQuestionIds.
+ * @route GET /api/forms/:id/responses/export?format=csv|ndjson
+ */
+async function exportFormResponses(req, res, next) {
+  try {
+    const { id } = req.params;
+    const format = req.query.format || 'csv';
+    const userId = req.user.id;
+
+    if (!EXPORT_FORMATS.includes(format)) {
+      return res.status(400).json({
+        status: 'error',
+        message: `format must be one of: ${EXPORT_FORMATS.join(', ')}`
+      });
+    }
+
+    const { where, errors } = buildResponseWhere(id, req.query);
+    if (errors.length > 0) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Invalid filters',
+        errors
+      });
+    }
+
+    const { form, error: accessError } = await getFormAccess(id, userId, 'responses.view');
+
+    if (accessError) {
+      return res.status(accessError.statusCode).json({
+        status: 'error',
+        message: accessError.message
+      });
+    }
+
+    const questionIds = await getReportQuestionIds(id);
+    const questions = orderByIds(await prisma.question.findMany({
+      where: { formId: id, id: { in: questionIds } }
+    }), questionIds);
+
+    res.setHeader('Content-Disposition', `attachment; filename="${toFileName(form.title)}-responses.${format}"`);
+
+    await streamResponses({
+      res,
+      format,
+      where,
+      questions
+    });
+  } catch (error) {
+    // Once streaming has started the status line is gone - just cut the download short
+    if (res.headersSent) {
+      logger.error(`Error exporting responses: ${error.message}`);
+      return res.destroy(error);
+    }
+    next(error);
+  }
+}
+
+/**
+ * Get response count for a form
+ * @route GET /api/forms/:id/responses/count
+ */
+async function getFormResponseCount(req, res, next) {
+  try {
+    const { id } = req.params;
+    const userId = req.user.id;
+
+    const { error: accessError } = await getFormAccess(id, userId, 'responses.view');
+
+    if (accessError) {
+      return res.status(accessError.statusCode).json({
+        status: 'error',
+        message: accessError.message
       });
     }
 
@@ -865,19 +1770,15 @@ async function trackFormVisit(req, res, next) {
       });
     }
 
-    // Record the visit
-    await prisma.formVisit.create({
-      data: {
-        formId: id,
-        ipAddress: req.ip,
-        userAgent: req.headers['user-agent'],
-        referrer: req.headers.referer || req.headers.referrer
-      }
-    });
+    // Record the visit, unless the fill endpoint already did for this page load
+    const visit = await recordVisit(req, id, req.body || {});
 
     res.status(200).json({
       status: 'success',
-      message: 'Visit recorded'
+      message: 'Visit recorded',
+      data: {
+        visitId: visit.id
+      }
     });
   } catch (error) {
     next(error);
@@ -890,10 +1791,19 @@ module.exports = {
   getForm,
   updateForm,
   deleteForm,
+  duplicateForm,
+  moveForm,
+  exportForm,
+  importForm,
   publishForm,
+  unpublishForm,
   getFormToFill,
   getFormAnalytics,
+  getFormTimeseries,
+  getFormTrafficSources,
   getFormResponses,
+  getFormResponse,
+  exportFormResponses,
   getFormResponseCount, // Add the new function
   trackFormVisit
 };
\ No newline at end of file
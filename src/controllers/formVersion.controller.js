@@ -0,0 +1,247 @@
+// backend/src/controllers/formVersion.controller.js
+// Form version controller - lists, compares and rolls back published versions
+
+const { PrismaClient } = require('@prisma/client');
+const logger = require('../utils/logger');
+const { getDraftDefinition, diffDefinitions, restoreDraft } = require('../services/formVersion.service');
+const { emitWebhookEvent, buildFormData } = require('../services/webhook.service');
+const { getFormAccess } = require('../services/access.service');
+
+const prisma = new PrismaClient();
+
+/**
+ * List the published versions of a form
+ * @route GET /api/forms/:id/versions
+ */
+async function listVersions(req, res, next) {
+  try {
+    const { id } = req.params;
+    const userId = req.user.id;
+
+    const { form, error: accessError } = await getFormAccess(id, userId, 'form.view');
+
+    if (accessError) {
+      return res.status(accessError.statusCode).json({
+        status: 'error',
+        message: accessError.message
+      });
+    }
+
+    const versions = await prisma.formVersion.findMany({
+      where: {
+        formId: id
+      },
+      select: {
+        id: true,
+        version: true,
+        publishedAt: true,
+        publishedById: true,
+        _count: {
+          select: {
+            responses: true
+          }
+        }
+      },
+      orderBy: {
+        version: 'desc'
+      }
+    });
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        versions: versions.map(version => ({
+          ...version,
+          isLive: version.id === form.liveVersionId
+        }))
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Get a single version with its snapshot
+ * @route GET /api/forms/:id/versions/:versionId
+ */
+async function getVersion(req, res, next) {
+  try {
+    const { id, versionId } = req.params;
+    const userId = req.user.id;
+
+    const { form, error: accessError } = await getFormAccess(id, userId, 'form.view');
+
+    if (accessError) {
+      return res.status(accessError.statusCode).json({
+        status: 'error',
+        message: accessError.message
+      });
+    }
+
+    const version = await prisma.formVersion.findFirst({
+      where: {
+        id: versionId,
+        formId: id
+      }
+    });
+
+    if (!version) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Version not found'
+      });
+    }
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        version: {
+          ...version,
+          isLive: version.id === form.liveVersionId
+        }
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Compare a version with the draft, the live version or another version
+ * @route GET /api/forms/:id/versions/:versionId/diff?against=draft|live|<versionId>
+ */
+async function diffVersion(req, res, next) {
+  try {
+    const { id, versionId } = req.params;
+    const against = req.query.against || 'draft';
+    const userId = req.user.id;
+
+    const { form, error: accessError } = await getFormAccess(id, userId, 'form.view');
+
+    if (accessError) {
+      return res.status(accessError.statusCode).json({
+        status: 'error',
+        message: accessError.message
+      });
+    }
+
+    const version = await prisma.formVersion.findFirst({
+      where: { id: versionId, formId: id }
+    });
+
+    if (!version) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Version not found'
+      });
+    }
+
+    let target;
+    if (against === 'draft') {
+      target = await getDraftDefinition(id);
+    } else {
+      const otherId = against === 'live' ? form.liveVersionId : against;
+      const other = otherId ? await prisma.formVersion.findFirst({
+        where: { id: otherId, formId: id }
+      }) : null;
+
+      if (!other) {
+        return res.status(404).json({
+          status: 'error',
+          message: 'Version to compare against not found'
+        });
+      }
+      target = other.snapshot;
+    }
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        versionId: version.id,
+        against,
+        diff: diffDefinitions(version.snapshot, target)
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Make an earlier version live again, optionally restoring the draft from it
+ * @route POST /api/forms/:id/versions/:versionId/rollback
+ */
+async function rollbackVersion(req, res, next) {
+  try {
+    const { id, versionId } = req.params;
+    const { restoreDraft: shouldRestoreDraft } = req.body || {};
+    const userId = req.user.id;
+
+    const { error: accessError } = await getFormAccess(id, userId, 'form.edit');
+
+    if (accessError) {
+      return res.status(accessError.statusCode).json({
+        status: 'error',
+        message: accessError.message
+      });
+    }
+
+    const version = await prisma.formVersion.findFirst({
+      where: {
+        id: versionId,
+        formId: id
+      }
+    });
+
+    if (!version) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Version not found'
+      });
+    }
+
+    const form = await prisma.$transaction(async (tx) => {
+      if (shouldRestoreDraft) {
+        await restoreDraft(tx, id, version.snapshot);
+      }
+
+      return tx.form.update({
+        where: { id },
+        data: {
+          isPublished: true,
+          liveVersionId: version.id,
+          closedAt: null,
+          closedReason: null
+        }
+      });
+    });
+
+    logger.info(`Form ${id} rolled back to version ${version.version}`);
+
+    // The earlier version is live again, so subscribers see it as a publish
+    emitWebhookEvent(id, 'form.published', buildFormData(form, version));
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        form,
+        version: {
+          id: version.id,
+          version: version.version,
+          publishedAt: version.publishedAt
+        },
+        draftRestored: Boolean(shouldRestoreDraft)
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+module.exports = {
+  listVersions,
+  getVersion,
+  diffVersion,
+  rollbackVersion
+};
@@ -3,6 +3,9 @@
 
 const { PrismaClient } = require('@prisma/client');
 const logger = require('../utils/logger');
+const { emitWebhookEvent, buildFormData } = require('../services/webhook.service');
+const { getFormAccess, findForeignQuestionIds } = require('../services/access.service');
+const { checkPattern } = require('../services/validation.service');
 
 const prisma = new PrismaClient();
 
@@ -13,28 +16,34 @@ const prisma = new PrismaClient();
 async function createQuestion(req, res, next) {
   try {
     const { formId } = req.params;
-    const { title, description, type, isRequired, options, validation } = req.body;
+    const {
+      title, description, type, isRequired, options, validation, isPinned, shuffleOptions, poolId
+    } = req.body;
     const userId = req.user.id;
 
-    // Check if form exists and belongs to user
-    const form = await prisma.form.findFirst({
-      where: {
-        id: formId,
-        userId
-      }
-    });
+    const patternError = checkPattern(validation && validation.pattern);
+    if (patternError) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Invalid question',
+        errors: [{ field: 'validation.pattern', message: patternError }]
+      });
+    }
 
-    if (!form) {
-      return res.status(404).json({
+    const { form, error: accessError } = await getFormAccess(formId, userId, 'form.edit');
+
+    if (accessError) {
+      return res.status(accessError.statusCode).json({
         status: 'error',
-        message: 'Form not found'
+        message: accessError.message
       });
     }
 
     // Get current highest order value
     const highestOrder = await prisma.question.findFirst({
       where: {
-        formId
+        formId,
+        deletedAt: null
       },
       orderBy: {
         order: 'desc'
@@ -56,10 +65,15 @@ async function createQuestion(req, res, next) {
         isRequired: isRequired || false,
         options: options ? JSON.parse(JSON.stringify(options)) : null,
         validation: validation ? JSON.parse(JSON.stringify(validation)) : null,
+        isPinned: isPinned || false,
+        shuffleOptions: shuffleOptions || false,
+        poolId: poolId || null,
         order: nextOrder
       }
     });
 
+    emitWebhookEvent(formId, 'form.updated', buildFormData(form));
+
     res.status(201).json({
       status: 'success',
       data: {
@@ -78,21 +92,26 @@ async function createQuestion(req, res, next) {
 async function updateQuestion(req, res, next) {
   try {
     const { formId, id } = req.params;
-    const { title, description, type, isRequired, options, validation } = req.body;
+    const {
+      title, description, type, isRequired, options, validation, isPinned, shuffleOptions, poolId
+    } = req.body;
     const userId = req.user.id;
 
-    // Check if form exists and belongs to user
-    const form = await prisma.form.findFirst({
-      where: {
-        id: formId,
-        userId
-      }
-    });
+    const patternError = checkPattern(validation && validation.pattern);
+    if (patternError) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Invalid question',
+        errors: [{ field: 'validation.pattern', message: patternError }]
+      });
+    }
 
-    if (!form) {
-      return res.status(404).json({
+    const { form, error: accessError } = await getFormAccess(formId, userId, 'form.edit');
+
+    if (accessError) {
+      return res.status(accessError.statusCode).json({
         status: 'error',
-        message: 'Form not found'
+        message: accessError.message
       });
     }
 
@@ -100,7 +119,8 @@ async function updateQuestion(req, res, next) {
     const existingQuestion = await prisma.question.findFirst({
       where: {
         id,
-        formId
+        formId,
+        deletedAt: null
       }
     });
 
@@ -122,10 +142,15 @@ async function updateQuestion(req, res, next) {
         type,
         isRequired: isRequired !== undefined ? isRequired : existingQuestion.isRequired,
         options: options ? JSON.parse(JSON.stringify(options)) : existingQuestion.options,
-        validation: validation ? JSON.parse(JSON.stringify(validation)) : existingQuestion.validation
+        validation: validation ? JSON.parse(JSON.stringify(validation)) : existingQuestion.validation,
+        isPinned,
+        shuffleOptions,
+        poolId
       }
     });
 
+    emitWebhookEvent(formId, 'form.updated', buildFormData(form));
+
     res.status(200).json({
       status: 'success',
       data: {
@@ -146,18 +171,12 @@ async function deleteQuestion(req, res, next) {
     const { formId, id } = req.params;
     const userId = req.user.id;
 
-    // Check if form exists and belongs to user
-    const form = await prisma.form.findFirst({
-      where: {
-        id: formId,
-        userId
-      }
-    });
+    const { form, error: accessError } = await getFormAccess(formId, userId, 'form.edit');
 
-    if (!form) {
-      return res.status(404).json({
+    if (accessError) {
+      return res.status(accessError.statusCode).json({
         status: 'error',
-        message: 'Form not found'
+        message: accessError.message
       });
     }
 
@@ -165,7 +184,8 @@ async function deleteQuestion(req, res, next) {
     const existingQuestion = await prisma.question.findFirst({
       where: {
         id,
-        formId
+        formId,
+        deletedAt: null
       }
     });
 
@@ -176,10 +196,14 @@ async function deleteQuestion(req, res, next) {
       });
     }
 
-    // Delete the question
-    await prisma.question.delete({
+    // Remove the question from the draft - the row stays for the published versions that
+    // still show it and the answers collected under them
+    await prisma.question.update({
       where: {
         id
+      },
+      data: {
+        deletedAt: new Date()
       }
     });
 
@@ -187,6 +211,7 @@ async function deleteQuestion(req, res, next) {
     const remainingQuestions = await prisma.question.findMany({
       where: {
         formId,
+        deletedAt: null,
         order: {
           gt: existingQuestion.order
         }
@@ -208,6 +233,8 @@ async function deleteQuestion(req, res, next) {
       });
     }
 
+    emitWebhookEvent(formId, 'form.updated', buildFormData(form));
+
     res.status(200).json({
       status: 'success',
       message: 'Question deleted successfully'
@@ -219,6 +246,7 @@ async function deleteQuestion(req, res, next) {
 
 /**
  * Reorder questions
+ * Every question in the body must be a question of the form.
  * @route PUT /api/forms/:formId/questions/reorder
  */
 async function reorderQuestions(req, res, next) {
@@ -227,31 +255,47 @@ async function reorderQuestions(req, res, next) {
     const { questions } = req.body; // Array of { id, order }
     const userId = req.user.id;
 
-    // Check if form exists and belongs to user
-    const form = await prisma.form.findFirst({
-      where: {
-        id: formId,
-        userId
-      }
-    });
+    const { form, error: accessError } = await getFormAccess(formId, userId, 'form.edit');
 
-    if (!form) {
-      return res.status(404).json({
+    if (accessError) {
+      return res.status(accessError.statusCode).json({
+        status: 'error',
+        message: accessError.message
+      });
+    }
+
+    const isValidOrder = Array.isArray(questions) && questions.every(question =>
+      question && typeof question.id === 'string' && Number.isInteger(question.order));
+    if (!isValidOrder) {
+      return res.status(400).json({
         status: 'error',
-        message: 'Form not found'
+        message: 'Invalid question order',
+        errors: [{ field: 'questions', message: 'questions must be an array of { id, order } with integer orders' }]
+      });
+    }
+
+    // Only questions of this form can be reordered through it
+    const foreignIds = await findForeignQuestionIds(formId, questions.map(question => question.id));
+    if (foreignIds.length > 0) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Invalid question order',
+        errors: foreignIds.map(id => ({ field: 'questions', message: `Question ${id} is not in this form` }))
       });
     }
 
     // Update order for each question
-    const updates = questions.map(({ id, order }) => 
-      prisma.question.update({
-        where: { id },
+    const updates = questions.map(({ id, order }) =>
+      prisma.question.updateMany({
+        where: { id, formId, deletedAt: null },
         data: { order }
       })
     );
 
     await prisma.$transaction(updates);
 
+    emitWebhookEvent(formId, 'form.updated', buildFormData(form));
+
     res.status(200).json({
       status: 'success',
       message: 'Questions reordered successfully'
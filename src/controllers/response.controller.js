@@ -4,40 +4,127 @@
 const { PrismaClient } = require('@prisma/client');
 const { v4: uuidv4 } = require('uuid');
 const logger = require('../utils/logger');
+const { buildAnswerMap, isEmptyValue, formatAnswers } = require('../utils/answers');
+const { resolveQuestionFlow, isQuestionVisible, getNextQuestion } = require('../services/logic.service');
+const {
+  validateAnswer, validateUpload, getUploadLimits, EMAIL_PATTERN
+} = require('../services/validation.service');
+const { getLiveDefinition, getResponseDefinition } = require('../services/formVersion.service');
+const { findVisit, recordQuestionViews } = require('../services/visit.service');
+const { ensureDeviceId } = require('../utils/deviceId');
+const { arrangeDefinition } = require('../services/questionOrder.service');
+const {
+  checkFormAvailability, lockFormAvailability, toUnavailableBody
+} = require('../services/formAvailability.service');
+const { createRespondentToken } = require('../services/respondentSession.service');
+const {
+  createUploadKey, getSignedUploadUrl, getFileInfo, deleteFile
+} = require('../services/storage.service');
+const { sendSubmissionNotifications } = require('../services/notification.service');
+const { emitWebhookEvent, buildResponseData } = require('../services/webhook.service');
+const {
+  createResumeToken, verifyResumeToken, getResumeUrl, sendResumeEmail
+} = require('../services/resume.service');
 
 const prisma = new PrismaClient();
 
+/**
+ * Load a response with its answers and the form definition it was started against
+ * Questions come back drawn and ordered for this response (pools, shuffling).
+ * @param {string} responseId - Response ID
+ * @returns {Object|null} { response, definition } or null if not found
+ */
+async function loadResponseContext(responseId) {
+  const response = await prisma.response.findUnique({
+    where: { id: responseId },
+    include: {
+      answers: true,
+      form: true
+    }
+  });
+
+  if (!response) {
+    return null;
+  }
+
+  const definition = arrangeDefinition(await getResponseDefinition(response), response.id);
+  return { response, definition };
+}
+
 /**
  * Start a form response session
  * @route POST /api/responses/start/:formId
- * Public endpoint - no authentication required
+ * Public endpoint - sign-in is only required when the form's settings say so
  */
 async function startResponse(req, res, next) {
   try {
     const { formId } = req.params;
+    const { visitId } = req.body || {};
     
-    // Check if form exists and is published
-    const form = await prisma.form.findFirst({
-      where: {
-        id: formId,
-        isPublished: true
-      },
-      include: {
-        questions: {
-          orderBy: {
-            order: 'asc'
-          }
-        }
-      }
-    });
+    // Check if form exists and is published - respondents answer the live version
+    const live = await getLiveDefinition(formId);
 
-    if (!form) {
+    // Forms closed automatically still exist for respondents - they get the closed message below
+    if (!live || (!live.form.isPublished && !live.form.closedReason)) {
       return res.status(404).json({
         status: 'error',
         message: 'Form not found or not published'
       });
     }
 
+    const { form, version } = live;
+
+    const availability = await checkFormAvailability(form);
+    if (!availability.isOpen) {
+      return res.status(403).json(toUnavailableBody(availability));
+    }
+
+    // Access settings apply as currently configured, not as they were when the version was published
+    const settings = await prisma.formSettings.findUnique({
+      where: { formId }
+    });
+    const userId = req.user ? req.user.id : null;
+
+    if (settings && settings.requireSignIn && !userId) {
+      return res.status(401).json({
+        status: 'error',
+        message: 'You must be signed in to fill this form'
+      });
+    }
+
+    // Anonymous respondents are recognised by a long-lived device cookie
+    const deviceId = ensureDeviceId(req, res);
+
+    if (settings && settings.limitOneResponsePerUser) {
+      const existing = await prisma.response.findFirst({
+        where: {
+          formId,
+          ...(userId ? { userId } : { deviceId })
+        },
+        orderBy: { startedAt: 'desc' }
+      });
+
+      if (existing) {
+        return res.status(409).json({
+          status: 'error',
+          message: existing.isCompleted
+            ? 'You have already responded to this form'
+            : 'You already have a response in progress for this form',
+          data: {
+            response: {
+              id: existing.id,
+              isCompleted: existing.isCompleted,
+              // Same user or device, so they may carry on with the response they started
+              ...(!existing.isCompleted && { respondentToken: createRespondentToken(existing.id) })
+            }
+          }
+        });
+      }
+    }
+
+    // Link the response to the visit that served the form, for the visit-to-completion funnel
+    const visit = visitId ? await findVisit(formId, visitId) : null;
+
     // Generate a unique respondent ID
     const respondentId = uuidv4();
     
@@ -45,25 +132,54 @@ async function startResponse(req, res, next) {
     const response = await prisma.response.create({
       data: {
         formId,
+        formVersionId: version ? version.id : null,
+        visitId: visit ? visit.id : null,
         respondentId,
+        userId,
+        deviceId,
         isCompleted: false
       }
     });
 
+    // Keep the form's last response time for sorting - this is not an edit, so leave updatedAt alone
+    await prisma.form.update({
+      where: { id: formId },
+      data: {
+        lastResponseAt: response.startedAt,
+        updatedAt: form.updatedAt
+      }
+    });
+
+    // Pools and shuffling are seeded by the response ID, so the order is stable for this response
+    const definition = arrangeDefinition(live.definition, response.id);
+
+    // The first question is the first one visible before anything has been answered
+    const flow = resolveQuestionFlow(definition.questions, {});
+    const firstQuestion = flow.visibleQuestions.length > 0 ? flow.visibleQuestions[0] : null;
+    if (firstQuestion) {
+      await recordQuestionViews(response.id, [firstQuestion.id]);
+    }
+
+    emitWebhookEvent(formId, 'response.started', () => buildResponseData(response.id));
+
     // Return the form structure and response ID
     res.status(201).json({
       status: 'success',
       data: {
         response: {
           id: response.id,
-          respondentId: response.respondentId
+          respondentId: response.respondentId,
+          formVersionId: response.formVersionId,
+          visitId: response.visitId,
+          respondentToken: createRespondentToken(response.id)
         },
         form: {
           id: form.id,
-          title: form.title,
-          description: form.description,
-          questionCount: form.questions.length,
-          firstQuestion: form.questions.length > 0 ? form.questions[0] : null
+          title: definition.title,
+          description: definition.description,
+          questionCount: definition.questions.length,
+          questionOrder: definition.questions.map(question => question.id),
+          firstQuestion
         }
       }
     });
@@ -75,7 +191,7 @@ async function startResponse(req, res, next) {
 /**
  * Submit an answer to a question
  * @route POST /api/responses/:responseId/answers
- * Public endpoint - no authentication required
+ * Public endpoint - requires the response's respondent token
  */
 async function submitAnswer(req, res, next) {
   try {
@@ -83,30 +199,32 @@ async function submitAnswer(req, res, next) {
     const { questionId, value, fileUrl } = req.body;
     
     // Check if response exists
-    const response = await prisma.response.findUnique({
-      where: { id: responseId },
-      include: {
-        form: {
-          include: {
-            questions: {
-              orderBy: {
-                order: 'asc'
-              }
-            }
-          }
-        }
-      }
-    });
+    const context = await loadResponseContext(responseId);
 
-    if (!response) {
+    if (!context) {
       return res.status(404).json({
         status: 'error',
         message: 'Response not found'
       });
     }
 
+    const { response, definition } = context;
+
+    if (response.isCompleted) {
+      return res.status(409).json({
+        status: 'error',
+        message: 'This response has already been completed and can no longer be changed'
+      });
+    }
+
+    // Answers are refused once the form has closed, even for responses already in progress
+    const availability = await checkFormAvailability(response.form);
+    if (!availability.isOpen) {
+      return res.status(403).json(toUnavailableBody(availability));
+    }
+
     // Check if question belongs to the form
-    const question = response.form.questions.find(q => q.id === questionId);
+    const question = definition.questions.find(q => q.id === questionId);
     if (!question) {
       return res.status(404).json({
         status: 'error',
@@ -114,13 +232,61 @@ async function submitAnswer(req, res, next) {
       });
     }
 
-    // Check if an answer for this question already exists
-    const existingAnswer = await prisma.answer.findFirst({
-      where: {
-        responseId,
-        questionId
+    // Only questions on the respondent's current path can be answered
+    const answers = buildAnswerMap(response.answers, definition.questions);
+    if (!isQuestionVisible(resolveQuestionFlow(definition.questions, answers), questionId)) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'This question is not part of the current path for this response'
+      });
+    }
+
+    // Files must come from completed uploads to this response for this question
+    const fileUrls = [].concat(fileUrl === undefined || fileUrl === null ? [] : fileUrl);
+    if (fileUrls.some(url => typeof url !== 'string' || url === '')) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'fileUrl must be a file URL or a list of file URLs'
+      });
+    }
+    if (fileUrls.length > 0) {
+      const uploads = await prisma.upload.findMany({
+        where: {
+          responseId,
+          questionId,
+          status: 'completed',
+          fileUrl: { in: fileUrls }
+        },
+        select: { fileUrl: true }
+      });
+      const uploadedUrls = new Set(uploads.map(upload => upload.fileUrl));
+      const unknownUrls = fileUrls.filter(url => !uploadedUrls.has(url));
+      if (unknownUrls.length > 0) {
+        return res.status(422).json({
+          status: 'error',
+          message: 'Answer failed validation',
+          errors: unknownUrls.map(url => ({
+            questionId,
+            field: 'fileUrl',
+            rule: 'upload',
+            message: `${url} is not a completed upload for this question`
+          }))
+        });
       }
-    });
+    }
+
+    // Validate the value against the question's constraints
+    const { value: storedValue, fileUrl: storedFileUrl, errors } = validateAnswer(question, value, fileUrls);
+    if (errors.length > 0) {
+      return res.status(422).json({
+        status: 'error',
+        message: 'Answer failed validation',
+        errors
+      });
+    }
+
+    // Check if an answer for this question already exists
+    const existingAnswer = response.answers.find(a => a.questionId === questionId);
 
     let answer;
     if (existingAnswer) {
@@ -128,8 +294,8 @@ async function submitAnswer(req, res, next) {
       answer = await prisma.answer.update({
         where: { id: existingAnswer.id },
         data: {
-          value,
-          fileUrl
+          value: storedValue,
+          fileUrl: storedFileUrl
         }
       });
     } else {
@@ -138,38 +304,237 @@ async function submitAnswer(req, res, next) {
         data: {
           responseId,
           questionId,
-          value,
-          fileUrl
+          value: storedValue,
+          fileUrl: storedFileUrl
+        }
+      });
+    }
+
+    // Attach the answer's files to it, and detach files it no longer includes
+    if (fileUrls.length > 0 || existingAnswer) {
+      await prisma.$transaction([
+        prisma.upload.updateMany({
+          where: { answerId: answer.id, fileUrl: { notIn: fileUrls } },
+          data: { answerId: null }
+        }),
+        prisma.upload.updateMany({
+          where: { responseId, questionId, status: 'completed', fileUrl: { in: fileUrls } },
+          data: { answerId: answer.id }
+        })
+      ]);
+    }
+
+    // Determine next question from the path under the updated answers
+    answers[questionId] = buildAnswerMap([answer], [question])[questionId];
+    const flow = resolveQuestionFlow(definition.questions, answers);
+    const nextQuestion = getNextQuestion(flow, questionId);
+
+    // Check if this is the last question on the path - the client completes the response explicitly
+    const isLastQuestion = nextQuestion === null;
+
+    if (nextQuestion) {
+      await recordQuestionViews(responseId, [nextQuestion.id]);
+    }
+
+    emitWebhookEvent(response.formId, 'answer.submitted', async () => ({
+      ...await buildResponseData(responseId),
+      answer: formatAnswers([question], [answer])[0]
+    }));
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        answer,
+        nextQuestion,
+        isLastQuestion
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Record that questions were shown to the respondent
+ * Used by clients that navigate without a server round trip, e.g. going back or
+ * rendering several questions per page. Only the first view of a question counts.
+ * @route POST /api/responses/:responseId/views
+ * Public endpoint - requires the response's respondent token
+ */
+async function recordViews(req, res, next) {
+  try {
+    const { responseId } = req.params;
+    const { questionId, questionIds } = req.body;
+
+    const ids = Array.isArray(questionIds) ? questionIds : [questionId];
+    if (ids.length === 0 || ids.some(id => typeof id !== 'string' || id === '')) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'questionId or questionIds is required'
+      });
+    }
+
+    const context = await loadResponseContext(responseId);
+
+    if (!context) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Response not found'
+      });
+    }
+
+    const { response, definition } = context;
+
+    if (response.isCompleted) {
+      return res.status(409).json({
+        status: 'error',
+        message: 'This response has already been completed and can no longer be changed'
+      });
+    }
+
+    // Only questions on the respondent's current path can have been shown
+    const flow = resolveQuestionFlow(definition.questions, buildAnswerMap(response.answers, definition.questions));
+    const invalidIds = ids.filter(id => !isQuestionVisible(flow, id));
+    if (invalidIds.length > 0) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Some questions are not part of the current path for this response',
+        errors: invalidIds.map(id => ({ field: 'questionIds', message: `Question ${id} is not on the current path` }))
+      });
+    }
+
+    await recordQuestionViews(responseId, ids);
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Views recorded'
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Complete a response once every visible required question has an answer
+ * @route POST /api/responses/:id/complete
+ * Public endpoint - requires the response's respondent token
+ */
+async function completeResponse(req, res, next) {
+  try {
+    const { id } = req.params;
+
+    const context = await loadResponseContext(id);
+
+    if (!context) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Response not found'
+      });
+    }
+
+    const { response, definition } = context;
+
+    if (response.isCompleted) {
+      return res.status(200).json({
+        status: 'success',
+        data: {
+          response: {
+            id: response.id,
+            isCompleted: response.isCompleted,
+            completedAt: response.completedAt
+          }
         }
       });
     }
 
-    // Determine next question
-    const currentQuestionIndex = response.form.questions.findIndex(q => q.id === questionId);
-    const nextQuestion = currentQuestionIndex < response.form.questions.length - 1 
-      ? response.form.questions[currentQuestionIndex + 1] 
-      : null;
+    const availability = await checkFormAvailability(response.form);
+    if (!availability.isOpen) {
+      return res.status(403).json(toUnavailableBody(availability));
+    }
+
+    // Required questions only count when they are on the respondent's path
+    const answerMap = buildAnswerMap(response.answers, definition.questions);
+    const flow = resolveQuestionFlow(definition.questions, answerMap);
+    const answeredIds = new Set(
+      response.answers
+        .filter(answer => !isEmptyValue(answerMap[answer.questionId]) || answer.fileUrl)
+        .map(answer => answer.questionId)
+    );
+    const missingQuestionIds = flow.visibleQuestions
+      .filter(question => question.isRequired && !answeredIds.has(question.id))
+      .map(question => question.id);
+
+    if (missingQuestionIds.length > 0) {
+      return res.status(422).json({
+        status: 'error',
+        message: 'Required questions have not been answered',
+        missingQuestionIds,
+        errors: missingQuestionIds.map(questionId => ({
+          questionId,
+          field: 'value',
+          rule: 'required',
+          message: 'This question requires an answer'
+        }))
+      });
+    }
 
-    // Check if this is the last question
-    const isLastQuestion = currentQuestionIndex === response.form.questions.length - 1;
+    // The cap is checked again under a lock on the form, in the transaction that completes the
+    // response; only one of several concurrent completions flips the flag, and only that one notifies
+    const completedAt = new Date();
+    const outcome = await prisma.$transaction(async (tx) => {
+      const lockedAvailability = await lockFormAvailability(tx, response.formId);
+      if (!lockedAvailability || !lockedAvailability.isOpen) {
+        return { availability: lockedAvailability, count: 0 };
+      }
 
-    // If last question, mark response as completed
-    if (isLastQuestion) {
-      await prisma.response.update({
-        where: { id: responseId },
+      const { count } = await tx.response.updateMany({
+        where: { id, isCompleted: false },
         data: {
           isCompleted: true,
-          completedAt: new Date()
+          completedAt
+        }
+      });
+      return { availability: lockedAvailability, count };
+    });
+
+    if (!outcome.availability) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Response not found'
+      });
+    }
+    if (!outcome.availability.isOpen) {
+      return res.status(403).json(toUnavailableBody(outcome.availability));
+    }
+
+    if (outcome.count === 0) {
+      const completedResponse = await prisma.response.findUnique({
+        where: { id },
+        select: { id: true, isCompleted: true, completedAt: true }
+      });
+
+      return res.status(200).json({
+        status: 'success',
+        data: {
+          response: completedResponse
         }
       });
     }
 
+    // Emails go out in the background - a mail failure must not fail the submission
+    sendSubmissionNotifications(id).catch(error => {
+      logger.error(`Error sending notifications for response ${id}: ${error.message}`);
+    });
+    emitWebhookEvent(response.formId, 'response.completed', () => buildResponseData(id));
+
     res.status(200).json({
       status: 'success',
       data: {
-        answer,
-        nextQuestion,
-        isLastQuestion
+        response: {
+          id,
+          isCompleted: true,
+          completedAt
+        }
       }
     });
   } catch (error) {
@@ -178,28 +543,176 @@ async function submitAnswer(req, res, next) {
 }
 
 /**
- * Get a specific response
- * @route GET /api/responses/:id
- * Public endpoint but requires respondent ID to verify ownership
+ * Issue a resume link for an unfinished response, optionally emailing it
+ * @route POST /api/responses/:id/resume-link
+ * Public endpoint - requires the response's respondent token
  */
-async function getResponse(req, res, next) {
+async function createResumeLink(req, res, next) {
   try {
     const { id } = req.params;
-    const { respondentId } = req.query;
-    
-    if (!respondentId) {
+    const { email } = req.body || {};
+
+    if (email !== undefined && (typeof email !== 'string' || !EMAIL_PATTERN.test(email.trim()))) {
       return res.status(400).json({
         status: 'error',
-        message: 'Respondent ID is required'
+        message: 'Invalid email address',
+        errors: [{ field: 'email', message: 'email must be a valid email address' }]
       });
     }
 
+    const response = await prisma.response.findUnique({
+      where: { id },
+      include: {
+        form: true
+      }
+    });
+
+    if (!response) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Response not found'
+      });
+    }
+
+    if (response.isCompleted) {
+      return res.status(409).json({
+        status: 'error',
+        message: 'This response has already been completed'
+      });
+    }
+
+    const availability = await checkFormAvailability(response.form);
+    if (!availability.isOpen) {
+      return res.status(403).json(toUnavailableBody(availability));
+    }
+
+    const settings = await prisma.formSettings.findUnique({
+      where: { formId: response.formId }
+    });
+    const { token, expiresAt } = createResumeToken(response, settings);
+    const resumeUrl = getResumeUrl(response.formId, token);
+
+    if (email) {
+      await sendResumeEmail(email.trim(), response.form, resumeUrl, expiresAt);
+    }
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        resumeToken: token,
+        resumeUrl,
+        expiresAt,
+        emailed: Boolean(email)
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Resume an unfinished response from a resume link
+ * Returns the answers so far and the question to continue from, worked out from the
+ * respondent's path under conditional logic.
+ * @route GET /api/responses/resume/:token
+ * Public endpoint - the signed token identifies the response
+ */
+async function resumeResponse(req, res, next) {
+  try {
+    const resume = verifyResumeToken(req.params.token);
+
+    if (!resume) {
+      return res.status(401).json({
+        status: 'error',
+        message: 'This resume link is invalid or has expired'
+      });
+    }
+
+    // Abandoned responses are deleted after the form's retention window
+    const context = await loadResponseContext(resume.responseId);
+
+    if (!context) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Response not found'
+      });
+    }
+
+    const { response, definition } = context;
+
+    if (response.isCompleted) {
+      return res.status(409).json({
+        status: 'error',
+        message: 'This response has already been completed',
+        data: {
+          response: {
+            id: response.id,
+            isCompleted: response.isCompleted
+          }
+        }
+      });
+    }
+
+    const availability = await checkFormAvailability(response.form);
+    if (!availability.isOpen) {
+      return res.status(403).json(toUnavailableBody(availability));
+    }
+
+    // Continue after the last question on the path the respondent got to
+    const flow = resolveQuestionFlow(definition.questions, buildAnswerMap(response.answers, definition.questions));
+    const answeredIds = new Set(response.answers.map(answer => answer.questionId));
+    const answeredQuestions = flow.visibleQuestions.filter(question => answeredIds.has(question.id));
+    const lastAnswered = answeredQuestions.length > 0 ? answeredQuestions[answeredQuestions.length - 1] : null;
+    let nextQuestion;
+    if (lastAnswered) {
+      nextQuestion = getNextQuestion(flow, lastAnswered.id);
+    } else {
+      nextQuestion = flow.visibleQuestions.length > 0 ? flow.visibleQuestions[0] : null;
+    }
+
+    if (nextQuestion) {
+      await recordQuestionViews(response.id, [nextQuestion.id]);
+    }
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        response: {
+          id: response.id,
+          respondentId: response.respondentId,
+          formVersionId: response.formVersionId,
+          startedAt: response.startedAt,
+          respondentToken: createRespondentToken(response.id)
+        },
+        form: {
+          id: response.formId,
+          title: definition.title,
+          description: definition.description,
+          questionCount: definition.questions.length,
+          questionOrder: definition.questions.map(question => question.id)
+        },
+        answers: formatAnswers(answeredQuestions, response.answers),
+        nextQuestion,
+        isLastQuestion: nextQuestion === null
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Get a specific response
+ * @route GET /api/responses/:id
+ * Public endpoint - requires the response's respondent token
+ */
+async function getResponse(req, res, next) {
+  try {
+    const { id } = req.params;
+
     // Get response with answers
-    const response = await prisma.response.findFirst({
-      where: {
-        id,
-        respondentId
-      },
+    const response = await prisma.response.findUnique({
+      where: { id },
       include: {
         form: {
           select: {
@@ -252,25 +765,224 @@ async function getResponse(req, res, next) {
 }
 
 /**
- * Generate a signed URL for file uploads
- * @route POST /api/responses/upload-url
- * Public endpoint - no authentication required
+ * Upload as returned by the API
+ */
+function toUploadResponse(upload) {
+  return {
+    id: upload.id,
+    questionId: upload.questionId,
+    fileName: upload.fileName,
+    contentType: upload.contentType,
+    size: upload.size,
+    status: upload.status,
+    fileUrl: upload.fileUrl,
+    createdAt: upload.createdAt,
+    completedAt: upload.completedAt
+  };
+}
+
+/**
+ * Generate a signed URL for uploading a file to a file question
+ * The client uploads the file to uploadUrl, completes the upload, then submits its
+ * fileUrl as the answer.
+ * @route POST /api/responses/:responseId/uploads
+ * Public endpoint - requires the response's respondent token
  */
-async function getUploadUrl(req, res, next) {
+async function createUpload(req, res, next) {
   try {
-    const { fileName, contentType } = req.body;
-    
-    // In a real implementation, this would generate a signed URL from a cloud provider
-    // For simplicity, we'll just return a mock URL
-    const fileKey = `uploads/${Date.now()}-${fileName}`;
-    const uploadUrl = `https://storage.triddle.co/${fileKey}`;
-    
+    const { responseId } = req.params;
+    const { questionId, fileName, contentType, size } = req.body || {};
+
+    const errors = [];
+    if (typeof questionId !== 'string' || questionId === '') {
+      errors.push({ field: 'questionId', message: 'questionId is required' });
+    }
+    if (typeof fileName !== 'string' || fileName.trim() === '' || fileName.length > 255) {
+      errors.push({ field: 'fileName', message: 'fileName must be between 1 and 255 characters' });
+    }
+    if (typeof contentType !== 'string' || !/^[\w.+-]+\/[\w.+-]+$/.test(contentType)) {
+      errors.push({ field: 'contentType', message: 'contentType must be a MIME type' });
+    }
+    if (!Number.isInteger(size) || size < 0) {
+      errors.push({ field: 'size', message: 'size must be the file size in bytes' });
+    }
+    if (errors.length > 0) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Invalid upload',
+        errors
+      });
+    }
+
+    const context = await loadResponseContext(responseId);
+
+    if (!context) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Response not found'
+      });
+    }
+
+    const { response, definition } = context;
+
+    if (response.isCompleted) {
+      return res.status(409).json({
+        status: 'error',
+        message: 'This response has already been completed and can no longer be changed'
+      });
+    }
+
+    const availability = await checkFormAvailability(response.form);
+    if (!availability.isOpen) {
+      return res.status(403).json(toUnavailableBody(availability));
+    }
+
+    const question = definition.questions.find(q => q.id === questionId);
+    if (!question) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Question not found in this form'
+      });
+    }
+
+    const flow = resolveQuestionFlow(definition.questions, buildAnswerMap(response.answers, definition.questions));
+    if (!isQuestionVisible(flow, questionId)) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'This question is not part of the current path for this response'
+      });
+    }
+
+    // Refuse files the question will not accept before anything is uploaded
+    const uploadErrors = validateUpload(question, { contentType, size });
+    if (uploadErrors.length > 0) {
+      return res.status(422).json({
+        status: 'error',
+        message: 'File failed validation',
+        errors: uploadErrors
+      });
+    }
+
+    const storageKey = createUploadKey(responseId, fileName);
+    const target = await getSignedUploadUrl(storageKey, contentType, {
+      maxSize: getUploadLimits(question).maxFileSize
+    });
+
+    const upload = await prisma.upload.create({
+      data: {
+        responseId,
+        questionId,
+        storageKey,
+        fileUrl: target.fileUrl,
+        fileName: fileName.trim(),
+        contentType,
+        size
+      }
+    });
+
+    res.status(201).json({
+      status: 'success',
+      data: {
+        upload: toUploadResponse(upload),
+        uploadUrl: target.uploadUrl,
+        method: target.method,
+        headers: target.headers,
+        expiresIn: target.expiresIn
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Mark an upload as complete once the file is in storage
+ * The stored file is checked against the question's limits again, since the declared
+ * size and type cannot be trusted. Rejected files are deleted.
+ * @route POST /api/responses/:responseId/uploads/:uploadId/complete
+ * Public endpoint - requires the response's respondent token
+ */
+async function completeUpload(req, res, next) {
+  try {
+    const { responseId, uploadId } = req.params;
+
+    const upload = await prisma.upload.findFirst({
+      where: {
+        id: uploadId,
+        responseId
+      }
+    });
+
+    if (!upload) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Upload not found'
+      });
+    }
+
+    if (upload.status === 'completed') {
+      return res.status(200).json({
+        status: 'success',
+        data: {
+          upload: toUploadResponse(upload)
+        }
+      });
+    }
+
+    const context = await loadResponseContext(responseId);
+
+    if (!context) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Response not found'
+      });
+    }
+
+    if (context.response.isCompleted) {
+      return res.status(409).json({
+        status: 'error',
+        message: 'This response has already been completed and can no longer be changed'
+      });
+    }
+
+    const file = await getFileInfo(upload.storageKey);
+    if (!file) {
+      return res.status(409).json({
+        status: 'error',
+        message: 'The file has not been uploaded yet'
+      });
+    }
+
+    const question = context.definition.questions.find(q => q.id === upload.questionId);
+    const uploadErrors = question
+      ? validateUpload(question, { contentType: file.contentType || upload.contentType, size: file.size })
+      : [{ questionId: upload.questionId, field: 'questionId', rule: 'type', message: 'Question not found in this form' }];
+
+    if (uploadErrors.length > 0) {
+      await deleteFile(upload.storageKey);
+      await prisma.upload.delete({
+        where: { id: upload.id }
+      });
+      return res.status(422).json({
+        status: 'error',
+        message: 'File failed validation',
+        errors: uploadErrors
+      });
+    }
+
+    const completedUpload = await prisma.upload.update({
+      where: { id: upload.id },
+      data: {
+        status: 'completed',
+        size: file.size,
+        completedAt: new Date()
+      }
+    });
+
     res.status(200).json({
       status: 'success',
       data: {
-        uploadUrl,
-        fileUrl: uploadUrl, // The URL where the file will be accessible after upload
-        expiresIn: 300 // URL expires in 5 minutes
+        upload: toUploadResponse(completedUpload)
       }
     });
   } catch (error) {
@@ -281,6 +993,11 @@ async function getUploadUrl(req, res, next) {
 module.exports = {
   startResponse,
   submitAnswer,
+  recordViews,
+  completeResponse,
+  createResumeLink,
+  resumeResponse,
   getResponse,
-  getUploadUrl
+  createUpload,
+  completeUpload
 };
\ No newline at end of file
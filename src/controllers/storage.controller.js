@@ -0,0 +1,111 @@
+// backend/src/controllers/storage.controller.js
+// Local storage controller - receives and serves files when STORAGE_DRIVER is local
+
+const path = require('path');
+const { getDriverName } = require('../services/storage.service');
+const localDriver = require('../services/storage/local.driver');
+
+/**
+ * Storage key from the request path, e.g. uploads/<responseId>/<file>
+ */
+function getKey(req) {
+  return req.params[0];
+}
+
+function isLocal() {
+  return getDriverName() === 'local';
+}
+
+/**
+ * Receive an upload sent to a signed upload URL
+ * @route PUT /api/storage/*
+ * Public endpoint - the signed token in the URL authorizes the upload
+ */
+async function receiveFile(req, res, next) {
+  try {
+    const key = getKey(req);
+    if (!isLocal() || !localDriver.getFilePath(key)) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'File not found'
+      });
+    }
+
+    const claims = localDriver.verifyUploadToken(req.query.token, key);
+    if (!claims) {
+      return res.status(403).json({
+        status: 'error',
+        message: 'Invalid or expired upload URL'
+      });
+    }
+
+    // The type is fixed when the upload URL is issued, like a signed S3 PUT
+    if ((req.get('Content-Type') || '') !== claims.contentType) {
+      return res.status(400).json({
+        status: 'error',
+        message: `Content-Type must be ${claims.contentType}`
+      });
+    }
+
+    const declaredSize = Number(req.get('Content-Length'));
+    if (Number.isFinite(declaredSize) && declaredSize > claims.maxSize) {
+      return res.status(413).json({
+        status: 'error',
+        message: `File must be at most ${claims.maxSize} bytes`
+      });
+    }
+
+    try {
+      await localDriver.writeFile(key, req, claims.maxSize);
+    } catch (error) {
+      if (error.code === 'FILE_TOO_LARGE') {
+        return res.status(413).json({
+          status: 'error',
+          message: `File must be at most ${claims.maxSize} bytes`
+        });
+      }
+      throw error;
+    }
+
+    res.status(200).json({
+      status: 'success',
+      message: 'File uploaded'
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Serve a stored file - always as a download, so uploaded HTML or SVG never runs in the browser
+ * @route GET /api/storage/*
+ * Public endpoint - like files in a public bucket
+ */
+async function serveFile(req, res, next) {
+  try {
+    const key = getKey(req);
+    const filePath = isLocal() ? localDriver.getFilePath(key) : null;
+    const file = filePath ? await localDriver.getFileInfo(key) : null;
+
+    if (!file) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'File not found'
+      });
+    }
+
+    res.attachment(path.basename(filePath));
+    res.sendFile(filePath, error => {
+      if (error && !res.headersSent) {
+        next(error);
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+module.exports = {
+  receiveFile,
+  serveFile
+};
@@ -0,0 +1,381 @@
+// backend/src/controllers/webhook.controller.js
+// Webhook controller - manages a form's webhooks and their delivery log
+
+const { PrismaClient } = require('@prisma/client');
+const logger = require('../utils/logger');
+const { parseCursorPagination, toPageArgs, toPage } = require('../utils/pagination');
+const { checkPublicUrl } = require('../utils/publicAddress');
+const {
+  createWebhookSchema,
+  updateWebhookSchema,
+  generateSecret,
+  redeliver
+} = require('../services/webhook.service');
+const { getFormAccess } = require('../services/access.service');
+
+const prisma = new PrismaClient();
+
+/**
+ * Webhook as returned by the API - the secret is only shown when it is created or rotated
+ */
+function toWebhookResponse(webhook, { withSecret = false } = {}) {
+  const { secret, ...rest } = webhook;
+  return withSecret ? { ...rest, secret } : rest;
+}
+
+function toValidationErrors(error) {
+  return error.details.map(detail => ({
+    field: detail.path.join('.'),
+    message: detail.message
+  }));
+}
+
+/**
+ * Find a webhook on a form - check the user's access to the form first
+ */
+function findWebhook(formId, webhookId) {
+  return prisma.webhook.findFirst({
+    where: {
+      id: webhookId,
+      formId
+    }
+  });
+}
+
+/**
+ * List a form's webhooks
+ * @route GET /api/forms/:id/webhooks
+ */
+async function listWebhooks(req, res, next) {
+  try {
+    const { id } = req.params;
+    const userId = req.user.id;
+
+    const { error: accessError } = await getFormAccess(id, userId, 'webhooks.manage');
+
+    if (accessError) {
+      return res.status(accessError.statusCode).json({
+        status: 'error',
+        message: accessError.message
+      });
+    }
+
+    const webhooks = await prisma.webhook.findMany({
+      where: {
+        formId: id
+      },
+      orderBy: {
+        createdAt: 'asc'
+      }
+    });
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        webhooks: webhooks.map(webhook => toWebhookResponse(webhook))
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Subscribe a URL to a form's events
+ * @route POST /api/forms/:id/webhooks
+ */
+async function createWebhook(req, res, next) {
+  try {
+    const { id } = req.params;
+    const userId = req.user.id;
+
+    const { value, error } = createWebhookSchema.validate(req.body || {}, { abortEarly: false });
+    if (error) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Invalid webhook',
+        errors: toValidationErrors(error)
+      });
+    }
+
+    const { error: accessError } = await getFormAccess(id, userId, 'webhooks.manage');
+
+    if (accessError) {
+      return res.status(accessError.statusCode).json({
+        status: 'error',
+        message: accessError.message
+      });
+    }
+
+    const urlError = await checkPublicUrl(value.url);
+    if (urlError) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Invalid webhook',
+        errors: [{ field: 'url', message: urlError }]
+      });
+    }
+
+    const webhook = await prisma.webhook.create({
+      data: {
+        formId: id,
+        url: value.url,
+        events: value.events,
+        isActive: value.isActive !== undefined ? value.isActive : true,
+        secret: generateSecret()
+      }
+    });
+
+    logger.info(`Webhook ${webhook.id} created for form ${id}`);
+
+    res.status(201).json({
+      status: 'success',
+      data: {
+        webhook: toWebhookResponse(webhook, { withSecret: true })
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Update a webhook - re-enabling it clears its failure count
+ * @route PUT /api/forms/:id/webhooks/:webhookId
+ */
+async function updateWebhook(req, res, next) {
+  try {
+    const { id, webhookId } = req.params;
+    const userId = req.user.id;
+
+    const { value, error } = updateWebhookSchema.validate(req.body || {}, { abortEarly: false });
+    if (error) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Invalid webhook',
+        errors: toValidationErrors(error)
+      });
+    }
+
+    const { error: accessError } = await getFormAccess(id, userId, 'webhooks.manage');
+
+    if (accessError) {
+      return res.status(accessError.statusCode).json({
+        status: 'error',
+        message: accessError.message
+      });
+    }
+
+    const existing = await findWebhook(id, webhookId);
+
+    if (!existing) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Webhook not found'
+      });
+    }
+
+    const urlError = value.url !== undefined ? await checkPublicUrl(value.url) : null;
+    if (urlError) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Invalid webhook',
+        errors: [{ field: 'url', message: urlError }]
+      });
+    }
+
+    const webhook = await prisma.webhook.update({
+      where: { id: webhookId },
+      data: {
+        url: value.url,
+        events: value.events,
+        isActive: value.isActive,
+        ...(value.isActive === true && !existing.isActive && { consecutiveFailures: 0, disabledAt: null }),
+        ...(value.rotateSecret && { secret: generateSecret() })
+      }
+    });
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        webhook: toWebhookResponse(webhook, { withSecret: Boolean(value.rotateSecret) })
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Delete a webhook and its delivery log
+ * @route DELETE /api/forms/:id/webhooks/:webhookId
+ */
+async function deleteWebhook(req, res, next) {
+  try {
+    const { id, webhookId } = req.params;
+    const userId = req.user.id;
+
+    const { error: accessError } = await getFormAccess(id, userId, 'webhooks.manage');
+
+    if (accessError) {
+      return res.status(accessError.statusCode).json({
+        status: 'error',
+        message: accessError.message
+      });
+    }
+
+    const existing = await findWebhook(id, webhookId);
+
+    if (!existing) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Webhook not found'
+      });
+    }
+
+    await prisma.webhook.delete({
+      where: { id: webhookId }
+    });
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Webhook deleted successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * List a webhook's deliveries, newest first
+ * Query parameters: status (pending|succeeded|failed), event, limit, cursor
+ * @route GET /api/forms/:id/webhooks/:webhookId/deliveries
+ */
+async function listDeliveries(req, res, next) {
+  try {
+    const { id, webhookId } = req.params;
+    const { status, event } = req.query;
+    const userId = req.user.id;
+
+    const pagination = parseCursorPagination(req.query);
+    const errors = [...pagination.errors];
+    if (status !== undefined && !['pending', 'succeeded', 'failed'].includes(status)) {
+      errors.push({ field: 'status', message: 'status must be pending, succeeded or failed' });
+    }
+    if (errors.length > 0) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Invalid query parameters',
+        errors
+      });
+    }
+
+    const { error: accessError } = await getFormAccess(id, userId, 'webhooks.manage');
+
+    if (accessError) {
+      return res.status(accessError.statusCode).json({
+        status: 'error',
+        message: accessError.message
+      });
+    }
+
+    const webhook = await findWebhook(id, webhookId);
+
+    if (!webhook) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Webhook not found'
+      });
+    }
+
+    const rows = await prisma.webhookDelivery.findMany({
+      where: {
+        webhookId,
+        ...(status && { status }),
+        ...(event && { event })
+      },
+      orderBy: [
+        { createdAt: 'desc' },
+        { id: 'desc' }
+      ],
+      ...toPageArgs(pagination)
+    });
+
+    const page = toPage(rows, pagination.limit);
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        deliveries: page.items,
+        pagination: {
+          nextCursor: page.nextCursor,
+          hasMore: page.hasMore
+        }
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Send a delivery's payload again - makes a single attempt and returns its outcome
+ * @route POST /api/forms/:id/webhooks/:webhookId/deliveries/:deliveryId/redeliver
+ */
+async function redeliverDelivery(req, res, next) {
+  try {
+    const { id, webhookId, deliveryId } = req.params;
+    const userId = req.user.id;
+
+    const { error: accessError } = await getFormAccess(id, userId, 'webhooks.manage');
+
+    if (accessError) {
+      return res.status(accessError.statusCode).json({
+        status: 'error',
+        message: accessError.message
+      });
+    }
+
+    const delivery = await prisma.webhookDelivery.findFirst({
+      where: {
+        id: deliveryId,
+        webhookId,
+        webhook: {
+          formId: id
+        }
+      },
+      include: {
+        webhook: true
+      }
+    });
+
+    if (!delivery) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Delivery not found'
+      });
+    }
+
+    const redelivery = await redeliver(delivery);
+
+    logger.info(`Delivery ${deliveryId} redelivered as ${redelivery.id}`);
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        delivery: redelivery
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+module.exports = {
+  listWebhooks,
+  createWebhook,
+  updateWebhook,
+  deleteWebhook,
+  listDeliveries,
+  redeliverDelivery
+};
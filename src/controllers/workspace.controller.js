@@ -0,0 +1,727 @@
+// backend/src/controllers/workspace.controller.js
+// Workspace controller - manages workspaces, their members and invitations
+
+const { PrismaClient } = require('@prisma/client');
+const logger = require('../utils/logger');
+const { getWorkspaceAccess } = require('../services/access.service');
+const {
+  workspaceSchema,
+  updateMemberSchema,
+  createInvitationSchema,
+  hashInvitationToken,
+  createInvitationToken,
+  getInvitationUrl,
+  sendInvitationEmail
+} = require('../services/workspace.service');
+
+const prisma = new PrismaClient();
+
+const MEMBER_USER_SELECT = {
+  id: true,
+  email: true,
+  name: true
+};
+
+const INVITATION_SELECT = {
+  id: true,
+  email: true,
+  role: true,
+  expiresAt: true,
+  createdAt: true,
+  invitedBy: {
+    select: MEMBER_USER_SELECT
+  }
+};
+
+function toValidationErrors(error) {
+  return error.details.map(detail => ({
+    field: detail.path.join('.'),
+    message: detail.message
+  }));
+}
+
+/**
+ * Where clause for invitations that can still be accepted
+ */
+function pendingInvitationsWhere() {
+  return {
+    acceptedAt: null,
+    expiresAt: { gt: new Date() }
+  };
+}
+
+/**
+ * Number of owners a workspace has
+ */
+function countOwners(workspaceId) {
+  return prisma.workspaceMember.count({
+    where: {
+      workspaceId,
+      role: 'owner'
+    }
+  });
+}
+
+/**
+ * List the workspaces the current user is a member of, with their role in each
+ * @route GET /api/workspaces
+ */
+async function listWorkspaces(req, res, next) {
+  try {
+    const userId = req.user.id;
+
+    const memberships = await prisma.workspaceMember.findMany({
+      where: {
+        userId
+      },
+      include: {
+        workspace: {
+          include: {
+            _count: {
+              select: {
+                members: true,
+                forms: true
+              }
+            }
+          }
+        }
+      },
+      orderBy: {
+        createdAt: 'asc'
+      }
+    });
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        workspaces: memberships.map(membership => ({
+          ...membership.workspace,
+          role: membership.role
+        }))
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Create a team workspace - the current user becomes its owner
+ * @route POST /api/workspaces
+ */
+async function createWorkspace(req, res, next) {
+  try {
+    const userId = req.user.id;
+
+    const { value, error } = workspaceSchema.validate(req.body || {}, { abortEarly: false });
+    if (error) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Invalid workspace',
+        errors: toValidationErrors(error)
+      });
+    }
+
+    const workspace = await prisma.workspace.create({
+      data: {
+        name: value.name,
+        members: {
+          create: {
+            userId,
+            role: 'owner'
+          }
+        }
+      }
+    });
+
+    logger.info(`Workspace ${workspace.id} created by user ${userId}`);
+
+    res.status(201).json({
+      status: 'success',
+      data: {
+        workspace: {
+          ...workspace,
+          role: 'owner'
+        }
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Get a workspace with its members
+ * @route GET /api/workspaces/:id
+ */
+async function getWorkspace(req, res, next) {
+  try {
+    const { id } = req.params;
+    const userId = req.user.id;
+
+    const { workspace, role, error: accessError } = await getWorkspaceAccess(id, userId);
+
+    if (accessError) {
+      return res.status(accessError.statusCode).json({
+        status: 'error',
+        message: accessError.message
+      });
+    }
+
+    const members = await prisma.workspaceMember.findMany({
+      where: {
+        workspaceId: id
+      },
+      select: {
+        role: true,
+        createdAt: true,
+        user: {
+          select: MEMBER_USER_SELECT
+        }
+      },
+      orderBy: {
+        createdAt: 'asc'
+      }
+    });
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        workspace: {
+          ...workspace,
+          role
+        },
+        members
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Rename a workspace
+ * @route PUT /api/workspaces/:id
+ */
+async function updateWorkspace(req, res, next) {
+  try {
+    const { id } = req.params;
+    const userId = req.user.id;
+
+    const { value, error } = workspaceSchema.validate(req.body || {}, { abortEarly: false });
+    if (error) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Invalid workspace',
+        errors: toValidationErrors(error)
+      });
+    }
+
+    const { error: accessError } = await getWorkspaceAccess(id, userId, 'workspace.manage');
+
+    if (accessError) {
+      return res.status(accessError.statusCode).json({
+        status: 'error',
+        message: accessError.message
+      });
+    }
+
+    const workspace = await prisma.workspace.update({
+      where: { id },
+      data: { name: value.name }
+    });
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        workspace
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Change a member's role
+ * Only owners may make someone an owner or change an owner's role, and the last owner
+ * cannot be demoted.
+ * @route PUT /api/workspaces/:id/members/:userId
+ */
+async function updateMember(req, res, next) {
+  try {
+    const { id, userId: memberId } = req.params;
+    const userId = req.user.id;
+
+    const { value, error } = updateMemberSchema.validate(req.body || {}, { abortEarly: false });
+    if (error) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Invalid member',
+        errors: toValidationErrors(error)
+      });
+    }
+
+    const { role, error: accessError } = await getWorkspaceAccess(id, userId, 'workspace.manage');
+
+    if (accessError) {
+      return res.status(accessError.statusCode).json({
+        status: 'error',
+        message: accessError.message
+      });
+    }
+
+    const member = await prisma.workspaceMember.findUnique({
+      where: {
+        workspaceId_userId: { workspaceId: id, userId: memberId }
+      }
+    });
+
+    if (!member) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Member not found'
+      });
+    }
+
+    if ((member.role === 'owner' || value.role === 'owner') && role !== 'owner') {
+      return res.status(403).json({
+        status: 'error',
+        message: 'Only owners can manage owners'
+      });
+    }
+
+    if (member.role === 'owner' && value.role !== 'owner' && await countOwners(id) === 1) {
+      return res.status(409).json({
+        status: 'error',
+        message: 'A workspace needs at least one owner - make someone else an owner first'
+      });
+    }
+
+    const updated = await prisma.workspaceMember.update({
+      where: { id: member.id },
+      data: { role: value.role },
+      select: {
+        role: true,
+        createdAt: true,
+        user: {
+          select: MEMBER_USER_SELECT
+        }
+      }
+    });
+
+    logger.info(`User ${memberId} is now ${value.role} of workspace ${id}`);
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        member: updated
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Remove a member, or leave the workspace when the member is the current user
+ * @route DELETE /api/workspaces/:id/members/:userId
+ */
+async function removeMember(req, res, next) {
+  try {
+    const { id, userId: memberId } = req.params;
+    const userId = req.user.id;
+    const isLeaving = memberId === userId;
+
+    // Anyone may leave; removing someone else takes workspace.manage
+    const { workspace, role, error: accessError } = await getWorkspaceAccess(
+      id, userId, isLeaving ? undefined : 'workspace.manage'
+    );
+
+    if (accessError) {
+      return res.status(accessError.statusCode).json({
+        status: 'error',
+        message: accessError.message
+      });
+    }
+
+    if (workspace.isPersonal) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'You cannot leave your personal workspace'
+      });
+    }
+
+    const member = await prisma.workspaceMember.findUnique({
+      where: {
+        workspaceId_userId: { workspaceId: id, userId: memberId }
+      }
+    });
+
+    if (!member) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Member not found'
+      });
+    }
+
+    if (member.role === 'owner' && !isLeaving && role !== 'owner') {
+      return res.status(403).json({
+        status: 'error',
+        message: 'Only owners can manage owners'
+      });
+    }
+
+    if (member.role === 'owner' && await countOwners(id) === 1) {
+      return res.status(409).json({
+        status: 'error',
+        message: 'A workspace needs at least one owner - make someone else an owner first'
+      });
+    }
+
+    await prisma.workspaceMember.delete({
+      where: { id: member.id }
+    });
+
+    logger.info(`User ${memberId} removed from workspace ${id}`);
+
+    res.status(200).json({
+      status: 'success',
+      message: isLeaving ? 'You have left the workspace' : 'Member removed successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * List a workspace's pending invitations
+ * @route GET /api/workspaces/:id/invitations
+ */
+async function listInvitations(req, res, next) {
+  try {
+    const { id } = req.params;
+    const userId = req.user.id;
+
+    const { error: accessError } = await getWorkspaceAccess(id, userId, 'workspace.manage');
+
+    if (accessError) {
+      return res.status(accessError.statusCode).json({
+        status: 'error',
+        message: accessError.message
+      });
+    }
+
+    const invitations = await prisma.workspaceInvitation.findMany({
+      where: {
+        workspaceId: id,
+        ...pendingInvitationsWhere()
+      },
+      select: INVITATION_SELECT,
+      orderBy: {
+        createdAt: 'desc'
+      }
+    });
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        invitations
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Invite someone to a workspace by email
+ * Inviting an address again replaces its pending invitation. The link is emailed and
+ * also returned, so it can be shared another way.
+ * @route POST /api/workspaces/:id/invitations
+ */
+async function createInvitation(req, res, next) {
+  try {
+    const { id } = req.params;
+    const userId = req.user.id;
+
+    const { value, error } = createInvitationSchema.validate(req.body || {}, { abortEarly: false });
+    if (error) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Invalid invitation',
+        errors: toValidationErrors(error)
+      });
+    }
+
+    const { workspace, error: accessError } = await getWorkspaceAccess(id, userId, 'workspace.manage');
+
+    if (accessError) {
+      return res.status(accessError.statusCode).json({
+        status: 'error',
+        message: accessError.message
+      });
+    }
+
+    if (workspace.isPersonal) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Personal workspaces cannot be shared - create a workspace and move your forms to it'
+      });
+    }
+
+    const existingMember = await prisma.workspaceMember.findFirst({
+      where: {
+        workspaceId: id,
+        user: {
+          email: { equals: value.email, mode: 'insensitive' }
+        }
+      }
+    });
+
+    if (existingMember) {
+      return res.status(409).json({
+        status: 'error',
+        message: 'This person is already a member of the workspace'
+      });
+    }
+
+    const { token, tokenHash, expiresAt } = createInvitationToken();
+
+    const invitation = await prisma.$transaction(async (tx) => {
+      await tx.workspaceInvitation.deleteMany({
+        where: {
+          workspaceId: id,
+          email: value.email,
+          acceptedAt: null
+        }
+      });
+
+      return tx.workspaceInvitation.create({
+        data: {
+          workspaceId: id,
+          email: value.email,
+          role: value.role,
+          tokenHash,
+          expiresAt,
+          invitedById: userId
+        },
+        select: INVITATION_SELECT
+      });
+    });
+
+    const invitationUrl = getInvitationUrl(token);
+
+    // The invitation stands even if the email fails - the link is in the response
+    sendInvitationEmail(invitation, workspace, req.user, invitationUrl).catch(emailError => {
+      logger.error(`Error sending invitation ${invitation.id}: ${emailError.message}`);
+    });
+
+    logger.info(`User ${userId} invited ${value.email} to workspace ${id} as ${value.role}`);
+
+    res.status(201).json({
+      status: 'success',
+      data: {
+        invitation,
+        invitationUrl
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Revoke a pending invitation
+ * @route DELETE /api/workspaces/:id/invitations/:invitationId
+ */
+async function revokeInvitation(req, res, next) {
+  try {
+    const { id, invitationId } = req.params;
+    const userId = req.user.id;
+
+    const { error: accessError } = await getWorkspaceAccess(id, userId, 'workspace.manage');
+
+    if (accessError) {
+      return res.status(accessError.statusCode).json({
+        status: 'error',
+        message: accessError.message
+      });
+    }
+
+    const { count } = await prisma.workspaceInvitation.deleteMany({
+      where: {
+        id: invitationId,
+        workspaceId: id,
+        acceptedAt: null
+      }
+    });
+
+    if (count === 0) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Invitation not found'
+      });
+    }
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Invitation revoked successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Find an invitation that can still be accepted from the token in its link
+ */
+function findPendingInvitation(token) {
+  return prisma.workspaceInvitation.findFirst({
+    where: {
+      tokenHash: hashInvitationToken(token),
+      ...pendingInvitationsWhere()
+    },
+    include: {
+      workspace: {
+        select: {
+          id: true,
+          name: true
+        }
+      },
+      invitedBy: {
+        select: MEMBER_USER_SELECT
+      }
+    }
+  });
+}
+
+/**
+ * Look up an invitation before signing in, to show who it is from and for
+ * @route GET /api/workspaces/invitations/:token
+ * @access Public
+ */
+async function getInvitation(req, res, next) {
+  try {
+    const invitation = await findPendingInvitation(req.params.token);
+
+    if (!invitation) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'This invitation is invalid or has expired'
+      });
+    }
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        invitation: {
+          email: invitation.email,
+          role: invitation.role,
+          expiresAt: invitation.expiresAt,
+          workspace: invitation.workspace,
+          invitedBy: invitation.invitedBy && {
+            name: invitation.invitedBy.name,
+            email: invitation.invitedBy.email
+          }
+        }
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Accept an invitation - the current user must be signed in with the invited address
+ * @route POST /api/workspaces/invitations/:token/accept
+ */
+async function acceptInvitation(req, res, next) {
+  try {
+    const userId = req.user.id;
+
+    const invitation = await findPendingInvitation(req.params.token);
+
+    if (!invitation) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'This invitation is invalid or has expired'
+      });
+    }
+
+    if (invitation.email.toLowerCase() !== req.user.email.toLowerCase()) {
+      return res.status(403).json({
+        status: 'error',
+        message: `This invitation is for ${invitation.email} - sign in with that address to accept it`
+      });
+    }
+
+    const existingMember = await prisma.workspaceMember.findUnique({
+      where: {
+        workspaceId_userId: { workspaceId: invitation.workspaceId, userId }
+      }
+    });
+
+    if (existingMember) {
+      return res.status(409).json({
+        status: 'error',
+        message: 'You are already a member of this workspace'
+      });
+    }
+
+    const accepted = await prisma.$transaction(async (tx) => {
+      // Claim the invitation so it cannot be accepted twice
+      const { count } = await tx.workspaceInvitation.updateMany({
+        where: { id: invitation.id, acceptedAt: null },
+        data: { acceptedAt: new Date() }
+      });
+      if (count === 0) {
+        return false;
+      }
+
+      await tx.workspaceMember.create({
+        data: {
+          workspaceId: invitation.workspaceId,
+          userId,
+          role: invitation.role
+        }
+      });
+      return true;
+    });
+
+    if (!accepted) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'This invitation is invalid or has expired'
+      });
+    }
+
+    logger.info(`User ${userId} joined workspace ${invitation.workspaceId} as ${invitation.role}`);
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        workspace: {
+          ...invitation.workspace,
+          role: invitation.role
+        }
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+module.exports = {
+  listWorkspaces,
+  createWorkspace,
+  getWorkspace,
+  updateWorkspace,
+  updateMember,
+  removeMember,
+  listInvitations,
+  createInvitation,
+  revokeInvitation,
+  getInvitation,
+  acceptInvitation
+};
@@ -8,12 +8,35 @@ const helmet = require('helmet');
 const morgan = require('morgan');
 const { PrismaClient } = require('@prisma/client');
 const routes = require('./routes');
+const storageRoutes = require('./routes/storage.routes');
 const errorHandler = require('./middleware/errorHandler');
 const logger = require('./utils/logger');
+const { startJobs } = require('./jobs');
 
 const prisma = new PrismaClient();
 const app = express();
 const PORT = process.env.PORT || 5000;
+let stopJobs = () => {};
+
+/**
+ * Parse TRUST_PROXY into an Express "trust proxy" value
+ * true/false, a number of hops, or a comma-separated list of addresses and subnets
+ * (e.g. "loopback, 10.0.0.0/8"). Unset means no proxy is trusted.
+ */
+function parseTrustProxy(value) {
+  const setting = (value || '').trim();
+  if (setting === '' || setting === 'false') {
+    return false;
+  }
+  if (setting === 'true') {
+    return true;
+  }
+  return /^\d+$/.test(setting) ? Number(setting) : setting;
+}
+
+// Visit counting and country lookup use req.ip - behind a load balancer it is only the
+// client's address when the proxy is trusted to set X-Forwarded-For
+app.set('trust proxy', parseTrustProxy(process.env.TRUST_PROXY));
 
 // Enhanced CORS configuration
 const corsOptions = {
@@ -21,7 +44,8 @@ const corsOptions = {
     [process.env.CORS_ORIGIN, 'http://localhost:5173', 'https://triddle-frontend00-git-main-meduds-projects.vercel.app'] : 
     ['http://localhost:5173', 'https://triddle-frontend00-git-main-meduds-projects.vercel.app'],
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Respondent-Token'],
+  exposedHeaders: ['X-Respondent-Token'], // Renewed respondent tokens
   credentials: true,
   optionsSuccessStatus: 200,
   maxAge: 86400 // 24 hours
@@ -30,6 +54,7 @@ const corsOptions = {
 // Middleware
 app.use(helmet()); // Security headers
 app.use(cors(corsOptions)); // Enable CORS with enhanced options
+app.use('/api/storage', storageRoutes); // Raw file uploads - mounted before the JSON parser can consume them
 app.use(express.json()); // Parse JSON request bodies
 app.use(morgan('combined')); // Request logging
 
@@ -93,6 +118,9 @@ async function start() {
       logger.info(`Health check at http://localhost:${PORT}/api/health`);
       logger.info(`CORS configured for origin: ${corsOptions.origin}`);
     });
+
+    // Start background jobs (form scheduling)
+    stopJobs = startJobs();
   } catch (error) {
     logger.error('Error starting server:', error);
     process.exit(1);
@@ -101,12 +129,14 @@ async function start() {
 
 // Handle application shutdown
 process.on('SIGINT', async () => {
+  stopJobs();
   await prisma.$disconnect();
   logger.info('Disconnected from the database');
   process.exit(0);
 });
 
 process.on('SIGTERM', async () => {
+  stopJobs();
   await prisma.$disconnect();
   logger.info('Disconnected from the database');
   process.exit(0);
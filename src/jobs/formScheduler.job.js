@@ -0,0 +1,71 @@
+// backend/src/jobs/formScheduler.job.js
+// Unpublishes forms that have passed their close time or response cap
+
+const { PrismaClient } = require('@prisma/client');
+const logger = require('../utils/logger');
+
+const prisma = new PrismaClient();
+
+/**
+ * Close a published form and record why
+ */
+async function closeForm(formId, reason, now) {
+  // Only close forms that are still published, in case an owner changed them meanwhile
+  const { count } = await prisma.form.updateMany({
+    where: { id: formId, isPublished: true },
+    data: {
+      isPublished: false,
+      closedAt: now,
+      closedReason: reason
+    }
+  });
+  if (count > 0) {
+    logger.info(`Closed form ${formId} (${reason})`);
+  }
+}
+
+/**
+ * Close every published form whose close time has passed or whose response cap is reached
+ * @returns {number} Number of forms checked for closing
+ */
+async function runFormScheduler() {
+  const now = new Date();
+
+  const expired = await prisma.form.findMany({
+    where: {
+      isPublished: true,
+      settings: { closesAt: { lte: now } }
+    },
+    select: { id: true }
+  });
+  for (const form of expired) {
+    await closeForm(form.id, 'schedule', now);
+  }
+
+  const capped = await prisma.form.findMany({
+    where: {
+      isPublished: true,
+      settings: { maxResponses: { not: null } }
+    },
+    select: {
+      id: true,
+      settings: { select: { maxResponses: true } },
+      _count: {
+        select: {
+          responses: { where: { isCompleted: true } }
+        }
+      }
+    }
+  });
+  for (const form of capped) {
+    if (form._count.responses >= form.settings.maxResponses) {
+      await closeForm(form.id, 'responseLimit', now);
+    }
+  }
+
+  return expired.length + capped.length;
+}
+
+module.exports = {
+  runFormScheduler
+};
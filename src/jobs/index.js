@@ -0,0 +1,78 @@
+// backend/src/jobs/index.js
+// In-process background jobs, run on a fixed interval
+//
+// Set JOBS_ENABLED=false on all but one instance when running several API servers.
+
+const logger = require('../utils/logger');
+const { runFormScheduler } = require('./formScheduler.job');
+const { runPartialResponseCleanup } = require('./partialResponseCleanup.job');
+const { runUploadCleanup } = require('./uploadCleanup.job');
+const { processDueDeliveries } = require('../services/webhook.service');
+
+const JOBS = [
+  {
+    name: 'formScheduler',
+    run: runFormScheduler,
+    intervalMs: Number(process.env.FORM_SCHEDULER_INTERVAL_MS) || 60 * 1000
+  },
+  {
+    name: 'webhookDelivery',
+    run: processDueDeliveries,
+    intervalMs: Number(process.env.WEBHOOK_DELIVERY_INTERVAL_MS) || 30 * 1000
+  },
+  {
+    name: 'partialResponseCleanup',
+    run: runPartialResponseCleanup,
+    intervalMs: Number(process.env.PARTIAL_RESPONSE_CLEANUP_INTERVAL_MS) || 60 * 60 * 1000
+  },
+  {
+    name: 'uploadCleanup',
+    run: runUploadCleanup,
+    intervalMs: Number(process.env.UPLOAD_CLEANUP_INTERVAL_MS) || 60 * 60 * 1000
+  }
+];
+
+/**
+ * Run a job, skipping the tick if the previous run has not finished
+ */
+function schedule(job) {
+  let running = false;
+  const tick = async () => {
+    if (running) {
+      return;
+    }
+    running = true;
+    try {
+      await job.run();
+    } catch (error) {
+      logger.error(`Job ${job.name} failed: ${error.message}`);
+    } finally {
+      running = false;
+    }
+  };
+
+  const timer = setInterval(tick, job.intervalMs);
+  // Do not keep the process alive just for background jobs
+  timer.unref();
+  tick();
+  return timer;
+}
+
+/**
+ * Start all background jobs
+ * @returns {Function} Stops the jobs
+ */
+function startJobs() {
+  if (process.env.JOBS_ENABLED === 'false') {
+    logger.info('Background jobs disabled');
+    return () => {};
+  }
+
+  const timers = JOBS.map(schedule);
+  logger.info(`Started background jobs: ${JOBS.map(job => job.name).join(', ')}`);
+  return () => timers.forEach(timer => clearInterval(timer));
+}
+
+module.exports = {
+  startJobs
+};
@@ -0,0 +1,61 @@
+// backend/src/jobs/partialResponseCleanup.job.js
+// Deletes unfinished responses that have been abandoned for longer than their form's retention window
+
+const { PrismaClient } = require('@prisma/client');
+const logger = require('../utils/logger');
+const { findUploadIds, purgeUploads } = require('../services/upload.service');
+
+const prisma = new PrismaClient();
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Delete every unfinished response with no activity within its form's retention window
+ * A response counts as active when it was started or had an answer saved within the window.
+ * @returns {number} Number of responses deleted
+ */
+async function runPartialResponseCleanup() {
+  const now = Date.now();
+
+  const settings = await prisma.formSettings.findMany({
+    where: {
+      partialResponseRetentionDays: { not: null }
+    },
+    select: {
+      formId: true,
+      partialResponseRetentionDays: true
+    }
+  });
+
+  let deleted = 0;
+  for (const { formId, partialResponseRetentionDays } of settings) {
+    const cutoff = new Date(now - partialResponseRetentionDays * DAY_MS);
+    const abandoned = {
+      formId,
+      isCompleted: false,
+      startedAt: { lt: cutoff },
+      answers: {
+        none: { updatedAt: { gte: cutoff } }
+      }
+    };
+
+    const uploadIds = await findUploadIds({ response: abandoned });
+    const { count } = await prisma.response.deleteMany({
+      where: abandoned
+    });
+    if (count > 0) {
+      logger.info(`Deleted ${count} abandoned responses from form ${formId}`);
+    }
+    // The uploads were detached with their responses, so their files can go now
+    if (uploadIds.length > 0) {
+      await purgeUploads({ id: { in: uploadIds } });
+    }
+    deleted += count;
+  }
+
+  return deleted;
+}
+
+module.exports = {
+  runPartialResponseCleanup
+};
@@ -0,0 +1,25 @@
+// backend/src/jobs/uploadCleanup.job.js
+// Removes uploads that were never attached to an answer, or were detached, within the retention window
+
+const logger = require('../utils/logger');
+const { getUploadRetentionHours, expiredUploadsWhere, purgeUploads } = require('../services/upload.service');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Delete expired uploads and their files
+ * @returns {number} Number of uploads deleted
+ */
+async function runUploadCleanup() {
+  const cutoff = new Date(Date.now() - getUploadRetentionHours() * HOUR_MS);
+  const { deleted, failed } = await purgeUploads(expiredUploadsWhere(cutoff));
+
+  if (deleted > 0 || failed > 0) {
+    logger.info(`Upload cleanup removed ${deleted} uploads, ${failed} could not be removed`);
+  }
+  return deleted;
+}
+
+module.exports = {
+  runUploadCleanup
+};
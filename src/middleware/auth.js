@@ -65,4 +65,36 @@ async function authenticate(req, res, next) {
   }
 }
 
-module.exports = authenticate;
\ No newline at end of file
+/**
+ * Optional authentication for public routes
+ * Sets req.user when a valid Bearer token is present and otherwise continues
+ * anonymously - routes decide for themselves whether sign-in is required.
+ */
+async function optionalAuthenticate(req, res, next) {
+  try {
+    const authHeader = req.headers.authorization;
+    if (!authHeader || !authHeader.startsWith('Bearer ')) {
+      return next();
+    }
+
+    const decoded = verifyToken(authHeader.split(' ')[1]);
+    if (decoded && decoded.userId) {
+      const user = await prisma.user.findUnique({
+        where: { id: decoded.userId },
+        select: { id: true, email: true, name: true }
+      });
+      if (user) {
+        req.user = user;
+      }
+    }
+    next();
+  } catch (error) {
+    if (error.name === 'JsonWebTokenError' || error.name === 'TokenExpiredError') {
+      return next();
+    }
+    next(error);
+  }
+}
+
+module.exports = authenticate;
+module.exports.optionalAuthenticate = optionalAuthenticate;
\ No newline at end of file
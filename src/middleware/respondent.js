@@ -0,0 +1,48 @@
+// backend/src/middleware/respondent.js
+// Respondent session middleware for the public response endpoints
+
+const {
+  RESPONDENT_TOKEN_HEADER,
+  createRespondentToken,
+  verifyRespondentToken
+} = require('../services/respondentSession.service');
+
+/**
+ * Require a respondent token for the response in the route
+ * The token comes from the X-Respondent-Token header and must be scoped to the
+ * :responseId or :id route parameter. A renewed token is sent back in the same header.
+ */
+function authenticateRespondent(req, res, next) {
+  try {
+    const token = req.get(RESPONDENT_TOKEN_HEADER);
+    if (!token) {
+      return res.status(401).json({
+        status: 'error',
+        message: 'Respondent token required'
+      });
+    }
+
+    const responseId = verifyRespondentToken(token);
+    if (!responseId) {
+      return res.status(401).json({
+        status: 'error',
+        message: 'Invalid or expired respondent token'
+      });
+    }
+
+    if (responseId !== (req.params.responseId || req.params.id)) {
+      return res.status(403).json({
+        status: 'error',
+        message: 'This respondent token is not valid for this response'
+      });
+    }
+
+    req.respondent = { responseId };
+    res.set(RESPONDENT_TOKEN_HEADER, createRespondentToken(responseId));
+    next();
+  } catch (error) {
+    next(error);
+  }
+}
+
+module.exports = authenticateRespondent;
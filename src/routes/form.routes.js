@@ -2,12 +2,19 @@
 const express = require('express');
 const formController = require('../controllers/form.controller');
 const {
-  createForm, getForms, getForm, updateForm, deleteForm,
-  getFormAnalytics, getFormResponses, trackFormVisit
+  createForm, getForms, getForm, updateForm, deleteForm, duplicateForm, moveForm,
+  exportForm, importForm,
+  getFormAnalytics, getFormTimeseries, getFormTrafficSources, getFormResponses, getFormResponse, exportFormResponses, trackFormVisit
 } = require('../controllers/form.controller');
 const {
   createQuestion, updateQuestion, deleteQuestion, reorderQuestions
 } = require('../controllers/question.controller');
+const {
+  listVersions, getVersion, diffVersion, rollbackVersion
+} = require('../controllers/formVersion.controller');
+const {
+  listWebhooks, createWebhook, updateWebhook, deleteWebhook, listDeliveries, redeliverDelivery
+} = require('../controllers/webhook.controller');
 const authenticate = require('../middleware/auth'); // ✅ correct import
 
 const router = express.Router();
@@ -15,18 +22,41 @@ const router = express.Router();
 // Form routes
 router.post('/', authenticate, createForm);
 router.get('/', authenticate, getForms);
+router.post('/import', authenticate, importForm);
 router.get('/:id', authenticate, getForm);
 router.put('/:id', authenticate, updateForm);
 router.delete('/:id', authenticate, deleteForm);
+router.post('/:id/duplicate', authenticate, duplicateForm);
+router.put('/:id/workspace', authenticate, moveForm);
+router.get('/:id/export', authenticate, exportForm);
 router.get('/:id/analytics', authenticate, getFormAnalytics);
+router.get('/:id/analytics/timeseries', authenticate, getFormTimeseries);
+router.get('/:id/analytics/sources', authenticate, getFormTrafficSources);
 router.get('/:id/responses', authenticate, getFormResponses);
+router.get('/:id/responses/export', authenticate, exportFormResponses);
+router.get('/:id/responses/:responseId', authenticate, getFormResponse);
 router.put('/:id/publish', authenticate, formController.publishForm); // ✅ fixed
+router.put('/:id/unpublish', authenticate, formController.unpublishForm);
+
+// Version routes
+router.get('/:id/versions', authenticate, listVersions);
+router.get('/:id/versions/:versionId', authenticate, getVersion);
+router.get('/:id/versions/:versionId/diff', authenticate, diffVersion);
+router.post('/:id/versions/:versionId/rollback', authenticate, rollbackVersion);
+
+// Webhook routes
+router.get('/:id/webhooks', authenticate, listWebhooks);
+router.post('/:id/webhooks', authenticate, createWebhook);
+router.put('/:id/webhooks/:webhookId', authenticate, updateWebhook);
+router.delete('/:id/webhooks/:webhookId', authenticate, deleteWebhook);
+router.get('/:id/webhooks/:webhookId/deliveries', authenticate, listDeliveries);
+router.post('/:id/webhooks/:webhookId/deliveries/:deliveryId/redeliver', authenticate, redeliverDelivery);
 
 // Question routes
 router.post('/:formId/questions', authenticate, createQuestion);
+router.put('/:formId/questions/reorder', authenticate, reorderQuestions); // Before /:id, which would match "reorder"
 router.put('/:formId/questions/:id', authenticate, updateQuestion);
 router.delete('/:formId/questions/:id', authenticate, deleteQuestion);
-router.put('/:formId/questions/reorder', authenticate, reorderQuestions);
 
 // Public routes
 router.post('/:id/visit', trackFormVisit);
@@ -5,6 +5,7 @@ const express = require('express');
 const authRoutes = require('./auth.routes');
 const formRoutes = require('./form.routes');
 const responseRoutes = require('./response.routes');
+const workspaceRoutes = require('./workspace.routes');
 
 const router = express.Router();
 
@@ -12,5 +13,6 @@ const router = express.Router();
 router.use('/auth', authRoutes);
 router.use('/forms', formRoutes);
 router.use('/responses', responseRoutes);
+router.use('/workspaces', workspaceRoutes);
 
 module.exports = router;
\ No newline at end of file
@@ -5,16 +5,29 @@ const express = require('express');
 const { 
   startResponse, 
   submitAnswer, 
+  recordViews,
+  completeResponse,
+  createResumeLink,
+  resumeResponse,
   getResponse,
-  getUploadUrl
+  createUpload,
+  completeUpload
 } = require('../controllers/response.controller');
+const { optionalAuthenticate } = require('../middleware/auth');
+const authenticateRespondent = require('../middleware/respondent');
 
 const router = express.Router();
 
-// All response routes are public to allow anonymous form submissions
-router.post('/start/:formId', startResponse);
-router.post('/:responseId/answers', submitAnswer);
-router.get('/:id', getResponse);
-router.post('/upload-url', getUploadUrl);
+// Response routes are public to allow anonymous form submissions - starting or resuming
+// a response issues a respondent token, which every later request for it must carry
+router.post('/start/:formId', optionalAuthenticate, startResponse);
+router.get('/resume/:token', resumeResponse);
+router.post('/:responseId/answers', authenticateRespondent, submitAnswer);
+router.post('/:responseId/views', authenticateRespondent, recordViews);
+router.post('/:id/complete', authenticateRespondent, completeResponse);
+router.post('/:id/resume-link', authenticateRespondent, createResumeLink);
+router.get('/:id', authenticateRespondent, getResponse);
+router.post('/:responseId/uploads', authenticateRespondent, createUpload);
+router.post('/:responseId/uploads/:uploadId/complete', authenticateRespondent, completeUpload);
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,12 @@
+// backend/src/routes/storage.routes.js
+// Local storage routes - only used by the local storage driver
+
+const express = require('express');
+const { receiveFile, serveFile } = require('../controllers/storage.controller');
+
+const router = express.Router();
+
+router.put('/*', receiveFile);
+router.get('/*', serveFile);
+
+module.exports = router;
@@ -0,0 +1,33 @@
+// backend/src/routes/workspace.routes.js
+// Workspace, member and invitation routes
+
+const express = require('express');
+const {
+  listWorkspaces, createWorkspace, getWorkspace, updateWorkspace,
+  updateMember, removeMember,
+  listInvitations, createInvitation, revokeInvitation, getInvitation, acceptInvitation
+} = require('../controllers/workspace.controller');
+const authenticate = require('../middleware/auth');
+
+const router = express.Router();
+
+// Invitation links - looked up before signing in, accepted once signed in
+router.get('/invitations/:token', getInvitation);
+router.post('/invitations/:token/accept', authenticate, acceptInvitation);
+
+// Workspace routes
+router.get('/', authenticate, listWorkspaces);
+router.post('/', authenticate, createWorkspace);
+router.get('/:id', authenticate, getWorkspace);
+router.put('/:id', authenticate, updateWorkspace);
+
+// Member routes
+router.put('/:id/members/:userId', authenticate, updateMember);
+router.delete('/:id/members/:userId', authenticate, removeMember);
+
+// Invitation routes
+router.get('/:id/invitations', authenticate, listInvitations);
+router.post('/:id/invitations', authenticate, createInvitation);
+router.delete('/:id/invitations/:invitationId', authenticate, revokeInvitation);
+
+module.exports = router;
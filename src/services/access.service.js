@@ -0,0 +1,201 @@
+// backend/src/services/access.service.js
+// Workspace roles and the access checks every form endpoint goes through
+//
+// Forms belong to a workspace, and what a member may do with them depends on their role:
+// - owner: everything, including managing owners
+// - admin: everything except managing owners
+// - editor: build, publish and read the workspace's forms and their responses
+// - analyst: read forms, responses and analytics
+// - viewer: read forms only
+
+const { PrismaClient } = require('@prisma/client');
+
+const prisma = new PrismaClient();
+
+const ROLES = ['owner', 'admin', 'editor', 'analyst', 'viewer'];
+
+// Roles allowed to do each action
+const PERMISSIONS = {
+  'form.view': ['owner', 'admin', 'editor', 'analyst', 'viewer'],
+  'form.create': ['owner', 'admin', 'editor'],
+  'form.edit': ['owner', 'admin', 'editor'],
+  'form.delete': ['owner', 'admin'],
+  'responses.view': ['owner', 'admin', 'editor', 'analyst'],
+  'webhooks.manage': ['owner', 'admin'],
+  'workspace.manage': ['owner', 'admin']
+};
+
+// Completes "You do not have permission to ..."
+const PERMISSION_DESCRIPTIONS = {
+  'form.view': 'view this form',
+  'form.create': 'create forms in this workspace',
+  'form.edit': 'edit this form',
+  'form.delete': 'delete this form',
+  'responses.view': 'view responses to this form',
+  'webhooks.manage': 'manage this form\'s webhooks',
+  'workspace.manage': 'manage this workspace'
+};
+
+/**
+ * Roles allowed to do an action
+ * @param {string} permission - Key of PERMISSIONS
+ * @returns {string[]} Roles
+ */
+function rolesWith(permission) {
+  const roles = PERMISSIONS[permission];
+  if (!roles) {
+    throw new Error(`Unknown permission "${permission}"`);
+  }
+  return roles;
+}
+
+/**
+ * Whether a role allows an action
+ * @param {string} role - Workspace role
+ * @param {string} permission - Key of PERMISSIONS
+ * @returns {boolean} True if allowed
+ */
+function hasPermission(role, permission) {
+  return rolesWith(permission).includes(role);
+}
+
+/**
+ * Where clause for the forms a user may act on
+ * @param {string} userId - User ID
+ * @param {string} [permission] - Key of PERMISSIONS, defaults to form.view
+ * @returns {Object} Prisma where clause for forms
+ */
+function accessibleFormsWhere(userId, permission = 'form.view') {
+  return {
+    workspace: {
+      members: {
+        some: {
+          userId,
+          role: { in: rolesWith(permission) }
+        }
+      }
+    }
+  };
+}
+
+/**
+ * A user's membership of a workspace
+ * @param {string} workspaceId - Workspace ID
+ * @param {string} userId - User ID
+ * @returns {Object|null} WorkspaceMember row, or null if the user is not a member
+ */
+function getMembership(workspaceId, userId) {
+  return prisma.workspaceMember.findUnique({
+    where: {
+      workspaceId_userId: { workspaceId, userId }
+    }
+  });
+}
+
+/**
+ * Load a form and check that a user may act on it
+ * Forms in workspaces the user is not a member of are reported as not found, so their
+ * existence is not revealed; members whose role does not allow the action get a 403.
+ * @param {string} formId - Form ID
+ * @param {string} userId - User ID
+ * @param {string} permission - Key of PERMISSIONS
+ * @param {Object} [options] - { include } passed to the form query
+ * @returns {Object} { form, role, error } - error is { statusCode, message } when access is refused
+ */
+async function getFormAccess(formId, userId, permission, { include } = {}) {
+  const form = await prisma.form.findUnique({
+    where: { id: formId },
+    ...(include && { include })
+  });
+  const membership = form ? await getMembership(form.workspaceId, userId) : null;
+
+  if (!membership) {
+    return {
+      form: null,
+      role: null,
+      error: { statusCode: 404, message: 'Form not found' }
+    };
+  }
+
+  if (!hasPermission(membership.role, permission)) {
+    return {
+      form: null,
+      role: membership.role,
+      error: { statusCode: 403, message: `You do not have permission to ${PERMISSION_DESCRIPTIONS[permission]}` }
+    };
+  }
+
+  return { form, role: membership.role, error: null };
+}
+
+/**
+ * Load a workspace and check that a user may act on it
+ * @param {string} workspaceId - Workspace ID
+ * @param {string} userId - User ID
+ * @param {string} [permission] - Key of PERMISSIONS, or omitted for any member
+ * @returns {Object} { workspace, role, error } - error is { statusCode, message } when access is refused
+ */
+async function getWorkspaceAccess(workspaceId, userId, permission) {
+  const membership = await prisma.workspaceMember.findUnique({
+    where: {
+      workspaceId_userId: { workspaceId, userId }
+    },
+    include: {
+      workspace: true
+    }
+  });
+
+  if (!membership) {
+    return {
+      workspace: null,
+      role: null,
+      error: { statusCode: 404, message: 'Workspace not found' }
+    };
+  }
+
+  if (permission && !hasPermission(membership.role, permission)) {
+    return {
+      workspace: null,
+      role: membership.role,
+      error: { statusCode: 403, message: `You do not have permission to ${PERMISSION_DESCRIPTIONS[permission]}` }
+    };
+  }
+
+  return { workspace: membership.workspace, role: membership.role, error: null };
+}
+
+/**
+ * Question IDs from a request body that are not questions of a form
+ * Form endpoints check access to the form, so every question they touch must belong to it.
+ * @param {string} formId - Form ID
+ * @param {string[]} questionIds - Question IDs to check
+ * @param {Object} [options] - { includeDeleted } to also accept the form's removed questions
+ * @returns {Promise<string[]>} IDs that are not questions of the form
+ */
+async function findForeignQuestionIds(formId, questionIds, { includeDeleted = false } = {}) {
+  if (questionIds.length === 0) {
+    return [];
+  }
+
+  const owned = await prisma.question.findMany({
+    where: {
+      id: { in: questionIds },
+      formId,
+      ...(!includeDeleted && { deletedAt: null })
+    },
+    select: { id: true }
+  });
+  const ownedIds = new Set(owned.map(question => question.id));
+  return questionIds.filter(id => !ownedIds.has(id));
+}
+
+module.exports = {
+  ROLES,
+  PERMISSIONS,
+  hasPermission,
+  accessibleFormsWhere,
+  getMembership,
+  getFormAccess,
+  getWorkspaceAccess,
+  findForeignQuestionIds
+};
@@ -0,0 +1,738 @@
+// backend/src/services/analytics.service.js
+// Form analytics computed in the database
+
+const { PrismaClient, Prisma } = require('@prisma/client');
+const { NUMERIC_TYPES, CHOICE_TYPES, MULTI_CHOICE_TYPES } = require('./validation.service');
+const { parseUserAgent } = require('../utils/userAgent');
+const { classifySource } = require('../utils/trafficSource');
+
+const prisma = new PrismaClient();
+
+// Scales are summarized per value, free numbers in equal-width buckets
+const SCALE_TYPES = ['rating', 'scale', 'linearScale', 'slider'];
+const FREE_TEXT_TYPES = ['text', 'shortText', 'paragraph', 'longText', 'textarea'];
+const HISTOGRAM_BUCKETS = 10;
+// Completions faster than this share of the median are flagged, once there are enough to compare
+const FAST_COMPLETION_RATIO = 0.25;
+const MIN_TIMING_SAMPLE = 5;
+const TOP_TERMS = 10;
+const STOP_WORDS = [
+  'the', 'and', 'for', 'are', 'but', 'not', 'you', 'all', 'any', 'can', 'had', 'her', 'was', 'one',
+  'our', 'out', 'has', 'him', 'his', 'how', 'its', 'may', 'new', 'now', 'old', 'see', 'two', 'who',
+  'did', 'get', 'let', 'say', 'she', 'too', 'use', 'that', 'with', 'have', 'this', 'will', 'your',
+  'from', 'they', 'been', 'were', 'what', 'when', 'them', 'than', 'then', 'there', 'their', 'would',
+  'about', 'which', 'could', 'very', 'just', 'also', 'into', 'more', 'some', 'such', 'only'
+];
+
+// Answers are free text - values that do not cast cleanly are skipped rather than failing the query.
+// Digits are capped so numbers always fit in a float8.
+const NUMBER_PATTERN = '^\\s*-?[0-9]{1,30}(\\.[0-9]{1,30})?\\s*$';
+const DATE_PATTERN = '^[0-9]{4}-[0-9]{2}-[0-9]{2}';
+
+function getCategory(type) {
+  if (MULTI_CHOICE_TYPES.includes(type)) {
+    return 'multiChoice';
+  }
+  if (CHOICE_TYPES.includes(type)) {
+    return 'choice';
+  }
+  if (NUMERIC_TYPES.includes(type)) {
+    return 'numeric';
+  }
+  if (type === 'date') {
+    return 'date';
+  }
+  if (type === 'fileUpload' || type === 'file') {
+    return 'file';
+  }
+  return 'text';
+}
+
+function groupBy(rows, key) {
+  const groups = {};
+  rows.forEach(row => {
+    (groups[row[key]] = groups[row[key]] || []).push(row);
+  });
+  return groups;
+}
+
+function round(value, digits = 2) {
+  if (value === null || value === undefined) {
+    return null;
+  }
+  const factor = 10 ** digits;
+  return Math.round(Number(value) * factor) / factor;
+}
+
+/**
+ * Count non-empty answers per question
+ */
+function countAnswered(questionIds) {
+  return prisma.$queryRaw`
+    SELECT "questionId", COUNT(*)::int AS "count"
+    FROM "answers"
+    WHERE "questionId" IN (${Prisma.join(questionIds)})
+      AND (COALESCE("value", '') <> '' OR "fileUrl" IS NOT NULL)
+    GROUP BY "questionId"
+  `;
+}
+
+/**
+ * Count answers per value for single-choice questions
+ */
+function countChoices(questionIds) {
+  return prisma.$queryRaw`
+    SELECT "questionId", "value", COUNT(*)::int AS "count"
+    FROM "answers"
+    WHERE "questionId" IN (${Prisma.join(questionIds)})
+      AND COALESCE("value", '') <> ''
+    GROUP BY "questionId", "value"
+  `;
+}
+
+/**
+ * Count selections per value for multi-select questions
+ * Answers are JSON arrays; older comma-separated answers, and anything that is not valid
+ * JSON (safe_jsonb returns null), are split on commas instead
+ */
+function countMultiChoices(questionIds) {
+  return prisma.$queryRaw`
+    SELECT a."questionId", btrim(selected.value) AS "value", COUNT(*)::int AS "count"
+    FROM "answers" a
+    CROSS JOIN LATERAL jsonb_array_elements_text(
+      COALESCE(
+        CASE WHEN a."value" ~ '^\\s*\\[' THEN safe_jsonb(a."value") END,
+        to_jsonb(string_to_array(a."value", ','))
+      )
+    ) AS selected(value)
+    WHERE a."questionId" IN (${Prisma.join(questionIds)})
+      AND COALESCE(a."value", '') <> ''
+    GROUP BY a."questionId", btrim(selected.value)
+  `;
+}
+
+/**
+ * Summary statistics for numeric answers
+ */
+function summarizeNumbers(questionIds) {
+  return prisma.$queryRaw`
+    WITH numbers AS (
+      SELECT "questionId", btrim("value")::numeric AS n
+      FROM "answers"
+      WHERE "questionId" IN (${Prisma.join(questionIds)})
+        AND "value" ~ ${NUMBER_PATTERN}
+    )
+    SELECT "questionId",
+      COUNT(*)::int AS "count",
+      MIN(n)::float8 AS "min",
+      MAX(n)::float8 AS "max",
+      AVG(n)::float8 AS "mean",
+      percentile_cont(0.25) WITHIN GROUP (ORDER BY n) AS "p25",
+      percentile_cont(0.5) WITHIN GROUP (ORDER BY n) AS "median",
+      percentile_cont(0.75) WITHIN GROUP (ORDER BY n) AS "p75",
+      percentile_cont(0.9) WITHIN GROUP (ORDER BY n) AS "p90"
+    FROM numbers
+    GROUP BY "questionId"
+  `;
+}
+
+/**
+ * Count answers per distinct value, for rating and scale questions
+ */
+function countNumericValues(questionIds) {
+  return prisma.$queryRaw`
+    SELECT "questionId", btrim("value")::numeric::float8 AS "value", COUNT(*)::int AS "count"
+    FROM "answers"
+    WHERE "questionId" IN (${Prisma.join(questionIds)})
+      AND "value" ~ ${NUMBER_PATTERN}
+    GROUP BY "questionId", btrim("value")::numeric
+    ORDER BY 2
+  `;
+}
+
+/**
+ * Count answers per equal-width bucket between each question's min and max
+ */
+function bucketNumbers(questionIds) {
+  return prisma.$queryRaw`
+    WITH numbers AS (
+      SELECT "questionId", btrim("value")::numeric AS n
+      FROM "answers"
+      WHERE "questionId" IN (${Prisma.join(questionIds)})
+        AND "value" ~ ${NUMBER_PATTERN}
+    ),
+    bounds AS (
+      SELECT "questionId", MIN(n) AS lo, MAX(n) AS hi
+      FROM numbers
+      GROUP BY "questionId"
+    )
+    SELECT numbers."questionId",
+      CASE WHEN bounds.hi = bounds.lo THEN 1
+        ELSE LEAST(width_bucket(numbers.n, bounds.lo, bounds.hi, ${HISTOGRAM_BUCKETS}::int), ${HISTOGRAM_BUCKETS}::int)
+      END AS "bucket",
+      COUNT(*)::int AS "count"
+    FROM numbers
+    JOIN bounds ON bounds."questionId" = numbers."questionId"
+    GROUP BY 1, 2
+  `;
+}
+
+/**
+ * Earliest and latest date answers
+ * Values shaped like a date but not one (2024-02-31) are skipped - safe_date returns null.
+ */
+function summarizeDates(questionIds) {
+  return prisma.$queryRaw`
+    WITH dates AS (
+      SELECT "questionId", safe_date(substring("value", 1, 10)) AS d
+      FROM "answers"
+      WHERE "questionId" IN (${Prisma.join(questionIds)})
+        AND "value" ~ ${DATE_PATTERN}
+    )
+    SELECT "questionId",
+      COUNT(*)::int AS "count",
+      to_char(MIN(d), 'YYYY-MM-DD') AS "earliest",
+      to_char(MAX(d), 'YYYY-MM-DD') AS "latest"
+    FROM dates
+    WHERE d IS NOT NULL
+    GROUP BY "questionId"
+  `;
+}
+
+/**
+ * Answer length statistics for text answers
+ */
+function summarizeLengths(questionIds) {
+  return prisma.$queryRaw`
+    WITH lengths AS (
+      SELECT "questionId", char_length(btrim("value")) AS len
+      FROM "answers"
+      WHERE "questionId" IN (${Prisma.join(questionIds)})
+        AND COALESCE(btrim("value"), '') <> ''
+    )
+    SELECT "questionId",
+      COUNT(*)::int AS "count",
+      MIN(len)::int AS "min",
+      MAX(len)::int AS "max",
+      AVG(len)::float8 AS "mean",
+      percentile_cont(0.5) WITHIN GROUP (ORDER BY len) AS "median"
+    FROM lengths
+    GROUP BY "questionId"
+  `;
+}
+
+/**
+ * Most frequent words in text answers, ignoring short and common words
+ */
+function countTerms(questionIds) {
+  return prisma.$queryRaw`
+    SELECT "questionId", "term", "count"
+    FROM (
+      SELECT a."questionId", words.term AS "term", COUNT(*)::int AS "count",
+        ROW_NUMBER() OVER (PARTITION BY a."questionId" ORDER BY COUNT(*) DESC, words.term) AS "rank"
+      FROM "answers" a
+      CROSS JOIN LATERAL regexp_split_to_table(lower(a."value"), '[^[:alnum:]]+') AS words(term)
+      WHERE a."questionId" IN (${Prisma.join(questionIds)})
+        AND char_length(words.term) >= 3
+        AND words.term <> ALL(${STOP_WORDS}::text[])
+      GROUP BY a."questionId", words.term
+    ) ranked
+    WHERE "rank" <= ${TOP_TERMS}::int
+    ORDER BY "questionId", "rank"
+  `;
+}
+
+/**
+ * Resolve a question's options to { value, label } pairs
+ */
+function getOptionList(options) {
+  if (!Array.isArray(options)) {
+    return [];
+  }
+  return options
+    .filter(option => option !== null && option !== undefined)
+    .map(option => {
+      if (typeof option !== 'object') {
+        return { value: String(option), label: String(option) };
+      }
+      const value = option.value ?? option.label ?? option.text;
+      const label = option.label ?? option.text ?? option.value;
+      return { value: String(value), label: String(label) };
+    });
+}
+
+/**
+ * Build option counts and percentages, including options nobody picked
+ * Percentages are relative to the number of respondents who answered the question
+ */
+function buildChoiceDistribution(question, rows, answered) {
+  const counts = {};
+  rows.forEach(row => {
+    counts[row.value] = (counts[row.value] || 0) + row.count;
+  });
+
+  const percentage = count => (answered > 0 ? round((count / answered) * 100) : 0);
+  const options = getOptionList(question.options).map(option => {
+    let count = counts[option.value] || 0;
+    delete counts[option.value];
+    // Answers may have stored the option's label instead of its value
+    if (option.label !== option.value) {
+      count += counts[option.label] || 0;
+      delete counts[option.label];
+    }
+    return { ...option, count, percentage: percentage(count) };
+  });
+
+  const other = Object.entries(counts).map(([value, count]) => ({
+    value,
+    count,
+    percentage: percentage(count)
+  }));
+
+  return {
+    kind: MULTI_CHOICE_TYPES.includes(question.type) ? 'multiChoice' : 'choice',
+    answered,
+    options,
+    other
+  };
+}
+
+/**
+ * Compute per-question answer distributions, in SQL, for a list of questions
+ * @param {Array} questions - Question rows (id, type, options)
+ * @returns {Object} Distributions keyed by question ID
+ */
+async function getQuestionDistributions(questions) {
+  if (questions.length === 0) {
+    return {};
+  }
+
+  const idsByCategory = { choice: [], multiChoice: [], numeric: [], scale: [], date: [], text: [], freeText: [] };
+  questions.forEach(question => {
+    const category = getCategory(question.type);
+    if (idsByCategory[category]) {
+      idsByCategory[category].push(question.id);
+    }
+    if (category === 'numeric' && SCALE_TYPES.includes(question.type)) {
+      idsByCategory.scale.push(question.id);
+    }
+    if (category === 'text' && FREE_TEXT_TYPES.includes(question.type)) {
+      idsByCategory.freeText.push(question.id);
+    }
+  });
+
+  // Skip queries for categories the form does not use
+  const run = (ids, query) => (ids.length > 0 ? query(ids) : Promise.resolve([]));
+  const numericIds = idsByCategory.numeric;
+  const bucketIds = numericIds.filter(id => !idsByCategory.scale.includes(id));
+
+  const [answeredRows, choiceRows, multiRows, numberRows, scaleRows, bucketRows, dateRows, lengthRows, termRows] =
+    await Promise.all([
+      countAnswered(questions.map(q => q.id)),
+      run(idsByCategory.choice, countChoices),
+      run(idsByCategory.multiChoice, countMultiChoices),
+      run(numericIds, summarizeNumbers),
+      run(idsByCategory.scale, countNumericValues),
+      run(bucketIds, bucketNumbers),
+      run(idsByCategory.date, summarizeDates),
+      run(idsByCategory.text, summarizeLengths),
+      run(idsByCategory.freeText, countTerms)
+    ]);
+
+  const answered = {};
+  answeredRows.forEach(row => {
+    answered[row.questionId] = row.count;
+  });
+  const choices = groupBy([...choiceRows, ...multiRows], 'questionId');
+  const numbers = groupBy(numberRows, 'questionId');
+  const scales = groupBy(scaleRows, 'questionId');
+  const buckets = groupBy(bucketRows, 'questionId');
+  const dates = groupBy(dateRows, 'questionId');
+  const lengths = groupBy(lengthRows, 'questionId');
+  const terms = groupBy(termRows, 'questionId');
+
+  const distributions = {};
+  questions.forEach(question => {
+    const category = getCategory(question.type);
+    const answeredCount = answered[question.id] || 0;
+
+    if (category === 'choice' || category === 'multiChoice') {
+      distributions[question.id] = buildChoiceDistribution(question, choices[question.id] || [], answeredCount);
+    } else if (category === 'numeric') {
+      const stats = (numbers[question.id] || [])[0];
+      let histogram = [];
+      if (scales[question.id]) {
+        histogram = scales[question.id].map(row => ({ value: row.value, count: row.count }));
+      } else if (stats && buckets[question.id]) {
+        const width = (stats.max - stats.min) / HISTOGRAM_BUCKETS;
+        histogram = buckets[question.id]
+          .sort((a, b) => a.bucket - b.bucket)
+          .map(row => ({
+            from: round(width > 0 ? stats.min + (row.bucket - 1) * width : stats.min, 4),
+            to: round(width > 0 ? stats.min + row.bucket * width : stats.max, 4),
+            count: row.count
+          }));
+      }
+      distributions[question.id] = {
+        kind: 'numeric',
+        answered: answeredCount,
+        count: stats ? stats.count : 0,
+        min: stats ? stats.min : null,
+        max: stats ? stats.max : null,
+        mean: stats ? round(stats.mean) : null,
+        median: stats ? stats.median : null,
+        percentiles: stats ? { p25: stats.p25, p50: stats.median, p75: stats.p75, p90: stats.p90 } : null,
+        histogram
+      };
+    } else if (category === 'date') {
+      const stats = (dates[question.id] || [])[0];
+      distributions[question.id] = {
+        kind: 'date',
+        answered: answeredCount,
+        count: stats ? stats.count : 0,
+        earliest: stats ? stats.earliest : null,
+        latest: stats ? stats.latest : null
+      };
+    } else if (category === 'text') {
+      const stats = (lengths[question.id] || [])[0];
+      distributions[question.id] = {
+        kind: 'text',
+        answered: answeredCount,
+        length: stats ? {
+          min: stats.min,
+          max: stats.max,
+          mean: round(stats.mean),
+          median: stats.median
+        } : null,
+        topTerms: (terms[question.id] || []).map(row => ({ term: row.term, count: row.count }))
+      };
+    } else {
+      distributions[question.id] = { kind: category, answered: answeredCount };
+    }
+  });
+
+  return distributions;
+}
+
+/**
+ * Bucketed counts of visits, response starts and completions
+ * Buckets follow wall-clock boundaries in the given time zone and gaps are zero-filled.
+ * @param {string} formId - Form ID
+ * @param {Object} options - { interval: hour|day|week, from: Date, to: Date, timeZone: IANA name }
+ * Visits exclude bots; unique visitors are distinct visitor hashes, which rotate daily.
+ * @returns {Array} [{ start, local, visits, uniqueVisitors, starts, completions }]
+ */
+async function getTimeseries(formId, { interval, from, to, timeZone }) {
+  const fromIso = from.toISOString();
+  const toIso = to.toISOString();
+  const step = `1 ${interval}`;
+
+  const rows = await prisma.$queryRaw`
+    WITH buckets AS (
+      SELECT generate_series(
+        date_trunc(${interval}, ${fromIso}::timestamptz AT TIME ZONE ${timeZone}),
+        date_trunc(${interval}, ${toIso}::timestamptz AT TIME ZONE ${timeZone}),
+        ${step}::interval
+      ) AS bucket
+    ),
+    visits AS (
+      SELECT date_trunc(${interval}, ("visitedAt" AT TIME ZONE 'UTC') AT TIME ZONE ${timeZone}) AS bucket,
+        COUNT(*)::int AS "count",
+        COUNT(DISTINCT "visitorHash")::int AS "unique"
+      FROM "form_visits"
+      WHERE "formId" = ${formId}
+        AND "isBot" = false
+        AND "visitedAt" >= (${fromIso}::timestamptz AT TIME ZONE 'UTC')
+        AND "visitedAt" <= (${toIso}::timestamptz AT TIME ZONE 'UTC')
+      GROUP BY 1
+    ),
+    starts AS (
+      SELECT date_trunc(${interval}, ("startedAt" AT TIME ZONE 'UTC') AT TIME ZONE ${timeZone}) AS bucket,
+        COUNT(*)::int AS "count"
+      FROM "responses"
+      WHERE "formId" = ${formId}
+        AND "startedAt" >= (${fromIso}::timestamptz AT TIME ZONE 'UTC')
+        AND "startedAt" <= (${toIso}::timestamptz AT TIME ZONE 'UTC')
+      GROUP BY 1
+    ),
+    completions AS (
+      SELECT date_trunc(${interval}, ("completedAt" AT TIME ZONE 'UTC') AT TIME ZONE ${timeZone}) AS bucket,
+        COUNT(*)::int AS "count"
+      FROM "responses"
+      WHERE "formId" = ${formId}
+        AND "isCompleted" = true
+        AND "completedAt" >= (${fromIso}::timestamptz AT TIME ZONE 'UTC')
+        AND "completedAt" <= (${toIso}::timestamptz AT TIME ZONE 'UTC')
+      GROUP BY 1
+    )
+    SELECT
+      buckets.bucket AT TIME ZONE ${timeZone} AS "start",
+      to_char(buckets.bucket, 'YYYY-MM-DD"T"HH24:MI:SS') AS "local",
+      COALESCE(visits."count", 0) AS "visits",
+      COALESCE(visits."unique", 0) AS "uniqueVisitors",
+      COALESCE(starts."count", 0) AS "starts",
+      COALESCE(completions."count", 0) AS "completions"
+    FROM buckets
+    LEFT JOIN visits ON visits.bucket = buckets.bucket
+    LEFT JOIN starts ON starts.bucket = buckets.bucket
+    LEFT JOIN completions ON completions.bucket = buckets.bucket
+    ORDER BY buckets.bucket
+  `;
+
+  return rows;
+}
+
+/**
+ * Visit-to-completion funnel for a form
+ * A question counts as reached once it was shown to the respondent, or answered
+ * for responses recorded before views were tracked. Conditional logic means a
+ * response can skip questions, so each question's drop-off is measured against
+ * the responses that actually reached it.
+ * @param {string} formId - Form ID
+ * Bot visits are excluded. Unique visitors are distinct visitor hashes, which
+ * rotate daily, so a visitor returning on another day counts again.
+ * @returns {Object} { visited, uniqueVisitors, visitsWithResponse, started, startedFromVisit, completed, questions }
+ */
+async function getFunnel(formId) {
+  const [[visits], [totals]] = await Promise.all([
+    prisma.$queryRaw`
+      SELECT COUNT(*)::int AS "visited",
+        COUNT(DISTINCT "visitorHash")::int AS "uniqueVisitors"
+      FROM "form_visits"
+      WHERE "formId" = ${formId}
+        AND "isBot" = false
+    `,
+    prisma.$queryRaw`
+      SELECT
+        COUNT(DISTINCT r."visitId") FILTER (WHERE v."isBot" = false)::int AS "visitsWithResponse",
+        COUNT(r."id")::int AS "started",
+        COUNT(r."visitId")::int AS "startedFromVisit",
+        COUNT(r."id") FILTER (WHERE r."isCompleted")::int AS "completed"
+      FROM "responses" r
+      LEFT JOIN "form_visits" v ON v."id" = r."visitId"
+      WHERE r."formId" = ${formId}
+    `
+  ]);
+
+  const questionRows = await prisma.$queryRaw`
+    WITH touched AS (
+      SELECT v."responseId", v."questionId", v."viewedAt" AS "at"
+      FROM "question_views" v
+      JOIN "responses" r ON r."id" = v."responseId"
+      WHERE r."formId" = ${formId}
+      UNION ALL
+      SELECT a."responseId", a."questionId", a."createdAt" AS "at"
+      FROM "answers" a
+      JOIN "responses" r ON r."id" = a."responseId"
+      WHERE r."formId" = ${formId}
+    ),
+    reached AS (
+      SELECT "responseId", "questionId", MIN("at") AS "at"
+      FROM touched
+      GROUP BY "responseId", "questionId"
+    ),
+    answered AS (
+      SELECT DISTINCT a."responseId", a."questionId"
+      FROM "answers" a
+      JOIN "responses" r ON r."id" = a."responseId"
+      WHERE r."formId" = ${formId}
+        AND (COALESCE(a."value", '') <> '' OR a."fileUrl" IS NOT NULL)
+    ),
+    last_reached AS (
+      SELECT DISTINCT ON (reached."responseId") reached."responseId", reached."questionId"
+      FROM reached
+      JOIN "responses" r ON r."id" = reached."responseId"
+      JOIN "questions" q ON q."id" = reached."questionId"
+      WHERE r."isCompleted" = false
+      ORDER BY reached."responseId", reached."at" DESC, q."order" DESC
+    )
+    SELECT q."id" AS "questionId",
+      (SELECT COUNT(*)::int FROM reached WHERE reached."questionId" = q."id") AS "reached",
+      (SELECT COUNT(*)::int FROM answered WHERE answered."questionId" = q."id") AS "answered",
+      (SELECT COUNT(*)::int FROM last_reached WHERE last_reached."questionId" = q."id") AS "abandoned"
+    FROM "questions" q
+    WHERE q."formId" = ${formId}
+  `;
+
+  const rate = (part, whole) => (whole > 0 ? round((part / whole) * 100) : 0);
+  const questions = {};
+  questionRows.forEach(row => {
+    questions[row.questionId] = {
+      reached: row.reached,
+      answered: row.answered,
+      abandoned: row.abandoned,
+      answerRate: rate(row.answered, row.reached),
+      dropoffRate: rate(row.abandoned, row.reached)
+    };
+  });
+
+  return {
+    visited: visits.visited,
+    uniqueVisitors: visits.uniqueVisitors,
+    visitsWithResponse: totals.visitsWithResponse,
+    started: totals.started,
+    startedFromVisit: totals.startedFromVisit,
+    completed: totals.completed,
+    startRate: rate(totals.visitsWithResponse, visits.visited),
+    completionRate: rate(totals.completed, totals.started),
+    questions
+  };
+}
+
+/**
+ * Time-to-complete statistics for a form's completed responses, in seconds
+ * @param {string} formId - Form ID
+ * @returns {Object} { completed, min, median, p90, max, fastThreshold, fastCompletions }
+ */
+async function getCompletionTiming(formId) {
+  const [stats] = await prisma.$queryRaw`
+    WITH durations AS (
+      SELECT EXTRACT(EPOCH FROM ("completedAt" - "startedAt"))::float8 AS seconds
+      FROM "responses"
+      WHERE "formId" = ${formId}
+        AND "isCompleted" = true
+        AND "completedAt" IS NOT NULL
+    ),
+    summary AS (
+      SELECT COUNT(*)::int AS "completed",
+        MIN(seconds) AS "min",
+        percentile_cont(0.5) WITHIN GROUP (ORDER BY seconds) AS "median",
+        percentile_cont(0.9) WITHIN GROUP (ORDER BY seconds) AS "p90",
+        MAX(seconds) AS "max"
+      FROM durations
+    )
+    SELECT summary.*,
+      (SELECT COUNT(*)::int FROM durations WHERE seconds < summary."median" * ${FAST_COMPLETION_RATIO}::float8) AS "fastCompletions"
+    FROM summary
+  `;
+
+  const hasSample = stats.completed >= MIN_TIMING_SAMPLE;
+  return {
+    completed: stats.completed,
+    min: round(stats.min),
+    median: round(stats.median),
+    p90: round(stats.p90),
+    max: round(stats.max),
+    fastThreshold: hasSample ? round(stats.median * FAST_COMPLETION_RATIO) : null,
+    fastCompletions: hasSample ? stats.fastCompletions : 0
+  };
+}
+
+/**
+ * Time between a question being shown and first answered, per question, in seconds
+ * Only responses with both a recorded view and an answer are counted.
+ * @param {string} formId - Form ID
+ * @returns {Object} { [questionId]: { count, median, p90 } }
+ */
+async function getDwellTimes(formId) {
+  const rows = await prisma.$queryRaw`
+    WITH dwell AS (
+      SELECT v."questionId", EXTRACT(EPOCH FROM (a."createdAt" - v."viewedAt"))::float8 AS seconds
+      FROM "question_views" v
+      JOIN "answers" a ON a."responseId" = v."responseId" AND a."questionId" = v."questionId"
+      JOIN "responses" r ON r."id" = v."responseId"
+      WHERE r."formId" = ${formId}
+        AND a."createdAt" >= v."viewedAt"
+    )
+    SELECT "questionId",
+      COUNT(*)::int AS "count",
+      percentile_cont(0.5) WITHIN GROUP (ORDER BY seconds) AS "median",
+      percentile_cont(0.9) WITHIN GROUP (ORDER BY seconds) AS "p90"
+    FROM dwell
+    GROUP BY "questionId"
+  `;
+
+  const dwellTimes = {};
+  rows.forEach(row => {
+    dwellTimes[row.questionId] = {
+      count: row.count,
+      median: round(row.median),
+      p90: round(row.p90)
+    };
+  });
+  return dwellTimes;
+}
+
+/**
+ * Whether a completion time is suspiciously fast compared to the form's median
+ * @param {number|null} seconds - Time to complete
+ * @param {Object} timing - Result of getCompletionTiming
+ * @returns {boolean}
+ */
+function isFastCompletion(seconds, timing) {
+  return seconds !== null && timing.fastThreshold !== null && seconds < timing.fastThreshold;
+}
+
+/**
+ * Visits, starts and completions per traffic source, campaign, device and country
+ * Visits are grouped in SQL by their raw attributes, then classified here since
+ * user agents and referrers need parsing. Bot visits are excluded. Responses count towards the visit that
+ * served them; responses started without a visit ID are not attributed.
+ * @param {string} formId - Form ID
+ * @param {Object} options - { from: Date|null, to: Date|null }
+ * @returns {Object} { sources, campaigns, devices, os, browsers, countries }
+ */
+async function getTrafficBreakdown(formId, { from = null, to = null } = {}) {
+  const fromIso = from ? from.toISOString() : null;
+  const toIso = to ? to.toISOString() : null;
+
+  const rows = await prisma.$queryRaw`
+    SELECT v."referrer", v."userAgent", v."utmSource", v."utmMedium", v."utmCampaign", v."country",
+      COUNT(DISTINCT v."id")::int AS "visits",
+      COUNT(r."id")::int AS "started",
+      COUNT(r."id") FILTER (WHERE r."isCompleted")::int AS "completed"
+    FROM "form_visits" v
+    LEFT JOIN "responses" r ON r."visitId" = v."id"
+    WHERE v."formId" = ${formId}
+      AND v."isBot" = false
+      AND (${fromIso}::timestamptz IS NULL OR v."visitedAt" >= (${fromIso}::timestamptz AT TIME ZONE 'UTC'))
+      AND (${toIso}::timestamptz IS NULL OR v."visitedAt" <= (${toIso}::timestamptz AT TIME ZONE 'UTC'))
+    GROUP BY 1, 2, 3, 4, 5, 6
+  `;
+
+  const dimensions = { sources: {}, campaigns: {}, devices: {}, os: {}, browsers: {}, countries: {} };
+  const add = (dimension, key, labels, row) => {
+    const entry = dimensions[dimension][key] || (dimensions[dimension][key] = { ...labels, visits: 0, started: 0, completed: 0 });
+    entry.visits += row.visits;
+    entry.started += row.started;
+    entry.completed += row.completed;
+  };
+
+  rows.forEach(row => {
+    const { source, medium } = classifySource(row);
+    const { deviceType, os, browser } = parseUserAgent(row.userAgent);
+    const campaign = row.utmCampaign || '(not set)';
+    const country = row.country || '(unknown)';
+
+    add('sources', `${source}\u0000${medium}`, { source, medium }, row);
+    add('campaigns', campaign, { campaign }, row);
+    add('devices', deviceType, { deviceType }, row);
+    add('os', os, { os }, row);
+    add('browsers', browser, { browser }, row);
+    add('countries', country, { country }, row);
+  });
+
+  const rate = (part, whole) => (whole > 0 ? round((part / whole) * 100) : 0);
+  const breakdown = {};
+  Object.entries(dimensions).forEach(([dimension, entries]) => {
+    breakdown[dimension] = Object.values(entries)
+      .map(entry => ({
+        ...entry,
+        startRate: rate(entry.started, entry.visits),
+        completionRate: rate(entry.completed, entry.started),
+        conversionRate: rate(entry.completed, entry.visits)
+      }))
+      .sort((a, b) => b.visits - a.visits);
+  });
+  return breakdown;
+}
+
+module.exports = {
+  getQuestionDistributions,
+  getTimeseries,
+  getFunnel,
+  getCompletionTiming,
+  getDwellTimes,
+  isFastCompletion,
+  getTrafficBreakdown
+};
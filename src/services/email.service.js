@@ -0,0 +1,113 @@
+// backend/src/services/email.service.js
+// Outgoing email with pluggable transports
+//
+// EMAIL_TRANSPORT selects the transport:
+// - smtp: SMTP_HOST, SMTP_PORT, SMTP_SECURE, SMTP_USER, SMTP_PASS
+// - file: writes each message as an .eml file to EMAIL_FILE_DIR (default ./tmp/emails)
+// - console: logs the recipient and subject of each message (default when no SMTP_HOST is set).
+//   Bodies are never logged - they hold answers and resume and invitation links - so use
+//   file to read them in development.
+
+const fs = require('fs');
+const path = require('path');
+const nodemailer = require('nodemailer');
+const logger = require('../utils/logger');
+
+let transport = null;
+
+function getTransportName() {
+  return process.env.EMAIL_TRANSPORT || (process.env.SMTP_HOST ? 'smtp' : 'console');
+}
+
+/**
+ * Create the configured nodemailer transport once
+ */
+function getTransport() {
+  if (transport) {
+    return transport;
+  }
+
+  const name = getTransportName();
+  if (name === 'smtp') {
+    transport = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: Number(process.env.SMTP_PORT) || 587,
+      secure: process.env.SMTP_SECURE === 'true',
+      ...(process.env.SMTP_USER && {
+        auth: {
+          user: process.env.SMTP_USER,
+          pass: process.env.SMTP_PASS
+        }
+      })
+    });
+  } else if (name === 'file') {
+    transport = nodemailer.createTransport({ streamTransport: true, buffer: true, newline: 'unix' });
+  } else if (name === 'console') {
+    transport = nodemailer.createTransport({ jsonTransport: true });
+  } else {
+    throw new Error(`Unknown EMAIL_TRANSPORT "${name}" - use smtp, file or console`);
+  }
+  return transport;
+}
+
+/**
+ * Escape text for use in an HTML email body
+ * @param {*} text - Text to escape
+ * @returns {string} Escaped text
+ */
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Base URL of the frontend, for links in emails
+ * FRONTEND_URL defaults to the first CORS origin.
+ * @returns {string} URL without a trailing slash
+ */
+function getFrontendUrl() {
+  const base = process.env.FRONTEND_URL
+    || (process.env.CORS_ORIGIN || 'http://localhost:5173').split(',')[0].trim();
+  return base.replace(/\/+$/, '');
+}
+
+/**
+ * Send an email
+ * @param {Object} message - { to, subject, text, html, replyTo }
+ * @returns {Object} { messageId, file } - file is set for the file transport
+ */
+async function sendEmail({ to, subject, text, html, replyTo }) {
+  const info = await getTransport().sendMail({
+    from: process.env.EMAIL_FROM || 'Triddle <no-reply@triddle.co>',
+    to,
+    subject,
+    text,
+    html,
+    replyTo
+  });
+
+  const name = getTransportName();
+  if (name === 'file') {
+    const directory = process.env.EMAIL_FILE_DIR || path.join(process.cwd(), 'tmp', 'emails');
+    await fs.promises.mkdir(directory, { recursive: true });
+    const file = path.join(directory, `${Date.now()}-${info.messageId.replace(/[^\w.-]/g, '')}.eml`);
+    await fs.promises.writeFile(file, info.message);
+    logger.info(`Email "${subject}" to ${[].concat(to).join(', ')} written to ${file}`);
+    return { messageId: info.messageId, file };
+  }
+  if (name === 'console') {
+    logger.info(`Email "${subject}" to ${[].concat(to).join(', ')}`);
+  }
+
+  return { messageId: info.messageId, file: null };
+}
+
+module.exports = {
+  sendEmail,
+  escapeHtml,
+  getFrontendUrl
+};
@@ -0,0 +1,105 @@
+// backend/src/services/formAvailability.service.js
+// Whether a form is accepting responses: publish state, schedule and response cap
+
+const { PrismaClient } = require('@prisma/client');
+
+const prisma = new PrismaClient();
+
+const DEFAULT_CLOSED_MESSAGE = 'This form is no longer accepting responses';
+const NOT_YET_OPEN_MESSAGE = 'This form is not open yet';
+
+/**
+ * Work out a form's availability from its row, settings and completed response count
+ * Scheduling settings are read live from FormSettings, not from the published snapshot,
+ * so changing a close date takes effect without republishing.
+ * @param {Object} form - Form row (isPublished, closedReason)
+ * @param {Object|null} settings - FormSettings row
+ * @param {number} completedCount - Completed responses so far
+ * @param {Date} now - Current time
+ * @returns {Object} { isOpen, formStatus: open|scheduled|closed, reason, message, opensAt, closesAt }
+ */
+function getAvailability(form, settings, completedCount = 0, now = new Date()) {
+  const opensAt = settings ? settings.opensAt : null;
+  const closesAt = settings ? settings.closesAt : null;
+  const closedMessage = (settings && settings.closedMessage) || DEFAULT_CLOSED_MESSAGE;
+  const result = (formStatus, reason, message) => ({
+    isOpen: formStatus === 'open',
+    formStatus,
+    reason,
+    message,
+    opensAt,
+    closesAt
+  });
+
+  if (!form.isPublished) {
+    return result('closed', form.closedReason || 'unpublished', closedMessage);
+  }
+  if (closesAt && closesAt <= now) {
+    return result('closed', 'schedule', closedMessage);
+  }
+  if (settings && settings.maxResponses !== null && completedCount >= settings.maxResponses) {
+    return result('closed', 'responseLimit', closedMessage);
+  }
+  if (opensAt && opensAt > now) {
+    return result('scheduled', 'notYetOpen', NOT_YET_OPEN_MESSAGE);
+  }
+  return result('open', null, null);
+}
+
+/**
+ * Load what is needed and work out a form's availability
+ * @param {Object} form - Form row
+ * @param {Object} [client] - Prisma client or transaction client
+ * @returns {Object} See getAvailability
+ */
+async function checkFormAvailability(form, client = prisma) {
+  const settings = await client.formSettings.findUnique({
+    where: { formId: form.id }
+  });
+
+  // Only count responses when there is a cap to compare against
+  const completedCount = settings && settings.maxResponses !== null
+    ? await client.response.count({ where: { formId: form.id, isCompleted: true } })
+    : 0;
+
+  return getAvailability(form, settings, completedCount);
+}
+
+/**
+ * Lock a form row until the end of the transaction and work out its availability
+ * Completions of the same form wait for each other on the lock, so the response cap is
+ * compared with a count that no other completion can change before this one commits.
+ * @param {Object} tx - Transaction client
+ * @param {string} formId - Form ID
+ * @returns {Object|null} See getAvailability, or null if the form no longer exists
+ */
+async function lockFormAvailability(tx, formId) {
+  const [form] = await tx.$queryRaw`
+    SELECT id, "isPublished", "closedReason" FROM "forms" WHERE id = ${formId} FOR UPDATE
+  `;
+
+  return form ? checkFormAvailability(form, tx) : null;
+}
+
+/**
+ * Error body for a request against a form that is not open
+ * @param {Object} availability - Result of getAvailability
+ * @returns {Object} JSON body for a 403 response
+ */
+function toUnavailableBody(availability) {
+  return {
+    status: 'error',
+    message: availability.message,
+    formStatus: availability.formStatus,
+    reason: availability.reason,
+    opensAt: availability.opensAt,
+    closesAt: availability.closesAt
+  };
+}
+
+module.exports = {
+  getAvailability,
+  checkFormAvailability,
+  lockFormAvailability,
+  toUnavailableBody
+};
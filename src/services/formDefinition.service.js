@@ -0,0 +1,221 @@
+// backend/src/services/formDefinition.service.js
+// Plain-object representation of a form's questions, logic, theme and settings
+
+const { Prisma } = require('@prisma/client');
+
+// Prisma include that loads everything needed to build a definition
+// Deleted questions are only kept for the published versions that still show them.
+const FORM_DEFINITION_INCLUDE = {
+  theme: true,
+  settings: {
+    include: {
+      notificationEmails: true
+    }
+  },
+  questions: {
+    where: {
+      deletedAt: null
+    },
+    include: {
+      conditionalLogic: {
+        include: {
+          rules: true
+        }
+      }
+    },
+    orderBy: {
+      order: 'asc'
+    }
+  }
+};
+
+// Settings read from the live form rather than its published version. They are copied
+// with the form, but a rollback never restores them from a version.
+const LIVE_SETTINGS_FIELDS = [
+  'opensAt', 'closesAt', 'maxResponses', 'closedMessage',
+  'notificationRules', 'sendReceipt', 'receiptQuestionId', 'partialResponseRetentionDays'
+];
+
+/**
+ * Build a definition from a form loaded with FORM_DEFINITION_INCLUDE
+ * Questions keep their IDs and row shape so the logic and validation engines can use them directly
+ * @param {Object} form - Form with theme, settings and questions
+ * @returns {Object} Form definition
+ */
+function toDefinition(form) {
+  return {
+    title: form.title,
+    description: form.description,
+    theme: form.theme ? {
+      primaryColor: form.theme.primaryColor,
+      backgroundColor: form.theme.backgroundColor,
+      fontFamily: form.theme.fontFamily
+    } : null,
+    settings: form.settings ? {
+      requireSignIn: form.settings.requireSignIn,
+      limitOneResponsePerUser: form.settings.limitOneResponsePerUser,
+      showProgressBar: form.settings.showProgressBar,
+      shuffleQuestions: form.settings.shuffleQuestions,
+      confirmationMessage: form.settings.confirmationMessage,
+      redirectUrl: form.settings.redirectUrl,
+      notifyOnSubmission: form.settings.notifyOnSubmission,
+      questionPools: form.settings.questionPools,
+      notificationEmails: (form.settings.notificationEmails || []).map(n => n.email),
+      opensAt: form.settings.opensAt,
+      closesAt: form.settings.closesAt,
+      maxResponses: form.settings.maxResponses,
+      closedMessage: form.settings.closedMessage,
+      notificationRules: form.settings.notificationRules,
+      sendReceipt: form.settings.sendReceipt,
+      receiptQuestionId: form.settings.receiptQuestionId,
+      partialResponseRetentionDays: form.settings.partialResponseRetentionDays
+    } : null,
+    questions: (form.questions || []).map(question => ({
+      id: question.id,
+      title: question.title,
+      description: question.description,
+      type: question.type,
+      isRequired: question.isRequired,
+      options: question.options,
+      order: question.order,
+      validation: question.validation,
+      isPinned: question.isPinned,
+      shuffleOptions: question.shuffleOptions,
+      poolId: question.poolId,
+      conditionalLogic: question.conditionalLogic ? {
+        enabled: question.conditionalLogic.enabled,
+        rules: question.conditionalLogic.rules.map(rule => ({
+          targetQuestionId: rule.targetQuestionId,
+          operator: rule.operator,
+          value: rule.value,
+          action: rule.action
+        }))
+      } : null
+    }))
+  };
+}
+
+/**
+ * Prepare a question's JSON columns for writing - Prisma needs DbNull rather than null
+ * @param {Object} question - Definition question
+ * @returns {Object} { options, validation } ready for a create/update
+ */
+function toQuestionJsonData(question) {
+  return {
+    options: question.options === null || question.options === undefined ? Prisma.DbNull : question.options,
+    validation: question.validation === null || question.validation === undefined ? Prisma.DbNull : question.validation
+  };
+}
+
+/**
+ * Create a new form from a definition
+ * Question IDs in the definition are only used as references: new IDs are generated and
+ * conditional rules, notification rules and the receipt question are remapped to them so
+ * copied logic and notifications keep working.
+ * @param {Object} tx - Prisma client or transaction client
+ * @param {Object} definition - Form definition
+ * @param {Object} options - { userId, workspaceId, title, isPublished }
+ * @returns {Object} Created form
+ */
+async function createFormFromDefinition(tx, definition, { userId, workspaceId, title, isPublished = false }) {
+  const {
+    notificationEmails, questionPools, notificationRules, receiptQuestionId, ...settings
+  } = definition.settings || {};
+
+  const form = await tx.form.create({
+    data: {
+      title: title || definition.title,
+      description: definition.description,
+      isPublished,
+      userId,
+      workspaceId,
+      ...(definition.theme && {
+        theme: {
+          create: definition.theme
+        }
+      }),
+      ...(definition.settings && {
+        settings: {
+          create: {
+            ...settings,
+            ...(questionPools && { questionPools }),
+            ...(notificationEmails && notificationEmails.length > 0 && {
+              notificationEmails: {
+                create: notificationEmails.map(email => ({ email }))
+              }
+            })
+          }
+        }
+      })
+    }
+  });
+
+  // Create questions first so rule targets can be remapped to the new IDs
+  const idMap = {};
+  const created = [];
+  for (const [index, question] of definition.questions.entries()) {
+    const newQuestion = await tx.question.create({
+      data: {
+        formId: form.id,
+        title: question.title,
+        description: question.description,
+        type: question.type,
+        isRequired: question.isRequired || false,
+        order: question.order !== undefined && question.order !== null ? question.order : index,
+        isPinned: question.isPinned || false,
+        shuffleOptions: question.shuffleOptions || false,
+        poolId: question.poolId || null,
+        ...toQuestionJsonData(question)
+      }
+    });
+    idMap[question.id] = newQuestion.id;
+    created.push({ source: question, id: newQuestion.id });
+  }
+
+  const remapQuestionId = questionId => idMap[questionId] || questionId;
+
+  if (receiptQuestionId || (notificationRules && notificationRules.length > 0)) {
+    await tx.formSettings.update({
+      where: { formId: form.id },
+      data: {
+        receiptQuestionId: receiptQuestionId ? remapQuestionId(receiptQuestionId) : null,
+        ...(notificationRules && {
+          notificationRules: notificationRules.map(rule => ({
+            ...rule,
+            questionId: remapQuestionId(rule.questionId)
+          }))
+        })
+      }
+    });
+  }
+
+  for (const { source, id } of created) {
+    if (!source.conditionalLogic) {
+      continue;
+    }
+    await tx.conditionalLogic.create({
+      data: {
+        questionId: id,
+        enabled: source.conditionalLogic.enabled,
+        rules: {
+          create: source.conditionalLogic.rules.map(rule => ({
+            targetQuestionId: remapQuestionId(rule.targetQuestionId),
+            operator: rule.operator,
+            value: rule.value,
+            action: rule.action
+          }))
+        }
+      }
+    });
+  }
+
+  return form;
+}
+
+module.exports = {
+  FORM_DEFINITION_INCLUDE,
+  LIVE_SETTINGS_FIELDS,
+  toDefinition,
+  toQuestionJsonData,
+  createFormFromDefinition
+};
@@ -0,0 +1,287 @@
+// backend/src/services/formDocument.service.js
+// Portable, versioned JSON documents for moving form definitions between environments
+
+const Joi = require('joi');
+const { normalizeOperator, normalizeAction } = require('./logic.service');
+const { questionPoolsSchema, findRulesOnPooledQuestions } = require('./questionOrder.service');
+const { checkPattern } = require('./validation.service');
+
+const FORM_DOCUMENT_TYPE = 'triddle.form';
+const FORM_DOCUMENT_VERSION = 1;
+
+const ruleSchema = Joi.object({
+  question: Joi.string().required(),
+  operator: Joi.string().required().custom((value, helpers) => (
+    normalizeOperator(value) ? value : helpers.message(`Unknown operator "${value}"`)
+  )),
+  value: Joi.alternatives(Joi.string().allow(''), Joi.number(), Joi.boolean()).allow(null),
+  action: Joi.string().default('show').custom((value, helpers) => (
+    normalizeAction(value) ? value : helpers.message(`Unknown action "${value}"`)
+  ))
+});
+
+// settings.notificationRules - question refers to a question key, like logic rules
+const notificationRuleSchema = Joi.object({
+  question: Joi.string().required(),
+  operator: Joi.string().required().custom((value, helpers) => (
+    normalizeOperator(value) ? value : helpers.message(`Unknown operator "${value}"`)
+  )),
+  value: Joi.alternatives(Joi.string().allow(''), Joi.number(), Joi.boolean()).allow(null),
+  emails: Joi.array().items(Joi.string().email()).min(1).required()
+});
+
+const questionSchema = Joi.object({
+  key: Joi.string().max(100).required(),
+  type: Joi.string().required(),
+  title: Joi.string().required(),
+  description: Joi.string().allow('', null),
+  isRequired: Joi.boolean().default(false),
+  options: Joi.array().items(Joi.alternatives(Joi.string(), Joi.number(), Joi.object())).allow(null),
+  validation: Joi.object().unknown(true).allow(null),
+  isPinned: Joi.boolean().default(false),
+  shuffleOptions: Joi.boolean().default(false),
+  poolId: Joi.string().max(100).allow(null),
+  conditionalLogic: Joi.object({
+    enabled: Joi.boolean().default(true),
+    rules: Joi.array().items(ruleSchema).default([])
+  }).allow(null)
+});
+
+const documentSchema = Joi.object({
+  type: Joi.string().valid(FORM_DOCUMENT_TYPE).required(),
+  version: Joi.number().integer().valid(FORM_DOCUMENT_VERSION).required(),
+  exportedAt: Joi.date().iso(),
+  form: Joi.object({
+    title: Joi.string().required(),
+    description: Joi.string().allow('', null)
+  }).required(),
+  theme: Joi.object({
+    primaryColor: Joi.string(),
+    backgroundColor: Joi.string(),
+    fontFamily: Joi.string()
+  }).allow(null),
+  settings: Joi.object({
+    requireSignIn: Joi.boolean(),
+    limitOneResponsePerUser: Joi.boolean(),
+    showProgressBar: Joi.boolean(),
+    shuffleQuestions: Joi.boolean(),
+    confirmationMessage: Joi.string().allow(''),
+    redirectUrl: Joi.string().allow('', null),
+    notifyOnSubmission: Joi.boolean(),
+    questionPools: questionPoolsSchema,
+    notificationEmails: Joi.array().items(Joi.string().email()),
+    opensAt: Joi.date().iso().allow(null),
+    closesAt: Joi.date().iso().allow(null),
+    maxResponses: Joi.number().integer().min(1).allow(null),
+    closedMessage: Joi.string().allow('', null),
+    notificationRules: Joi.array().items(notificationRuleSchema).allow(null),
+    sendReceipt: Joi.boolean(),
+    receiptQuestion: Joi.string().allow(null),
+    partialResponseRetentionDays: Joi.number().integer().min(1).max(365).allow(null)
+  }).allow(null),
+  questions: Joi.array().items(questionSchema).required()
+});
+
+/**
+ * Settings as they appear in a document, with question IDs replaced by keys
+ * References to questions that no longer exist are dropped, like logic rules.
+ */
+function toDocumentSettings(settings, keyById) {
+  const { notificationRules, receiptQuestionId, ...rest } = settings;
+  return {
+    ...rest,
+    notificationRules: notificationRules
+      ? notificationRules
+        .filter(rule => keyById[rule.questionId])
+        .map(({ questionId, ...rule }) => ({ question: keyById[questionId], ...rule }))
+      : null,
+    receiptQuestion: (receiptQuestionId && keyById[receiptQuestionId]) || null
+  };
+}
+
+/**
+ * Settings of a parsed document as definition settings - question keys stand in for IDs
+ */
+function fromDocumentSettings(settings) {
+  const { notificationRules, receiptQuestion, ...rest } = settings;
+  return {
+    ...rest,
+    ...(notificationRules !== undefined && {
+      notificationRules: notificationRules
+        ? notificationRules.map(({ question, ...rule }) => ({ questionId: question, ...rule }))
+        : null
+    }),
+    ...(receiptQuestion !== undefined && { receiptQuestionId: receiptQuestion })
+  };
+}
+
+/**
+ * Convert a form definition into a portable document
+ * Database IDs are replaced with question keys (q1, q2, ...) that rules refer to
+ * @param {Object} definition - Form definition (see formDefinition.service)
+ * @returns {Object} Form document
+ */
+function toFormDocument(definition) {
+  const keyById = {};
+  definition.questions.forEach((question, index) => {
+    keyById[question.id] = `q${index + 1}`;
+  });
+
+  return {
+    type: FORM_DOCUMENT_TYPE,
+    version: FORM_DOCUMENT_VERSION,
+    exportedAt: new Date().toISOString(),
+    form: {
+      title: definition.title,
+      description: definition.description
+    },
+    theme: definition.theme,
+    settings: definition.settings ? toDocumentSettings(definition.settings, keyById) : null,
+    questions: definition.questions.map(question => ({
+      key: keyById[question.id],
+      type: question.type,
+      title: question.title,
+      description: question.description,
+      isRequired: question.isRequired,
+      options: question.options,
+      validation: question.validation,
+      isPinned: question.isPinned || false,
+      shuffleOptions: question.shuffleOptions || false,
+      poolId: question.poolId || null,
+      conditionalLogic: question.conditionalLogic ? {
+        enabled: question.conditionalLogic.enabled,
+        // Rules pointing at questions that no longer exist cannot be made portable
+        rules: question.conditionalLogic.rules
+          .filter(rule => keyById[rule.targetQuestionId])
+          .map(rule => ({
+            question: keyById[rule.targetQuestionId],
+            operator: rule.operator,
+            value: rule.value,
+            action: rule.action
+          }))
+      } : null
+    }))
+  };
+}
+
+/**
+ * Validate a form document and convert it into a definition
+ * Question keys stand in for IDs in the returned definition
+ * @param {Object} document - Form document
+ * @returns {Object} { definition, errors } - definition is null when errors is not empty
+ */
+function parseFormDocument(document) {
+  const { value, error } = documentSchema.validate(document, { abortEarly: false });
+  if (error) {
+    return {
+      definition: null,
+      errors: error.details.map(detail => ({
+        path: detail.path.join('.'),
+        message: detail.message
+      }))
+    };
+  }
+
+  const errors = [];
+  const settings = value.settings || {};
+  if (settings.opensAt && settings.closesAt && settings.opensAt >= settings.closesAt) {
+    errors.push({ path: 'settings.closesAt', message: 'closesAt must be after opensAt' });
+  }
+
+  const keys = new Set();
+  value.questions.forEach((question, index) => {
+    if (keys.has(question.key)) {
+      errors.push({ path: `questions.${index}.key`, message: `Duplicate question key "${question.key}"` });
+    }
+    keys.add(question.key);
+
+    const patternError = checkPattern(question.validation && question.validation.pattern);
+    if (patternError) {
+      errors.push({ path: `questions.${index}.validation.pattern`, message: patternError });
+    }
+  });
+
+  value.questions.forEach((question, index) => {
+    const rules = question.conditionalLogic ? question.conditionalLogic.rules : [];
+    rules.forEach((rule, ruleIndex) => {
+      if (!keys.has(rule.question)) {
+        errors.push({
+          path: `questions.${index}.conditionalLogic.rules.${ruleIndex}.question`,
+          message: `Rule refers to unknown question key "${rule.question}"`
+        });
+      }
+    });
+  });
+
+  const pooledRules = findRulesOnPooledQuestions(value.questions.map(question => ({
+    id: question.key,
+    poolId: question.poolId,
+    conditionalLogic: question.conditionalLogic && {
+      enabled: question.conditionalLogic.enabled,
+      rules: question.conditionalLogic.rules.map(rule => ({ targetQuestionId: rule.question }))
+    }
+  })), settings.questionPools);
+  pooledRules.forEach(rule => {
+    errors.push({
+      path: `questions.${rule.questionIndex}.conditionalLogic.rules.${rule.ruleIndex}.question`,
+      message: `Rule refers to question "${rule.targetQuestionId}" in a random pool, which may not be shown`
+    });
+  });
+
+  (settings.notificationRules || []).forEach((rule, ruleIndex) => {
+    if (!keys.has(rule.question)) {
+      errors.push({
+        path: `settings.notificationRules.${ruleIndex}.question`,
+        message: `Notification rule refers to unknown question key "${rule.question}"`
+      });
+    }
+  });
+  if (settings.receiptQuestion && !keys.has(settings.receiptQuestion)) {
+    errors.push({
+      path: 'settings.receiptQuestion',
+      message: `Receipt question refers to unknown question key "${settings.receiptQuestion}"`
+    });
+  }
+
+  if (errors.length > 0) {
+    return { definition: null, errors };
+  }
+
+  const definition = {
+    title: value.form.title,
+    description: value.form.description,
+    theme: value.theme || null,
+    settings: value.settings ? fromDocumentSettings(value.settings) : null,
+    questions: value.questions.map((question, index) => ({
+      id: question.key,
+      title: question.title,
+      description: question.description,
+      type: question.type,
+      isRequired: question.isRequired,
+      options: question.options === undefined ? null : question.options,
+      order: index,
+      validation: question.validation === undefined ? null : question.validation,
+      isPinned: question.isPinned,
+      shuffleOptions: question.shuffleOptions,
+      poolId: question.poolId || null,
+      conditionalLogic: question.conditionalLogic ? {
+        enabled: question.conditionalLogic.enabled,
+        rules: question.conditionalLogic.rules.map(rule => ({
+          targetQuestionId: rule.question,
+          operator: rule.operator,
+          value: rule.value === null || rule.value === undefined ? null : String(rule.value),
+          action: rule.action
+        }))
+      } : null
+    }))
+  };
+
+  return { definition, errors: [] };
+}
+
+module.exports = {
+  FORM_DOCUMENT_TYPE,
+  FORM_DOCUMENT_VERSION,
+  toFormDocument,
+  parseFormDocument
+};
@@ -0,0 +1,287 @@
+// backend/src/services/formVersion.service.js
+// Published form versions - immutable snapshots served to respondents
+
+const { PrismaClient, Prisma } = require('@prisma/client');
+const {
+  FORM_DEFINITION_INCLUDE, LIVE_SETTINGS_FIELDS, toDefinition, toQuestionJsonData
+} = require('./formDefinition.service');
+
+const prisma = new PrismaClient();
+
+const THEME_FIELDS = ['primaryColor', 'backgroundColor', 'fontFamily'];
+const SETTINGS_FIELDS = [
+  'requireSignIn', 'limitOneResponsePerUser', 'showProgressBar', 'shuffleQuestions',
+  'confirmationMessage', 'redirectUrl', 'notifyOnSubmission', 'questionPools', 'notificationEmails'
+];
+const QUESTION_FIELDS = [
+  'title', 'description', 'type', 'isRequired', 'options', 'validation',
+  'isPinned', 'shuffleOptions', 'poolId', 'conditionalLogic'
+];
+
+/**
+ * Snapshot the current draft of a form and make it the live version
+ * @param {string} formId - Form ID
+ * @param {string} userId - ID of the user publishing
+ * @returns {Object} { form, version }
+ */
+async function publishVersion(formId, userId) {
+  return prisma.$transaction(async (tx) => {
+    const draft = await tx.form.findUnique({
+      where: { id: formId },
+      include: FORM_DEFINITION_INCLUDE
+    });
+
+    const latest = await tx.formVersion.findFirst({
+      where: { formId },
+      orderBy: { version: 'desc' },
+      select: { version: true }
+    });
+
+    const version = await tx.formVersion.create({
+      data: {
+        formId,
+        version: latest ? latest.version + 1 : 1,
+        snapshot: toDefinition(draft),
+        publishedById: userId
+      }
+    });
+
+    const form = await tx.form.update({
+      where: { id: formId },
+      data: {
+        isPublished: true,
+        liveVersionId: version.id,
+        // Publishing again reopens a form that was closed automatically
+        closedAt: null,
+        closedReason: null
+      }
+    });
+
+    return { form, version };
+  });
+}
+
+/**
+ * Get the definition respondents should see for a form
+ * Forms published before versioning existed have no snapshot and fall back to the draft tables
+ * @param {string} formId - Form ID
+ * @returns {Object|null} { form, version, definition } or null if the form does not exist
+ */
+async function getLiveDefinition(formId) {
+  const form = await prisma.form.findUnique({
+    where: { id: formId },
+    include: { liveVersion: true }
+  });
+
+  if (!form) {
+    return null;
+  }
+
+  if (form.liveVersion) {
+    return { form, version: form.liveVersion, definition: form.liveVersion.snapshot };
+  }
+
+  const draft = await prisma.form.findUnique({
+    where: { id: formId },
+    include: FORM_DEFINITION_INCLUDE
+  });
+  return { form, version: null, definition: toDefinition(draft) };
+}
+
+/**
+ * IDs of the questions reports and exports cover: those of the live version, in its order
+ * Questions removed from the draft drop out once a version without them is published, and
+ * questions added to the draft only appear once they are published.
+ * @param {string} formId - Form ID
+ * @returns {Array|null} Question IDs, or null if the form does not exist
+ */
+async function getReportQuestionIds(formId) {
+  const live = await getLiveDefinition(formId);
+  return live ? live.definition.questions.map(question => question.id) : null;
+}
+
+/**
+ * Get the definition a response was started against
+ * @param {Object} response - Response row (formId, formVersionId)
+ * @returns {Object} Form definition
+ */
+async function getResponseDefinition(response) {
+  if (response.formVersionId) {
+    const version = await prisma.formVersion.findUnique({
+      where: { id: response.formVersionId }
+    });
+    if (version) {
+      return version.snapshot;
+    }
+  }
+
+  const draft = await prisma.form.findUnique({
+    where: { id: response.formId },
+    include: FORM_DEFINITION_INCLUDE
+  });
+  return toDefinition(draft);
+}
+
+/**
+ * Get the current draft of a form as a definition
+ * @param {string} formId - Form ID
+ * @returns {Object} Form definition
+ */
+async function getDraftDefinition(formId) {
+  const draft = await prisma.form.findUnique({
+    where: { id: formId },
+    include: FORM_DEFINITION_INCLUDE
+  });
+  return toDefinition(draft);
+}
+
+function isSameValue(a, b) {
+  return JSON.stringify(a === undefined ? null : a) === JSON.stringify(b === undefined ? null : b);
+}
+
+/**
+ * Collect { field: { from, to } } for the fields that differ between two objects
+ */
+function diffFields(fields, from, to) {
+  const changes = {};
+  fields.forEach(field => {
+    const fromValue = from ? from[field] : null;
+    const toValue = to ? to[field] : null;
+    if (!isSameValue(fromValue, toValue)) {
+      changes[field] = { from: fromValue === undefined ? null : fromValue, to: toValue === undefined ? null : toValue };
+    }
+  });
+  return changes;
+}
+
+/**
+ * Compare two definitions
+ * @param {Object} from - Older definition
+ * @param {Object} to - Newer definition
+ * @returns {Object} Changes to the form, theme, settings and questions
+ */
+function diffDefinitions(from, to) {
+  const fromQuestions = new Map(from.questions.map(q => [q.id, q]));
+  const toQuestions = new Map(to.questions.map(q => [q.id, q]));
+
+  const added = to.questions
+    .filter(q => !fromQuestions.has(q.id))
+    .map(q => ({ id: q.id, title: q.title }));
+  const removed = from.questions
+    .filter(q => !toQuestions.has(q.id))
+    .map(q => ({ id: q.id, title: q.title }));
+  const changed = to.questions
+    .filter(q => fromQuestions.has(q.id))
+    .map(q => ({ id: q.id, title: q.title, changes: diffFields(QUESTION_FIELDS, fromQuestions.get(q.id), q) }))
+    .filter(q => Object.keys(q.changes).length > 0);
+
+  const keptFromOrder = from.questions.filter(q => toQuestions.has(q.id)).map(q => q.id);
+  const keptToOrder = to.questions.filter(q => fromQuestions.has(q.id)).map(q => q.id);
+
+  return {
+    form: diffFields(['title', 'description'], from, to),
+    theme: diffFields(THEME_FIELDS, from.theme, to.theme),
+    settings: diffFields(SETTINGS_FIELDS, from.settings, to.settings),
+    questions: {
+      added,
+      removed,
+      changed,
+      reordered: !isSameValue(keptFromOrder, keptToOrder)
+    }
+  };
+}
+
+/**
+ * Overwrite a form's draft with a definition, keeping question IDs so answers still line up
+ * @param {Object} tx - Prisma transaction client
+ * @param {string} formId - Form ID
+ * @param {Object} definition - Definition to restore
+ */
+async function restoreDraft(tx, formId, definition) {
+  await tx.form.update({
+    where: { id: formId },
+    data: {
+      title: definition.title,
+      description: definition.description
+    }
+  });
+
+  if (definition.theme) {
+    await tx.theme.upsert({
+      where: { formId },
+      update: definition.theme,
+      create: { formId, ...definition.theme }
+    });
+  }
+
+  if (definition.settings) {
+    const { notificationEmails, questionPools, ...rest } = definition.settings;
+    LIVE_SETTINGS_FIELDS.forEach(field => delete rest[field]);
+    // Snapshots taken before pools existed have no questionPools - leave the draft's alone
+    const settings = {
+      ...rest,
+      ...(questionPools !== undefined && { questionPools: questionPools === null ? Prisma.DbNull : questionPools })
+    };
+    const savedSettings = await tx.formSettings.upsert({
+      where: { formId },
+      update: settings,
+      create: { formId, ...settings }
+    });
+    await tx.notificationEmail.deleteMany({
+      where: { formSettingsId: savedSettings.id }
+    });
+    if (notificationEmails && notificationEmails.length > 0) {
+      await tx.notificationEmail.createMany({
+        data: notificationEmails.map(email => ({ email, formSettingsId: savedSettings.id }))
+      });
+    }
+  }
+
+  // Questions are soft-deleted, since earlier versions and their answers still refer to them
+  const questionIds = definition.questions.map(q => q.id);
+  await tx.question.updateMany({
+    where: {
+      formId,
+      id: { notIn: questionIds },
+      deletedAt: null
+    },
+    data: {
+      deletedAt: new Date()
+    }
+  });
+
+  for (const question of definition.questions) {
+    const { id, conditionalLogic, ...rest } = question;
+    const fields = { ...rest, ...toQuestionJsonData(question) };
+    await tx.question.upsert({
+      where: { id },
+      update: { ...fields, deletedAt: null },
+      create: { id, formId, ...fields }
+    });
+
+    await tx.conditionalLogic.deleteMany({
+      where: { questionId: id }
+    });
+    if (conditionalLogic) {
+      await tx.conditionalLogic.create({
+        data: {
+          questionId: id,
+          enabled: conditionalLogic.enabled,
+          rules: {
+            create: conditionalLogic.rules
+          }
+        }
+      });
+    }
+  }
+}
+
+module.exports = {
+  publishVersion,
+  getLiveDefinition,
+  getReportQuestionIds,
+  getResponseDefinition,
+  getDraftDefinition,
+  diffDefinitions,
+  restoreDraft
+};
@@ -0,0 +1,99 @@
+// backend/src/services/geoip.service.js
+// Country lookup from a local IP range database - no network calls
+//
+// GEOIP_DATABASE_PATH points to a CSV file with one IPv4 range per line:
+//   ip_start,ip_end,country
+// Addresses may be dotted quads or integers; country is an ISO 3166-1 alpha-2 code.
+// Lookups return null when no database is configured.
+
+const fs = require('fs');
+const logger = require('../utils/logger');
+
+let database;
+
+function ipv4ToNumber(address) {
+  const text = String(address).trim().replace(/^"|"$/g, '');
+  if (/^\d+$/.test(text)) {
+    return Number(text);
+  }
+
+  const parts = text.split('.');
+  if (parts.length !== 4) {
+    return null;
+  }
+  let value = 0;
+  for (const part of parts) {
+    const octet = Number(part);
+    if (!/^\d{1,3}$/.test(part) || octet > 255) {
+      return null;
+    }
+    value = value * 256 + octet;
+  }
+  return value;
+}
+
+/**
+ * Load and sort the range file once
+ */
+function loadDatabase() {
+  const path = process.env.GEOIP_DATABASE_PATH;
+  if (!path) {
+    return null;
+  }
+
+  try {
+    const ranges = [];
+    fs.readFileSync(path, 'utf8').split(/\r?\n/).forEach(line => {
+      const [start, end, country] = line.split(',');
+      const from = ipv4ToNumber(start);
+      const to = ipv4ToNumber(end);
+      const code = country ? country.trim().replace(/^"|"$/g, '').toUpperCase() : '';
+      if (from !== null && to !== null && /^[A-Z]{2}$/.test(code)) {
+        ranges.push({ from, to, country: code });
+      }
+    });
+    ranges.sort((a, b) => a.from - b.from);
+    logger.info(`Loaded ${ranges.length} GeoIP ranges from ${path}`);
+    return ranges;
+  } catch (error) {
+    logger.error(`Could not load GeoIP database from ${path}: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Look up the country of an IP address
+ * @param {string} ip - IPv4 or IPv4-mapped IPv6 address
+ * @returns {string|null} Country code, or null if unknown
+ */
+function lookupCountry(ip) {
+  if (database === undefined) {
+    database = loadDatabase();
+  }
+  if (!database || !ip) {
+    return null;
+  }
+
+  const address = ipv4ToNumber(String(ip).replace(/^::ffff:/i, ''));
+  if (address === null) {
+    return null;
+  }
+
+  // Binary search for the last range starting at or before the address
+  let low = 0;
+  let high = database.length - 1;
+  while (low <= high) {
+    const mid = (low + high) >> 1;
+    if (database[mid].from <= address) {
+      low = mid + 1;
+    } else {
+      high = mid - 1;
+    }
+  }
+  const range = database[high];
+  return range && address <= range.to ? range.country : null;
+}
+
+module.exports = {
+  lookupCountry
+};
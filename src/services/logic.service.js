@@ -0,0 +1,325 @@
+// backend/src/services/logic.service.js
+// Conditional logic engine - decides which questions a respondent should see
+
+const { isEmptyValue, toValueList } = require('../utils/answers');
+
+// Canonical operator names, keyed by their normalized aliases
+const OPERATOR_ALIASES = {
+  equals: 'equals',
+  equal: 'equals',
+  eq: 'equals',
+  is: 'equals',
+  notequals: 'notEquals',
+  notequal: 'notEquals',
+  neq: 'notEquals',
+  isnot: 'notEquals',
+  contains: 'contains',
+  includes: 'contains',
+  notcontains: 'notContains',
+  doesnotcontain: 'notContains',
+  startswith: 'startsWith',
+  endswith: 'endsWith',
+  greaterthan: 'greaterThan',
+  gt: 'greaterThan',
+  greaterthanorequal: 'greaterThanOrEqual',
+  greaterthanorequals: 'greaterThanOrEqual',
+  gte: 'greaterThanOrEqual',
+  lessthan: 'lessThan',
+  lt: 'lessThan',
+  lessthanorequal: 'lessThanOrEqual',
+  lessthanorequals: 'lessThanOrEqual',
+  lte: 'lessThanOrEqual',
+  isempty: 'isEmpty',
+  empty: 'isEmpty',
+  isnotempty: 'isNotEmpty',
+  notempty: 'isNotEmpty'
+};
+
+// Canonical action names, keyed by their normalized aliases
+const ACTION_ALIASES = {
+  show: 'show',
+  hide: 'hide',
+  skipto: 'skipTo',
+  skip: 'skipTo',
+  jumpto: 'skipTo',
+  endform: 'endForm',
+  end: 'endForm',
+  submit: 'endForm'
+};
+
+const OPERATORS = [...new Set(Object.values(OPERATOR_ALIASES))];
+const ACTIONS = [...new Set(Object.values(ACTION_ALIASES))];
+
+/**
+ * Normalize a name for alias lookup ("skip-to", "Skip To" and "skipTo" all become "skipto")
+ */
+function normalizeName(name) {
+  return String(name || '').toLowerCase().replace(/[^a-z]/g, '');
+}
+
+/**
+ * Resolve a stored operator to its canonical name
+ * @param {string} operator - Operator as stored on the rule
+ * @returns {string|null} Canonical operator or null if unknown
+ */
+function normalizeOperator(operator) {
+  return OPERATOR_ALIASES[normalizeName(operator)] || null;
+}
+
+/**
+ * Resolve a stored action to its canonical name (defaults to "show")
+ * @param {string} action - Action as stored on the rule
+ * @returns {string|null} Canonical action or null if unknown
+ */
+function normalizeAction(action) {
+  if (!action) {
+    return 'show';
+  }
+  return ACTION_ALIASES[normalizeName(action)] || null;
+}
+
+function toNumber(value) {
+  if (value === null || value === undefined || String(value).trim() === '') {
+    return null;
+  }
+  const number = Number(value);
+  return Number.isFinite(number) ? number : null;
+}
+
+function toTimestamp(value) {
+  if (!/^\d{4}-\d{2}-\d{2}/.test(String(value))) {
+    return null;
+  }
+  const timestamp = Date.parse(value);
+  return Number.isNaN(timestamp) ? null : timestamp;
+}
+
+/**
+ * Compare two values numerically, falling back to dates
+ * @returns {number|null} Negative, zero or positive like a sort comparator, null if not comparable
+ */
+function compareOrdered(answer, expected) {
+  const answerNumber = toNumber(answer);
+  const expectedNumber = toNumber(expected);
+  if (answerNumber !== null && expectedNumber !== null) {
+    return answerNumber - expectedNumber;
+  }
+
+  const answerTime = toTimestamp(answer);
+  const expectedTime = toTimestamp(expected);
+  if (answerTime !== null && expectedTime !== null) {
+    return answerTime - expectedTime;
+  }
+
+  return null;
+}
+
+function normalizeText(value) {
+  return String(value).trim().toLowerCase();
+}
+
+function valuesEqual(answer, expected) {
+  const answerNumber = toNumber(answer);
+  const expectedNumber = toNumber(expected);
+  if (answerNumber !== null && expectedNumber !== null) {
+    return answerNumber === expectedNumber;
+  }
+  return normalizeText(answer) === normalizeText(expected);
+}
+
+/**
+ * Evaluate a single operator against an answer
+ * Multi-select answers match when any selected value matches
+ * @param {string} operator - Canonical operator
+ * @param {*} answer - Parsed answer value
+ * @param {string} expected - Value stored on the rule
+ * @returns {boolean} Whether the condition holds
+ */
+function evaluateOperator(operator, answer, expected) {
+  const values = toValueList(answer);
+  const expectedValue = expected === null || expected === undefined ? '' : expected;
+
+  switch (operator) {
+    case 'isEmpty':
+      return isEmptyValue(values);
+    case 'isNotEmpty':
+      return !isEmptyValue(values);
+    case 'equals':
+      return values.some(value => valuesEqual(value, expectedValue));
+    case 'notEquals':
+      return !values.some(value => valuesEqual(value, expectedValue));
+    case 'contains':
+      return values.some(value => normalizeText(value).includes(normalizeText(expectedValue)));
+    case 'notContains':
+      return !values.some(value => normalizeText(value).includes(normalizeText(expectedValue)));
+    case 'startsWith':
+      return values.some(value => normalizeText(value).startsWith(normalizeText(expectedValue)));
+    case 'endsWith':
+      return values.some(value => normalizeText(value).endsWith(normalizeText(expectedValue)));
+    case 'greaterThan':
+      return values.some(value => {
+        const comparison = compareOrdered(value, expectedValue);
+        return comparison !== null && comparison > 0;
+      });
+    case 'greaterThanOrEqual':
+      return values.some(value => {
+        const comparison = compareOrdered(value, expectedValue);
+        return comparison !== null && comparison >= 0;
+      });
+    case 'lessThan':
+      return values.some(value => {
+        const comparison = compareOrdered(value, expectedValue);
+        return comparison !== null && comparison < 0;
+      });
+    case 'lessThanOrEqual':
+      return values.some(value => {
+        const comparison = compareOrdered(value, expectedValue);
+        return comparison !== null && comparison <= 0;
+      });
+    default:
+      return false;
+  }
+}
+
+/**
+ * Evaluate a conditional rule against the answers collected so far
+ * @param {Object} rule - ConditionalRule row
+ * @param {Object} answers - Parsed answers keyed by question ID
+ * @returns {boolean} Whether the rule's condition holds
+ */
+function evaluateRule(rule, answers) {
+  const operator = normalizeOperator(rule.operator);
+  if (!operator) {
+    return false;
+  }
+  return evaluateOperator(operator, answers[rule.targetQuestionId], rule.value);
+}
+
+/**
+ * Get the enabled rules of a question with their canonical action
+ * Rules are only applicable when their target question comes earlier in the form
+ */
+function getApplicableRules(question, position, positionById) {
+  const logic = question.conditionalLogic;
+  if (!logic || !logic.enabled || !Array.isArray(logic.rules)) {
+    return [];
+  }
+
+  return logic.rules
+    .map(rule => ({ ...rule, action: normalizeAction(rule.action) }))
+    .filter(rule => rule.action && positionById[rule.targetQuestionId] !== undefined
+      && positionById[rule.targetQuestionId] < position);
+}
+
+/**
+ * Walk the form in order and work out which questions are on the respondent's path
+ *
+ * Rules live on the question they affect and look at the answer of their target question:
+ * - show: the question is only shown when at least one show rule matches
+ * - hide: the question is hidden when any hide rule matches
+ * - skipTo: when the rule matches, everything between the target and this question is skipped
+ * - endForm: when the rule matches, the form ends before this question
+ *
+ * Answers to questions that end up hidden are ignored when evaluating later rules.
+ *
+ * @param {Array} questions - Questions ordered as presented, with conditionalLogic.rules included
+ * @param {Object} answers - Parsed answers keyed by question ID
+ * @returns {Object} { visibleQuestions, hiddenQuestionIds, endedBeforeQuestionId, visibleAnswers }
+ */
+function resolveQuestionFlow(questions, answers = {}) {
+  const positionById = {};
+  questions.forEach((question, index) => {
+    positionById[question.id] = index;
+  });
+
+  const rulesByQuestion = questions.map((question, index) =>
+    getApplicableRules(question, index, positionById)
+  );
+
+  const visibleQuestions = [];
+  const hiddenQuestionIds = [];
+  const visibleAnswers = {};
+  let skipUntil = -1;
+  let endedBeforeQuestionId = null;
+
+  for (let index = 0; index < questions.length; index++) {
+    const question = questions[index];
+    const rules = rulesByQuestion[index];
+
+    if (rules.some(rule => rule.action === 'endForm' && evaluateRule(rule, visibleAnswers))) {
+      endedBeforeQuestionId = question.id;
+      hiddenQuestionIds.push(...questions.slice(index).map(q => q.id));
+      break;
+    }
+
+    const showRules = rules.filter(rule => rule.action === 'show');
+    const isSkipped = index < skipUntil;
+    const isHidden = rules.some(rule => rule.action === 'hide' && evaluateRule(rule, visibleAnswers));
+    const isShown = showRules.length === 0 || showRules.some(rule => evaluateRule(rule, visibleAnswers));
+
+    if (isSkipped || isHidden || !isShown) {
+      hiddenQuestionIds.push(question.id);
+      continue;
+    }
+
+    visibleQuestions.push(question);
+    if (answers[question.id] !== undefined) {
+      visibleAnswers[question.id] = answers[question.id];
+    }
+
+    // Jump to the nearest later question whose skip rule on this answer matches
+    for (let later = index + 1; later < questions.length; later++) {
+      const skipMatches = rulesByQuestion[later].some(rule =>
+        rule.action === 'skipTo'
+        && rule.targetQuestionId === question.id
+        && evaluateRule(rule, visibleAnswers)
+      );
+      if (skipMatches) {
+        skipUntil = Math.max(skipUntil, later);
+        break;
+      }
+    }
+  }
+
+  return {
+    visibleQuestions,
+    hiddenQuestionIds,
+    endedBeforeQuestionId,
+    visibleAnswers
+  };
+}
+
+/**
+ * Check whether a question is on the respondent's path
+ * @param {Object} flow - Result of resolveQuestionFlow
+ * @param {string} questionId - Question ID
+ * @returns {boolean} True if the question should be shown
+ */
+function isQuestionVisible(flow, questionId) {
+  return flow.visibleQuestions.some(question => question.id === questionId);
+}
+
+/**
+ * Get the question that follows the given one on the respondent's path
+ * @param {Object} flow - Result of resolveQuestionFlow
+ * @param {string} questionId - ID of the question just answered
+ * @returns {Object|null} Next question, or null when the path ends
+ */
+function getNextQuestion(flow, questionId) {
+  const index = flow.visibleQuestions.findIndex(question => question.id === questionId);
+  if (index === -1 || index === flow.visibleQuestions.length - 1) {
+    return null;
+  }
+  return flow.visibleQuestions[index + 1];
+}
+
+module.exports = {
+  OPERATORS,
+  ACTIONS,
+  normalizeOperator,
+  normalizeAction,
+  evaluateRule,
+  resolveQuestionFlow,
+  isQuestionVisible,
+  getNextQuestion
+};
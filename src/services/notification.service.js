@@ -0,0 +1,170 @@
+// backend/src/services/notification.service.js
+// Submission notification emails: owner summary, routed recipients and respondent receipt
+
+const Joi = require('joi');
+const { PrismaClient } = require('@prisma/client');
+const logger = require('../utils/logger');
+const { buildAnswerMap, formatAnswers } = require('../utils/answers');
+const { evaluateRule, normalizeOperator, resolveQuestionFlow } = require('./logic.service');
+const { EMAIL_PATTERN } = require('./validation.service');
+const { getResponseDefinition } = require('./formVersion.service');
+const { arrangeDefinition } = require('./questionOrder.service');
+const { sendEmail, escapeHtml } = require('./email.service');
+
+const prisma = new PrismaClient();
+
+// settings.notificationRules: also notify `emails` when the answer to `questionId` matches
+const notificationRulesSchema = Joi.array().items(Joi.object({
+  questionId: Joi.string().required(),
+  operator: Joi.string().required().custom((value, helpers) => (
+    normalizeOperator(value) ? value : helpers.message(`Unknown operator "${value}"`)
+  )),
+  value: Joi.alternatives(Joi.string().allow(''), Joi.number(), Joi.boolean()).allow(null),
+  emails: Joi.array().items(Joi.string().email()).min(1).required()
+})).allow(null);
+
+/**
+ * Render answers as plain text and as an HTML table
+ * @param {Array} rows - Result of formatAnswers
+ * @returns {Object} { text, html }
+ */
+function renderAnswers(rows) {
+  const text = rows
+    .map(row => `${row.title}\n${row.text || '(no answer)'}`)
+    .join('\n\n');
+
+  const html = [
+    '<table cellpadding="8" cellspacing="0" style="border-collapse:collapse;font-family:sans-serif;font-size:14px">',
+    ...rows.map(row => [
+      '<tr>',
+      `<td style="border-bottom:1px solid #e5e7eb;font-weight:600;vertical-align:top">${escapeHtml(row.title)}</td>`,
+      `<td style="border-bottom:1px solid #e5e7eb;white-space:pre-wrap">${row.text ? escapeHtml(row.text) : '<em>No answer</em>'}</td>`,
+      '</tr>'
+    ].join('')),
+    '</table>'
+  ].join('\n');
+
+  return { text, html };
+}
+
+/**
+ * Owner-facing summary of a completed response
+ */
+function renderSubmissionSummary(form, response, rows) {
+  const answers = renderAnswers(rows);
+  const completedAt = response.completedAt ? response.completedAt.toISOString() : '';
+  return {
+    subject: `New response to "${form.title}"`,
+    text: `A new response to "${form.title}" was submitted on ${completedAt}.\n\n${answers.text}\n\nResponse ID: ${response.id}\n`,
+    html: [
+      `<p style="font-family:sans-serif">A new response to <strong>${escapeHtml(form.title)}</strong> was submitted on ${escapeHtml(completedAt)}.</p>`,
+      answers.html,
+      `<p style="font-family:sans-serif;color:#6b7280;font-size:12px">Response ID: ${escapeHtml(response.id)}</p>`
+    ].join('\n')
+  };
+}
+
+/**
+ * Respondent-facing copy of their answers
+ */
+function renderReceipt(form, settings, rows) {
+  const answers = renderAnswers(rows);
+  const message = settings.confirmationMessage || 'Thank you for your submission!';
+  return {
+    subject: `Your response to "${form.title}"`,
+    text: `${message}\n\nHere is a copy of your answers:\n\n${answers.text}\n`,
+    html: [
+      `<p style="font-family:sans-serif">${escapeHtml(message)}</p>`,
+      '<p style="font-family:sans-serif">Here is a copy of your answers:</p>',
+      answers.html
+    ].join('\n')
+  };
+}
+
+function uniqueEmails(emails) {
+  const seen = new Set();
+  return emails.filter(email => {
+    const key = email.trim().toLowerCase();
+    if (!key || seen.has(key)) {
+      return false;
+    }
+    seen.add(key);
+    return true;
+  });
+}
+
+/**
+ * Send the notification emails for a completed response
+ * Owner notifications go to the form's notification emails plus any routing rule
+ * recipients whose condition matches, when notifyOnSubmission is on. The receipt goes
+ * to the respondent's answer to the receipt question, when sendReceipt is on.
+ * Only questions on the respondent's path are included.
+ * @param {string} responseId - Response ID
+ * @returns {Object} { recipients, receipt } - addresses emailed
+ */
+async function sendSubmissionNotifications(responseId) {
+  const response = await prisma.response.findUnique({
+    where: { id: responseId },
+    include: {
+      answers: true,
+      form: {
+        include: {
+          settings: {
+            include: {
+              notificationEmails: true
+            }
+          }
+        }
+      }
+    }
+  });
+
+  const settings = response && response.form.settings;
+  if (!settings || (!settings.notifyOnSubmission && !settings.sendReceipt)) {
+    return { recipients: [], receipt: null };
+  }
+
+  const definition = arrangeDefinition(await getResponseDefinition(response), response.id);
+  const answers = buildAnswerMap(response.answers, definition.questions);
+  const flow = resolveQuestionFlow(definition.questions, answers);
+  const rows = formatAnswers(flow.visibleQuestions, response.answers);
+  const result = { recipients: [], receipt: null };
+
+  // The respondent's address, from their answer to the receipt question
+  const receiptAnswer = settings.receiptQuestionId ? flow.visibleAnswers[settings.receiptQuestionId] : null;
+  const respondentEmail = typeof receiptAnswer === 'string' && EMAIL_PATTERN.test(receiptAnswer.trim())
+    ? receiptAnswer.trim()
+    : null;
+
+  if (settings.notifyOnSubmission) {
+    const routed = (Array.isArray(settings.notificationRules) ? settings.notificationRules : [])
+      .filter(rule => evaluateRule({ ...rule, targetQuestionId: rule.questionId }, flow.visibleAnswers))
+      .flatMap(rule => rule.emails || []);
+    const recipients = uniqueEmails([...settings.notificationEmails.map(n => n.email), ...routed]);
+
+    if (recipients.length > 0) {
+      await sendEmail({
+        to: recipients,
+        ...renderSubmissionSummary(response.form, response, rows),
+        ...(respondentEmail && { replyTo: respondentEmail })
+      });
+      result.recipients = recipients;
+    }
+  }
+
+  if (settings.sendReceipt && respondentEmail) {
+    await sendEmail({
+      to: respondentEmail,
+      ...renderReceipt(response.form, settings, rows)
+    });
+    result.receipt = respondentEmail;
+  }
+
+  logger.info(`Sent submission notifications for response ${responseId}`);
+  return result;
+}
+
+module.exports = {
+  notificationRulesSchema,
+  sendSubmissionNotifications
+};
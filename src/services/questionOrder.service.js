@@ -0,0 +1,215 @@
+// backend/src/services/questionOrder.service.js
+// Per-response question order: random pools, question shuffling and option shuffling
+//
+// Everything is seeded by the response ID, so the same response always gets the
+// same questions in the same order - reloading or resuming does not reshuffle.
+
+const crypto = require('crypto');
+const Joi = require('joi');
+const { normalizeAction } = require('./logic.service');
+
+// settings.questionPools: draw `draw` questions from the questions whose poolId is `id`
+const questionPoolsSchema = Joi.array().items(Joi.object({
+  id: Joi.string().max(100).required(),
+  draw: Joi.number().integer().min(0).required()
+})).unique('id').allow(null);
+
+/**
+ * Seeded pseudo-random number generator (mulberry32)
+ * @param {string} seed - Any string, e.g. a response ID
+ * @returns {Function} Returns a float in [0, 1) on each call
+ */
+function createRandom(seed) {
+  let state = crypto.createHash('sha256').update(String(seed)).digest().readUInt32LE(0);
+  return function random() {
+    state = (state + 0x6d2b79f5) | 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Fisher-Yates shuffle into a new array
+ */
+function shuffle(items, random) {
+  const result = [...items];
+  for (let i = result.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [result[i], result[j]] = [result[j], result[i]];
+  }
+  return result;
+}
+
+/**
+ * Shuffle only the items that are not fixed, leaving fixed items at their index
+ */
+function shuffleAround(items, isFixed, random) {
+  const movable = items.filter((item, index) => !isFixed(item, index));
+  const shuffled = shuffle(movable, random);
+  let next = 0;
+  return items.map((item, index) => (isFixed(item, index) ? item : shuffled[next++]));
+}
+
+/**
+ * Draw counts of the valid pools in settings.questionPools, keyed by pool ID
+ */
+function getDrawByPool(pools) {
+  const drawByPool = {};
+  (Array.isArray(pools) ? pools : []).forEach(pool => {
+    if (pool && typeof pool.id === 'string' && Number.isInteger(pool.draw) && pool.draw >= 0) {
+      drawByPool[pool.id] = pool.draw;
+    }
+  });
+  return drawByPool;
+}
+
+function getEnabledRules(question) {
+  const logic = question.conditionalLogic;
+  return logic && logic.enabled && Array.isArray(logic.rules) ? logic.rules : [];
+}
+
+/**
+ * Find the rules that look at a question in a random pool
+ * That question may not be drawn, and a rule whose question is missing is ignored, so
+ * the question it controls would show unconditionally. Forms with such rules are refused
+ * when they are imported or published.
+ * @param {Array} questions - Questions with poolId and conditionalLogic.rules
+ * @param {Array} pools - settings.questionPools
+ * @returns {Array} [{ questionIndex, ruleIndex, targetQuestionId }]
+ */
+function findRulesOnPooledQuestions(questions, pools) {
+  const drawByPool = getDrawByPool(pools);
+  const pooledIds = new Set(questions
+    .filter(question => question.poolId && drawByPool[question.poolId] !== undefined)
+    .map(question => question.id));
+
+  return questions.flatMap((question, questionIndex) => getEnabledRules(question)
+    .map((rule, ruleIndex) => ({ questionIndex, ruleIndex, targetQuestionId: rule.targetQuestionId }))
+    .filter(rule => pooledIds.has(rule.targetQuestionId)));
+}
+
+/**
+ * Draw N questions from each pool, keeping form order within the result
+ * Pools are declared in settings.questionPools as [{ id, draw }]; questions join a
+ * pool through their poolId. Questions in an undeclared pool are all kept.
+ * Versions published before rules on pooled questions were refused may still have them:
+ * the questions those rules look at are then kept as well, so the rules keep applying.
+ */
+function drawPools(questions, pools, random) {
+  const drawByPool = getDrawByPool(pools);
+
+  const drawn = new Set();
+  Object.entries(drawByPool).forEach(([poolId, draw]) => {
+    const members = questions.filter(question => question.poolId === poolId);
+    shuffle(members, random).slice(0, draw).forEach(question => drawn.add(question.id));
+  });
+
+  const isKept = question =>
+    !question.poolId || drawByPool[question.poolId] === undefined || drawn.has(question.id);
+
+  let added = true;
+  while (added) {
+    added = false;
+    questions.filter(isKept).forEach(question => {
+      getEnabledRules(question).forEach(rule => {
+        if (!drawn.has(rule.targetQuestionId)) {
+          drawn.add(rule.targetQuestionId);
+          added = true;
+        }
+      });
+    });
+  }
+
+  return questions.filter(isKept);
+}
+
+/**
+ * Work out which positions must not move when shuffling
+ * Pinned questions stay put, and so does anything conditional logic depends on:
+ * questions with rules, the questions they look at, and everything between a
+ * skip rule's target and its destination.
+ */
+function getFixedQuestionIds(questions) {
+  const fixed = new Set();
+  const positionById = {};
+  questions.forEach((question, index) => {
+    positionById[question.id] = index;
+    if (question.isPinned) {
+      fixed.add(question.id);
+    }
+  });
+
+  questions.forEach((question, index) => {
+    const logic = question.conditionalLogic;
+    if (!logic || !logic.enabled || !Array.isArray(logic.rules) || logic.rules.length === 0) {
+      return;
+    }
+    fixed.add(question.id);
+    logic.rules.forEach(rule => {
+      const targetIndex = positionById[rule.targetQuestionId];
+      if (targetIndex === undefined) {
+        return;
+      }
+      fixed.add(rule.targetQuestionId);
+      if (normalizeAction(rule.action) === 'skipTo' && targetIndex < index) {
+        questions.slice(targetIndex, index).forEach(skipped => fixed.add(skipped.id));
+      }
+    });
+  });
+
+  return fixed;
+}
+
+/**
+ * Shuffle a question's options when it asks for it
+ * Options given as objects with pinned: true stay in place, e.g. "Other" or "None of the above".
+ */
+function arrangeOptions(question, seed) {
+  if (!question.shuffleOptions || !Array.isArray(question.options) || question.options.length < 2) {
+    return question;
+  }
+  const random = createRandom(`${seed}:${question.id}`);
+  const isPinned = option => option !== null && typeof option === 'object' && option.pinned === true;
+  return {
+    ...question,
+    options: shuffleAround(question.options, isPinned, random)
+  };
+}
+
+/**
+ * Arrange a definition's questions for one response
+ * @param {Object} definition - Form definition (questions in form order)
+ * @param {string} seed - Response ID
+ * @returns {Object} Definition with questions drawn, ordered and option-shuffled for this response
+ */
+function arrangeDefinition(definition, seed) {
+  const settings = definition.settings || {};
+  const hasPools = Array.isArray(settings.questionPools) && settings.questionPools.length > 0;
+  const hasOptionShuffle = definition.questions.some(question => question.shuffleOptions);
+
+  if (!hasPools && !settings.shuffleQuestions && !hasOptionShuffle) {
+    return definition;
+  }
+
+  const random = createRandom(seed);
+  let questions = hasPools ? drawPools(definition.questions, settings.questionPools, random) : definition.questions;
+
+  if (settings.shuffleQuestions) {
+    const fixed = getFixedQuestionIds(questions);
+    questions = shuffleAround(questions, question => fixed.has(question.id), random);
+  }
+
+  return {
+    ...definition,
+    questions: questions.map(question => arrangeOptions(question, seed))
+  };
+}
+
+module.exports = {
+  questionPoolsSchema,
+  createRandom,
+  findRulesOnPooledQuestions,
+  arrangeDefinition
+};
@@ -0,0 +1,47 @@
+// backend/src/services/respondentSession.service.js
+// Respondent session tokens - short-lived signed tokens scoped to a single response
+
+const { generateToken, verifyToken } = require('../utils/jwt');
+
+const RESPONDENT_TOKEN_SCOPE = 'respondent';
+const RESPONDENT_TOKEN_HEADER = 'X-Respondent-Token';
+
+/**
+ * Issue a respondent token for a response
+ * Tokens are renewed on every authenticated request, so they only run out when the
+ * respondent has been idle for RESPONDENT_TOKEN_EXPIRES_IN (default 2h).
+ * @param {string} responseId - Response ID
+ * @returns {string} Token
+ */
+function createRespondentToken(responseId) {
+  return generateToken({
+    scope: RESPONDENT_TOKEN_SCOPE,
+    responseId
+  }, process.env.RESPONDENT_TOKEN_EXPIRES_IN || '2h');
+}
+
+/**
+ * Decode a respondent token
+ * @param {string} token - Respondent token
+ * @returns {string|null} Response ID, or null if the token is invalid, expired or not a respondent token
+ */
+function verifyRespondentToken(token) {
+  try {
+    const decoded = verifyToken(token);
+    if (!decoded || decoded.scope !== RESPONDENT_TOKEN_SCOPE || !decoded.responseId) {
+      return null;
+    }
+    return decoded.responseId;
+  } catch (error) {
+    if (error.name === 'JsonWebTokenError' || error.name === 'TokenExpiredError') {
+      return null;
+    }
+    throw error;
+  }
+}
+
+module.exports = {
+  RESPONDENT_TOKEN_HEADER,
+  createRespondentToken,
+  verifyRespondentToken
+};
@@ -0,0 +1,179 @@
+// backend/src/services/responseExport.service.js
+// Streams a form's responses as CSV or NDJSON without loading them all into memory
+
+const { once } = require('events');
+const { PrismaClient } = require('@prisma/client');
+const { parseAnswerValue } = require('../utils/answers');
+
+const prisma = new PrismaClient();
+
+const BATCH_SIZE = 500;
+const EXPORT_FORMATS = ['csv', 'ndjson'];
+const METADATA_COLUMNS = ['responseId', 'respondentId', 'startedAt', 'completedAt', 'isCompleted'];
+
+/**
+ * Build unique, stable column headers from question titles
+ * Repeated titles get a numeric suffix in form order, e.g. "Name", "Name (2)"
+ * @param {Array} questions - Questions in form order
+ * @returns {string[]} One header per question
+ */
+function buildQuestionHeaders(questions) {
+  const seen = {};
+  return questions.map(question => {
+    const title = question.title || 'Untitled question';
+    seen[title] = (seen[title] || 0) + 1;
+    return seen[title] === 1 ? title : `${title} (${seen[title]})`;
+  });
+}
+
+/**
+ * Escape a value for CSV, neutralizing spreadsheet formulas
+ */
+function toCsvCell(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+
+  let text = String(value);
+  if (/^[=+\-@\t\r]/.test(text) && Number.isNaN(Number(text))) {
+    text = `'${text}`;
+  }
+  if (/[",\r\n]/.test(text)) {
+    return `"${text.replace(/"/g, '""')}"`;
+  }
+  return text;
+}
+
+function toCsvRow(values) {
+  return `${values.map(toCsvCell).join(',')}\r\n`;
+}
+
+/**
+ * Get the exported value of an answer - multi-select answers stay lists, uploads use their URL
+ */
+function getExportValue(question, answer) {
+  if (!answer) {
+    return null;
+  }
+  const value = parseAnswerValue(answer.value, question.type);
+  if ((value === null || value === '') && answer.fileUrl) {
+    return answer.fileUrl;
+  }
+  return value;
+}
+
+/**
+ * Iterate over matching responses in batches using cursor pagination
+ * @param {Object} where - Prisma where clause for responses
+ */
+async function* iterateResponses(where) {
+  let cursor = null;
+
+  while (true) {
+    const batch = await prisma.response.findMany({
+      where,
+      include: {
+        answers: {
+          select: {
+            questionId: true,
+            value: true,
+            fileUrl: true
+          }
+        }
+      },
+      orderBy: [
+        { startedAt: 'asc' },
+        { id: 'asc' }
+      ],
+      take: BATCH_SIZE,
+      ...(cursor && {
+        cursor: { id: cursor },
+        skip: 1
+      })
+    });
+
+    for (const response of batch) {
+      yield response;
+    }
+
+    if (batch.length < BATCH_SIZE) {
+      return;
+    }
+    cursor = batch[batch.length - 1].id;
+  }
+}
+
+/**
+ * Write a chunk, waiting for the client to drain the buffer when it is full
+ */
+async function write(stream, chunk) {
+  if (!stream.write(chunk)) {
+    await Promise.race([once(stream, 'drain'), once(stream, 'close')]);
+  }
+}
+
+/**
+ * Stream responses to a writable HTTP response
+ * @param {Object} options - { res, format, where, questions }
+ * @param {Object} options.res - Express response (headers must not have been sent)
+ * @param {string} options.format - csv or ndjson
+ * @param {Object} options.where - Prisma where clause for responses
+ * @param {Array} options.questions - Questions in form order, one column each
+ */
+async function streamResponses({ res, format, where, questions }) {
+  let aborted = false;
+  res.on('close', () => {
+    aborted = true;
+  });
+
+  if (format === 'csv') {
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    // Byte order mark so spreadsheet apps detect UTF-8
+    await write(res, `\ufeff${toCsvRow([...METADATA_COLUMNS, ...buildQuestionHeaders(questions)])}`);
+  } else {
+    res.setHeader('Content-Type', 'application/x-ndjson; charset=utf-8');
+  }
+
+  for await (const response of iterateResponses(where)) {
+    if (aborted) {
+      return;
+    }
+
+    const answersByQuestion = {};
+    response.answers.forEach(answer => {
+      answersByQuestion[answer.questionId] = answer;
+    });
+    const metadata = [
+      response.id,
+      response.respondentId,
+      response.startedAt.toISOString(),
+      response.completedAt ? response.completedAt.toISOString() : null,
+      response.isCompleted
+    ];
+
+    if (format === 'csv') {
+      const cells = questions.map(question => {
+        const value = getExportValue(question, answersByQuestion[question.id]);
+        return Array.isArray(value) ? value.join('; ') : value;
+      });
+      await write(res, toCsvRow([...metadata, ...cells]));
+    } else {
+      const record = {};
+      METADATA_COLUMNS.forEach((column, index) => {
+        record[column] = metadata[index];
+      });
+      record.answers = {};
+      questions.forEach(question => {
+        record.answers[question.id] = getExportValue(question, answersByQuestion[question.id]);
+      });
+      await write(res, `${JSON.stringify(record)}\n`);
+    }
+  }
+
+  res.end();
+}
+
+module.exports = {
+  EXPORT_FORMATS,
+  streamResponses
+};
@@ -0,0 +1,89 @@
+// backend/src/services/resume.service.js
+// Save-and-resume: signed resume tokens for unfinished responses and the emails that carry them
+
+const { generateToken, verifyToken } = require('../utils/jwt');
+const { sendEmail, escapeHtml, getFrontendUrl } = require('./email.service');
+
+const RESUME_TOKEN_PURPOSE = 'resume';
+const DEFAULT_RESUME_DAYS = 30;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Issue a resume token for a response
+ * The token lasts as long as the form's retention window, since the response is
+ * deleted once it has been left alone for that long.
+ * @param {Object} response - Response row
+ * @param {Object|null} settings - FormSettings row
+ * @returns {Object} { token, expiresAt }
+ */
+function createResumeToken(response, settings) {
+  const days = (settings && settings.partialResponseRetentionDays) || DEFAULT_RESUME_DAYS;
+  const token = generateToken({
+    purpose: RESUME_TOKEN_PURPOSE,
+    responseId: response.id,
+    formId: response.formId
+  }, `${days}d`);
+
+  return {
+    token,
+    expiresAt: new Date(Date.now() + days * DAY_MS)
+  };
+}
+
+/**
+ * Decode a resume token
+ * @param {string} token - Resume token
+ * @returns {Object|null} { responseId, formId }, or null if the token is invalid, expired or not a resume token
+ */
+function verifyResumeToken(token) {
+  try {
+    const decoded = verifyToken(token);
+    if (!decoded || decoded.purpose !== RESUME_TOKEN_PURPOSE || !decoded.responseId) {
+      return null;
+    }
+    return { responseId: decoded.responseId, formId: decoded.formId };
+  } catch (error) {
+    if (error.name === 'JsonWebTokenError' || error.name === 'TokenExpiredError') {
+      return null;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Link respondents follow to resume in the frontend
+ * @param {string} formId - Form ID
+ * @param {string} token - Resume token
+ * @returns {string} URL
+ */
+function getResumeUrl(formId, token) {
+  return `${getFrontendUrl()}/forms/${encodeURIComponent(formId)}/fill?resume=${encodeURIComponent(token)}`;
+}
+
+/**
+ * Email a resume link to a respondent
+ * @param {string} to - Respondent's email address
+ * @param {Object} form - Form row (title)
+ * @param {string} resumeUrl - Result of getResumeUrl
+ * @param {Date} expiresAt - When the link stops working
+ */
+async function sendResumeEmail(to, form, resumeUrl, expiresAt) {
+  const expires = expiresAt.toISOString().slice(0, 10);
+  await sendEmail({
+    to,
+    subject: `Continue your response to "${form.title}"`,
+    text: `You can pick up your response to "${form.title}" where you left off:\n\n${resumeUrl}\n\nThis link works until ${expires}. Anyone with it can see and change your answers, so do not share it.\n`,
+    html: [
+      `<p style="font-family:sans-serif">You can pick up your response to <strong>${escapeHtml(form.title)}</strong> where you left off.</p>`,
+      `<p style="font-family:sans-serif"><a href="${escapeHtml(resumeUrl)}">Continue your response</a></p>`,
+      `<p style="font-family:sans-serif;color:#6b7280;font-size:12px">This link works until ${escapeHtml(expires)}. Anyone with it can see and change your answers, so do not share it.</p>`
+    ].join('\n')
+  });
+}
+
+module.exports = {
+  createResumeToken,
+  verifyResumeToken,
+  getResumeUrl,
+  sendResumeEmail
+};
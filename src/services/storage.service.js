@@ -1,82 +1,114 @@
 // backend/src/services/storage.service.js
-// Cloud storage service for file uploads
+// Storage service for file uploads, backed by a pluggable driver
+//
+// STORAGE_DRIVER selects the driver:
+// - s3: AWS_ACCESS_KEY_ID, AWS_SECRET_ACCESS_KEY, AWS_REGION, AWS_S3_BUCKET
+// - local: files under LOCAL_STORAGE_DIR, served by this server (default outside production)
 
-const AWS = require('aws-sdk');
+const path = require('path');
 const { v4: uuidv4 } = require('uuid');
-const logger = require('../utils/logger');
 
-// Configure AWS
-AWS.config.update({
-  accessKeyId: process.env.AWS_ACCESS_KEY_ID,
-  secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY,
-  region: process.env.AWS_REGION || 'us-east-1'
-});
+const UPLOAD_URL_EXPIRES_IN = 300; // Upload URLs expire in 5 minutes
 
-const s3 = new AWS.S3();
-const BUCKET_NAME = process.env.AWS_S3_BUCKET || 'triddle-uploads';
+let driver = null;
+
+function getDriverName() {
+  return process.env.STORAGE_DRIVER || (process.env.NODE_ENV === 'production' ? 's3' : 'local');
+}
 
 /**
- * Generate a pre-signed URL for uploading a file to S3
+ * Load the configured driver once - the S3 driver is only loaded when it is used
+ */
+function getDriver() {
+  if (driver) {
+    return driver;
+  }
+
+  const name = getDriverName();
+  if (name === 's3') {
+    driver = require('./storage/s3.driver');
+  } else if (name === 'local') {
+    driver = require('./storage/local.driver');
+  } else {
+    throw new Error(`Unknown STORAGE_DRIVER "${name}" - use s3 or local`);
+  }
+  return driver;
+}
+
+/**
+ * Storage key for a new upload to a response
+ * Only the extension of the original name is kept; the name itself is stored on the Upload row.
+ * @param {string} responseId - Response ID
  * @param {string} fileName - Original file name
- * @param {string} contentType - MIME type of the file
- * @returns {Object} - Object containing upload URL and final file URL
+ * @returns {string} Key, e.g. uploads/<responseId>/<uuid>.pdf
  */
-async function getSignedUploadUrl(fileName, contentType) {
-  try {
-    // Generate a unique file key
-    const fileExtension = fileName.split('.').pop();
-    const uniqueFileName = `${uuidv4()}.${fileExtension}`;
-    const fileKey = `uploads/${uniqueFileName}`;
+function createUploadKey(responseId, fileName) {
+  const extension = path.extname(fileName || '').slice(1).toLowerCase();
+  const suffix = /^[a-z0-9]{1,10}$/.test(extension) ? `.${extension}` : '';
+  return `uploads/${responseId}/${uuidv4()}${suffix}`;
+}
 
-    // Set parameters for the signed URL
-    const params = {
-      Bucket: BUCKET_NAME,
-      Key: fileKey,
-      ContentType: contentType,
-      Expires: 300 // URL expires in 5 minutes
-    };
+/**
+ * Generate a signed URL the client uploads a file to
+ * @param {string} fileKey - Storage key from createUploadKey
+ * @param {string} contentType - MIME type of the file
+ * @param {Object} options - { maxSize } in bytes, enforced during the upload where the driver can
+ * @returns {Object} { uploadUrl, method, headers, fileUrl, expiresIn }
+ */
+async function getSignedUploadUrl(fileKey, contentType, { maxSize }) {
+  const target = await getDriver().getSignedUploadUrl(fileKey, contentType, {
+    expiresIn: UPLOAD_URL_EXPIRES_IN,
+    maxSize
+  });
 
-    // Generate the signed URL
-    const uploadUrl = await s3.getSignedUrlPromise('putObject', params);
-    
-    // Generate the public URL for the file
-    const fileUrl = `https://${BUCKET_NAME}.s3.amazonaws.com/${fileKey}`;
+  return {
+    ...target,
+    fileUrl: getFileUrl(fileKey),
+    expiresIn: UPLOAD_URL_EXPIRES_IN
+  };
+}
 
-    return {
-      uploadUrl,
-      fileUrl,
-      expiresIn: 300
-    };
-  } catch (error) {
-    logger.error('Error generating signed URL:', error);
-    throw new Error('Failed to generate upload URL');
-  }
+/**
+ * URL a stored file is read from
+ * @param {string} fileKey - Storage key
+ * @returns {string} URL
+ */
+function getFileUrl(fileKey) {
+  return getDriver().getFileUrl(fileKey);
 }
 
 /**
- * Delete a file from S3
- * @param {string} fileUrl - URL of the file to delete
+ * Size and type of a stored file
+ * @param {string} fileKey - Storage key
+ * @returns {Object|null} { size, contentType } - contentType is null when the driver does not record it
  */
-async function deleteFile(fileUrl) {
-  try {
-    // Extract the file key from the URL
-    const urlObj = new URL(fileUrl);
-    const fileKey = urlObj.pathname.substring(1); // Remove leading slash
+function getFileInfo(fileKey) {
+  return getDriver().getFileInfo(fileKey);
+}
 
-    const params = {
-      Bucket: BUCKET_NAME,
-      Key: fileKey
-    };
+/**
+ * Delete a stored file
+ * @param {string} fileKey - Storage key
+ */
+function deleteFile(fileKey) {
+  return getDriver().deleteFile(fileKey);
+}
 
-    await s3.deleteObject(params).promise();
-    logger.info(`File deleted: ${fileKey}`);
-  } catch (error) {
-    logger.error('Error deleting file:', error);
-    throw new Error('Failed to delete file');
-  }
+/**
+ * List stored files under a prefix
+ * @param {string} prefix - Key prefix, e.g. uploads/
+ * @returns {AsyncGenerator} Yields { key, size, lastModified }
+ */
+function listFiles(prefix) {
+  return getDriver().listFiles(prefix);
 }
 
 module.exports = {
+  getDriverName,
+  createUploadKey,
   getSignedUploadUrl,
-  deleteFile
-};
\ No newline at end of file
+  getFileUrl,
+  getFileInfo,
+  deleteFile,
+  listFiles
+};
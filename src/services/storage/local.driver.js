@@ -0,0 +1,210 @@
+// backend/src/services/storage/local.driver.js
+// Local filesystem storage driver for development and tests
+//
+// Files live under LOCAL_STORAGE_DIR (default ./tmp/uploads) and are uploaded and served
+// through /api/storage on this server. Upload URLs carry a short-lived signed token.
+
+const fs = require('fs');
+const path = require('path');
+const { pipeline } = require('stream/promises');
+const { v4: uuidv4 } = require('uuid');
+const { generateToken, verifyToken } = require('../../utils/jwt');
+const logger = require('../../utils/logger');
+
+const UPLOAD_TOKEN_PURPOSE = 'upload';
+// Path segments start with a word character or dash, so "." and ".." cannot appear
+const KEY_PATTERN = /^[\w-]+(\/[\w-][\w.-]*)*$/;
+
+function getRootDir() {
+  return path.resolve(process.env.LOCAL_STORAGE_DIR || path.join(process.cwd(), 'tmp', 'uploads'));
+}
+
+function getBaseUrl() {
+  return (process.env.API_URL || `http://localhost:${process.env.PORT || 5000}`).replace(/\/+$/, '');
+}
+
+/**
+ * Absolute path of a stored file
+ * @param {string} fileKey - Storage key
+ * @returns {string|null} Path, or null if the key is malformed or points outside the storage directory
+ */
+function getFilePath(fileKey) {
+  if (typeof fileKey !== 'string' || !KEY_PATTERN.test(fileKey)) {
+    return null;
+  }
+  const root = getRootDir();
+  const filePath = path.resolve(root, fileKey);
+  return filePath.startsWith(`${root}${path.sep}`) ? filePath : null;
+}
+
+/**
+ * Generate a signed URL for uploading a file to this server
+ * @param {string} fileKey - Storage key
+ * @param {string} contentType - MIME type the upload must be sent with
+ * @param {Object} options - { expiresIn } in seconds, { maxSize } in bytes
+ * @returns {Object} { uploadUrl, method, headers }
+ */
+async function getSignedUploadUrl(fileKey, contentType, { expiresIn, maxSize }) {
+  const token = generateToken({
+    purpose: UPLOAD_TOKEN_PURPOSE,
+    key: fileKey,
+    contentType,
+    maxSize
+  }, expiresIn);
+
+  return {
+    uploadUrl: `${getBaseUrl()}/api/storage/${fileKey}?token=${encodeURIComponent(token)}`,
+    method: 'PUT',
+    headers: { 'Content-Type': contentType }
+  };
+}
+
+/**
+ * Check an upload token against the key it is used for
+ * @param {string} token - Token from the upload URL
+ * @param {string} fileKey - Storage key being written
+ * @returns {Object|null} { contentType, maxSize }, or null if the token is invalid, expired or for another key
+ */
+function verifyUploadToken(token, fileKey) {
+  try {
+    const decoded = verifyToken(token);
+    if (!decoded || decoded.purpose !== UPLOAD_TOKEN_PURPOSE || decoded.key !== fileKey) {
+      return null;
+    }
+    return { contentType: decoded.contentType, maxSize: decoded.maxSize };
+  } catch (error) {
+    if (error.name === 'JsonWebTokenError' || error.name === 'TokenExpiredError') {
+      return null;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Store an uploaded file, refusing anything larger than maxSize
+ * The file is written under a temporary name and only moved into place once complete.
+ * @param {string} fileKey - Storage key
+ * @param {stream.Readable} stream - File contents
+ * @param {number} maxSize - Size limit in bytes
+ * @returns {number} Bytes written
+ * @throws {Error} With code FILE_TOO_LARGE when the limit is exceeded
+ */
+async function writeFile(fileKey, stream, maxSize) {
+  const filePath = getFilePath(fileKey);
+  if (!filePath) {
+    throw new Error(`Invalid storage key "${fileKey}"`);
+  }
+  await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+
+  const tempPath = `${filePath}.${uuidv4()}.part`;
+  let size = 0;
+  async function* limitSize(source) {
+    for await (const chunk of source) {
+      size += chunk.length;
+      if (size > maxSize) {
+        const error = new Error(`File is larger than ${maxSize} bytes`);
+        error.code = 'FILE_TOO_LARGE';
+        throw error;
+      }
+      yield chunk;
+    }
+  }
+
+  try {
+    await pipeline(stream, limitSize, fs.createWriteStream(tempPath));
+    await fs.promises.rename(tempPath, filePath);
+  } catch (error) {
+    await fs.promises.rm(tempPath, { force: true });
+    throw error;
+  }
+  return size;
+}
+
+/**
+ * Public URL of a stored file
+ * @param {string} fileKey - Storage key
+ * @returns {string} URL
+ */
+function getFileUrl(fileKey) {
+  return `${getBaseUrl()}/api/storage/${fileKey}`;
+}
+
+/**
+ * Size of a stored file - the type was checked against the upload token when it was written
+ * @param {string} fileKey - Storage key
+ * @returns {Object|null} { size, contentType }, or null if there is no such file
+ */
+async function getFileInfo(fileKey) {
+  const filePath = getFilePath(fileKey);
+  if (!filePath) {
+    return null;
+  }
+  try {
+    const stat = await fs.promises.stat(filePath);
+    return stat.isFile() ? { size: stat.size, contentType: null } : null;
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return null;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Delete a stored file - deleting a file that does not exist is not an error
+ * @param {string} fileKey - Storage key
+ */
+async function deleteFile(fileKey) {
+  const filePath = getFilePath(fileKey);
+  if (!filePath) {
+    throw new Error(`Invalid storage key "${fileKey}"`);
+  }
+  await fs.promises.rm(filePath, { force: true });
+  logger.info(`File deleted: ${fileKey}`);
+}
+
+/**
+ * List stored files under a prefix, including partial uploads left by interrupted requests
+ * @param {string} prefix - Key prefix, e.g. uploads/
+ * @returns {AsyncGenerator} Yields { key, size, lastModified }
+ */
+async function* listFiles(prefix) {
+  const root = getRootDir();
+
+  async function* walk(directory) {
+    let entries;
+    try {
+      entries = await fs.promises.readdir(directory, { withFileTypes: true });
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return;
+      }
+      throw error;
+    }
+    for (const entry of entries) {
+      const entryPath = path.join(directory, entry.name);
+      if (entry.isDirectory()) {
+        yield* walk(entryPath);
+      } else if (entry.isFile()) {
+        const key = path.relative(root, entryPath).split(path.sep).join('/');
+        if (key.startsWith(prefix)) {
+          const stat = await fs.promises.stat(entryPath);
+          yield { key, size: stat.size, lastModified: stat.mtime };
+        }
+      }
+    }
+  }
+
+  yield* walk(root);
+}
+
+module.exports = {
+  getFilePath,
+  getSignedUploadUrl,
+  verifyUploadToken,
+  writeFile,
+  getFileUrl,
+  getFileInfo,
+  deleteFile,
+  listFiles
+};
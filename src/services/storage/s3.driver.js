@@ -0,0 +1,121 @@
+// backend/src/services/storage/s3.driver.js
+// S3 storage driver - pre-signed uploads straight to the bucket
+
+const AWS = require('aws-sdk');
+const logger = require('../../utils/logger');
+
+// Configure AWS
+AWS.config.update({
+  accessKeyId: process.env.AWS_ACCESS_KEY_ID,
+  secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY,
+  region: process.env.AWS_REGION || 'us-east-1'
+});
+
+const s3 = new AWS.S3();
+const BUCKET_NAME = process.env.AWS_S3_BUCKET || 'triddle-uploads';
+
+/**
+ * Generate a pre-signed URL for uploading a file to S3
+ * S3 cannot limit the size of a pre-signed PUT, so the size is checked when the upload is completed.
+ * @param {string} fileKey - Storage key
+ * @param {string} contentType - MIME type of the file
+ * @param {Object} options - { expiresIn } in seconds
+ * @returns {Object} { uploadUrl, method, headers }
+ */
+async function getSignedUploadUrl(fileKey, contentType, { expiresIn }) {
+  try {
+    // Set parameters for the signed URL
+    const params = {
+      Bucket: BUCKET_NAME,
+      Key: fileKey,
+      ContentType: contentType,
+      Expires: expiresIn
+    };
+
+    // Generate the signed URL
+    const uploadUrl = await s3.getSignedUrlPromise('putObject', params);
+
+    return {
+      uploadUrl,
+      method: 'PUT',
+      headers: { 'Content-Type': contentType }
+    };
+  } catch (error) {
+    logger.error('Error generating signed URL:', error);
+    throw new Error('Failed to generate upload URL');
+  }
+}
+
+/**
+ * Public URL of a stored file
+ * @param {string} fileKey - Storage key
+ * @returns {string} URL
+ */
+function getFileUrl(fileKey) {
+  return `https://${BUCKET_NAME}.s3.amazonaws.com/${fileKey}`;
+}
+
+/**
+ * Size and type of a stored file
+ * @param {string} fileKey - Storage key
+ * @returns {Object|null} { size, contentType }, or null if there is no such file
+ */
+async function getFileInfo(fileKey) {
+  try {
+    const head = await s3.headObject({ Bucket: BUCKET_NAME, Key: fileKey }).promise();
+    return { size: head.ContentLength, contentType: head.ContentType || null };
+  } catch (error) {
+    if (error.code === 'NotFound' || error.code === 'NoSuchKey') {
+      return null;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Delete a file from S3
+ * @param {string} fileKey - Storage key
+ */
+async function deleteFile(fileKey) {
+  try {
+    const params = {
+      Bucket: BUCKET_NAME,
+      Key: fileKey
+    };
+
+    await s3.deleteObject(params).promise();
+    logger.info(`File deleted: ${fileKey}`);
+  } catch (error) {
+    logger.error('Error deleting file:', error);
+    throw new Error('Failed to delete file');
+  }
+}
+
+/**
+ * List stored files under a prefix
+ * @param {string} prefix - Key prefix, e.g. uploads/
+ * @returns {AsyncGenerator} Yields { key, size, lastModified }
+ */
+async function* listFiles(prefix) {
+  let continuationToken;
+  do {
+    const page = await s3.listObjectsV2({
+      Bucket: BUCKET_NAME,
+      Prefix: prefix,
+      ContinuationToken: continuationToken
+    }).promise();
+
+    for (const object of page.Contents || []) {
+      yield { key: object.Key, size: object.Size, lastModified: object.LastModified };
+    }
+    continuationToken = page.IsTruncated ? page.NextContinuationToken : undefined;
+  } while (continuationToken);
+}
+
+module.exports = {
+  getSignedUploadUrl,
+  getFileUrl,
+  getFileInfo,
+  deleteFile,
+  listFiles
+};
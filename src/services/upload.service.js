@@ -0,0 +1,204 @@
+// backend/src/services/upload.service.js
+// Upload lifecycle: removing files from storage when their uploads go away
+//
+// Uploads are detached rather than deleted when their response, question or answer is
+// deleted (the foreign keys are SET NULL), so a file is never left without a row that
+// points at it. Files are only removed along with the responses that own them - removing
+// a question from the draft keeps them, since published versions still show the question. Uploads that are not part of an answer for UPLOAD_RETENTION_HOURS are
+// removed by the upload cleanup job.
+
+const { PrismaClient } = require('@prisma/client');
+const logger = require('../utils/logger');
+const { deleteFile, getFileUrl, listFiles } = require('./storage.service');
+
+const prisma = new PrismaClient();
+
+const DEFAULT_RETENTION_HOURS = 24;
+const PURGE_BATCH_SIZE = 100;
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Hours an upload may stay unattached to an answer before it is removed
+ * @returns {number} Hours
+ */
+function getUploadRetentionHours() {
+  const hours = Number(process.env.UPLOAD_RETENTION_HOURS);
+  return Number.isFinite(hours) && hours > 0 ? hours : DEFAULT_RETENTION_HOURS;
+}
+
+/**
+ * Where clause for uploads that were never attached to an answer, or were detached, before the cutoff
+ * @param {Date} cutoff - Uploads created before this are expired
+ */
+function expiredUploadsWhere(cutoff) {
+  return {
+    answerId: null,
+    createdAt: { lt: cutoff }
+  };
+}
+
+/**
+ * Delete the files of matching uploads, then the uploads themselves
+ * An upload whose file could not be deleted is kept, so a later run can try again.
+ * @param {Object} where - Prisma where clause for uploads
+ * @returns {Object} { deleted, failed }
+ */
+async function purgeUploads(where) {
+  let deleted = 0;
+  let failed = 0;
+  let cursor = null;
+
+  for (;;) {
+    // Page by ID rather than a Prisma cursor, since the rows of earlier pages are deleted
+    const uploads = await prisma.upload.findMany({
+      where: cursor ? { AND: [where, { id: { gt: cursor } }] } : where,
+      select: { id: true, storageKey: true },
+      orderBy: { id: 'asc' },
+      take: PURGE_BATCH_SIZE
+    });
+    if (uploads.length === 0) {
+      break;
+    }
+    cursor = uploads[uploads.length - 1].id;
+
+    const removedIds = [];
+    for (const upload of uploads) {
+      try {
+        await deleteFile(upload.storageKey);
+        removedIds.push(upload.id);
+      } catch (error) {
+        failed++;
+        logger.error(`Error deleting file ${upload.storageKey} of upload ${upload.id}: ${error.message}`);
+      }
+    }
+
+    if (removedIds.length > 0) {
+      const result = await prisma.upload.deleteMany({
+        where: { id: { in: removedIds } }
+      });
+      deleted += result.count;
+    }
+
+    if (uploads.length < PURGE_BATCH_SIZE) {
+      break;
+    }
+  }
+
+  return { deleted, failed };
+}
+
+/**
+ * Remove the files of a set of uploads in the background
+ * Used after deleting a form or response - the uploads are already detached by
+ * then, so anything that fails here is picked up by the cleanup job.
+ * @param {string[]} uploadIds - Upload IDs
+ */
+function purgeUploadsInBackground(uploadIds) {
+  if (uploadIds.length === 0) {
+    return;
+  }
+  purgeUploads({ id: { in: uploadIds } }).catch(error => {
+    logger.error(`Error removing ${uploadIds.length} uploaded files: ${error.message}`);
+  });
+}
+
+/**
+ * IDs of the uploads matching a where clause, collected before their owner is deleted
+ * @param {Object} where - Prisma where clause for uploads
+ * @returns {string[]} Upload IDs
+ */
+async function findUploadIds(where) {
+  const uploads = await prisma.upload.findMany({
+    where,
+    select: { id: true }
+  });
+  return uploads.map(upload => upload.id);
+}
+
+/**
+ * Report what the cleanup would remove, without deleting anything
+ * Expired uploads are tracked uploads past the retention window. Untracked files are
+ * files under uploads/ with no Upload row, older than the retention window so uploads in
+ * flight are left alone, and not referenced by an answer from before uploads were tracked.
+ * @returns {Object} { retentionHours, expiredUploads: { count, bytes, items }, untrackedFiles: { count, bytes, items } }
+ */
+async function buildStorageReport() {
+  const retentionHours = getUploadRetentionHours();
+  const cutoff = new Date(Date.now() - retentionHours * HOUR_MS);
+
+  const expired = await prisma.upload.findMany({
+    where: expiredUploadsWhere(cutoff),
+    select: {
+      id: true,
+      storageKey: true,
+      fileName: true,
+      size: true,
+      status: true,
+      responseId: true,
+      createdAt: true
+    },
+    orderBy: { createdAt: 'asc' }
+  });
+
+  const untracked = [];
+  for await (const file of listFiles('uploads/')) {
+    if (file.lastModified >= cutoff) {
+      continue;
+    }
+    const upload = await prisma.upload.findUnique({
+      where: { storageKey: file.key },
+      select: { id: true }
+    });
+    if (upload) {
+      continue;
+    }
+    const referenced = await prisma.answer.count({
+      where: { fileUrl: getFileUrl(file.key) }
+    });
+    if (referenced === 0) {
+      untracked.push(file);
+    }
+  }
+
+  const summarize = items => ({
+    count: items.length,
+    bytes: items.reduce((total, item) => total + (item.size || 0), 0),
+    items
+  });
+
+  return {
+    retentionHours,
+    expiredUploads: summarize(expired),
+    untrackedFiles: summarize(untracked)
+  };
+}
+
+/**
+ * Delete untracked files found by buildStorageReport
+ * @param {Array} files - report.untrackedFiles.items
+ * @returns {Object} { deleted, failed }
+ */
+async function deleteUntrackedFiles(files) {
+  let deleted = 0;
+  let failed = 0;
+  for (const file of files) {
+    try {
+      await deleteFile(file.key);
+      deleted++;
+    } catch (error) {
+      failed++;
+      logger.error(`Error deleting untracked file ${file.key}: ${error.message}`);
+    }
+  }
+  return { deleted, failed };
+}
+
+module.exports = {
+  getUploadRetentionHours,
+  expiredUploadsWhere,
+  purgeUploads,
+  purgeUploadsInBackground,
+  findUploadIds,
+  buildStorageReport,
+  deleteUntrackedFiles
+};
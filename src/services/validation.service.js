@@ -0,0 +1,354 @@
+// backend/src/services/validation.service.js
+// Answer validation engine - applies Question.validation and type-specific checks
+
+const { RE2JS } = require('re2js');
+const logger = require('../utils/logger');
+const {
+  MULTI_CHOICE_TYPES, FILE_TYPES, isEmptyValue, parseAnswerValue
+} = require('../utils/answers');
+
+const NUMERIC_TYPES = ['number', 'rating', 'scale', 'linearScale', 'slider'];
+const SINGLE_CHOICE_TYPES = ['multipleChoice', 'dropdown'];
+const CHOICE_TYPES = [...SINGLE_CHOICE_TYPES, ...MULTI_CHOICE_TYPES];
+
+const DEFAULT_MAX_FILE_SIZE = 25 * 1024 * 1024; // Also the ceiling for validation.maxFileSize
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const PHONE_PATTERN = /^\+?[0-9\s\-().]{7,20}$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}(T[\d:.]+(Z|[+-]\d{2}:?\d{2})?)?$/;
+
+// validation.pattern is written by form owners and run against every answer, so it runs on
+// RE2, whose matching time is linear in the input - no pattern can make it backtrack. RE2 has
+// no backreferences or lookarounds, and patterns must also compile in JavaScript for clients.
+// Patterns and the answers they are run against are still kept short.
+const MAX_PATTERN_LENGTH = 200;
+const MAX_PATTERN_INPUT_LENGTH = 1000;
+
+/**
+ * Get the values an answer may take for a choice question
+ * Options are stored either as plain strings or as objects with a value/label
+ * @param {Array} options - Question.options
+ * @returns {string[]} Accepted option values
+ */
+function getOptionValues(options) {
+  if (!Array.isArray(options)) {
+    return [];
+  }
+
+  const values = [];
+  options.forEach(option => {
+    if (option === null || option === undefined) {
+      return;
+    }
+    if (typeof option !== 'object') {
+      values.push(String(option));
+      return;
+    }
+    ['value', 'label', 'text'].forEach(key => {
+      if (option[key] !== undefined && option[key] !== null) {
+        values.push(String(option[key]));
+      }
+    });
+  });
+  return values;
+}
+
+function toNumber(value) {
+  if (value === null || value === undefined || value === '') {
+    return null;
+  }
+  const number = Number(value);
+  return Number.isFinite(number) ? number : null;
+}
+
+function isValidUrl(value) {
+  try {
+    const url = new URL(value);
+    return url.protocol === 'http:' || url.protocol === 'https:';
+  } catch (error) {
+    return false;
+  }
+}
+
+function isValidDate(value) {
+  return DATE_PATTERN.test(value) && !Number.isNaN(Date.parse(value));
+}
+
+function isValidPhone(value) {
+  return PHONE_PATTERN.test(value) && value.replace(/\D/g, '').length >= 7;
+}
+
+/**
+ * Check a validation pattern before it is saved or run
+ * @param {string} [pattern] - Question.validation.pattern
+ * @returns {string|null} Why the pattern is refused, or null if it is empty or can be run
+ */
+function checkPattern(pattern) {
+  if (pattern === undefined || pattern === null || pattern === '') {
+    return null;
+  }
+  if (typeof pattern !== 'string') {
+    return 'Pattern must be a string';
+  }
+  if (pattern.length > MAX_PATTERN_LENGTH) {
+    return `Pattern must be at most ${MAX_PATTERN_LENGTH} characters`;
+  }
+  try {
+    new RegExp(pattern);
+  } catch (error) {
+    return `Pattern is not a valid regular expression: ${error.message}`;
+  }
+  try {
+    RE2JS.compile(pattern);
+  } catch (error) {
+    return `Pattern uses syntax that is not supported, such as backreferences or lookarounds: ${error.message}`;
+  }
+  return null;
+}
+
+/**
+ * Check a text value against validation.pattern
+ */
+function matchesPattern(pattern, value, questionId) {
+  const problem = checkPattern(pattern);
+  if (problem) {
+    // Patterns saved before they were checked should not block respondents
+    logger.warn(`Ignoring validation pattern on question ${questionId}: ${problem}`);
+    return true;
+  }
+  return RE2JS.compile(pattern).matcher(value).find();
+}
+
+/**
+ * Check a value against the built-in format of its question type
+ * @returns {string|null} Error message or null if valid
+ */
+function checkFormat(type, value) {
+  switch (type) {
+    case 'email':
+      return EMAIL_PATTERN.test(value) ? null : 'Must be a valid email address';
+    case 'url':
+    case 'website':
+      return isValidUrl(value) ? null : 'Must be a valid URL starting with http:// or https://';
+    case 'phone':
+      return isValidPhone(value) ? null : 'Must be a valid phone number';
+    case 'date':
+      return isValidDate(value) ? null : 'Must be a valid date (YYYY-MM-DD)';
+    default:
+      if (NUMERIC_TYPES.includes(type)) {
+        return toNumber(value) === null ? 'Must be a number' : null;
+      }
+      return null;
+  }
+}
+
+/**
+ * Upload limits of a file question
+ * validation.maxFileSize is in bytes and capped by UPLOAD_MAX_FILE_SIZE; validation.allowedTypes
+ * lists MIME types, with wildcards such as image/*. Questions accept a single file by default.
+ * @param {Object} question - Question row
+ * @returns {Object} { maxFileSize, minFiles, maxFiles, allowedTypes } - allowedTypes is empty when any type is accepted
+ */
+function getUploadLimits(question) {
+  const validation = question.validation || {};
+  const ceiling = toNumber(process.env.UPLOAD_MAX_FILE_SIZE) || DEFAULT_MAX_FILE_SIZE;
+  const maxFileSize = toNumber(validation.maxFileSize);
+  const minFiles = toNumber(validation.minFiles);
+  const maxFiles = toNumber(validation.maxFiles);
+
+  return {
+    maxFileSize: maxFileSize !== null && maxFileSize > 0 ? Math.min(maxFileSize, ceiling) : ceiling,
+    minFiles: minFiles !== null && minFiles > 0 ? minFiles : 0,
+    maxFiles: maxFiles !== null && maxFiles > 0 ? maxFiles : 1,
+    allowedTypes: Array.isArray(validation.allowedTypes)
+      ? validation.allowedTypes.filter(type => typeof type === 'string').map(type => type.trim().toLowerCase())
+      : []
+  };
+}
+
+function matchesMimeType(allowedTypes, contentType) {
+  const type = String(contentType).split(';')[0].trim().toLowerCase();
+  return allowedTypes.some(allowed => (
+    allowed.endsWith('/*') ? type.startsWith(allowed.slice(0, -1)) : type === allowed
+  ));
+}
+
+/**
+ * Check a file against its question's upload limits
+ * @param {Object} question - Question row
+ * @param {Object} file - { contentType, size } - size in bytes
+ * @returns {Array} Field-level errors, empty when the file is accepted
+ */
+function validateUpload(question, file) {
+  const errors = [];
+  const limits = getUploadLimits(question);
+  const addError = (field, rule, message) => errors.push({ questionId: question.id, field, rule, message });
+
+  if (!FILE_TYPES.includes(question.type)) {
+    addError('questionId', 'type', 'This question does not accept file uploads');
+    return errors;
+  }
+  if (limits.allowedTypes.length > 0 && !matchesMimeType(limits.allowedTypes, file.contentType)) {
+    addError('contentType', 'fileType', `Files must be of type ${limits.allowedTypes.join(', ')}`);
+  }
+  if (file.size > limits.maxFileSize) {
+    addError('size', 'maxFileSize', `Files must be at most ${limits.maxFileSize} bytes`);
+  }
+  return errors;
+}
+
+/**
+ * Validate the files given as the answer to a file question
+ * A single file is stored in fileUrl alone; several are also listed in the value as a JSON array.
+ */
+function validateFileAnswer(question, fileUrls, addError) {
+  const limits = getUploadLimits(question);
+
+  if (fileUrls.length === 0) {
+    if (question.isRequired) {
+      addError('required', 'This question requires an answer');
+    }
+    return { value: null, fileUrl: null };
+  }
+
+  if (fileUrls.length < limits.minFiles) {
+    addError('minFiles', `Upload at least ${limits.minFiles} files`);
+  }
+  if (fileUrls.length > limits.maxFiles) {
+    addError('maxFiles', limits.maxFiles === 1 ? 'Only one file can be uploaded' : `Upload at most ${limits.maxFiles} files`);
+  }
+
+  return {
+    value: fileUrls.length > 1 ? JSON.stringify(fileUrls) : null,
+    fileUrl: fileUrls[0]
+  };
+}
+
+/**
+ * Validate an answer against its question
+ * @param {Object} question - Question row (type, isRequired, options, validation)
+ * @param {*} value - Submitted value (string, number or array for multi-select)
+ * @param {string|string[]} [fileUrl] - Uploaded file URL(s), which satisfy a required question on their own
+ * @returns {Object} { value, fileUrl, errors } - value and fileUrl normalized for storage and a list of field-level errors
+ */
+function validateAnswer(question, value, fileUrl) {
+  const errors = [];
+  const validation = question.validation || {};
+  const addError = (rule, message) => errors.push({
+    questionId: question.id,
+    field: 'value',
+    rule,
+    message
+  });
+
+  const fileUrls = [].concat(fileUrl === undefined || fileUrl === null ? [] : fileUrl)
+    .filter(url => typeof url === 'string' && url !== '');
+
+  if (FILE_TYPES.includes(question.type)) {
+    return { ...validateFileAnswer(question, fileUrls, addError), errors };
+  }
+
+  const parsed = parseAnswerValue(value === undefined ? null : value, question.type);
+  const storedValue = Array.isArray(parsed) ? JSON.stringify(parsed) : parsed;
+  const storedFileUrl = fileUrls.length > 0 ? fileUrls[0] : null;
+
+  if (isEmptyValue(parsed)) {
+    if (question.isRequired && !storedFileUrl) {
+      addError('required', 'This question requires an answer');
+    }
+    return { value: storedValue, fileUrl: storedFileUrl, errors };
+  }
+
+  // Choice questions: every selected value must be one of the options
+  if (CHOICE_TYPES.includes(question.type)) {
+    const selected = Array.isArray(parsed) ? parsed : [parsed];
+    const optionValues = getOptionValues(question.options);
+
+    if (SINGLE_CHOICE_TYPES.includes(question.type) && selected.length > 1) {
+      addError('choice', 'Only one option can be selected');
+    }
+
+    const invalid = selected.filter(choice => !optionValues.includes(choice));
+    if (invalid.length > 0) {
+      addError('choice', `Not a valid option: ${invalid.join(', ')}`);
+    }
+
+    // For multi-select, min/max bound the number of selections
+    if (MULTI_CHOICE_TYPES.includes(question.type)) {
+      const min = toNumber(validation.min);
+      const max = toNumber(validation.max);
+      if (min !== null && selected.length < min) {
+        addError('min', `Select at least ${min} options`);
+      }
+      if (max !== null && selected.length > max) {
+        addError('max', `Select at most ${max} options`);
+      }
+    }
+
+    return { value: storedValue, fileUrl: storedFileUrl, errors };
+  }
+
+  if (Array.isArray(parsed)) {
+    addError('type', 'Only a single value is accepted for this question');
+    return { value: storedValue, fileUrl: storedFileUrl, errors };
+  }
+
+  const text = String(parsed).trim();
+  const formatError = checkFormat(question.type, text);
+  if (formatError) {
+    addError('format', formatError);
+    return { value: storedValue, fileUrl: storedFileUrl, errors };
+  }
+
+  const min = validation.min;
+  const max = validation.max;
+
+  if (NUMERIC_TYPES.includes(question.type)) {
+    const number = toNumber(text);
+    if (toNumber(min) !== null && number < toNumber(min)) {
+      addError('min', `Must be at least ${min}`);
+    }
+    if (toNumber(max) !== null && number > toNumber(max)) {
+      addError('max', `Must be at most ${max}`);
+    }
+  } else if (question.type === 'date') {
+    const timestamp = Date.parse(text);
+    if (min && isValidDate(String(min)) && timestamp < Date.parse(min)) {
+      addError('min', `Must be on or after ${min}`);
+    }
+    if (max && isValidDate(String(max)) && timestamp > Date.parse(max)) {
+      addError('max', `Must be on or before ${max}`);
+    }
+  } else {
+    // Everything else is text-like: min/max bound the length
+    if (toNumber(min) !== null && text.length < toNumber(min)) {
+      addError('min', `Must be at least ${min} characters`);
+    }
+    if (toNumber(max) !== null && text.length > toNumber(max)) {
+      addError('max', `Must be at most ${max} characters`);
+    }
+  }
+
+  if (validation.pattern) {
+    if (text.length > MAX_PATTERN_INPUT_LENGTH) {
+      addError('pattern', `Must be at most ${MAX_PATTERN_INPUT_LENGTH} characters`);
+    } else if (!matchesPattern(validation.pattern, text, question.id)) {
+      addError('pattern', validation.message || 'Does not match the expected format');
+    }
+  }
+
+  return { value: storedValue, fileUrl: storedFileUrl, errors };
+}
+
+module.exports = {
+  EMAIL_PATTERN,
+  NUMERIC_TYPES,
+  CHOICE_TYPES,
+  MULTI_CHOICE_TYPES,
+  FILE_TYPES,
+  getOptionValues,
+  getUploadLimits,
+  checkPattern,
+  validateUpload,
+  validateAnswer
+};
@@ -0,0 +1,157 @@
+// backend/src/services/visit.service.js
+// Form visit tracking shared by the fill page and the visit beacon
+
+const crypto = require('crypto');
+const { PrismaClient } = require('@prisma/client');
+const logger = require('../utils/logger');
+const { parseUtm } = require('../utils/trafficSource');
+const { isBot } = require('../utils/userAgent');
+const { lookupCountry } = require('./geoip.service');
+
+const prisma = new PrismaClient();
+
+// Repeat loads by the same visitor within this window count as one visit
+const VISIT_DEDUPE_WINDOW_MS = 30 * 60 * 1000;
+
+let currentSalt = null;
+
+/**
+ * Get the random salt for today's visitor hashes, creating it on first use
+ * Older salts are deleted, so a hash can only be matched within its own day.
+ * @returns {string} Salt
+ */
+async function getDailySalt() {
+  const day = new Date().toISOString().slice(0, 10);
+  if (currentSalt && currentSalt.day === day) {
+    return currentSalt.salt;
+  }
+
+  let record;
+  try {
+    record = await prisma.visitorSalt.upsert({
+      where: { day },
+      update: {},
+      create: { day, salt: crypto.randomBytes(32).toString('hex') }
+    });
+  } catch (error) {
+    // Another instance created today's salt at the same time
+    record = await prisma.visitorSalt.findUnique({ where: { day } });
+    if (!record) {
+      throw error;
+    }
+  }
+
+  await prisma.visitorSalt.deleteMany({ where: { day: { lt: day } } });
+  currentSalt = { day, salt: record.salt };
+  return record.salt;
+}
+
+/**
+ * Hash a visitor's IP address and user agent - the raw IP is never stored
+ * The form ID is part of the hash so visitors cannot be matched across forms.
+ * @param {string} formId - Form ID
+ * @param {Object} req - Express request
+ * @returns {string} Hex digest
+ */
+async function hashVisitor(formId, req) {
+  const salt = await getDailySalt();
+  return crypto
+    .createHmac('sha256', salt)
+    .update(`${formId}|${req.ip || ''}|${req.headers['user-agent'] || ''}`)
+    .digest('hex');
+}
+
+/**
+ * Record a visit to a form, or reuse the one the client already has
+ * The fill endpoint returns a visitId; a later beacon or response start that
+ * passes it back refers to the same page load instead of counting a new visit.
+ * Without one, a visit by the same visitor hash in the last 30 minutes is reused,
+ * so reloads are not counted twice.
+ *
+ * The client may pass the page's own referrer (document.referrer) and UTM tags;
+ * otherwise UTM tags are read from the page URL in the Referer header.
+ * @param {Object} req - Express request
+ * @param {string} formId - Form ID
+ * @param {Object} [params] - { visitId, referrer, utm_source, utm_medium, utm_campaign, utm_term, utm_content }
+ * @returns {Object} FormVisit record
+ */
+async function recordVisit(req, formId, params = {}) {
+  if (params.visitId) {
+    const existing = await findVisit(formId, params.visitId);
+    if (existing) {
+      return existing;
+    }
+  }
+
+  const visitorHash = await hashVisitor(formId, req);
+  const recent = await prisma.formVisit.findFirst({
+    where: {
+      formId,
+      visitorHash,
+      visitedAt: { gte: new Date(Date.now() - VISIT_DEDUPE_WINDOW_MS) }
+    },
+    orderBy: { visitedAt: 'desc' }
+  });
+  if (recent) {
+    return recent;
+  }
+
+  const pageUrl = req.headers.referer || req.headers.referrer;
+  const referrer = typeof params.referrer === 'string' ? params.referrer.slice(0, 2000) : pageUrl;
+  const userAgent = req.headers['user-agent'];
+
+  return prisma.formVisit.create({
+    data: {
+      formId,
+      visitorHash,
+      isBot: isBot(userAgent),
+      userAgent,
+      referrer: referrer || null,
+      ...parseUtm(params, pageUrl),
+      country: lookupCountry(req.ip)
+    }
+  });
+}
+
+/**
+ * Find a visit by ID, only if it belongs to the given form
+ * @param {string} formId - Form ID
+ * @param {string} visitId - Visit ID
+ * @returns {Object|null} FormVisit record
+ */
+async function findVisit(formId, visitId) {
+  if (typeof visitId !== 'string' || visitId === '') {
+    return null;
+  }
+  return prisma.formVisit.findFirst({
+    where: { id: visitId, formId }
+  });
+}
+
+/**
+ * Record that questions were shown to a respondent
+ * Only the first view of each question is kept. Failures are logged rather
+ * than thrown so analytics never block a respondent.
+ * @param {string} responseId - Response ID
+ * @param {string[]} questionIds - Question IDs shown
+ */
+async function recordQuestionViews(responseId, questionIds) {
+  const ids = [...new Set(questionIds.filter(Boolean))];
+  if (ids.length === 0) {
+    return;
+  }
+  try {
+    await prisma.questionView.createMany({
+      data: ids.map(questionId => ({ responseId, questionId })),
+      skipDuplicates: true
+    });
+  } catch (error) {
+    logger.warn(`Could not record question views for response ${responseId}: ${error.message}`);
+  }
+}
+
+module.exports = {
+  recordVisit,
+  findVisit,
+  recordQuestionViews
+};
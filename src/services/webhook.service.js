@@ -0,0 +1,407 @@
+// backend/src/services/webhook.service.js
+// Outgoing webhooks: signed event deliveries with retries and automatic disabling
+//
+// Each event creates one WebhookDelivery per subscribed webhook. The first attempt is
+// made straight away; failed attempts are retried by the webhookDelivery job with
+// exponential backoff until MAX_ATTEMPTS is reached.
+//
+// Requests only go to public addresses, are never redirected, and only the status and
+// timing of the response are kept - never its body.
+
+const crypto = require('crypto');
+const http = require('http');
+const https = require('https');
+const Joi = require('joi');
+const { v4: uuidv4 } = require('uuid');
+const { PrismaClient } = require('@prisma/client');
+const logger = require('../utils/logger');
+const { publicLookup, checkPublicUrl } = require('../utils/publicAddress');
+const { buildAnswerMap, formatAnswers } = require('../utils/answers');
+const { resolveQuestionFlow } = require('./logic.service');
+const { getResponseDefinition } = require('./formVersion.service');
+const { arrangeDefinition } = require('./questionOrder.service');
+
+const prisma = new PrismaClient();
+
+const WEBHOOK_EVENTS = [
+  'response.started',
+  'answer.submitted',
+  'response.completed',
+  'form.published',
+  'form.updated'
+];
+
+const MAX_ATTEMPTS = 6;
+const RETRY_BASE_DELAY_MS = 60 * 1000; // 1, 2, 4, 8 and 16 minutes between attempts
+const DISABLE_AFTER_FAILURES = 5; // Deliveries in a row that used up all their attempts
+const REQUEST_TIMEOUT_MS = 10 * 1000;
+const ATTEMPT_LEASE_MS = REQUEST_TIMEOUT_MS * 3; // Retry an attempt whose worker died mid-request
+const DUE_BATCH_SIZE = 50;
+
+const webhookFields = {
+  url: Joi.string().uri({ scheme: ['http', 'https'] }).max(2000),
+  events: Joi.array().items(Joi.string().valid(...WEBHOOK_EVENTS)).min(1).unique(),
+  isActive: Joi.boolean()
+};
+
+// Body of POST /api/forms/:id/webhooks
+const createWebhookSchema = Joi.object({
+  ...webhookFields,
+  url: webhookFields.url.required(),
+  events: webhookFields.events.required()
+});
+
+// Body of PUT /api/forms/:id/webhooks/:webhookId
+const updateWebhookSchema = Joi.object({
+  ...webhookFields,
+  rotateSecret: Joi.boolean()
+}).min(1);
+
+/**
+ * Generate a signing secret for a webhook
+ * @returns {string} Secret
+ */
+function generateSecret() {
+  return `whsec_${crypto.randomBytes(24).toString('hex')}`;
+}
+
+/**
+ * Signature header for a payload
+ * Receivers recompute HMAC-SHA256(secret, `${t}.${body}`) and compare it with v1,
+ * and should reject old timestamps to prevent replays.
+ * @param {string} secret - Webhook secret
+ * @param {string} body - Raw JSON body
+ * @param {number} timestamp - Unix time in seconds
+ * @returns {string} X-Triddle-Signature value, e.g. t=1700000000,v1=5257a869...
+ */
+function signPayload(secret, body, timestamp) {
+  const signature = crypto
+    .createHmac('sha256', secret)
+    .update(`${timestamp}.${body}`)
+    .digest('hex');
+  return `t=${timestamp},v1=${signature}`;
+}
+
+/**
+ * Delay before the next attempt, after the given number of attempts
+ */
+function getRetryDelay(attempts) {
+  return RETRY_BASE_DELAY_MS * 2 ** (attempts - 1);
+}
+
+/**
+ * Event data for a response: its state and the answers on the respondent's path
+ * @param {string} responseId - Response ID
+ * @returns {Object|null} { response, answers } or null if not found
+ */
+async function buildResponseData(responseId) {
+  const response = await prisma.response.findUnique({
+    where: { id: responseId },
+    include: {
+      answers: true
+    }
+  });
+
+  if (!response) {
+    return null;
+  }
+
+  const definition = arrangeDefinition(await getResponseDefinition(response), response.id);
+  const flow = resolveQuestionFlow(definition.questions, buildAnswerMap(response.answers, definition.questions));
+
+  return {
+    response: {
+      id: response.id,
+      respondentId: response.respondentId,
+      formVersionId: response.formVersionId,
+      isCompleted: response.isCompleted,
+      startedAt: response.startedAt,
+      completedAt: response.completedAt
+    },
+    answers: formatAnswers(flow.visibleQuestions, response.answers)
+  };
+}
+
+/**
+ * Event data for a form
+ * @param {Object} form - Form row
+ * @param {Object} [version] - FormVersion row, for form.published
+ * @returns {Object} { form, version? }
+ */
+function buildFormData(form, version) {
+  return {
+    form: {
+      id: form.id,
+      title: form.title,
+      description: form.description,
+      isPublished: form.isPublished,
+      updatedAt: form.updatedAt
+    },
+    ...(version && {
+      version: {
+        id: version.id,
+        version: version.version,
+        publishedAt: version.publishedAt
+      }
+    })
+  };
+}
+
+/**
+ * POST a payload to a webhook URL
+ * Resolves with the response status as soon as it arrives - the body is discarded, and
+ * redirects are reported as their 3xx status rather than followed.
+ * @param {string} url - Webhook URL, already checked with checkPublicUrl
+ * @param {Object} headers - Request headers
+ * @param {string} body - Raw JSON body
+ * @returns {Promise<number>} HTTP status
+ */
+function postPayload(url, headers, body) {
+  return new Promise((resolve, reject) => {
+    const target = new URL(url);
+    const client = target.protocol === 'https:' ? https : http;
+    const request = client.request(target, {
+      method: 'POST',
+      headers: {
+        ...headers,
+        'Content-Length': Buffer.byteLength(body)
+      },
+      lookup: publicLookup
+    }, response => {
+      clearTimeout(timer);
+      response.destroy();
+      resolve(response.statusCode);
+    });
+
+    const timer = setTimeout(() => {
+      const timeoutError = new Error(`No response within ${REQUEST_TIMEOUT_MS / 1000} seconds`);
+      timeoutError.name = 'TimeoutError';
+      request.destroy(timeoutError);
+    }, REQUEST_TIMEOUT_MS);
+
+    request.on('error', error => {
+      clearTimeout(timer);
+      reject(error);
+    });
+    request.end(body);
+  });
+}
+
+/**
+ * Record that a webhook's delivery used up all its attempts, disabling it after too many in a row
+ */
+async function recordExhaustedDelivery(webhookId) {
+  const webhook = await prisma.webhook.update({
+    where: { id: webhookId },
+    data: {
+      consecutiveFailures: { increment: 1 }
+    }
+  });
+
+  if (webhook.isActive && webhook.consecutiveFailures >= DISABLE_AFTER_FAILURES) {
+    await prisma.webhook.update({
+      where: { id: webhookId },
+      data: {
+        isActive: false,
+        disabledAt: new Date()
+      }
+    });
+    // Nothing else will be sent, so stop the retries still queued
+    await prisma.webhookDelivery.updateMany({
+      where: { webhookId, status: 'pending' },
+      data: {
+        status: 'failed',
+        nextAttemptAt: null,
+        error: 'Webhook disabled after repeated failures'
+      }
+    });
+    logger.warn(`Disabled webhook ${webhookId} after ${webhook.consecutiveFailures} failed deliveries`);
+  }
+}
+
+/**
+ * Make one attempt at a delivery and record the outcome
+ * @param {Object} delivery - WebhookDelivery row with its webhook
+ * @param {Object} options - { retry } - false for a single manual attempt
+ * @returns {Object|null} Updated delivery, or null if another worker is already attempting it
+ */
+async function attemptDelivery(delivery, { retry = true } = {}) {
+  const now = new Date();
+
+  // Claim the attempt - the attempts count doubles as an optimistic lock
+  const { count } = await prisma.webhookDelivery.updateMany({
+    where: { id: delivery.id, status: 'pending', attempts: delivery.attempts },
+    data: {
+      attempts: { increment: 1 },
+      lastAttemptAt: now,
+      nextAttemptAt: new Date(now.getTime() + ATTEMPT_LEASE_MS)
+    }
+  });
+  if (count === 0) {
+    return null;
+  }
+  const attempts = delivery.attempts + 1;
+
+  const body = JSON.stringify(delivery.payload);
+  const timestamp = Math.floor(now.getTime() / 1000);
+  let responseStatus = null;
+  let durationMs = null;
+  // Checked again on every attempt - the host may have been repointed since the URL was saved
+  let error = await checkPublicUrl(delivery.webhook.url);
+
+  if (error === null) {
+    const startedAt = Date.now();
+    try {
+      responseStatus = await postPayload(delivery.webhook.url, {
+        'Content-Type': 'application/json',
+        'User-Agent': 'Triddle-Webhooks/1.0',
+        'X-Triddle-Event': delivery.event,
+        'X-Triddle-Delivery': delivery.id,
+        'X-Triddle-Signature': signPayload(delivery.webhook.secret, body, timestamp)
+      }, body);
+      durationMs = Date.now() - startedAt;
+      if (responseStatus < 200 || responseStatus >= 300) {
+        error = `Endpoint responded with ${responseStatus}`;
+      }
+    } catch (requestError) {
+      error = requestError.message;
+    }
+  }
+
+  const succeeded = error === null;
+  const willRetry = !succeeded && retry && attempts < MAX_ATTEMPTS;
+
+  const updated = await prisma.webhookDelivery.update({
+    where: { id: delivery.id },
+    data: {
+      status: succeeded ? 'succeeded' : (willRetry ? 'pending' : 'failed'),
+      nextAttemptAt: willRetry ? new Date(Date.now() + getRetryDelay(attempts)) : null,
+      responseStatus,
+      durationMs,
+      error,
+      deliveredAt: succeeded ? new Date() : null
+    }
+  });
+
+  if (succeeded) {
+    if (delivery.webhook.consecutiveFailures > 0) {
+      await prisma.webhook.update({
+        where: { id: delivery.webhookId },
+        data: { consecutiveFailures: 0 }
+      });
+    }
+  } else if (!willRetry && retry) {
+    await recordExhaustedDelivery(delivery.webhookId);
+  }
+
+  return updated;
+}
+
+/**
+ * Send an event to every active webhook on a form that subscribes to it
+ * Never throws - failures are logged and retried, so callers do not need to wait.
+ * @param {string} formId - Form ID
+ * @param {string} event - One of WEBHOOK_EVENTS
+ * @param {Object|Function} data - Event data, or an async function building it (only called when someone subscribes)
+ * @returns {Array} Deliveries created
+ */
+async function emitWebhookEvent(formId, event, data) {
+  try {
+    const webhooks = await prisma.webhook.findMany({
+      where: {
+        formId,
+        isActive: true,
+        events: { has: event }
+      }
+    });
+
+    if (webhooks.length === 0) {
+      return [];
+    }
+
+    const eventData = typeof data === 'function' ? await data() : data;
+    if (!eventData) {
+      return [];
+    }
+    const createdAt = new Date();
+
+    const deliveries = await Promise.all(webhooks.map(webhook => {
+      const id = uuidv4();
+      return prisma.webhookDelivery.create({
+        data: {
+          id,
+          webhookId: webhook.id,
+          event,
+          payload: { id, event, createdAt, formId, data: eventData },
+          nextAttemptAt: createdAt
+        },
+        include: { webhook: true }
+      });
+    }));
+
+    // First attempts go out together; failures are picked up by the retry job
+    await Promise.all(deliveries.map(delivery => attemptDelivery(delivery)));
+    return deliveries;
+  } catch (error) {
+    logger.error(`Error sending ${event} webhooks for form ${formId}: ${error.message}`);
+    return [];
+  }
+}
+
+/**
+ * Retry deliveries that are due
+ * @returns {number} Number of deliveries attempted
+ */
+async function processDueDeliveries() {
+  const due = await prisma.webhookDelivery.findMany({
+    where: {
+      status: 'pending',
+      nextAttemptAt: { lte: new Date() },
+      webhook: { isActive: true }
+    },
+    include: { webhook: true },
+    orderBy: { nextAttemptAt: 'asc' },
+    take: DUE_BATCH_SIZE
+  });
+
+  for (const delivery of due) {
+    await attemptDelivery(delivery);
+  }
+  return due.length;
+}
+
+/**
+ * Send a past delivery's payload again, as a new delivery with a single attempt
+ * Works on disabled webhooks too, so an owner can check a fixed endpoint before re-enabling it.
+ * @param {Object} delivery - WebhookDelivery row with its webhook
+ * @returns {Object} The new delivery after its attempt
+ */
+async function redeliver(delivery) {
+  const id = uuidv4();
+  const created = await prisma.webhookDelivery.create({
+    data: {
+      id,
+      webhookId: delivery.webhookId,
+      event: delivery.event,
+      payload: { ...delivery.payload, id },
+      nextAttemptAt: new Date()
+    },
+    include: { webhook: true }
+  });
+
+  return attemptDelivery(created, { retry: false });
+}
+
+module.exports = {
+  WEBHOOK_EVENTS,
+  MAX_ATTEMPTS,
+  createWebhookSchema,
+  updateWebhookSchema,
+  generateSecret,
+  signPayload,
+  buildResponseData,
+  buildFormData,
+  emitWebhookEvent,
+  processDueDeliveries,
+  redeliver
+};
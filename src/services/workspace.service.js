@@ -0,0 +1,126 @@
+// backend/src/services/workspace.service.js
+// Workspaces: personal workspaces, request validation and member invitations
+//
+// Every user has a personal workspace that new forms go to by default. Personal
+// workspaces are not shared - teams create a workspace, invite colleagues by email and
+// move or duplicate forms into it.
+
+const crypto = require('crypto');
+const Joi = require('joi');
+const { PrismaClient } = require('@prisma/client');
+const { ROLES } = require('./access.service');
+const { sendEmail, escapeHtml, getFrontendUrl } = require('./email.service');
+
+const prisma = new PrismaClient();
+
+// Ownership is handed over by changing a member's role, never through an invitation
+const INVITATION_ROLES = ROLES.filter(role => role !== 'owner');
+const INVITATION_EXPIRES_DAYS = 7;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Body of POST /api/workspaces and PUT /api/workspaces/:id
+const workspaceSchema = Joi.object({
+  name: Joi.string().trim().min(1).max(100).required()
+});
+
+// Body of PUT /api/workspaces/:id/members/:userId
+const updateMemberSchema = Joi.object({
+  role: Joi.string().valid(...ROLES).required()
+});
+
+// Body of POST /api/workspaces/:id/invitations
+const createInvitationSchema = Joi.object({
+  email: Joi.string().trim().lowercase().email().max(254).required(),
+  role: Joi.string().valid(...INVITATION_ROLES).required()
+});
+
+/**
+ * Get a user's personal workspace, creating it if needed
+ * Personal workspaces reuse the ID of the user they belong to.
+ * @param {string} userId - User ID
+ * @param {Object} [tx] - Prisma client or transaction client
+ * @returns {Object} Workspace row
+ */
+function ensurePersonalWorkspace(userId, tx = prisma) {
+  return tx.workspace.upsert({
+    where: { id: userId },
+    create: {
+      id: userId,
+      name: 'Personal',
+      isPersonal: true,
+      members: {
+        create: {
+          userId,
+          role: 'owner'
+        }
+      }
+    },
+    update: {}
+  });
+}
+
+/**
+ * Hash an invitation token - only the hash is stored
+ * @param {string} token - Token from the invitation link
+ * @returns {string} Hex SHA-256
+ */
+function hashInvitationToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+/**
+ * Generate a token for a new invitation
+ * @returns {Object} { token, tokenHash, expiresAt }
+ */
+function createInvitationToken() {
+  const token = crypto.randomBytes(32).toString('base64url');
+  return {
+    token,
+    tokenHash: hashInvitationToken(token),
+    expiresAt: new Date(Date.now() + INVITATION_EXPIRES_DAYS * DAY_MS)
+  };
+}
+
+/**
+ * Link invited users follow to accept in the frontend
+ * @param {string} token - Invitation token
+ * @returns {string} URL
+ */
+function getInvitationUrl(token) {
+  return `${getFrontendUrl()}/invitations/${encodeURIComponent(token)}`;
+}
+
+/**
+ * Email an invitation link
+ * @param {Object} invitation - WorkspaceInvitation row
+ * @param {Object} workspace - Workspace row (name)
+ * @param {Object} inviter - User who sent the invitation (name, email)
+ * @param {string} invitationUrl - Result of getInvitationUrl
+ */
+async function sendInvitationEmail(invitation, workspace, inviter, invitationUrl) {
+  const inviterName = inviter.name || inviter.email;
+  const expires = invitation.expiresAt.toISOString().slice(0, 10);
+  await sendEmail({
+    to: invitation.email,
+    replyTo: inviter.email,
+    subject: `${inviterName} invited you to "${workspace.name}" on Triddle`,
+    text: `${inviterName} invited you to join the "${workspace.name}" workspace on Triddle as ${invitation.role}.\n\nAccept the invitation by signing in with ${invitation.email}:\n\n${invitationUrl}\n\nThis link works until ${expires}.\n`,
+    html: [
+      `<p style="font-family:sans-serif">${escapeHtml(inviterName)} invited you to join the <strong>${escapeHtml(workspace.name)}</strong> workspace on Triddle as ${escapeHtml(invitation.role)}.</p>`,
+      `<p style="font-family:sans-serif"><a href="${escapeHtml(invitationUrl)}">Accept the invitation</a></p>`,
+      `<p style="font-family:sans-serif;color:#6b7280;font-size:12px">Sign in with ${escapeHtml(invitation.email)} to accept. This link works until ${escapeHtml(expires)}.</p>`
+    ].join('\n')
+  });
+}
+
+module.exports = {
+  INVITATION_ROLES,
+  workspaceSchema,
+  updateMemberSchema,
+  createInvitationSchema,
+  ensurePersonalWorkspace,
+  hashInvitationToken,
+  createInvitationToken,
+  getInvitationUrl,
+  sendInvitationEmail
+};
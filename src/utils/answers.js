@@ -0,0 +1,129 @@
+// backend/src/utils/answers.js
+// Helpers for reading stored answer values
+
+// Question types whose answers are stored as a JSON array string - the choices selected,
+// or the URLs when several files are uploaded
+const MULTI_CHOICE_TYPES = ['checkboxes'];
+const FILE_TYPES = ['fileUpload', 'file'];
+const LIST_TYPES = [...MULTI_CHOICE_TYPES, ...FILE_TYPES];
+
+/**
+ * Check whether an answer value should be treated as empty
+ * @param {*} value - Raw or parsed answer value
+ * @returns {boolean} True when nothing was answered
+ */
+function isEmptyValue(value) {
+  if (value === null || value === undefined) {
+    return true;
+  }
+  if (Array.isArray(value)) {
+    return value.length === 0;
+  }
+  return String(value).trim() === '';
+}
+
+/**
+ * Parse a stored answer value
+ * Only questions of LIST_TYPES store JSON arrays - everything else is plain text, even
+ * when it looks like JSON
+ * @param {string|null} value - Value as stored on the Answer row
+ * @param {string} [type] - Type of the question answered
+ * @returns {string|string[]|null} Parsed value
+ */
+function parseAnswerValue(value, type) {
+  if (value === null || value === undefined) {
+    return null;
+  }
+  if (Array.isArray(value)) {
+    return value.map(String);
+  }
+
+  const text = String(value);
+  if (LIST_TYPES.includes(type)) {
+    try {
+      const parsed = JSON.parse(text);
+      if (Array.isArray(parsed)) {
+        return parsed.map(String);
+      }
+    } catch (error) {
+      // Not JSON - fall through and treat it as plain text
+    }
+  }
+
+  return text;
+}
+
+/**
+ * Normalize a parsed answer value into a list of values
+ * @param {string|string[]|null} value - Parsed answer value
+ * @returns {string[]} List of values (empty when unanswered)
+ */
+function toValueList(value) {
+  if (isEmptyValue(value)) {
+    return [];
+  }
+  return Array.isArray(value) ? value.map(String) : [String(value)];
+}
+
+/**
+ * Build a map of questionId -> parsed value from Answer rows
+ * @param {Array} answers - Answer rows
+ * @param {Array} questions - Questions answered (id, type), which decide how values are parsed
+ * @returns {Object} Answers keyed by question ID
+ */
+function buildAnswerMap(answers, questions) {
+  const types = {};
+  (questions || []).forEach(question => {
+    types[question.id] = question.type;
+  });
+
+  const answerMap = {};
+  (answers || []).forEach(answer => {
+    answerMap[answer.questionId] = parseAnswerValue(answer.value, types[answer.questionId]);
+  });
+  return answerMap;
+}
+
+/**
+ * Pair answers with their questions for display, in question order
+ * @param {Array} questions - Questions in presentation order (id, title, type)
+ * @param {Array} answers - Answer rows
+ * @returns {Array} [{ questionId, title, type, value, fileUrl, text }] - text is empty when unanswered
+ */
+function formatAnswers(questions, answers) {
+  const answersByQuestion = {};
+  (answers || []).forEach(answer => {
+    answersByQuestion[answer.questionId] = answer;
+  });
+
+  return questions.map(question => {
+    const answer = answersByQuestion[question.id];
+    const value = answer ? parseAnswerValue(answer.value, question.type) : null;
+    const fileUrl = answer ? answer.fileUrl || null : null;
+    let text = '';
+    if (!isEmptyValue(value)) {
+      text = Array.isArray(value) ? value.join(', ') : value;
+    } else if (fileUrl) {
+      text = fileUrl;
+    }
+
+    return {
+      questionId: question.id,
+      title: question.title,
+      type: question.type,
+      value,
+      fileUrl,
+      text
+    };
+  });
+}
+
+module.exports = {
+  MULTI_CHOICE_TYPES,
+  FILE_TYPES,
+  isEmptyValue,
+  parseAnswerValue,
+  toValueList,
+  buildAnswerMap,
+  formatAnswers
+};
@@ -0,0 +1,62 @@
+// backend/src/utils/deviceId.js
+// Anonymous device identifier kept in a long-lived cookie
+
+const crypto = require('crypto');
+
+const DEVICE_COOKIE = 'triddle_device';
+const DEVICE_COOKIE_MAX_AGE_MS = 365 * 24 * 60 * 60 * 1000;
+const DEVICE_ID_PATTERN = /^[a-f0-9-]{36}$/;
+
+/**
+ * Read a cookie from the request's Cookie header
+ * @param {Object} req - Express request
+ * @param {string} name - Cookie name
+ * @returns {string|null} Cookie value
+ */
+function readCookie(req, name) {
+  const header = req.headers.cookie;
+  if (!header) {
+    return null;
+  }
+  for (const part of header.split(';')) {
+    const index = part.indexOf('=');
+    if (index !== -1 && part.slice(0, index).trim() === name) {
+      try {
+        return decodeURIComponent(part.slice(index + 1).trim());
+      } catch (error) {
+        return null;
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Get the device ID from the request cookie, issuing a new one if missing
+ * The form is usually served from another site, so the cookie is cross-site
+ * (SameSite=None) and therefore Secure outside development.
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @returns {string} Device ID
+ */
+function ensureDeviceId(req, res) {
+  const existing = readCookie(req, DEVICE_COOKIE);
+  if (existing && DEVICE_ID_PATTERN.test(existing)) {
+    return existing;
+  }
+
+  const deviceId = crypto.randomUUID();
+  const secure = process.env.NODE_ENV === 'production';
+  res.cookie(DEVICE_COOKIE, deviceId, {
+    httpOnly: true,
+    secure,
+    sameSite: secure ? 'none' : 'lax',
+    maxAge: DEVICE_COOKIE_MAX_AGE_MS
+  });
+  return deviceId;
+}
+
+module.exports = {
+  readCookie,
+  ensureDeviceId
+};
@@ -0,0 +1,127 @@
+// backend/src/utils/formFilters.js
+// Build Prisma filters for the forms listing from query parameters
+
+const SORT_FIELDS = ['createdAt', 'updatedAt', 'title', 'responseCount', 'lastResponseAt'];
+
+const MAX_SEARCH_LENGTH = 200;
+
+const DATE_FILTERS = {
+  createdFrom: ['createdAt', 'gte'],
+  createdTo: ['createdAt', 'lte'],
+  updatedFrom: ['updatedAt', 'gte'],
+  updatedTo: ['updatedAt', 'lte']
+};
+
+function parseDate(value, field, errors) {
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    errors.push({ field, message: `${field} must be a valid date` });
+    return null;
+  }
+  return date;
+}
+
+/**
+ * Build a Prisma where clause for the forms listing
+ * Supported query parameters:
+ * - workspaceId: only forms in this workspace
+ * - q: full-text search on title and description, in web search syntax
+ *   ("quoted phrases", -excluded, or); returned as search since it needs a raw query
+ * - status: published | draft
+ * - createdFrom, createdTo, updatedFrom, updatedTo: ISO dates
+ * - respondedSince: ISO date, only forms with a response started since then
+ * @param {Object} scope - Where clause for the forms the user may see
+ * @param {Object} query - Request query parameters
+ * @returns {Object} { where, search, errors } - search is null without q
+ */
+function buildFormWhere(scope, query = {}) {
+  const where = { ...scope };
+  const errors = [];
+  let search = null;
+
+  if (query.workspaceId !== undefined) {
+    if (typeof query.workspaceId === 'string' && query.workspaceId !== '') {
+      where.workspaceId = query.workspaceId;
+    } else {
+      errors.push({ field: 'workspaceId', message: 'workspaceId must be a workspace ID' });
+    }
+  }
+
+  if (query.q !== undefined) {
+    if (typeof query.q !== 'string' || query.q.length > MAX_SEARCH_LENGTH) {
+      errors.push({ field: 'q', message: `q must be text of at most ${MAX_SEARCH_LENGTH} characters` });
+    } else if (query.q.trim() !== '') {
+      search = query.q.trim();
+    }
+  }
+
+  if (query.status !== undefined) {
+    if (query.status === 'published') {
+      where.isPublished = true;
+    } else if (query.status === 'draft') {
+      where.isPublished = false;
+    } else {
+      errors.push({ field: 'status', message: 'status must be "published" or "draft"' });
+    }
+  }
+
+  Object.entries(DATE_FILTERS).forEach(([param, [column, operator]]) => {
+    if (query[param] === undefined) {
+      return;
+    }
+    const date = parseDate(query[param], param, errors);
+    if (date) {
+      where[column] = { ...where[column], [operator]: date };
+    }
+  });
+
+  if (query.respondedSince !== undefined) {
+    const date = parseDate(query.respondedSince, 'respondedSince', errors);
+    if (date) {
+      where.responses = { some: { startedAt: { gte: date } } };
+    }
+  }
+
+  return { where, search, errors };
+}
+
+/**
+ * Build a Prisma orderBy for the forms listing
+ * @param {Object} query - Request query parameters (sort, order)
+ * @returns {Object} { orderBy, errors }
+ */
+function buildFormOrderBy(query = {}) {
+  const errors = [];
+  const sort = query.sort || 'createdAt';
+  const order = query.order || (sort === 'title' ? 'asc' : 'desc');
+
+  if (!SORT_FIELDS.includes(sort)) {
+    errors.push({ field: 'sort', message: `sort must be one of: ${SORT_FIELDS.join(', ')}` });
+  }
+  if (!['asc', 'desc'].includes(order)) {
+    errors.push({ field: 'order', message: 'order must be "asc" or "desc"' });
+  }
+  if (errors.length > 0) {
+    return { orderBy: null, errors };
+  }
+
+  let primary;
+  if (sort === 'responseCount') {
+    primary = { responses: { _count: order } };
+  } else if (sort === 'lastResponseAt') {
+    // Forms without responses go last either way
+    primary = { lastResponseAt: { sort: order, nulls: 'last' } };
+  } else {
+    primary = { [sort]: order };
+  }
+
+  return {
+    orderBy: [primary, { id: order }],
+    errors
+  };
+}
+
+module.exports = {
+  buildFormWhere,
+  buildFormOrderBy
+};
@@ -0,0 +1,62 @@
+// backend/src/utils/pagination.js
+// Cursor pagination helpers for list endpoints
+
+/**
+ * Parse cursor pagination parameters
+ * @param {Object} query - Request query parameters (limit, cursor)
+ * @param {Object} options - { defaultLimit, maxLimit }
+ * @returns {Object} { limit, cursor, errors }
+ */
+function parseCursorPagination(query = {}, { defaultLimit = 25, maxLimit = 100 } = {}) {
+  const errors = [];
+  let limit = defaultLimit;
+
+  if (query.limit !== undefined) {
+    limit = Number(query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > maxLimit) {
+      errors.push({ field: 'limit', message: `limit must be an integer between 1 and ${maxLimit}` });
+      limit = defaultLimit;
+    }
+  }
+
+  const cursor = typeof query.cursor === 'string' && query.cursor !== '' ? query.cursor : null;
+
+  return { limit, cursor, errors };
+}
+
+/**
+ * Prisma findMany arguments for a page - fetches one extra row to know whether more exist
+ * @param {Object} pagination - Result of parseCursorPagination
+ * @returns {Object} take/cursor/skip arguments
+ */
+function toPageArgs({ limit, cursor }) {
+  return {
+    take: limit + 1,
+    ...(cursor && {
+      cursor: { id: cursor },
+      skip: 1
+    })
+  };
+}
+
+/**
+ * Split a fetched page into items and the cursor for the next one
+ * @param {Array} rows - Rows fetched with toPageArgs
+ * @param {number} limit - Page size
+ * @returns {Object} { items, nextCursor, hasMore }
+ */
+function toPage(rows, limit) {
+  const hasMore = rows.length > limit;
+  const items = hasMore ? rows.slice(0, limit) : rows;
+  return {
+    items,
+    nextCursor: hasMore ? items[items.length - 1].id : null,
+    hasMore
+  };
+}
+
+module.exports = {
+  parseCursorPagination,
+  toPageArgs,
+  toPage
+};
@@ -0,0 +1,156 @@
+// backend/src/utils/publicAddress.js
+// Checks that outgoing requests only reach public internet addresses
+//
+// Webhook URLs are chosen by form owners, so without these checks the server could be
+// pointed at itself, the internal network or a cloud metadata endpoint (169.254.169.254).
+
+const dns = require('dns');
+const net = require('net');
+
+const BLOCKED_ADDRESSES = new net.BlockList();
+[
+  ['0.0.0.0', 8], // "This" network
+  ['10.0.0.0', 8], // Private
+  ['100.64.0.0', 10], // Carrier-grade NAT
+  ['127.0.0.0', 8], // Loopback
+  ['169.254.0.0', 16], // Link-local, including cloud metadata endpoints
+  ['172.16.0.0', 12], // Private
+  ['192.0.0.0', 24], // IETF protocol assignments
+  ['192.168.0.0', 16], // Private
+  ['198.18.0.0', 15], // Benchmarking
+  ['224.0.0.0', 4], // Multicast
+  ['240.0.0.0', 4] // Reserved, including broadcast
+].forEach(([network, prefix]) => BLOCKED_ADDRESSES.addSubnet(network, prefix, 'ipv4'));
+[
+  ['::', 128], // Unspecified
+  ['::1', 128], // Loopback
+  ['64:ff9b:1::', 48], // Local-use NAT64, translated to any IPv4 address the network chooses
+  ['2001::', 32], // Teredo tunnels
+  ['fc00::', 7], // Unique local
+  ['fe80::', 10], // Link-local
+  ['fec0::', 10], // Site-local (deprecated)
+  ['ff00::', 8] // Multicast
+].forEach(([network, prefix]) => BLOCKED_ADDRESSES.addSubnet(network, prefix, 'ipv6'));
+
+// IPv6 ranges that carry an IPv4 address, which is checked against the IPv4 subnets:
+// the leading bytes of the range and the offset of the IPv4 address
+const EMBEDDED_IPV4_RANGES = [
+  { prefix: [0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0], offset: 12 }, // IPv4-compatible, ::127.0.0.1
+  { prefix: [0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0xff, 0xff], offset: 12 }, // IPv4-mapped, ::ffff:127.0.0.1
+  { prefix: [0, 0x64, 0xff, 0x9b, 0, 0, 0, 0, 0, 0, 0, 0], offset: 12 }, // NAT64, 64:ff9b::/96
+  { prefix: [0x20, 0x02], offset: 2 } // 6to4, 2002::/16
+];
+
+/**
+ * The 16 bytes of a valid IPv6 address
+ */
+function toIPv6Bytes(address) {
+  // A trailing dotted IPv4 part becomes two groups, and a zone (%eth0) is dropped
+  const text = address.split('%')[0].replace(/(\d+)\.(\d+)\.(\d+)\.(\d+)$/, (match, a, b, c, d) =>
+    `${((Number(a) << 8) | Number(b)).toString(16)}:${((Number(c) << 8) | Number(d)).toString(16)}`);
+  const [head, tail] = text.split('::');
+  const headGroups = head ? head.split(':') : [];
+  const tailGroups = tail ? tail.split(':') : [];
+  const groups = tail === undefined
+    ? headGroups
+    : [...headGroups, ...Array(8 - headGroups.length - tailGroups.length).fill('0'), ...tailGroups];
+
+  return groups.flatMap(group => {
+    const value = parseInt(group, 16);
+    return [value >> 8, value & 0xff];
+  });
+}
+
+/**
+ * The IPv4 address carried by an IPv6 address, e.g. 127.0.0.1 for 2002:7f00:1::
+ * @param {string} address - IPv6 address
+ * @returns {string|null} IPv4 address, or null if the address is not in a range that carries one
+ */
+function getEmbeddedIPv4(address) {
+  const bytes = toIPv6Bytes(address);
+  const range = EMBEDDED_IPV4_RANGES.find(({ prefix }) => prefix.every((byte, index) => bytes[index] === byte));
+  return range ? bytes.slice(range.offset, range.offset + 4).join('.') : null;
+}
+
+/**
+ * Whether an IP address is loopback, private, link-local or otherwise not on the public internet
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {boolean} True if requests must not go to it
+ */
+function isPrivateAddress(address) {
+  const family = net.isIP(address);
+  if (family === 0) {
+    return true;
+  }
+  if (family === 4) {
+    return BLOCKED_ADDRESSES.check(address, 'ipv4');
+  }
+  if (BLOCKED_ADDRESSES.check(address, 'ipv6')) {
+    return true;
+  }
+  const embedded = getEmbeddedIPv4(address);
+  return embedded !== null && BLOCKED_ADDRESSES.check(embedded, 'ipv4');
+}
+
+function blockedAddressError(hostname) {
+  const error = new Error(`${hostname} does not resolve to a public address`);
+  error.code = 'EBLOCKEDADDRESS';
+  return error;
+}
+
+/**
+ * Drop-in for dns.lookup that refuses hosts resolving to non-public addresses
+ * Passed as the lookup option of http(s).request, so the address checked is the one
+ * connected to - a host cannot resolve to a public address for the check and a private
+ * one for the request.
+ */
+function publicLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) {
+      return callback(error);
+    }
+    if (addresses.length === 0 || addresses.some(({ address }) => isPrivateAddress(address))) {
+      return callback(blockedAddressError(hostname));
+    }
+    if (options.all) {
+      return callback(null, addresses);
+    }
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+/**
+ * Check that a URL's host resolves only to public addresses
+ * IP literals are checked directly, since connecting to them skips the lookup.
+ * @param {string} url - http(s) URL
+ * @returns {string|null} Why the URL is refused, or null if it may be requested
+ */
+async function checkPublicUrl(url) {
+  let hostname;
+  try {
+    // IPv6 hosts keep their brackets in URL.hostname
+    hostname = new URL(url).hostname.replace(/^\[(.*)\]$/, '$1');
+  } catch (error) {
+    return 'URL is not valid';
+  }
+
+  if (net.isIP(hostname)) {
+    return isPrivateAddress(hostname) ? blockedAddressError(hostname).message : null;
+  }
+
+  try {
+    const addresses = await dns.promises.lookup(hostname, { all: true });
+    if (addresses.length === 0 || addresses.some(({ address }) => isPrivateAddress(address))) {
+      return blockedAddressError(hostname).message;
+    }
+  } catch (error) {
+    return `${hostname} could not be resolved`;
+  }
+  return null;
+}
+
+module.exports = {
+  isPrivateAddress,
+  publicLookup,
+  checkPublicUrl
+};
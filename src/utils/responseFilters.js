@@ -0,0 +1,140 @@
+// backend/src/utils/responseFilters.js
+// Build Prisma filters for response listings and exports from query parameters
+
+const ANSWER_OPERATORS = ['equals', 'contains', 'in'];
+const SORT_FIELDS = ['startedAt', 'completedAt'];
+
+const DATE_FILTERS = {
+  startedFrom: ['startedAt', 'gte'],
+  startedTo: ['startedAt', 'lte'],
+  completedFrom: ['completedAt', 'gte'],
+  completedTo: ['completedAt', 'lte']
+};
+
+/**
+ * Build a Prisma where clause for a form's responses
+ * Supported query parameters:
+ * - status: completed | partial
+ * - startedFrom, startedTo, completedFrom, completedTo: ISO dates
+ * - answer[<questionId>][equals|contains|in]: answer value conditions, "in" takes a comma-separated list
+ * @param {string} formId - Form ID
+ * @param {Object} query - Request query parameters
+ * @returns {Object} { where, errors } - errors lists invalid parameters
+ */
+function buildResponseWhere(formId, query = {}) {
+  const where = { formId };
+  const errors = [];
+
+  if (query.status !== undefined) {
+    if (query.status === 'completed') {
+      where.isCompleted = true;
+    } else if (query.status === 'partial') {
+      where.isCompleted = false;
+    } else {
+      errors.push({ field: 'status', message: 'status must be "completed" or "partial"' });
+    }
+  }
+
+  Object.entries(DATE_FILTERS).forEach(([param, [column, operator]]) => {
+    if (query[param] === undefined) {
+      return;
+    }
+    const date = new Date(query[param]);
+    if (Number.isNaN(date.getTime())) {
+      errors.push({ field: param, message: `${param} must be a valid date` });
+      return;
+    }
+    where[column] = { ...where[column], [operator]: date };
+  });
+
+  if (query.answer !== undefined) {
+    const conditions = buildAnswerConditions(query.answer, errors);
+    if (conditions.length > 0) {
+      where.AND = conditions;
+    }
+  }
+
+  return { where, errors };
+}
+
+/**
+ * Turn answer[<questionId>][<operator>]=<value> parameters into relation filters
+ */
+function buildAnswerConditions(answerQuery, errors) {
+  if (typeof answerQuery !== 'object' || answerQuery === null || Array.isArray(answerQuery)) {
+    errors.push({ field: 'answer', message: 'answer filters must look like answer[<questionId>][equals]=value' });
+    return [];
+  }
+
+  const conditions = [];
+  Object.entries(answerQuery).forEach(([questionId, operators]) => {
+    if (typeof operators !== 'object' || operators === null || Array.isArray(operators)) {
+      errors.push({ field: `answer[${questionId}]`, message: `Use one of: ${ANSWER_OPERATORS.join(', ')}` });
+      return;
+    }
+
+    Object.entries(operators).forEach(([operator, rawValue]) => {
+      if (!ANSWER_OPERATORS.includes(operator)) {
+        errors.push({ field: `answer[${questionId}][${operator}]`, message: `Use one of: ${ANSWER_OPERATORS.join(', ')}` });
+        return;
+      }
+
+      let value;
+      if (operator === 'in') {
+        const list = Array.isArray(rawValue) ? rawValue : String(rawValue).split(',');
+        value = { in: list.map(item => String(item).trim()) };
+      } else if (operator === 'contains') {
+        value = { contains: String(rawValue), mode: 'insensitive' };
+      } else {
+        value = { equals: String(rawValue) };
+      }
+
+      conditions.push({
+        answers: {
+          some: {
+            questionId,
+            value
+          }
+        }
+      });
+    });
+  });
+
+  return conditions;
+}
+
+/**
+ * Build a Prisma orderBy for a form's responses
+ * @param {Object} query - Request query parameters (sort: startedAt | completedAt, order: asc | desc)
+ * @returns {Object} { orderBy, errors }
+ */
+function buildResponseOrderBy(query = {}) {
+  const errors = [];
+  const sort = query.sort || 'startedAt';
+  const order = query.order || 'desc';
+
+  if (!SORT_FIELDS.includes(sort)) {
+    errors.push({ field: 'sort', message: `sort must be one of: ${SORT_FIELDS.join(', ')}` });
+  }
+  if (!['asc', 'desc'].includes(order)) {
+    errors.push({ field: 'order', message: 'order must be "asc" or "desc"' });
+  }
+  if (errors.length > 0) {
+    return { orderBy: null, errors };
+  }
+
+  // Partial responses have no completedAt - keep them at the end either way
+  const primary = sort === 'completedAt'
+    ? { completedAt: { sort: order, nulls: 'last' } }
+    : { startedAt: order };
+
+  return {
+    orderBy: [primary, { id: order }],
+    errors
+  };
+}
+
+module.exports = {
+  buildResponseWhere,
+  buildResponseOrderBy
+};
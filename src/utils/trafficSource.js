@@ -0,0 +1,106 @@
+// backend/src/utils/trafficSource.js
+// UTM parameter capture and referrer classification for form visits
+
+const UTM_FIELDS = {
+  utm_source: 'utmSource',
+  utm_medium: 'utmMedium',
+  utm_campaign: 'utmCampaign',
+  utm_term: 'utmTerm',
+  utm_content: 'utmContent'
+};
+
+const SEARCH_ENGINES = ['google', 'bing', 'yahoo', 'duckduckgo', 'baidu', 'yandex', 'ecosia', 'qwant'];
+const SOCIAL_NETWORKS = [
+  'facebook.com', 'fb.me', 'instagram.com', 'twitter.com', 't.co', 'x.com', 'linkedin.com', 'lnkd.in',
+  'reddit.com', 'pinterest.com', 'tiktok.com', 'youtube.com', 'whatsapp.com', 'telegram.org', 't.me'
+];
+const MAX_VALUE_LENGTH = 200;
+
+function toHost(url) {
+  try {
+    return new URL(url).hostname.toLowerCase().replace(/^www\./, '');
+  } catch (error) {
+    return null;
+  }
+}
+
+function matchesDomain(host, domain) {
+  return host === domain || host.endsWith(`.${domain}`);
+}
+
+/**
+ * Hosts that serve the form itself - referrers from them are not a traffic source
+ */
+function getOwnHosts() {
+  return (process.env.CORS_ORIGIN || '')
+    .split(',')
+    .map(origin => toHost(origin.trim()))
+    .filter(Boolean)
+    .concat(['localhost']);
+}
+
+/**
+ * Pick UTM parameters from request parameters, falling back to the landing page URL
+ * @param {Object} params - Query or body parameters (utm_source, utm_medium, ...)
+ * @param {string} [pageUrl] - URL the form was opened from, usually the Referer header
+ * @returns {Object} { utmSource, utmMedium, utmCampaign, utmTerm, utmContent } with missing values null
+ */
+function parseUtm(params = {}, pageUrl) {
+  let pageParams = null;
+  if (pageUrl) {
+    try {
+      pageParams = new URL(pageUrl).searchParams;
+    } catch (error) {
+      pageParams = null;
+    }
+  }
+
+  const utm = {};
+  Object.entries(UTM_FIELDS).forEach(([param, field]) => {
+    let value = params[param];
+    if ((typeof value !== 'string' || value.trim() === '') && pageParams) {
+      value = pageParams.get(param);
+    }
+    utm[field] = typeof value === 'string' && value.trim() !== ''
+      ? value.trim().toLowerCase().slice(0, MAX_VALUE_LENGTH)
+      : null;
+  });
+  return utm;
+}
+
+/**
+ * Classify where a visit came from
+ * Explicit UTM tags win; otherwise the referrer's domain decides the medium.
+ * @param {Object} visit - { referrer, utmSource, utmMedium }
+ * @returns {Object} { source, medium } - e.g. { source: 'google', medium: 'organic' }
+ */
+function classifySource(visit) {
+  const host = visit.referrer ? toHost(visit.referrer) : null;
+  const external = host && !getOwnHosts().some(own => matchesDomain(host, own));
+
+  if (visit.utmSource || visit.utmMedium) {
+    return {
+      source: visit.utmSource || (external ? host : '(direct)'),
+      medium: visit.utmMedium || '(not set)'
+    };
+  }
+
+  if (!external) {
+    return { source: '(direct)', medium: '(none)' };
+  }
+
+  const engine = SEARCH_ENGINES.find(name => host.split('.').includes(name));
+  if (engine) {
+    return { source: engine, medium: 'organic' };
+  }
+  const network = SOCIAL_NETWORKS.find(domain => matchesDomain(host, domain));
+  if (network) {
+    return { source: network, medium: 'social' };
+  }
+  return { source: host, medium: 'referral' };
+}
+
+module.exports = {
+  parseUtm,
+  classifySource
+};
@@ -0,0 +1,71 @@
+// backend/src/utils/userAgent.js
+// Minimal user agent classification - device type, OS and browser, no external lookups
+
+// Crawlers, link previews, monitors and scripted clients - the visitor hash migration uses the same pattern
+const BOT_PATTERN = /bot|crawl|spider|slurp|facebookexternalhit|embedly|preview|headless|lighthouse|pingdom|uptime|monitor|curl|wget|python-requests|axios|node-fetch|go-http-client|java\//i;
+
+// Checked in order - the first match wins, so more specific entries come first
+const OS_PATTERNS = [
+  ['iOS', /iphone|ipad|ipod/i],
+  ['Android', /android/i],
+  ['Windows', /windows/i],
+  ['ChromeOS', /cros/i],
+  ['macOS', /macintosh|mac os x/i],
+  ['Linux', /linux|x11/i]
+];
+
+const BROWSER_PATTERNS = [
+  ['Edge', /edg(e|a|ios)?\//i],
+  ['Opera', /opr\/|opera/i],
+  ['Samsung Internet', /samsungbrowser/i],
+  ['Firefox', /firefox|fxios/i],
+  ['Chrome', /chrome|crios|chromium/i],
+  ['Safari', /safari/i]
+];
+
+/**
+ * Classify a user agent string
+ * @param {string} userAgent - Raw User-Agent header
+ * @returns {Object} { deviceType: desktop|mobile|tablet|bot|unknown, os, browser }
+ */
+function parseUserAgent(userAgent) {
+  if (typeof userAgent !== 'string' || userAgent.trim() === '') {
+    return { deviceType: 'unknown', os: 'Unknown', browser: 'Unknown' };
+  }
+
+  const match = patterns => {
+    const found = patterns.find(([, pattern]) => pattern.test(userAgent));
+    return found ? found[0] : 'Other';
+  };
+
+  let deviceType;
+  if (isBot(userAgent)) {
+    deviceType = 'bot';
+  } else if (/ipad|tablet|kindle|silk|playbook/i.test(userAgent) || (/android/i.test(userAgent) && !/mobile/i.test(userAgent))) {
+    deviceType = 'tablet';
+  } else if (/mobi|iphone|ipod|android|windows phone/i.test(userAgent)) {
+    deviceType = 'mobile';
+  } else {
+    deviceType = 'desktop';
+  }
+
+  return {
+    deviceType,
+    os: match(OS_PATTERNS),
+    browser: deviceType === 'bot' ? 'Bot' : match(BROWSER_PATTERNS)
+  };
+}
+
+/**
+ * Whether a user agent belongs to a crawler or other automated client
+ * @param {string} userAgent - Raw User-Agent header
+ * @returns {boolean}
+ */
+function isBot(userAgent) {
+  return typeof userAgent === 'string' && BOT_PATTERN.test(userAgent);
+}
+
+module.exports = {
+  parseUserAgent,
+  isBot
+};
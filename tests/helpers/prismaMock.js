@@ -0,0 +1,62 @@
+// backend/tests/helpers/prismaMock.js
+// In-memory stand-in for @prisma/client - every model method is a jest.fn
+//
+// Use it with jest.mock('@prisma/client', () => require('../helpers/prismaMock').prismaModule)
+// and configure calls through `prisma`, e.g. prisma.form.findUnique.mockResolvedValue(form).
+// Every PrismaClient instance is the same object, and $transaction runs its callback with it.
+
+function createModel() {
+  return new Proxy({}, {
+    get(methods, name) {
+      if (!(name in methods)) {
+        methods[name] = jest.fn().mockResolvedValue(null);
+      }
+      return methods[name];
+    }
+  });
+}
+
+const models = {};
+
+const prisma = new Proxy({
+  $transaction: jest.fn(arg => (typeof arg === 'function' ? arg(prisma) : Promise.all(arg))),
+  $queryRaw: jest.fn().mockResolvedValue([]),
+  $disconnect: jest.fn().mockResolvedValue()
+}, {
+  get(client, name) {
+    if (name in client || typeof name === 'symbol') {
+      return client[name];
+    }
+    if (!(name in models)) {
+      models[name] = createModel();
+    }
+    return models[name];
+  }
+});
+
+/**
+ * Forget every configured result and recorded call
+ */
+function resetPrisma() {
+  Object.keys(models).forEach(name => delete models[name]);
+  prisma.$transaction.mockClear();
+  prisma.$queryRaw.mockReset().mockResolvedValue([]);
+}
+
+const prismaModule = {
+  PrismaClient: function PrismaClient() {
+    return prisma;
+  },
+  Prisma: {
+    DbNull: 'DbNull',
+    JsonNull: 'JsonNull',
+    join: values => values,
+    sql: (strings, ...values) => ({ strings, values })
+  }
+};
+
+module.exports = {
+  prisma,
+  prismaModule,
+  resetPrisma
+};
@@ -0,0 +1,55 @@
+// backend/tests/jobs/partialResponseCleanup.job.test.js
+// Abandoned unfinished responses are deleted after their form's retention window
+
+jest.mock('@prisma/client', () => require('../helpers/prismaMock').prismaModule);
+jest.mock('../../src/utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn() }));
+jest.mock('../../src/services/upload.service', () => ({
+  findUploadIds: jest.fn().mockResolvedValue([]),
+  purgeUploads: jest.fn().mockResolvedValue({ deleted: 0, failed: 0 })
+}));
+
+const { prisma, resetPrisma } = require('../helpers/prismaMock');
+const { findUploadIds, purgeUploads } = require('../../src/services/upload.service');
+const { runPartialResponseCleanup } = require('../../src/jobs/partialResponseCleanup.job');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+beforeEach(() => {
+  resetPrisma();
+  findUploadIds.mockClear();
+  purgeUploads.mockClear();
+});
+
+describe('runPartialResponseCleanup', () => {
+  it('deletes unfinished responses with no activity within each form\'s window', async () => {
+    prisma.formSettings.findMany.mockResolvedValue([
+      { formId: 'form-1', partialResponseRetentionDays: 7 },
+      { formId: 'form-2', partialResponseRetentionDays: 30 }
+    ]);
+    prisma.response.deleteMany
+      .mockResolvedValueOnce({ count: 3 })
+      .mockResolvedValueOnce({ count: 0 });
+
+    const before = Date.now();
+    expect(await runPartialResponseCleanup()).toBe(3);
+
+    expect(prisma.formSettings.findMany.mock.calls[0][0].where).toEqual({ partialResponseRetentionDays: { not: null } });
+    const { where } = prisma.response.deleteMany.mock.calls[0][0];
+    expect(where).toMatchObject({ formId: 'form-1', isCompleted: false });
+    expect(where.answers).toEqual({ none: { updatedAt: { gte: where.startedAt.lt } } });
+    expect(before - where.startedAt.lt.getTime()).toBeGreaterThanOrEqual(7 * DAY_MS - 1000);
+    expect(before - where.startedAt.lt.getTime()).toBeLessThanOrEqual(7 * DAY_MS);
+  });
+
+  it('removes the files of the deleted responses\' uploads', async () => {
+    prisma.formSettings.findMany.mockResolvedValue([{ formId: 'form-1', partialResponseRetentionDays: 7 }]);
+    prisma.response.deleteMany.mockResolvedValue({ count: 1 });
+    findUploadIds.mockResolvedValue(['upload-1']);
+
+    await runPartialResponseCleanup();
+
+    // Collected before the responses go, since deleting them detaches the uploads
+    expect(findUploadIds.mock.invocationCallOrder[0]).toBeLessThan(prisma.response.deleteMany.mock.invocationCallOrder[0]);
+    expect(purgeUploads).toHaveBeenCalledWith({ id: { in: ['upload-1'] } });
+  });
+});
@@ -0,0 +1,24 @@
+// backend/tests/jobs/uploadCleanup.job.test.js
+// Uploads never attached to an answer are removed after the retention window
+
+jest.mock('@prisma/client', () => require('../helpers/prismaMock').prismaModule);
+jest.mock('../../src/utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn() }));
+jest.mock('../../src/services/upload.service', () => ({
+  ...jest.requireActual('../../src/services/upload.service'),
+  purgeUploads: jest.fn().mockResolvedValue({ deleted: 2, failed: 1 })
+}));
+
+const { purgeUploads } = require('../../src/services/upload.service');
+const { runUploadCleanup } = require('../../src/jobs/uploadCleanup.job');
+
+describe('runUploadCleanup', () => {
+  it('purges uploads past the retention window and reports how many went', async () => {
+    const before = Date.now();
+
+    expect(await runUploadCleanup()).toBe(2);
+
+    const [where] = purgeUploads.mock.calls[0];
+    expect(where.answerId).toBeNull();
+    expect(before - where.createdAt.lt.getTime()).toBeGreaterThanOrEqual(24 * 60 * 60 * 1000 - 1000);
+  });
+});
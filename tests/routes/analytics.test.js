@@ -0,0 +1,127 @@
+// backend/tests/routes/analytics.test.js
+// Analytics endpoints: query parameters, and the timing shown for a single response
+
+process.env.JWT_SECRET = 'test-secret';
+
+jest.mock('@prisma/client', () => require('../helpers/prismaMock').prismaModule);
+jest.mock('../../src/services/analytics.service', () => ({
+  ...jest.requireActual('../../src/services/analytics.service'),
+  getTimeseries: jest.fn().mockResolvedValue([])
+}));
+
+const express = require('express');
+const request = require('supertest');
+const { prisma, resetPrisma } = require('../helpers/prismaMock');
+const { getTimeseries } = require('../../src/services/analytics.service');
+const formRoutes = require('../../src/routes/form.routes');
+const errorHandler = require('../../src/middleware/errorHandler');
+const { generateToken } = require('../../src/utils/jwt');
+
+const app = express();
+app.use(express.json());
+app.use('/api/forms', formRoutes);
+app.use(errorHandler);
+
+const auth = `Bearer ${generateToken({ userId: 'user-1' })}`;
+
+beforeEach(() => {
+  resetPrisma();
+  getTimeseries.mockClear();
+  prisma.user.findUnique.mockResolvedValue({ id: 'user-1', email: 'ada@example.com', name: 'Ada' });
+  prisma.workspaceMember.findUnique.mockResolvedValue({ workspaceId: 'ws-1', userId: 'user-1', role: 'analyst' });
+  prisma.form.findUnique.mockResolvedValue({ id: 'form-1', workspaceId: 'ws-1' });
+});
+
+describe('GET /api/forms/:id/analytics/timeseries', () => {
+  function timeseries(query) {
+    return request(app).get('/api/forms/form-1/analytics/timeseries').query(query).set('Authorization', auth);
+  }
+
+  it('buckets the range in the requested interval and time zone', async () => {
+    getTimeseries.mockResolvedValue([{ start: '2025-01-01T05:00:00.000Z', local: '2025-01-01T00:00:00', visits: 3 }]);
+
+    const res = await timeseries({ interval: 'day', tz: 'America/New_York', from: '2025-01-01T05:00:00Z', to: '2025-01-08T05:00:00Z' });
+
+    expect(res.status).toBe(200);
+    expect(getTimeseries).toHaveBeenCalledWith('form-1', {
+      interval: 'day',
+      timeZone: 'America/New_York',
+      from: new Date('2025-01-01T05:00:00Z'),
+      to: new Date('2025-01-08T05:00:00Z')
+    });
+    expect(res.body.data).toMatchObject({ interval: 'day', timeZone: 'America/New_York', buckets: [{ visits: 3 }] });
+  });
+
+  it('defaults to daily buckets in UTC over the last 30 days', async () => {
+    await timeseries({});
+
+    const { interval, timeZone, from, to } = getTimeseries.mock.calls[0][1];
+    expect(interval).toBe('day');
+    expect(timeZone).toBe('UTC');
+    expect(to - from).toBe(30 * 24 * 60 * 60 * 1000);
+  });
+
+  it('refuses unknown intervals, time zones and dates', async () => {
+    const res = await timeseries({ interval: 'minute', tz: 'Mars/Olympus', from: '2025-01-01', to: 'soon' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.errors.map(error => error.field)).toEqual(['interval', 'tz', 'to']);
+    expect(getTimeseries).not.toHaveBeenCalled();
+  });
+
+  it('refuses reversed ranges and too many buckets', async () => {
+    const reversed = await timeseries({ from: '2025-02-01', to: '2025-01-01' });
+    expect(reversed.body.errors).toEqual([{ field: 'from', message: 'from must be before to' }]);
+
+    const tooLong = await timeseries({ interval: 'hour', from: '2024-01-01', to: '2025-01-01' });
+    expect(tooLong.status).toBe(400);
+    expect(tooLong.body.errors[0].message).toBe('Range is too large for hour buckets (max 2232)');
+    expect(getTimeseries).not.toHaveBeenCalled();
+  });
+});
+
+describe('GET /api/forms/:id/responses/:responseId', () => {
+  it('reports time to complete, dwell time per answer and whether the completion was suspiciously fast', async () => {
+    prisma.$queryRaw.mockResolvedValue([{ completed: 10, min: 5, median: 200, p90: 400, max: 600, fastCompletions: 1 }]);
+    prisma.response.findFirst.mockResolvedValue({
+      id: 'response-1',
+      respondentId: 'respondent-1',
+      formVersionId: 'version-1',
+      isCompleted: true,
+      startedAt: new Date('2025-01-01T10:00:00Z'),
+      completedAt: new Date('2025-01-01T10:00:30Z'),
+      views: [{ questionId: 'q1', viewedAt: new Date('2025-01-01T10:00:01Z') }],
+      answers: [
+        {
+          questionId: 'q2',
+          value: 'Because',
+          fileUrl: null,
+          createdAt: new Date('2025-01-01T10:00:20Z'),
+          updatedAt: new Date('2025-01-01T10:00:20Z'),
+          question: { title: 'Why?', type: 'longText', order: 1 }
+        },
+        {
+          questionId: 'q1',
+          value: 'No',
+          fileUrl: null,
+          createdAt: new Date('2025-01-01T10:00:05.500Z'),
+          updatedAt: new Date('2025-01-01T10:00:15Z'),
+          question: { title: 'Happy?', type: 'multipleChoice', order: 0 }
+        }
+      ]
+    });
+
+    const res = await request(app).get('/api/forms/form-1/responses/response-1').set('Authorization', auth);
+
+    expect(res.status).toBe(200);
+    expect(prisma.response.findFirst.mock.calls[0][0].where).toEqual({ id: 'response-1', formId: 'form-1' });
+    const { response, timing } = res.body.data;
+    expect(response).toMatchObject({ durationSeconds: 30, isFastCompletion: true });
+    expect(response.answers.map(answer => [answer.questionId, answer.dwellSeconds])).toEqual([['q1', 4.5], ['q2', null]]);
+    expect(response.answers[0]).toMatchObject({
+      answeredAt: '2025-01-01T10:00:05.500Z',
+      updatedAt: '2025-01-01T10:00:15.000Z'
+    });
+    expect(timing).toEqual({ median: 200, p90: 400, fastThreshold: 50 });
+  });
+});
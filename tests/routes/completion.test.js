@@ -0,0 +1,145 @@
+// backend/tests/routes/completion.test.js
+// Completing a response: required questions on the respondent's path, completing only once
+// and the response cap
+
+process.env.JWT_SECRET = 'test-secret';
+
+jest.mock('@prisma/client', () => require('../helpers/prismaMock').prismaModule);
+jest.mock('../../src/services/notification.service', () => ({
+  sendSubmissionNotifications: jest.fn().mockResolvedValue()
+}));
+jest.mock('../../src/services/webhook.service', () => ({
+  emitWebhookEvent: jest.fn(),
+  buildResponseData: jest.fn()
+}));
+
+const express = require('express');
+const request = require('supertest');
+const { prisma, resetPrisma } = require('../helpers/prismaMock');
+const responseRoutes = require('../../src/routes/response.routes');
+const errorHandler = require('../../src/middleware/errorHandler');
+const { RESPONDENT_TOKEN_HEADER, createRespondentToken } = require('../../src/services/respondentSession.service');
+const { sendSubmissionNotifications } = require('../../src/services/notification.service');
+const { emitWebhookEvent } = require('../../src/services/webhook.service');
+
+const app = express();
+app.use(express.json());
+app.use('/api/responses', responseRoutes);
+app.use(errorHandler);
+
+const definition = {
+  title: 'Feedback',
+  description: null,
+  theme: null,
+  settings: null,
+  questions: [
+    { id: 'q1', title: 'Happy?', type: 'multipleChoice', isRequired: true, order: 0, conditionalLogic: null },
+    {
+      id: 'q2',
+      title: 'Why not?',
+      type: 'longText',
+      isRequired: true,
+      order: 1,
+      conditionalLogic: {
+        enabled: true,
+        rules: [{ targetQuestionId: 'q1', operator: 'equals', value: 'No', action: 'show' }]
+      }
+    }
+  ]
+};
+
+function responseRow(answers) {
+  return {
+    id: 'response-1',
+    formId: 'form-1',
+    formVersionId: 'version-1',
+    isCompleted: false,
+    answers,
+    form: { id: 'form-1', isPublished: true, closedReason: null }
+  };
+}
+
+function complete() {
+  return request(app)
+    .post('/api/responses/response-1/complete')
+    .set(RESPONDENT_TOKEN_HEADER, createRespondentToken('response-1'));
+}
+
+beforeEach(() => {
+  resetPrisma();
+  sendSubmissionNotifications.mockClear();
+  emitWebhookEvent.mockClear();
+  prisma.formVersion.findUnique.mockResolvedValue({ id: 'version-1', snapshot: definition });
+  prisma.$queryRaw.mockResolvedValue([{ id: 'form-1', isPublished: true, closedReason: null }]);
+});
+
+describe('POST /api/responses/:id/complete', () => {
+  it('lists the required questions on the path that have no answer', async () => {
+    prisma.response.findUnique.mockResolvedValue(responseRow([{ questionId: 'q1', value: 'No' }]));
+
+    const res = await complete();
+
+    expect(res.status).toBe(422);
+    expect(res.body.missingQuestionIds).toEqual(['q2']);
+    expect(prisma.response.updateMany).not.toHaveBeenCalled();
+  });
+
+  it('does not require questions hidden by logic', async () => {
+    prisma.response.findUnique.mockResolvedValue(responseRow([{ questionId: 'q1', value: 'Yes' }]));
+    prisma.response.updateMany.mockResolvedValue({ count: 1 });
+
+    const res = await complete();
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.response).toMatchObject({ id: 'response-1', isCompleted: true });
+    expect(prisma.response.updateMany).toHaveBeenCalledWith({
+      where: { id: 'response-1', isCompleted: false },
+      data: { isCompleted: true, completedAt: expect.any(Date) }
+    });
+    expect(sendSubmissionNotifications).toHaveBeenCalledWith('response-1');
+    expect(emitWebhookEvent).toHaveBeenCalledWith('form-1', 'response.completed', expect.any(Function));
+  });
+
+  it('notifies once when a concurrent request completed the response first', async () => {
+    const completedAt = new Date('2025-01-01T00:00:00Z');
+    prisma.response.findUnique
+      .mockResolvedValueOnce(responseRow([{ questionId: 'q1', value: 'Yes' }]))
+      .mockResolvedValueOnce({ id: 'response-1', isCompleted: true, completedAt });
+    prisma.response.updateMany.mockResolvedValue({ count: 0 });
+
+    const res = await complete();
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.response).toEqual({ id: 'response-1', isCompleted: true, completedAt: completedAt.toISOString() });
+    expect(sendSubmissionNotifications).not.toHaveBeenCalled();
+    expect(emitWebhookEvent).not.toHaveBeenCalled();
+  });
+
+  it('checks the response cap again under a lock on the form before completing', async () => {
+    prisma.response.findUnique.mockResolvedValue(responseRow([{ questionId: 'q1', value: 'Yes' }]));
+    prisma.formSettings.findUnique.mockResolvedValue({ maxResponses: 2, closedMessage: null });
+    // Another response was completed between the first check and the lock
+    prisma.response.count.mockResolvedValueOnce(1).mockResolvedValueOnce(2);
+
+    const res = await complete();
+
+    expect(res.status).toBe(403);
+    expect(res.body.reason).toBe('responseLimit');
+    expect(prisma.$transaction).toHaveBeenCalledTimes(1);
+    expect(prisma.$queryRaw.mock.calls[0][0].join('?')).toMatch(/FROM "forms" WHERE id = \? FOR UPDATE/);
+    expect(prisma.response.updateMany).not.toHaveBeenCalled();
+    expect(sendSubmissionNotifications).not.toHaveBeenCalled();
+  });
+
+  it('completes the response that takes the last place', async () => {
+    prisma.response.findUnique.mockResolvedValue(responseRow([{ questionId: 'q1', value: 'Yes' }]));
+    prisma.formSettings.findUnique.mockResolvedValue({ maxResponses: 2, closedMessage: null });
+    prisma.response.count.mockResolvedValue(1);
+    prisma.response.updateMany.mockResolvedValue({ count: 1 });
+
+    const res = await complete();
+
+    expect(res.status).toBe(200);
+    expect(prisma.response.updateMany).toHaveBeenCalledTimes(1);
+  });
+});
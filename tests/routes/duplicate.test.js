@@ -0,0 +1,158 @@
+// backend/tests/routes/duplicate.test.js
+// Duplicating forms, within a workspace and into another user's workspace
+
+process.env.JWT_SECRET = 'test-secret';
+
+jest.mock('@prisma/client', () => require('../helpers/prismaMock').prismaModule);
+
+const express = require('express');
+const request = require('supertest');
+const { prisma, resetPrisma } = require('../helpers/prismaMock');
+const formRoutes = require('../../src/routes/form.routes');
+const errorHandler = require('../../src/middleware/errorHandler');
+const { generateToken } = require('../../src/utils/jwt');
+
+const app = express();
+app.use(express.json());
+app.use('/api/forms', formRoutes);
+app.use(errorHandler);
+
+const auth = `Bearer ${generateToken({ userId: 'user-1' })}`;
+
+const sourceForm = {
+  id: 'form-1',
+  title: 'Feedback',
+  description: null,
+  workspaceId: 'ws-1',
+  theme: null,
+  settings: null,
+  questions: [
+    { id: 'q1', title: 'Happy?', type: 'multipleChoice', order: 0, conditionalLogic: null },
+    {
+      id: 'q2',
+      title: 'Why not?',
+      type: 'longText',
+      order: 1,
+      conditionalLogic: {
+        enabled: true,
+        rules: [{ targetQuestionId: 'q1', operator: 'equals', value: 'No', action: 'show' }]
+      }
+    }
+  ]
+};
+
+// Roles of user-1, by workspace
+function memberships(roles) {
+  prisma.workspaceMember.findUnique.mockImplementation(({ where }) => {
+    const { workspaceId, userId } = where.workspaceId_userId;
+    const role = userId === 'user-1' ? roles[workspaceId] : null;
+    return Promise.resolve(role ? { workspaceId, userId, role, workspace: { id: workspaceId } } : null);
+  });
+}
+
+beforeEach(() => {
+  resetPrisma();
+  prisma.user.findUnique.mockResolvedValue({ id: 'user-1', email: 'ada@example.com', name: 'Ada' });
+  prisma.form.findUnique.mockImplementation(({ where }) => Promise.resolve(
+    where.id === 'form-1' ? sourceForm : { id: where.id, workspaceId: 'copied' }
+  ));
+  prisma.form.create.mockImplementation(({ data }) => Promise.resolve({ id: 'form-2', ...data }));
+  let next = 0;
+  prisma.question.create.mockImplementation(() => Promise.resolve({ id: `new-q${++next}` }));
+});
+
+describe('POST /api/forms/:id/duplicate', () => {
+  it('copies into the original workspace by default, remapping logic to the new questions', async () => {
+    memberships({ 'ws-1': 'editor' });
+
+    const res = await request(app).post('/api/forms/form-1/duplicate').set('Authorization', auth).send({});
+
+    expect(res.status).toBe(201);
+    expect(prisma.form.create.mock.calls[0][0].data).toMatchObject({
+      title: 'Feedback (Copy)',
+      workspaceId: 'ws-1',
+      userId: 'user-1',
+      isPublished: false
+    });
+    expect(prisma.conditionalLogic.create.mock.calls[0][0].data).toMatchObject({
+      questionId: 'new-q2',
+      rules: { create: [expect.objectContaining({ targetQuestionId: 'new-q1' })] }
+    });
+    expect(prisma.response.create).not.toHaveBeenCalled();
+  });
+
+  it('copies into another user\'s workspace the caller may create forms in', async () => {
+    memberships({ 'ws-1': 'editor', 'ws-2': 'editor' });
+
+    const res = await request(app)
+      .post('/api/forms/form-1/duplicate')
+      .set('Authorization', auth)
+      .send({ targetWorkspaceId: 'ws-2', title: 'Feedback for the sales team' });
+
+    expect(res.status).toBe(201);
+    expect(prisma.form.create.mock.calls[0][0].data).toMatchObject({
+      title: 'Feedback for the sales team',
+      workspaceId: 'ws-2'
+    });
+  });
+
+  it.each(['viewer', 'analyst'])('does not let a %s copy the form into their own workspace', async (role) => {
+    memberships({ 'ws-1': role, 'ws-2': 'owner' });
+
+    const res = await request(app)
+      .post('/api/forms/form-1/duplicate')
+      .set('Authorization', auth)
+      .send({ targetWorkspaceId: 'ws-2' });
+
+    expect(res.status).toBe(403);
+    expect(prisma.form.create).not.toHaveBeenCalled();
+  });
+
+  it('refuses workspaces where the caller may not create forms', async () => {
+    memberships({ 'ws-1': 'editor', 'ws-2': 'analyst' });
+
+    const res = await request(app)
+      .post('/api/forms/form-1/duplicate')
+      .set('Authorization', auth)
+      .send({ targetWorkspaceId: 'ws-2' });
+
+    expect(res.status).toBe(403);
+    expect(prisma.form.create).not.toHaveBeenCalled();
+  });
+
+  it('does not reveal workspaces the caller is not a member of', async () => {
+    memberships({ 'ws-1': 'editor' });
+
+    const res = await request(app)
+      .post('/api/forms/form-1/duplicate')
+      .set('Authorization', auth)
+      .send({ targetWorkspaceId: 'ws-3' });
+
+    expect(res.status).toBe(404);
+    expect(prisma.form.create).not.toHaveBeenCalled();
+  });
+
+  it('copies into the caller\'s personal workspace with their own targetUserId', async () => {
+    memberships({ 'ws-1': 'editor' });
+    prisma.workspace.upsert.mockResolvedValue({ id: 'user-1', isPersonal: true });
+
+    const res = await request(app)
+      .post('/api/forms/form-1/duplicate')
+      .set('Authorization', auth)
+      .send({ targetUserId: 'user-1' });
+
+    expect(res.status).toBe(201);
+    expect(prisma.form.create.mock.calls[0][0].data.workspaceId).toBe('user-1');
+  });
+
+  it('points other users\' IDs at targetWorkspaceId', async () => {
+    const res = await request(app)
+      .post('/api/forms/form-1/duplicate')
+      .set('Authorization', auth)
+      .send({ targetUserId: 'user-2' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.errors[0].field).toBe('targetUserId');
+    expect(prisma.form.create).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,56 @@
+// backend/tests/routes/formDelete.test.js
+// Deleting a form removes the files uploaded to its responses
+
+process.env.JWT_SECRET = 'test-secret';
+
+jest.mock('@prisma/client', () => require('../helpers/prismaMock').prismaModule);
+jest.mock('../../src/services/upload.service', () => ({
+  ...jest.requireActual('../../src/services/upload.service'),
+  purgeUploadsInBackground: jest.fn()
+}));
+
+const express = require('express');
+const request = require('supertest');
+const { prisma, resetPrisma } = require('../helpers/prismaMock');
+const { purgeUploadsInBackground } = require('../../src/services/upload.service');
+const formRoutes = require('../../src/routes/form.routes');
+const errorHandler = require('../../src/middleware/errorHandler');
+const { generateToken } = require('../../src/utils/jwt');
+
+const app = express();
+app.use(express.json());
+app.use('/api/forms', formRoutes);
+app.use(errorHandler);
+
+const auth = `Bearer ${generateToken({ userId: 'user-1' })}`;
+
+beforeEach(() => {
+  resetPrisma();
+  purgeUploadsInBackground.mockClear();
+  prisma.user.findUnique.mockResolvedValue({ id: 'user-1', email: 'ada@example.com', name: 'Ada' });
+  prisma.form.findUnique.mockResolvedValue({ id: 'form-1', workspaceId: 'ws-1' });
+  prisma.workspaceMember.findUnique.mockResolvedValue({ workspaceId: 'ws-1', userId: 'user-1', role: 'owner' });
+});
+
+describe('DELETE /api/forms/:id', () => {
+  it('collects the uploads of the form\'s responses before deleting it, then removes their files', async () => {
+    prisma.upload.findMany.mockResolvedValue([{ id: 'upload-1' }, { id: 'upload-2' }]);
+
+    const res = await request(app).delete('/api/forms/form-1').set('Authorization', auth);
+
+    expect(res.status).toBe(200);
+    expect(prisma.upload.findMany).toHaveBeenCalledWith({ where: { response: { formId: 'form-1' } }, select: { id: true } });
+    expect(prisma.upload.findMany.mock.invocationCallOrder[0]).toBeLessThan(prisma.form.delete.mock.invocationCallOrder[0]);
+    expect(purgeUploadsInBackground).toHaveBeenCalledWith(['upload-1', 'upload-2']);
+  });
+
+  it('removes nothing when the user may not delete the form', async () => {
+    prisma.workspaceMember.findUnique.mockResolvedValue({ workspaceId: 'ws-1', userId: 'user-1', role: 'editor' });
+
+    const res = await request(app).delete('/api/forms/form-1').set('Authorization', auth);
+
+    expect(res.status).toBe(403);
+    expect(prisma.form.delete).not.toHaveBeenCalled();
+    expect(purgeUploadsInBackground).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,87 @@
+// backend/tests/routes/formDocument.test.js
+// Importing a form document creates a draft with the rules pointed at the new questions
+
+process.env.JWT_SECRET = 'test-secret';
+
+jest.mock('@prisma/client', () => require('../helpers/prismaMock').prismaModule);
+
+const express = require('express');
+const request = require('supertest');
+const { prisma, resetPrisma } = require('../helpers/prismaMock');
+const formRoutes = require('../../src/routes/form.routes');
+const errorHandler = require('../../src/middleware/errorHandler');
+const { generateToken } = require('../../src/utils/jwt');
+
+const app = express();
+app.use(express.json());
+app.use('/api/forms', formRoutes);
+app.use(errorHandler);
+
+const auth = `Bearer ${generateToken({ userId: 'user-1' })}`;
+
+const formDocument = {
+  type: 'triddle.form',
+  version: 1,
+  form: { title: 'Feedback' },
+  questions: [
+    { key: 'q1', title: 'Happy?', type: 'multipleChoice', options: ['Yes', 'No'] },
+    {
+      key: 'q2',
+      title: 'Why not?',
+      type: 'longText',
+      conditionalLogic: { enabled: true, rules: [{ question: 'q1', operator: 'equals', value: 'No', action: 'show' }] }
+    }
+  ]
+};
+
+beforeEach(() => {
+  resetPrisma();
+  prisma.user.findUnique.mockResolvedValue({ id: 'user-1', email: 'ada@example.com', name: 'Ada' });
+  prisma.workspace.upsert.mockResolvedValue({ id: 'user-1', isPersonal: true });
+  prisma.form.create.mockResolvedValue({ id: 'form-new' });
+  prisma.form.findUnique.mockResolvedValue({ id: 'form-new', title: 'Feedback' });
+  let created = 0;
+  prisma.question.create.mockImplementation(async () => ({ id: `new-${++created}` }));
+});
+
+describe('POST /api/forms/import', () => {
+  it('creates an unpublished draft in the personal workspace', async () => {
+    const res = await request(app).post('/api/forms/import').set('Authorization', auth).send(formDocument);
+
+    expect(res.status).toBe(201);
+    expect(prisma.form.create.mock.calls[0][0].data).toMatchObject({
+      title: 'Feedback',
+      isPublished: false,
+      userId: 'user-1',
+      workspaceId: 'user-1'
+    });
+    expect(prisma.conditionalLogic.create).toHaveBeenCalledWith({
+      data: {
+        questionId: 'new-2',
+        enabled: true,
+        rules: { create: [{ targetQuestionId: 'new-1', operator: 'equals', value: 'No', action: 'show' }] }
+      }
+    });
+  });
+
+  it('refuses an invalid document with the path of each problem', async () => {
+    const res = await request(app)
+      .post('/api/forms/import')
+      .set('Authorization', auth)
+      .send({ ...formDocument, questions: [{ key: 'q1', type: 'shortText' }] });
+
+    expect(res.status).toBe(422);
+    expect(res.body.errors.map(error => error.path)).toEqual(['questions.0.title']);
+    expect(prisma.form.create).not.toHaveBeenCalled();
+  });
+
+  it('needs permission to create forms in the chosen workspace', async () => {
+    prisma.workspace.findUnique.mockResolvedValue({ id: 'ws-1' });
+    prisma.workspaceMember.findUnique.mockResolvedValue({ workspaceId: 'ws-1', userId: 'user-1', role: 'analyst' });
+
+    const res = await request(app).post('/api/forms/import?workspaceId=ws-1').set('Authorization', auth).send(formDocument);
+
+    expect(res.status).toBe(403);
+    expect(prisma.form.create).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,50 @@
+// backend/tests/routes/formList.test.js
+// Forms listing: full-text search within the user's workspaces
+
+process.env.JWT_SECRET = 'test-secret';
+
+jest.mock('@prisma/client', () => require('../helpers/prismaMock').prismaModule);
+
+const express = require('express');
+const request = require('supertest');
+const { prisma, resetPrisma } = require('../helpers/prismaMock');
+const formRoutes = require('../../src/routes/form.routes');
+const errorHandler = require('../../src/middleware/errorHandler');
+const { generateToken } = require('../../src/utils/jwt');
+
+const app = express();
+app.use(express.json());
+app.use('/api/forms', formRoutes);
+app.use(errorHandler);
+
+const auth = `Bearer ${generateToken({ userId: 'user-1' })}`;
+
+beforeEach(() => {
+  resetPrisma();
+  prisma.user.findUnique.mockResolvedValue({ id: 'user-1', email: 'ada@example.com', name: 'Ada' });
+  prisma.form.findMany.mockResolvedValue([]);
+  prisma.form.count.mockResolvedValue(0);
+});
+
+describe('GET /api/forms', () => {
+  it('searches titles and descriptions with the full-text index and lists only the matches', async () => {
+    prisma.$queryRaw.mockResolvedValue([{ id: 'form-1' }, { id: 'form-3' }]);
+
+    const res = await request(app).get('/api/forms').query({ q: 'customer -draft' }).set('Authorization', auth);
+
+    expect(res.status).toBe(200);
+    const [strings, ...values] = prisma.$queryRaw.mock.calls[0];
+    expect(strings.join('?')).toMatch(/to_tsvector\('simple', .*\)\s+@@ websearch_to_tsquery\('simple', \?\)/s);
+    expect(values).toEqual(['user-1', 'customer -draft']);
+    expect(prisma.form.findMany.mock.calls[0][0].where.id).toEqual({ in: ['form-1', 'form-3'] });
+    expect(prisma.form.count.mock.calls[0][0].where.id).toEqual({ in: ['form-1', 'form-3'] });
+  });
+
+  it('does not run a search query without q', async () => {
+    const res = await request(app).get('/api/forms').set('Authorization', auth);
+
+    expect(res.status).toBe(200);
+    expect(prisma.$queryRaw).not.toHaveBeenCalled();
+    expect(prisma.form.findMany.mock.calls[0][0].where.id).toBeUndefined();
+  });
+});
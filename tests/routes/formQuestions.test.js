@@ -0,0 +1,122 @@
+// backend/tests/routes/formQuestions.test.js
+// Form endpoints only touch the questions of the form they check access to, and publishing
+// checks how the questions fit together
+
+process.env.JWT_SECRET = 'test-secret';
+
+jest.mock('@prisma/client', () => require('../helpers/prismaMock').prismaModule);
+
+const express = require('express');
+const request = require('supertest');
+const { prisma, resetPrisma } = require('../helpers/prismaMock');
+const formRoutes = require('../../src/routes/form.routes');
+const errorHandler = require('../../src/middleware/errorHandler');
+const { generateToken } = require('../../src/utils/jwt');
+
+const app = express();
+app.use(express.json());
+app.use('/api/forms', formRoutes);
+app.use(errorHandler);
+
+const auth = `Bearer ${generateToken({ userId: 'user-1' })}`;
+
+beforeEach(() => {
+  resetPrisma();
+  prisma.user.findUnique.mockResolvedValue({ id: 'user-1', email: 'ada@example.com', name: 'Ada' });
+  prisma.form.findUnique.mockResolvedValue({ id: 'form-1', workspaceId: 'ws-1', theme: null, settings: null });
+  prisma.workspaceMember.findUnique.mockResolvedValue({ workspaceId: 'ws-1', userId: 'user-1', role: 'editor' });
+});
+
+describe('PUT /api/forms/:formId/questions/reorder', () => {
+  function reorder(questions) {
+    return request(app).put('/api/forms/form-1/questions/reorder').set('Authorization', auth).send({ questions });
+  }
+
+  it('reorders the questions of the form', async () => {
+    prisma.question.findMany.mockResolvedValue([{ id: 'q1' }, { id: 'q2' }]);
+
+    const res = await reorder([{ id: 'q1', order: 1 }, { id: 'q2', order: 0 }]);
+
+    expect(res.status).toBe(200);
+    expect(prisma.question.findMany).toHaveBeenCalledWith({
+      where: { id: { in: ['q1', 'q2'] }, formId: 'form-1', deletedAt: null },
+      select: { id: true }
+    });
+    expect(prisma.question.updateMany).toHaveBeenCalledWith({
+      where: { id: 'q1', formId: 'form-1', deletedAt: null },
+      data: { order: 1 }
+    });
+    expect(prisma.question.update).not.toHaveBeenCalled();
+  });
+
+  it('refuses questions of other forms', async () => {
+    prisma.question.findMany.mockResolvedValue([{ id: 'q1' }]);
+
+    const res = await reorder([{ id: 'q1', order: 0 }, { id: 'other-form-q', order: 1 }]);
+
+    expect(res.status).toBe(400);
+    expect(res.body.errors[0].message).toBe('Question other-form-q is not in this form');
+    expect(prisma.question.updateMany).not.toHaveBeenCalled();
+  });
+
+  it('refuses a body without IDs and integer orders', async () => {
+    const res = await reorder([{ id: 'q1', order: 'first' }]);
+
+    expect(res.status).toBe(400);
+    expect(prisma.$transaction).not.toHaveBeenCalled();
+  });
+});
+
+describe('PUT /api/forms/:id', () => {
+  it('refuses existing questions of other forms', async () => {
+    prisma.question.findMany.mockResolvedValue([{ id: 'question-own' }]);
+
+    const res = await request(app)
+      .put('/api/forms/form-1')
+      .set('Authorization', auth)
+      .send({
+        title: 'Feedback',
+        questions: [
+          { id: 'question-own', type: 'shortText', title: 'Name', order: 0 },
+          { id: 'question-foreign', type: 'shortText', title: 'Hijacked', order: 1 }
+        ]
+      });
+
+    expect(res.status).toBe(400);
+    expect(res.body.errors).toEqual([{ field: 'questions.1.id', message: 'Question question-foreign is not in this form' }]);
+    // Removed questions of the form may be sent back to restore them
+    expect(prisma.question.findMany.mock.calls[0][0].where).toEqual({
+      id: { in: ['question-own', 'question-foreign'] },
+      formId: 'form-1'
+    });
+    expect(prisma.$transaction).not.toHaveBeenCalled();
+  });
+});
+
+describe('PUT /api/forms/:id/publish', () => {
+  it('refuses logic that depends on a question in a random pool', async () => {
+    prisma.form.findUnique.mockResolvedValue({
+      id: 'form-1',
+      workspaceId: 'ws-1',
+      settings: { questionPools: [{ id: 'extra', draw: 1 }] },
+      questions: [
+        { id: 'q1', poolId: 'extra', conditionalLogic: null },
+        { id: 'q2', poolId: 'extra', conditionalLogic: null },
+        {
+          id: 'q3',
+          poolId: null,
+          conditionalLogic: { enabled: true, rules: [{ targetQuestionId: 'q1', operator: 'equals', value: 'Yes', action: 'show' }] }
+        }
+      ]
+    });
+
+    const res = await request(app).put('/api/forms/form-1/publish').set('Authorization', auth);
+
+    expect(res.status).toBe(422);
+    expect(res.body.errors).toEqual([{
+      field: 'questions.2.conditionalLogic.rules.0',
+      message: 'Question q1 is in a random pool and may not be shown'
+    }]);
+    expect(prisma.formVersion.create).not.toHaveBeenCalled();
+  });
+});
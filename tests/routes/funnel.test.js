@@ -0,0 +1,121 @@
+// backend/tests/routes/funnel.test.js
+// Responses are linked to the visit that served the form, and record the questions shown
+
+process.env.JWT_SECRET = 'test-secret';
+
+jest.mock('@prisma/client', () => require('../helpers/prismaMock').prismaModule);
+jest.mock('../../src/services/webhook.service', () => ({
+  emitWebhookEvent: jest.fn(),
+  buildResponseData: jest.fn()
+}));
+
+const express = require('express');
+const request = require('supertest');
+const { prisma, resetPrisma } = require('../helpers/prismaMock');
+const responseRoutes = require('../../src/routes/response.routes');
+const errorHandler = require('../../src/middleware/errorHandler');
+const { RESPONDENT_TOKEN_HEADER, createRespondentToken } = require('../../src/services/respondentSession.service');
+
+const app = express();
+app.use(express.json());
+app.use('/api/responses', responseRoutes);
+app.use(errorHandler);
+
+const definition = {
+  title: 'Feedback',
+  description: null,
+  theme: null,
+  settings: null,
+  questions: [
+    { id: 'q1', title: 'Happy?', type: 'multipleChoice', isRequired: true, order: 0, conditionalLogic: null },
+    {
+      id: 'q2',
+      title: 'Why not?',
+      type: 'longText',
+      isRequired: false,
+      order: 1,
+      conditionalLogic: {
+        enabled: true,
+        rules: [{ targetQuestionId: 'q1', operator: 'equals', value: 'No', action: 'show' }]
+      }
+    }
+  ]
+};
+
+beforeEach(() => {
+  resetPrisma();
+  prisma.form.findUnique.mockResolvedValue({
+    id: 'form-1',
+    isPublished: true,
+    closedReason: null,
+    liveVersion: { id: 'version-1', snapshot: definition }
+  });
+  prisma.formVersion.findUnique.mockResolvedValue({ id: 'version-1', snapshot: definition });
+  prisma.response.create.mockImplementation(async ({ data }) => ({ id: 'response-1', startedAt: new Date(), ...data }));
+});
+
+describe('POST /api/responses/start/:formId', () => {
+  it('links the response to a visit of the same form and records the first question as viewed', async () => {
+    prisma.formVisit.findFirst.mockResolvedValue({ id: 'visit-1', formId: 'form-1' });
+
+    const res = await request(app).post('/api/responses/start/form-1').send({ visitId: 'visit-1' });
+
+    expect(res.status).toBe(201);
+    expect(prisma.formVisit.findFirst).toHaveBeenCalledWith({ where: { id: 'visit-1', formId: 'form-1' } });
+    expect(prisma.response.create.mock.calls[0][0].data.visitId).toBe('visit-1');
+    expect(res.body.data.response.visitId).toBe('visit-1');
+    expect(prisma.questionView.createMany).toHaveBeenCalledWith({
+      data: [{ responseId: 'response-1', questionId: 'q1' }],
+      skipDuplicates: true
+    });
+  });
+
+  it('does not link visits of other forms', async () => {
+    const res = await request(app).post('/api/responses/start/form-1').send({ visitId: 'visit-of-another-form' });
+
+    expect(res.status).toBe(201);
+    expect(prisma.response.create.mock.calls[0][0].data.visitId).toBeNull();
+  });
+});
+
+describe('POST /api/responses/:responseId/views', () => {
+  function recordViews(body) {
+    return request(app)
+      .post('/api/responses/response-1/views')
+      .set(RESPONDENT_TOKEN_HEADER, createRespondentToken('response-1'))
+      .send(body);
+  }
+
+  beforeEach(() => {
+    prisma.response.findUnique.mockResolvedValue({
+      id: 'response-1',
+      formId: 'form-1',
+      formVersionId: 'version-1',
+      isCompleted: false,
+      answers: [{ questionId: 'q1', value: 'Yes' }],
+      form: { id: 'form-1', isPublished: true, closedReason: null }
+    });
+  });
+
+  it('records views of questions on the current path', async () => {
+    const res = await recordViews({ questionIds: ['q1', 'q1'] });
+
+    expect(res.status).toBe(200);
+    expect(prisma.questionView.createMany).toHaveBeenCalledWith({
+      data: [{ responseId: 'response-1', questionId: 'q1' }],
+      skipDuplicates: true
+    });
+  });
+
+  it('refuses questions hidden by logic', async () => {
+    const res = await recordViews({ questionId: 'q2' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.errors).toEqual([{ field: 'questionIds', message: 'Question q2 is not on the current path' }]);
+    expect(prisma.questionView.createMany).not.toHaveBeenCalled();
+  });
+
+  it('needs a question ID', async () => {
+    expect((await recordViews({ questionIds: [] })).status).toBe(400);
+  });
+});
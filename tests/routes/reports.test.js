@@ -0,0 +1,72 @@
+// backend/tests/routes/reports.test.js
+// Analytics and exports cover the questions of the live version
+
+process.env.JWT_SECRET = 'test-secret';
+
+jest.mock('@prisma/client', () => require('../helpers/prismaMock').prismaModule);
+jest.mock('../../src/services/analytics.service', () => ({
+  ...jest.requireActual('../../src/services/analytics.service'),
+  getFunnel: jest.fn().mockResolvedValue({ questions: {} }),
+  getCompletionTiming: jest.fn().mockResolvedValue({}),
+  getDwellTimes: jest.fn().mockResolvedValue({}),
+  getQuestionDistributions: jest.fn().mockResolvedValue({})
+}));
+
+const express = require('express');
+const request = require('supertest');
+const { prisma, resetPrisma } = require('../helpers/prismaMock');
+const formRoutes = require('../../src/routes/form.routes');
+const errorHandler = require('../../src/middleware/errorHandler');
+const { generateToken } = require('../../src/utils/jwt');
+
+const app = express();
+app.use(express.json());
+app.use('/api/forms', formRoutes);
+app.use(errorHandler);
+
+const auth = `Bearer ${generateToken({ userId: 'user-1' })}`;
+
+// q2 was removed from the draft and q3 added to it since version 1 was published
+const snapshot = {
+  title: 'Feedback',
+  questions: [{ id: 'q2', title: 'Age', type: 'number' }, { id: 'q1', title: 'Name', type: 'shortText' }]
+};
+const rows = [
+  { id: 'q1', title: 'Name', type: 'shortText', _count: { answers: 4 } },
+  { id: 'q2', title: 'Age', type: 'number', _count: { answers: 3 } }
+];
+
+beforeEach(() => {
+  resetPrisma();
+  prisma.user.findUnique.mockResolvedValue({ id: 'user-1', email: 'ada@example.com', name: 'Ada' });
+  prisma.workspaceMember.findUnique.mockResolvedValue({ workspaceId: 'ws-1', userId: 'user-1', role: 'analyst' });
+  prisma.form.findUnique.mockResolvedValue({
+    id: 'form-1',
+    title: 'Feedback',
+    workspaceId: 'ws-1',
+    liveVersion: { id: 'version-1', snapshot }
+  });
+  prisma.question.findMany.mockResolvedValue(rows);
+  prisma.response.findMany.mockResolvedValue([]);
+});
+
+describe('GET /api/forms/:id/analytics', () => {
+  it('reports on the questions of the live version, in its order', async () => {
+    const res = await request(app).get('/api/forms/form-1/analytics').set('Authorization', auth);
+
+    expect(res.status).toBe(200);
+    expect(prisma.question.findMany.mock.calls[0][0].where).toEqual({ formId: 'form-1', id: { in: ['q2', 'q1'] } });
+    expect(res.body.data.questions.map(question => question.id)).toEqual(['q2', 'q1']);
+  });
+});
+
+describe('GET /api/forms/:id/responses/export', () => {
+  it('has a column for each question of the live version', async () => {
+    const res = await request(app).get('/api/forms/form-1/responses/export?format=csv').set('Authorization', auth);
+
+    expect(res.status).toBe(200);
+    expect(prisma.question.findMany.mock.calls[0][0].where).toEqual({ formId: 'form-1', id: { in: ['q2', 'q1'] } });
+    expect(res.text.replace('\ufeff', '').split('\r\n')[0])
+      .toBe('responseId,respondentId,startedAt,completedAt,isCompleted,Age,Name');
+  });
+});
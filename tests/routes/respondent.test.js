@@ -0,0 +1,174 @@
+// backend/tests/routes/respondent.test.js
+// Respondent tokens on the public response endpoints, and the lock on completed responses
+
+process.env.JWT_SECRET = 'test-secret';
+
+jest.mock('@prisma/client', () => require('../helpers/prismaMock').prismaModule);
+
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const request = require('supertest');
+const { prisma, resetPrisma } = require('../helpers/prismaMock');
+const responseRoutes = require('../../src/routes/response.routes');
+const errorHandler = require('../../src/middleware/errorHandler');
+const {
+  RESPONDENT_TOKEN_HEADER,
+  createRespondentToken,
+  verifyRespondentToken
+} = require('../../src/services/respondentSession.service');
+
+const app = express();
+app.use(express.json());
+app.use('/api/responses', responseRoutes);
+app.use(errorHandler);
+
+const definition = {
+  title: 'Feedback',
+  description: null,
+  theme: null,
+  settings: null,
+  questions: [
+    { id: 'q1', title: 'Name', type: 'shortText', isRequired: true, order: 0, conditionalLogic: null }
+  ]
+};
+
+function responseRow(fields = {}) {
+  return {
+    id: 'response-1',
+    formId: 'form-1',
+    formVersionId: 'version-1',
+    isCompleted: false,
+    answers: [],
+    form: { id: 'form-1', isPublished: true, closedReason: null },
+    ...fields
+  };
+}
+
+beforeEach(() => {
+  resetPrisma();
+  prisma.formVersion.findUnique.mockResolvedValue({ id: 'version-1', snapshot: definition });
+});
+
+describe('respondent tokens', () => {
+  it('are scoped to one response', () => {
+    expect(verifyRespondentToken(createRespondentToken('response-1'))).toBe('response-1');
+  });
+
+  it('are not accepted in place of other tokens, or after they expire', () => {
+    const userToken = jwt.sign({ userId: 'user-1' }, process.env.JWT_SECRET);
+    const expired = jwt.sign({ scope: 'respondent', responseId: 'response-1' }, process.env.JWT_SECRET, { expiresIn: -10 });
+
+    expect(verifyRespondentToken(userToken)).toBeNull();
+    expect(verifyRespondentToken(expired)).toBeNull();
+    expect(verifyRespondentToken('not-a-token')).toBeNull();
+  });
+});
+
+describe('POST /api/responses/:responseId/answers', () => {
+  const answer = { questionId: 'q1', value: 'Ada' };
+
+  it('requires a respondent token', async () => {
+    const res = await request(app).post('/api/responses/response-1/answers').send(answer);
+
+    expect(res.status).toBe(401);
+    expect(res.body.message).toBe('Respondent token required');
+    expect(prisma.response.findUnique).not.toHaveBeenCalled();
+  });
+
+  it('refuses invalid and expired tokens', async () => {
+    const expired = jwt.sign({ scope: 'respondent', responseId: 'response-1' }, process.env.JWT_SECRET, { expiresIn: -10 });
+
+    for (const token of ['not-a-token', expired]) {
+      const res = await request(app)
+        .post('/api/responses/response-1/answers')
+        .set(RESPONDENT_TOKEN_HEADER, token)
+        .send(answer);
+      expect(res.status).toBe(401);
+    }
+  });
+
+  it('refuses a token issued for another response', async () => {
+    const res = await request(app)
+      .post('/api/responses/response-1/answers')
+      .set(RESPONDENT_TOKEN_HEADER, createRespondentToken('response-2'))
+      .send(answer);
+
+    expect(res.status).toBe(403);
+    expect(prisma.response.findUnique).not.toHaveBeenCalled();
+  });
+
+  it('locks a completed response against further answers', async () => {
+    prisma.response.findUnique.mockResolvedValue(responseRow({ isCompleted: true }));
+
+    const res = await request(app)
+      .post('/api/responses/response-1/answers')
+      .set(RESPONDENT_TOKEN_HEADER, createRespondentToken('response-1'))
+      .send(answer);
+
+    expect(res.status).toBe(409);
+    expect(prisma.answer.upsert).not.toHaveBeenCalled();
+    expect(prisma.answer.create).not.toHaveBeenCalled();
+  });
+
+  it('renews the token on every accepted request', async () => {
+    prisma.response.findUnique.mockResolvedValue(responseRow({ isCompleted: true }));
+
+    const res = await request(app)
+      .post('/api/responses/response-1/answers')
+      .set(RESPONDENT_TOKEN_HEADER, createRespondentToken('response-1'))
+      .send(answer);
+
+    const renewed = res.headers[RESPONDENT_TOKEN_HEADER.toLowerCase()];
+    expect(renewed).toBeDefined();
+    expect(verifyRespondentToken(renewed)).toBe('response-1');
+  });
+});
+
+describe('POST /api/responses/:id/complete', () => {
+  it('reports a response that is already completed without completing it again', async () => {
+    const completedAt = new Date('2025-01-01T00:00:00Z');
+    prisma.response.findUnique.mockResolvedValue(responseRow({ isCompleted: true, completedAt }));
+
+    const res = await request(app)
+      .post('/api/responses/response-1/complete')
+      .set(RESPONDENT_TOKEN_HEADER, createRespondentToken('response-1'));
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.response).toEqual({ id: 'response-1', isCompleted: true, completedAt: completedAt.toISOString() });
+    expect(prisma.response.update).not.toHaveBeenCalled();
+    expect(prisma.response.updateMany).not.toHaveBeenCalled();
+  });
+});
+
+describe('POST /api/responses/start/:formId with one response per person', () => {
+  beforeEach(() => {
+    prisma.form.findUnique.mockResolvedValue({
+      id: 'form-1',
+      isPublished: true,
+      closedReason: null,
+      liveVersion: { id: 'version-1', snapshot: definition }
+    });
+    prisma.formSettings.findUnique.mockResolvedValue({ limitOneResponsePerUser: true, requireSignIn: false, maxResponses: null });
+  });
+
+  it('hands back a token for the response already in progress on this device', async () => {
+    prisma.response.findFirst.mockResolvedValue(responseRow());
+
+    const res = await request(app).post('/api/responses/start/form-1').send({});
+
+    expect(res.status).toBe(409);
+    expect(res.body.data.response.id).toBe('response-1');
+    expect(verifyRespondentToken(res.body.data.response.respondentToken)).toBe('response-1');
+    expect(prisma.response.create).not.toHaveBeenCalled();
+  });
+
+  it('does not issue a token for a completed response', async () => {
+    prisma.response.findFirst.mockResolvedValue(responseRow({ isCompleted: true }));
+
+    const res = await request(app).post('/api/responses/start/form-1').send({});
+
+    expect(res.status).toBe(409);
+    expect(res.body.message).toBe('You have already responded to this form');
+    expect(res.body.data.response.respondentToken).toBeUndefined();
+  });
+});
@@ -0,0 +1,146 @@
+// backend/tests/routes/responseExport.test.js
+// Response exports stream CSV or NDJSON in batches, with one column per question
+
+process.env.JWT_SECRET = 'test-secret';
+
+jest.mock('@prisma/client', () => require('../helpers/prismaMock').prismaModule);
+
+const express = require('express');
+const request = require('supertest');
+const { prisma, resetPrisma } = require('../helpers/prismaMock');
+const formRoutes = require('../../src/routes/form.routes');
+const errorHandler = require('../../src/middleware/errorHandler');
+const { generateToken } = require('../../src/utils/jwt');
+
+const app = express();
+app.use(express.json());
+app.use('/api/forms', formRoutes);
+app.use(errorHandler);
+
+const auth = `Bearer ${generateToken({ userId: 'user-1' })}`;
+
+const questions = [
+  { id: 'q1', title: 'Name', type: 'shortText' },
+  { id: 'q2', title: 'Name', type: 'shortText' },
+  { id: 'q3', title: 'Toppings', type: 'checkboxes' }
+];
+
+function response(id, answers = [], fields = {}) {
+  return {
+    id,
+    respondentId: null,
+    startedAt: new Date('2025-01-01T10:00:00Z'),
+    completedAt: new Date('2025-01-01T10:05:00Z'),
+    isCompleted: true,
+    answers,
+    ...fields
+  };
+}
+
+function exportResponses(query) {
+  return request(app).get('/api/forms/form-1/responses/export').query(query).set('Authorization', auth);
+}
+
+const lines = res => res.text.replace('\ufeff', '').split('\r\n');
+
+beforeEach(() => {
+  resetPrisma();
+  prisma.user.findUnique.mockResolvedValue({ id: 'user-1', email: 'ada@example.com', name: 'Ada' });
+  prisma.workspaceMember.findUnique.mockResolvedValue({ workspaceId: 'ws-1', userId: 'user-1', role: 'analyst' });
+  prisma.form.findUnique.mockResolvedValue({
+    id: 'form-1',
+    title: 'Pizza Survey',
+    workspaceId: 'ws-1',
+    liveVersion: { id: 'version-1', snapshot: { questions } }
+  });
+  prisma.question.findMany.mockResolvedValue(questions);
+  prisma.response.findMany.mockResolvedValue([]);
+});
+
+describe('GET /api/forms/:id/responses/export', () => {
+  it('writes a CSV with metadata columns and unique question headers', async () => {
+    prisma.response.findMany.mockResolvedValueOnce([
+      response('r1', [
+        { questionId: 'q1', value: 'Ada', fileUrl: null },
+        { questionId: 'q3', value: '["Ham","Olives"]', fileUrl: null }
+      ])
+    ]);
+
+    const res = await exportResponses({ format: 'csv' });
+
+    expect(res.status).toBe(200);
+    expect(res.headers['content-type']).toBe('text/csv; charset=utf-8');
+    expect(res.headers['content-disposition']).toBe('attachment; filename="pizza-survey-responses.csv"');
+    expect(res.text.startsWith('\ufeff')).toBe(true);
+    expect(lines(res)).toEqual([
+      'responseId,respondentId,startedAt,completedAt,isCompleted,Name,Name (2),Toppings',
+      'r1,,2025-01-01T10:00:00.000Z,2025-01-01T10:05:00.000Z,true,Ada,,Ham; Olives',
+      ''
+    ]);
+  });
+
+  it('quotes cells and neutralizes spreadsheet formulas', async () => {
+    prisma.response.findMany.mockResolvedValueOnce([
+      response('r1', [
+        { questionId: 'q1', value: '=HYPERLINK("http://evil.test")', fileUrl: null },
+        { questionId: 'q2', value: '-42', fileUrl: null }
+      ])
+    ]);
+
+    const res = await exportResponses({ format: 'csv' });
+
+    expect(lines(res)[1]).toBe(
+      'r1,,2025-01-01T10:00:00.000Z,2025-01-01T10:05:00.000Z,true,"\'=HYPERLINK(""http://evil.test"")",-42,'
+    );
+  });
+
+  it('writes one JSON record per line keyed by question ID', async () => {
+    prisma.response.findMany.mockResolvedValueOnce([
+      response('r1', [{ questionId: 'q3', value: '["Ham"]', fileUrl: null }], { isCompleted: false, completedAt: null })
+    ]);
+
+    const res = await exportResponses({ format: 'ndjson' });
+
+    expect(res.headers['content-type']).toBe('application/x-ndjson; charset=utf-8');
+    expect(res.text.trim().split('\n').map(line => JSON.parse(line))).toEqual([{
+      responseId: 'r1',
+      respondentId: null,
+      startedAt: '2025-01-01T10:00:00.000Z',
+      completedAt: null,
+      isCompleted: false,
+      answers: { q1: null, q2: null, q3: ['Ham'] }
+    }]);
+  });
+
+  it('reads responses in cursor batches until a short batch', async () => {
+    const fullBatch = Array.from({ length: 500 }, (_, index) => response(`r${index}`));
+    prisma.response.findMany
+      .mockResolvedValueOnce(fullBatch)
+      .mockResolvedValueOnce([response('r500')]);
+
+    const res = await exportResponses({ format: 'csv' });
+
+    expect(lines(res)).toHaveLength(503);
+    expect(prisma.response.findMany).toHaveBeenCalledTimes(2);
+    expect(prisma.response.findMany.mock.calls[0][0]).toMatchObject({ take: 500 });
+    expect(prisma.response.findMany.mock.calls[0][0].cursor).toBeUndefined();
+    expect(prisma.response.findMany.mock.calls[1][0]).toMatchObject({ take: 500, cursor: { id: 'r499' }, skip: 1 });
+  });
+
+  it('applies filters to the responses exported', async () => {
+    await exportResponses({ format: 'csv', status: 'completed', 'answer[q1][equals]': 'Ada' });
+
+    const { where } = prisma.response.findMany.mock.calls[0][0];
+    expect(where).toMatchObject({ formId: 'form-1', isCompleted: true });
+    expect(where.AND).toHaveLength(1);
+  });
+
+  it('refuses unknown formats and invalid filters', async () => {
+    expect((await exportResponses({ format: 'xlsx' })).status).toBe(400);
+
+    const res = await exportResponses({ format: 'csv', startedFrom: 'yesterday' });
+    expect(res.status).toBe(400);
+    expect(res.body.errors).toEqual([{ field: 'startedFrom', message: 'startedFrom must be a valid date' }]);
+    expect(prisma.response.findMany).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,86 @@
+// backend/tests/routes/responseList.test.js
+// The responses listing returns one page at a time with counts for the dashboard
+
+process.env.JWT_SECRET = 'test-secret';
+
+jest.mock('@prisma/client', () => require('../helpers/prismaMock').prismaModule);
+
+const express = require('express');
+const request = require('supertest');
+const { prisma, resetPrisma } = require('../helpers/prismaMock');
+const formRoutes = require('../../src/routes/form.routes');
+const errorHandler = require('../../src/middleware/errorHandler');
+const { generateToken } = require('../../src/utils/jwt');
+
+const app = express();
+app.use(express.json());
+app.use('/api/forms', formRoutes);
+app.use(errorHandler);
+
+const auth = `Bearer ${generateToken({ userId: 'user-1' })}`;
+
+function response(id) {
+  return {
+    id,
+    respondentId: null,
+    isCompleted: true,
+    startedAt: new Date('2025-01-01T10:00:00Z'),
+    completedAt: new Date('2025-01-01T10:05:00Z'),
+    answers: [{ value: 'Ada', question: { title: 'Name', type: 'shortText' } }]
+  };
+}
+
+function listResponses(query) {
+  return request(app).get('/api/forms/form-1/responses').query(query).set('Authorization', auth);
+}
+
+beforeEach(() => {
+  resetPrisma();
+  prisma.user.findUnique.mockResolvedValue({ id: 'user-1', email: 'ada@example.com', name: 'Ada' });
+  prisma.workspaceMember.findUnique.mockResolvedValue({ workspaceId: 'ws-1', userId: 'user-1', role: 'analyst' });
+  prisma.form.findUnique.mockResolvedValue({ id: 'form-1', workspaceId: 'ws-1' });
+  prisma.response.findMany.mockResolvedValue([]);
+  prisma.response.count.mockResolvedValue(0);
+});
+
+describe('GET /api/forms/:id/responses', () => {
+  it('returns a page of responses, the cursor for the next one and the counts', async () => {
+    prisma.response.findMany.mockResolvedValue([response('r1'), response('r2'), response('r3')]);
+    prisma.response.count
+      .mockResolvedValueOnce(40)
+      .mockResolvedValueOnce(30)
+      .mockResolvedValueOnce(12);
+
+    const res = await listResponses({ limit: 2, cursor: 'r0', status: 'completed', sort: 'completedAt', order: 'asc' });
+
+    expect(res.status).toBe(200);
+    expect(prisma.response.findMany.mock.calls[0][0]).toMatchObject({
+      where: { formId: 'form-1', isCompleted: true },
+      orderBy: [{ completedAt: { sort: 'asc', nulls: 'last' } }, { id: 'asc' }],
+      take: 3,
+      cursor: { id: 'r0' },
+      skip: 1
+    });
+    expect(res.body.data.responses.map(item => item.id)).toEqual(['r1', 'r2']);
+    expect(res.body.data.responses[0].answers).toEqual({ Name: { value: 'Ada', type: 'shortText' } });
+    expect(res.body.data.counts).toEqual({ total: 40, completed: 30, partial: 10, matching: 12 });
+    expect(res.body.data.pagination).toEqual({ limit: 2, nextCursor: 'r2', hasMore: true });
+  });
+
+  it('has no next cursor on the last page', async () => {
+    prisma.response.findMany.mockResolvedValue([response('r1')]);
+
+    const res = await listResponses({});
+
+    expect(prisma.response.findMany.mock.calls[0][0].take).toBe(26);
+    expect(res.body.data.pagination).toEqual({ limit: 25, nextCursor: null, hasMore: false });
+  });
+
+  it('refuses invalid parameters before reading anything', async () => {
+    const res = await listResponses({ limit: 500, sort: 'title' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.errors.map(error => error.field)).toEqual(['sort', 'limit']);
+    expect(prisma.form.findUnique).not.toHaveBeenCalled();
+  });
+});
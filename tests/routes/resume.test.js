@@ -0,0 +1,155 @@
+// backend/tests/routes/resume.test.js
+// Save-and-resume links for unfinished responses
+
+process.env.JWT_SECRET = 'test-secret';
+
+jest.mock('@prisma/client', () => require('../helpers/prismaMock').prismaModule);
+jest.mock('../../src/services/email.service', () => ({
+  ...jest.requireActual('../../src/services/email.service'),
+  sendEmail: jest.fn().mockResolvedValue({ messageId: 'message-1', file: null })
+}));
+
+const express = require('express');
+const request = require('supertest');
+const { prisma, resetPrisma } = require('../helpers/prismaMock');
+const { sendEmail } = require('../../src/services/email.service');
+const responseRoutes = require('../../src/routes/response.routes');
+const errorHandler = require('../../src/middleware/errorHandler');
+const { RESPONDENT_TOKEN_HEADER, createRespondentToken, verifyRespondentToken } = require('../../src/services/respondentSession.service');
+const { createResumeToken, verifyResumeToken } = require('../../src/services/resume.service');
+
+const app = express();
+app.use(express.json());
+app.use('/api/responses', responseRoutes);
+app.use(errorHandler);
+
+const definition = {
+  title: 'Feedback',
+  description: null,
+  theme: null,
+  settings: null,
+  questions: [
+    { id: 'q1', title: 'Happy?', type: 'multipleChoice', isRequired: true, order: 0, conditionalLogic: null },
+    {
+      id: 'q2',
+      title: 'Why not?',
+      type: 'longText',
+      isRequired: true,
+      order: 1,
+      conditionalLogic: {
+        enabled: true,
+        rules: [{ targetQuestionId: 'q1', operator: 'equals', value: 'No', action: 'show' }]
+      }
+    },
+    { id: 'q3', title: 'Anything else?', type: 'longText', isRequired: false, order: 2, conditionalLogic: null }
+  ]
+};
+
+function responseRow(fields = {}) {
+  return {
+    id: 'response-1',
+    formId: 'form-1',
+    formVersionId: 'version-1',
+    respondentId: 'respondent-1',
+    isCompleted: false,
+    startedAt: new Date('2025-01-01T10:00:00Z'),
+    answers: [],
+    form: { id: 'form-1', title: 'Feedback', isPublished: true, closedReason: null },
+    ...fields
+  };
+}
+
+beforeEach(() => {
+  resetPrisma();
+  sendEmail.mockClear();
+  prisma.formVersion.findUnique.mockResolvedValue({ id: 'version-1', snapshot: definition });
+});
+
+describe('POST /api/responses/:id/resume-link', () => {
+  function createLink(body = {}) {
+    return request(app)
+      .post('/api/responses/response-1/resume-link')
+      .set(RESPONDENT_TOKEN_HEADER, createRespondentToken('response-1'))
+      .send(body);
+  }
+
+  it('issues a resume token that lasts as long as the form keeps partial responses', async () => {
+    prisma.response.findUnique.mockResolvedValue(responseRow());
+    prisma.formSettings.findUnique.mockResolvedValue({ partialResponseRetentionDays: 7 });
+
+    const res = await createLink();
+
+    expect(res.status).toBe(200);
+    const { resumeToken, resumeUrl, expiresAt, emailed } = res.body.data;
+    expect(verifyResumeToken(resumeToken)).toEqual({ responseId: 'response-1', formId: 'form-1' });
+    expect(resumeUrl).toContain(`/forms/form-1/fill?resume=${encodeURIComponent(resumeToken)}`);
+    expect(new Date(expiresAt) - Date.now()).toBeGreaterThan(6.9 * 24 * 60 * 60 * 1000);
+    expect(new Date(expiresAt) - Date.now()).toBeLessThanOrEqual(7 * 24 * 60 * 60 * 1000);
+    expect(emailed).toBe(false);
+    expect(sendEmail).not.toHaveBeenCalled();
+  });
+
+  it('emails the link when asked', async () => {
+    prisma.response.findUnique.mockResolvedValue(responseRow());
+
+    const res = await createLink({ email: ' ada@example.com ' });
+
+    expect(res.body.data.emailed).toBe(true);
+    expect(sendEmail).toHaveBeenCalledTimes(1);
+    expect(sendEmail.mock.calls[0][0]).toMatchObject({ to: 'ada@example.com', subject: 'Continue your response to "Feedback"' });
+    expect(sendEmail.mock.calls[0][0].text).toContain(res.body.data.resumeUrl);
+  });
+
+  it('refuses invalid email addresses and completed responses', async () => {
+    expect((await createLink({ email: 'not an address' })).status).toBe(400);
+
+    prisma.response.findUnique.mockResolvedValue(responseRow({ isCompleted: true }));
+    expect((await createLink()).status).toBe(409);
+    expect(sendEmail).not.toHaveBeenCalled();
+  });
+});
+
+describe('GET /api/responses/resume/:token', () => {
+  function resume(token) {
+    return request(app).get(`/api/responses/resume/${encodeURIComponent(token)}`);
+  }
+
+  const resumeToken = () => createResumeToken({ id: 'response-1', formId: 'form-1' }, null).token;
+
+  it('returns the answers so far and the next question on the path', async () => {
+    prisma.response.findUnique.mockResolvedValue(responseRow({
+      answers: [{ questionId: 'q1', value: 'No', fileUrl: null }]
+    }));
+
+    const res = await resume(resumeToken());
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.answers.map(answer => [answer.questionId, answer.value])).toEqual([['q1', 'No']]);
+    expect(res.body.data.nextQuestion.id).toBe('q2');
+    expect(verifyRespondentToken(res.body.data.response.respondentToken)).toBe('response-1');
+    expect(prisma.questionView.createMany).toHaveBeenCalledWith({
+      data: [{ responseId: 'response-1', questionId: 'q2' }],
+      skipDuplicates: true
+    });
+  });
+
+  it('skips questions hidden by logic', async () => {
+    prisma.response.findUnique.mockResolvedValue(responseRow({
+      answers: [{ questionId: 'q1', value: 'Yes', fileUrl: null }]
+    }));
+
+    const res = await resume(resumeToken());
+
+    expect(res.body.data.nextQuestion.id).toBe('q3');
+  });
+
+  it('refuses respondent tokens and expired or forged links', async () => {
+    expect((await resume(createRespondentToken('response-1'))).status).toBe(401);
+    expect((await resume(`${resumeToken()}x`)).status).toBe(401);
+    expect(prisma.response.findUnique).not.toHaveBeenCalled();
+  });
+
+  it('reports responses deleted after the retention window', async () => {
+    expect((await resume(resumeToken())).status).toBe(404);
+  });
+});
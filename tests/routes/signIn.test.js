@@ -0,0 +1,125 @@
+// backend/tests/routes/signIn.test.js
+// Starting a response on forms that require sign-in or allow one response per person
+
+process.env.JWT_SECRET = 'test-secret';
+
+jest.mock('@prisma/client', () => require('../helpers/prismaMock').prismaModule);
+jest.mock('../../src/services/webhook.service', () => ({
+  emitWebhookEvent: jest.fn(),
+  buildResponseData: jest.fn()
+}));
+
+const express = require('express');
+const request = require('supertest');
+const { prisma, resetPrisma } = require('../helpers/prismaMock');
+const responseRoutes = require('../../src/routes/response.routes');
+const errorHandler = require('../../src/middleware/errorHandler');
+const { generateToken } = require('../../src/utils/jwt');
+
+const app = express();
+app.use(express.json());
+app.use('/api/responses', responseRoutes);
+app.use(errorHandler);
+
+const definition = {
+  title: 'Feedback',
+  description: null,
+  theme: null,
+  settings: null,
+  questions: [{ id: 'q1', title: 'Name', type: 'shortText', isRequired: true, order: 0, conditionalLogic: null }]
+};
+const deviceId = '0f8fad5b-d9cb-469f-a165-70867728950e';
+
+function start(headers = {}) {
+  return request(app).post('/api/responses/start/form-1').set(headers).send({});
+}
+
+function useSettings(settings) {
+  prisma.formSettings.findUnique.mockResolvedValue({ requireSignIn: false, limitOneResponsePerUser: false, maxResponses: null, ...settings });
+}
+
+beforeEach(() => {
+  resetPrisma();
+  prisma.form.findUnique.mockResolvedValue({
+    id: 'form-1',
+    isPublished: true,
+    closedReason: null,
+    liveVersion: { id: 'version-1', snapshot: definition }
+  });
+  prisma.user.findUnique.mockResolvedValue({ id: 'user-1', email: 'ada@example.com', name: 'Ada' });
+  prisma.response.create.mockImplementation(async ({ data }) => ({ id: 'response-1', startedAt: new Date(), ...data }));
+});
+
+describe('POST /api/responses/start/:formId on forms that require sign-in', () => {
+  beforeEach(() => {
+    useSettings({ requireSignIn: true });
+  });
+
+  it('refuses anonymous respondents', async () => {
+    const res = await start();
+
+    expect(res.status).toBe(401);
+    expect(res.body.message).toBe('You must be signed in to fill this form');
+    expect(prisma.response.create).not.toHaveBeenCalled();
+  });
+
+  it('refuses invalid tokens as anonymous', async () => {
+    const res = await start({ Authorization: 'Bearer not-a-token' });
+
+    expect(res.status).toBe(401);
+    expect(prisma.response.create).not.toHaveBeenCalled();
+  });
+
+  it('stores the signed-in user on the response', async () => {
+    const res = await start({ Authorization: `Bearer ${generateToken({ userId: 'user-1' })}` });
+
+    expect(res.status).toBe(201);
+    expect(prisma.response.create.mock.calls[0][0].data).toMatchObject({ formId: 'form-1', userId: 'user-1' });
+  });
+});
+
+describe('POST /api/responses/start/:formId identifying respondents for the one-response limit', () => {
+  beforeEach(() => {
+    useSettings({ limitOneResponsePerUser: true });
+  });
+
+  it('looks up earlier responses by user when signed in', async () => {
+    await start({ Authorization: `Bearer ${generateToken({ userId: 'user-1' })}` });
+
+    expect(prisma.response.findFirst.mock.calls[0][0].where).toEqual({ formId: 'form-1', userId: 'user-1' });
+  });
+
+  it('looks up earlier responses by device cookie when anonymous', async () => {
+    const res = await start({ Cookie: `triddle_device=${deviceId}` });
+
+    expect(res.status).toBe(201);
+    expect(prisma.response.findFirst.mock.calls[0][0].where).toEqual({ formId: 'form-1', deviceId });
+    expect(prisma.response.create.mock.calls[0][0].data).toMatchObject({ userId: null, deviceId });
+    expect(res.headers['set-cookie']).toBeUndefined();
+  });
+
+  it('gives new devices a long-lived HTTP-only cookie', async () => {
+    const res = await start();
+
+    const [cookie] = res.headers['set-cookie'];
+    const issued = cookie.match(/^triddle_device=([^;]+)/)[1];
+    expect(cookie).toMatch(/HttpOnly/);
+    expect(prisma.response.create.mock.calls[0][0].data.deviceId).toBe(issued);
+  });
+
+  it('refuses a second response from the same person', async () => {
+    prisma.response.findFirst.mockResolvedValue({ id: 'response-0', isCompleted: true });
+
+    const res = await start({ Cookie: `triddle_device=${deviceId}` });
+
+    expect(res.status).toBe(409);
+    expect(prisma.response.create).not.toHaveBeenCalled();
+  });
+
+  it('does not look up earlier responses when the limit is off', async () => {
+    useSettings({});
+
+    expect((await start()).status).toBe(201);
+    expect(prisma.response.findFirst).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,180 @@
+// backend/tests/routes/uploads.test.js
+// File uploads through the local storage driver: signed upload URLs and per-question constraints
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.JWT_SECRET = 'test-secret';
+process.env.STORAGE_DRIVER = 'local';
+process.env.LOCAL_STORAGE_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'triddle-uploads-'));
+process.env.API_URL = 'http://api.test';
+
+jest.mock('@prisma/client', () => require('../helpers/prismaMock').prismaModule);
+
+const express = require('express');
+const request = require('supertest');
+const { prisma, resetPrisma } = require('../helpers/prismaMock');
+const responseRoutes = require('../../src/routes/response.routes');
+const storageRoutes = require('../../src/routes/storage.routes');
+const errorHandler = require('../../src/middleware/errorHandler');
+const { RESPONDENT_TOKEN_HEADER, createRespondentToken } = require('../../src/services/respondentSession.service');
+const { getSignedUploadUrl } = require('../../src/services/storage/local.driver');
+
+const app = express();
+app.use(express.json());
+app.use('/api/responses', responseRoutes);
+app.use('/api/storage', storageRoutes);
+app.use(errorHandler);
+
+const definition = {
+  title: 'Application',
+  description: null,
+  theme: null,
+  settings: null,
+  questions: [{
+    id: 'q1',
+    title: 'Your CV',
+    type: 'fileUpload',
+    isRequired: true,
+    order: 0,
+    conditionalLogic: null,
+    validation: { maxFileSize: 100, allowedTypes: ['application/pdf'] }
+  }]
+};
+
+const responseRow = {
+  id: 'response-1',
+  formId: 'form-1',
+  formVersionId: 'version-1',
+  isCompleted: false,
+  answers: [],
+  form: { id: 'form-1', isPublished: true, closedReason: null }
+};
+
+const respondentToken = createRespondentToken('response-1');
+
+// Path and query of a signed upload URL on this server
+function toPath(uploadUrl) {
+  const url = new URL(uploadUrl);
+  return `${url.pathname}${url.search}`;
+}
+
+beforeEach(() => {
+  resetPrisma();
+  prisma.formVersion.findUnique.mockResolvedValue({ id: 'version-1', snapshot: definition });
+  prisma.response.findUnique.mockResolvedValue(responseRow);
+  prisma.upload.create.mockImplementation(({ data }) => Promise.resolve({ id: 'upload-1', status: 'pending', ...data }));
+  prisma.upload.update.mockImplementation(({ data }) => Promise.resolve({ id: 'upload-1', ...data }));
+});
+
+afterAll(() => {
+  fs.rmSync(process.env.LOCAL_STORAGE_DIR, { recursive: true, force: true });
+});
+
+describe('POST /api/responses/:responseId/uploads', () => {
+  function createUpload(body) {
+    return request(app)
+      .post('/api/responses/response-1/uploads')
+      .set(RESPONDENT_TOKEN_HEADER, respondentToken)
+      .send(body);
+  }
+
+  it('refuses files the question does not accept before anything is uploaded', async () => {
+    const res = await createUpload({ questionId: 'q1', fileName: 'cv.exe', contentType: 'application/x-msdownload', size: 500 });
+
+    expect(res.status).toBe(422);
+    expect(res.body.errors.map(error => error.rule)).toEqual(['fileType', 'maxFileSize']);
+    expect(prisma.upload.create).not.toHaveBeenCalled();
+  });
+
+  it('issues a signed URL the file is uploaded to, then completes the upload', async () => {
+    const created = await createUpload({ questionId: 'q1', fileName: 'cv.pdf', contentType: 'application/pdf', size: 5 });
+
+    expect(created.status).toBe(201);
+    const { storageKey } = prisma.upload.create.mock.calls[0][0].data;
+    expect(storageKey).toMatch(/^uploads\/response-1\/[0-9a-f-]+\.pdf$/);
+    expect(created.body.data.uploadUrl).toMatch(`http://api.test/api/storage/${storageKey}?token=`);
+
+    const put = await request(app)
+      .put(toPath(created.body.data.uploadUrl))
+      .set('Content-Type', 'application/pdf')
+      .send(Buffer.from('%PDF-'));
+    expect(put.status).toBe(200);
+
+    prisma.upload.findFirst.mockResolvedValue({ id: 'upload-1', questionId: 'q1', status: 'pending', storageKey, contentType: 'application/pdf' });
+    const completed = await request(app)
+      .post('/api/responses/response-1/uploads/upload-1/complete')
+      .set(RESPONDENT_TOKEN_HEADER, respondentToken);
+
+    expect(completed.status).toBe(200);
+    expect(completed.body.data.upload).toMatchObject({ status: 'completed', size: 5 });
+  });
+
+  it('returns 404 when completing an upload of a response that no longer exists', async () => {
+    prisma.upload.findFirst.mockResolvedValue({ id: 'upload-1', questionId: 'q1', status: 'pending', storageKey: 'uploads/response-1/a.pdf' });
+    prisma.response.findUnique.mockResolvedValue(null);
+
+    const res = await request(app)
+      .post('/api/responses/response-1/uploads/upload-1/complete')
+      .set(RESPONDENT_TOKEN_HEADER, respondentToken);
+
+    expect(res.status).toBe(404);
+    expect(res.body.message).toBe('Response not found');
+  });
+
+  it('does not complete an upload before the file is stored', async () => {
+    prisma.upload.findFirst.mockResolvedValue({ id: 'upload-1', questionId: 'q1', status: 'pending', storageKey: 'uploads/response-1/missing.pdf' });
+
+    const res = await request(app)
+      .post('/api/responses/response-1/uploads/upload-1/complete')
+      .set(RESPONDENT_TOKEN_HEADER, respondentToken);
+
+    expect(res.status).toBe(409);
+    expect(prisma.upload.update).not.toHaveBeenCalled();
+  });
+});
+
+describe('PUT /api/storage/*', () => {
+  const key = 'uploads/response-1/file.pdf';
+
+  async function signedPath(fileKey, { expiresIn = 300, maxSize = 10 } = {}) {
+    return toPath((await getSignedUploadUrl(fileKey, 'application/pdf', { expiresIn, maxSize })).uploadUrl);
+  }
+
+  it('refuses uploads without a valid token for that key', async () => {
+    const otherKey = await signedPath('uploads/response-2/file.pdf');
+    const token = new URL(`http://x${otherKey}`).searchParams.get('token');
+
+    const forged = await request(app).put(`/api/storage/${key}?token=nope`).set('Content-Type', 'application/pdf').send('x');
+    const reused = await request(app).put(`/api/storage/${key}?token=${encodeURIComponent(token)}`)
+      .set('Content-Type', 'application/pdf').send('x');
+
+    expect(forged.status).toBe(403);
+    expect(reused.status).toBe(403);
+  });
+
+  it('holds the upload to the signed type and size', async () => {
+    const wrongType = await request(app).put(await signedPath(key)).set('Content-Type', 'text/html').send('<p>');
+    const tooLarge = await request(app).put(await signedPath(key)).set('Content-Type', 'application/pdf').send(Buffer.alloc(11));
+
+    expect(wrongType.status).toBe(400);
+    expect(tooLarge.status).toBe(413);
+    expect(fs.existsSync(path.join(process.env.LOCAL_STORAGE_DIR, key))).toBe(false);
+  });
+
+  it('refuses keys outside the storage directory', async () => {
+    const res = await request(app).put('/api/storage/uploads/..%2F..%2Fetc/passwd?token=x').set('Content-Type', 'application/pdf').send('x');
+
+    expect(res.status).toBe(404);
+  });
+
+  it('serves stored files as downloads', async () => {
+    await request(app).put(await signedPath(key)).set('Content-Type', 'application/pdf').send(Buffer.from('%PDF-'));
+
+    const res = await request(app).get(`/api/storage/${key}`);
+
+    expect(res.status).toBe(200);
+    expect(res.headers['content-disposition']).toMatch(/^attachment/);
+  });
+});
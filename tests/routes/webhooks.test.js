@@ -0,0 +1,121 @@
+// backend/tests/routes/webhooks.test.js
+// Managing a form's webhooks: who may, which URLs, and when the secret is shown
+
+process.env.JWT_SECRET = 'test-secret';
+
+jest.mock('@prisma/client', () => require('../helpers/prismaMock').prismaModule);
+jest.mock('../../src/utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn() }));
+jest.mock('../../src/services/webhook.service', () => ({
+  ...jest.requireActual('../../src/services/webhook.service'),
+  redeliver: jest.fn()
+}));
+
+const express = require('express');
+const request = require('supertest');
+const { prisma, resetPrisma } = require('../helpers/prismaMock');
+const { redeliver } = require('../../src/services/webhook.service');
+const formRoutes = require('../../src/routes/form.routes');
+const errorHandler = require('../../src/middleware/errorHandler');
+const { generateToken } = require('../../src/utils/jwt');
+
+const app = express();
+app.use(express.json());
+app.use('/api/forms', formRoutes);
+app.use(errorHandler);
+
+const auth = `Bearer ${generateToken({ userId: 'user-1' })}`;
+
+function useRole(role) {
+  prisma.workspaceMember.findUnique.mockResolvedValue({ workspaceId: 'ws-1', userId: 'user-1', role });
+}
+
+function createWebhook(body) {
+  return request(app).post('/api/forms/form-1/webhooks').set('Authorization', auth).send(body);
+}
+
+beforeEach(() => {
+  resetPrisma();
+  redeliver.mockReset();
+  prisma.user.findUnique.mockResolvedValue({ id: 'user-1', email: 'ada@example.com', name: 'Ada' });
+  prisma.form.findUnique.mockResolvedValue({ id: 'form-1', workspaceId: 'ws-1' });
+  prisma.webhook.create.mockImplementation(async ({ data }) => ({ id: 'webhook-1', ...data }));
+  useRole('admin');
+});
+
+describe('POST /api/forms/:id/webhooks', () => {
+  it('shows the signing secret once, when the webhook is created', async () => {
+    const res = await createWebhook({ url: 'https://8.8.8.8/hook', events: ['response.completed'] });
+
+    expect(res.status).toBe(201);
+    expect(res.body.data.webhook.secret).toMatch(/^whsec_[0-9a-f]{48}$/);
+    expect(prisma.webhook.create.mock.calls[0][0].data).toMatchObject({ formId: 'form-1', isActive: true });
+  });
+
+  it.each([
+    ['loopback', 'http://127.0.0.1:8080/hook'],
+    ['cloud metadata', 'http://169.254.169.254/latest/meta-data'],
+    ['IPv4-mapped IPv6', 'http://[::ffff:10.0.0.1]/hook']
+  ])('refuses %s addresses', async (kind, url) => {
+    const res = await createWebhook({ url, events: ['response.completed'] });
+
+    expect(res.status).toBe(400);
+    expect(res.body.errors[0].field).toBe('url');
+    expect(prisma.webhook.create).not.toHaveBeenCalled();
+  });
+
+  it('refuses other schemes and unknown events', async () => {
+    const res = await createWebhook({ url: 'file:///etc/passwd', events: ['response.deleted'] });
+
+    expect(res.status).toBe(400);
+    expect(res.body.errors.map(error => error.field)).toEqual(['url', 'events.0']);
+    expect(prisma.form.findUnique).not.toHaveBeenCalled();
+  });
+
+  it('is limited to owners and admins of the workspace', async () => {
+    useRole('editor');
+
+    const res = await createWebhook({ url: 'https://8.8.8.8/hook', events: ['response.completed'] });
+
+    expect(res.status).toBe(403);
+    expect(prisma.webhook.create).not.toHaveBeenCalled();
+  });
+});
+
+describe('GET /api/forms/:id/webhooks', () => {
+  it('never lists the secrets', async () => {
+    prisma.webhook.findMany.mockResolvedValue([{ id: 'webhook-1', url: 'https://8.8.8.8/hook', secret: 'whsec_hidden' }]);
+
+    const res = await request(app).get('/api/forms/form-1/webhooks').set('Authorization', auth);
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.webhooks).toEqual([{ id: 'webhook-1', url: 'https://8.8.8.8/hook' }]);
+  });
+});
+
+describe('POST /api/forms/:id/webhooks/:webhookId/deliveries/:deliveryId/redeliver', () => {
+  const redeliverUrl = '/api/forms/form-1/webhooks/webhook-1/deliveries/delivery-1/redeliver';
+
+  it('only finds deliveries of the form checked', async () => {
+    const res = await request(app).post(redeliverUrl).set('Authorization', auth);
+
+    expect(res.status).toBe(404);
+    expect(prisma.webhookDelivery.findFirst.mock.calls[0][0].where).toEqual({
+      id: 'delivery-1',
+      webhookId: 'webhook-1',
+      webhook: { formId: 'form-1' }
+    });
+    expect(redeliver).not.toHaveBeenCalled();
+  });
+
+  it('returns the new delivery', async () => {
+    const delivery = { id: 'delivery-1', webhookId: 'webhook-1', webhook: { id: 'webhook-1' } };
+    prisma.webhookDelivery.findFirst.mockResolvedValue(delivery);
+    redeliver.mockResolvedValue({ id: 'delivery-2', status: 'succeeded' });
+
+    const res = await request(app).post(redeliverUrl).set('Authorization', auth);
+
+    expect(res.status).toBe(200);
+    expect(redeliver).toHaveBeenCalledWith(delivery);
+    expect(res.body.data.delivery).toEqual({ id: 'delivery-2', status: 'succeeded' });
+  });
+});
@@ -0,0 +1,231 @@
+// backend/tests/routes/workspaces.test.js
+// Workspace members and invitations: who may change roles, and how invitation links are checked
+
+process.env.JWT_SECRET = 'test-secret';
+
+jest.mock('@prisma/client', () => require('../helpers/prismaMock').prismaModule);
+jest.mock('../../src/utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn() }));
+jest.mock('../../src/services/email.service', () => ({
+  ...jest.requireActual('../../src/services/email.service'),
+  sendEmail: jest.fn().mockResolvedValue()
+}));
+
+const express = require('express');
+const request = require('supertest');
+const { prisma, resetPrisma } = require('../helpers/prismaMock');
+const { sendEmail } = require('../../src/services/email.service');
+const { hashInvitationToken } = require('../../src/services/workspace.service');
+const workspaceRoutes = require('../../src/routes/workspace.routes');
+const errorHandler = require('../../src/middleware/errorHandler');
+const { generateToken } = require('../../src/utils/jwt');
+
+const app = express();
+app.use(express.json());
+app.use('/api/workspaces', workspaceRoutes);
+app.use(errorHandler);
+
+const auth = `Bearer ${generateToken({ userId: 'user-1' })}`;
+const team = { id: 'ws-1', name: 'Research', isPersonal: false };
+
+// Roles in ws-1 by user ID - user-1 is the one signed in
+let roles;
+
+beforeEach(() => {
+  resetPrisma();
+  sendEmail.mockClear();
+  roles = { 'user-1': 'owner', 'user-2': 'editor' };
+  prisma.user.findUnique.mockResolvedValue({ id: 'user-1', email: 'ada@example.com', name: 'Ada' });
+  prisma.workspaceMember.findUnique.mockImplementation(({ where }) => {
+    const { workspaceId, userId } = where.workspaceId_userId;
+    const role = workspaceId === 'ws-1' && roles[userId];
+    return Promise.resolve(role ? { id: `member-${userId}`, workspaceId, userId, role, workspace: team } : null);
+  });
+  prisma.workspaceMember.count.mockImplementation(() =>
+    Promise.resolve(Object.values(roles).filter(role => role === 'owner').length)
+  );
+  prisma.workspaceMember.update.mockResolvedValue({ role: 'admin' });
+});
+
+describe('PUT /api/workspaces/:id/members/:userId', () => {
+  function setRole(userId, role) {
+    return request(app).put(`/api/workspaces/ws-1/members/${userId}`).set('Authorization', auth).send({ role });
+  }
+
+  it('lets admins change the roles of members below owner', async () => {
+    roles['user-1'] = 'admin';
+
+    const res = await setRole('user-2', 'admin');
+
+    expect(res.status).toBe(200);
+    expect(prisma.workspaceMember.update).toHaveBeenCalledWith(expect.objectContaining({
+      where: { id: 'member-user-2' },
+      data: { role: 'admin' }
+    }));
+  });
+
+  it('only lets owners make someone an owner or change an owner\'s role', async () => {
+    roles['user-1'] = 'admin';
+    roles['user-3'] = 'owner';
+
+    expect((await setRole('user-2', 'owner')).status).toBe(403);
+    const res = await setRole('user-3', 'viewer');
+
+    expect(res.status).toBe(403);
+    expect(res.body.message).toBe('Only owners can manage owners');
+    expect(prisma.workspaceMember.update).not.toHaveBeenCalled();
+  });
+
+  it('refuses editors, analysts and viewers', async () => {
+    roles['user-1'] = 'editor';
+
+    const res = await setRole('user-2', 'viewer');
+
+    expect(res.status).toBe(403);
+    expect(res.body.message).toBe('You do not have permission to manage this workspace');
+  });
+
+  it('keeps the last owner', async () => {
+    const res = await setRole('user-1', 'admin');
+
+    expect(res.status).toBe(409);
+    expect(prisma.workspaceMember.update).not.toHaveBeenCalled();
+  });
+
+  it('refuses roles that do not exist', async () => {
+    const res = await setRole('user-2', 'superuser');
+
+    expect(res.status).toBe(400);
+    expect(prisma.workspaceMember.findUnique).not.toHaveBeenCalled();
+  });
+});
+
+describe('DELETE /api/workspaces/:id/members/:userId', () => {
+  it('lets any member leave, but not the last owner', async () => {
+    roles['user-1'] = 'viewer';
+    roles['user-3'] = 'owner';
+
+    expect((await request(app).delete('/api/workspaces/ws-1/members/user-1').set('Authorization', auth)).status).toBe(200);
+
+    roles['user-1'] = 'owner';
+    delete roles['user-3'];
+    const res = await request(app).delete('/api/workspaces/ws-1/members/user-1').set('Authorization', auth);
+
+    expect(res.status).toBe(409);
+    expect(prisma.workspaceMember.delete).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('POST /api/workspaces/:id/invitations', () => {
+  function invite(body) {
+    return request(app).post('/api/workspaces/ws-1/invitations').set('Authorization', auth).send(body);
+  }
+
+  it('stores only a hash of the token and emails the link', async () => {
+    prisma.workspaceInvitation.create.mockImplementation(({ data }) =>
+      Promise.resolve({ id: 'invitation-1', email: data.email, role: data.role, expiresAt: data.expiresAt })
+    );
+
+    const res = await invite({ email: 'Grace@Example.com', role: 'analyst' });
+
+    expect(res.status).toBe(201);
+    const token = decodeURIComponent(res.body.data.invitationUrl.split('/invitations/')[1]);
+    const { data } = prisma.workspaceInvitation.create.mock.calls[0][0];
+    expect(data).toMatchObject({ email: 'grace@example.com', role: 'analyst', tokenHash: hashInvitationToken(token) });
+    expect(JSON.stringify(data)).not.toContain(token);
+    expect(data.expiresAt.getTime() - Date.now()).toBeGreaterThan(6 * 24 * 60 * 60 * 1000);
+    expect(prisma.workspaceInvitation.deleteMany).toHaveBeenCalledWith({
+      where: { workspaceId: 'ws-1', email: 'grace@example.com', acceptedAt: null }
+    });
+    expect(sendEmail).toHaveBeenCalledWith(expect.objectContaining({ to: 'grace@example.com' }));
+  });
+
+  it('does not invite owners - ownership is handed over by changing a role', async () => {
+    const res = await invite({ email: 'grace@example.com', role: 'owner' });
+
+    expect(res.status).toBe(400);
+    expect(prisma.workspaceInvitation.create).not.toHaveBeenCalled();
+  });
+
+  it('refuses members who may not manage the workspace', async () => {
+    roles['user-1'] = 'editor';
+
+    expect((await invite({ email: 'grace@example.com', role: 'viewer' })).status).toBe(403);
+    expect(prisma.workspaceInvitation.create).not.toHaveBeenCalled();
+  });
+
+  it('refuses to share personal workspaces', async () => {
+    prisma.workspaceMember.findUnique.mockResolvedValue({
+      workspaceId: 'ws-1', userId: 'user-1', role: 'owner', workspace: { ...team, isPersonal: true }
+    });
+
+    expect((await invite({ email: 'grace@example.com', role: 'viewer' })).status).toBe(400);
+    expect(prisma.workspaceInvitation.create).not.toHaveBeenCalled();
+  });
+});
+
+describe('invitation links', () => {
+  const invitation = {
+    id: 'invitation-1',
+    workspaceId: 'ws-2',
+    email: 'Ada@Example.com',
+    role: 'editor',
+    expiresAt: new Date('2030-01-01T00:00:00Z'),
+    workspace: { id: 'ws-2', name: 'Design' },
+    invitedBy: { id: 'user-9', email: 'lin@example.com', name: 'Lin' }
+  };
+
+  it('looks up pending, unexpired invitations by the hash of the token', async () => {
+    prisma.workspaceInvitation.findFirst.mockResolvedValue(invitation);
+
+    const res = await request(app).get('/api/workspaces/invitations/secret-token');
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.invitation).toMatchObject({ role: 'editor', workspace: { name: 'Design' } });
+    const { where } = prisma.workspaceInvitation.findFirst.mock.calls[0][0];
+    expect(where).toMatchObject({ tokenHash: hashInvitationToken('secret-token'), acceptedAt: null });
+    expect(where.expiresAt.gt).toBeInstanceOf(Date);
+  });
+
+  it('reports unknown or expired tokens as not found', async () => {
+    const res = await request(app).get('/api/workspaces/invitations/secret-token');
+
+    expect(res.status).toBe(404);
+    expect(res.body.message).toBe('This invitation is invalid or has expired');
+  });
+
+  it('adds the invited user with the invited role, matching the email without case', async () => {
+    prisma.workspaceInvitation.findFirst.mockResolvedValue(invitation);
+    prisma.workspaceInvitation.updateMany.mockResolvedValue({ count: 1 });
+
+    const res = await request(app).post('/api/workspaces/invitations/secret-token/accept').set('Authorization', auth);
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.workspace).toEqual({ id: 'ws-2', name: 'Design', role: 'editor' });
+    expect(prisma.workspaceMember.create).toHaveBeenCalledWith({
+      data: { workspaceId: 'ws-2', userId: 'user-1', role: 'editor' }
+    });
+  });
+
+  it('refuses users signed in with another address', async () => {
+    prisma.workspaceInvitation.findFirst.mockResolvedValue({ ...invitation, email: 'grace@example.com' });
+
+    const res = await request(app).post('/api/workspaces/invitations/secret-token/accept').set('Authorization', auth);
+
+    expect(res.status).toBe(403);
+    expect(prisma.workspaceMember.create).not.toHaveBeenCalled();
+  });
+
+  it('cannot be accepted twice', async () => {
+    prisma.workspaceInvitation.findFirst.mockResolvedValue(invitation);
+    prisma.workspaceInvitation.updateMany.mockResolvedValue({ count: 0 });
+
+    const res = await request(app).post('/api/workspaces/invitations/secret-token/accept').set('Authorization', auth);
+
+    expect(res.status).toBe(404);
+    expect(prisma.workspaceInvitation.updateMany).toHaveBeenCalledWith({
+      where: { id: 'invitation-1', acceptedAt: null },
+      data: { acceptedAt: expect.any(Date) }
+    });
+    expect(prisma.workspaceMember.create).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,100 @@
+// backend/tests/services/access.service.test.js
+// Workspace roles decide who may do what to forms and workspaces
+
+jest.mock('@prisma/client', () => require('../helpers/prismaMock').prismaModule);
+
+const { prisma, resetPrisma } = require('../helpers/prismaMock');
+const {
+  hasPermission,
+  accessibleFormsWhere,
+  getFormAccess,
+  getWorkspaceAccess
+} = require('../../src/services/access.service');
+
+beforeEach(() => {
+  resetPrisma();
+});
+
+describe('hasPermission', () => {
+  it.each([
+    ['owner', ['form.view', 'form.create', 'form.edit', 'form.delete', 'responses.view', 'webhooks.manage', 'workspace.manage']],
+    ['admin', ['form.view', 'form.create', 'form.edit', 'form.delete', 'responses.view', 'webhooks.manage', 'workspace.manage']],
+    ['editor', ['form.view', 'form.create', 'form.edit', 'responses.view']],
+    ['analyst', ['form.view', 'responses.view']],
+    ['viewer', ['form.view']]
+  ])('lets %s do only what its role allows', (role, allowed) => {
+    const permissions = ['form.view', 'form.create', 'form.edit', 'form.delete', 'responses.view', 'webhooks.manage', 'workspace.manage'];
+
+    permissions.forEach(permission => {
+      expect(hasPermission(role, permission)).toBe(allowed.includes(permission));
+    });
+  });
+
+  it('throws on permissions it does not know, rather than refusing silently', () => {
+    expect(() => hasPermission('owner', 'form.publish')).toThrow('Unknown permission "form.publish"');
+  });
+});
+
+describe('accessibleFormsWhere', () => {
+  it('matches forms in workspaces where the user has a role with the permission', () => {
+    expect(accessibleFormsWhere('user-1', 'form.delete')).toEqual({
+      workspace: { members: { some: { userId: 'user-1', role: { in: ['owner', 'admin'] } } } }
+    });
+  });
+});
+
+describe('getFormAccess', () => {
+  it('reports forms in other workspaces as not found', async () => {
+    prisma.form.findUnique.mockResolvedValue({ id: 'form-1', workspaceId: 'ws-other' });
+
+    const { form, error } = await getFormAccess('form-1', 'user-1', 'form.view');
+
+    expect(form).toBeNull();
+    expect(error).toEqual({ statusCode: 404, message: 'Form not found' });
+  });
+
+  it('refuses members whose role does not allow the action', async () => {
+    prisma.form.findUnique.mockResolvedValue({ id: 'form-1', workspaceId: 'ws-1' });
+    prisma.workspaceMember.findUnique.mockResolvedValue({ workspaceId: 'ws-1', userId: 'user-1', role: 'analyst' });
+
+    const { form, role, error } = await getFormAccess('form-1', 'user-1', 'form.edit');
+
+    expect(form).toBeNull();
+    expect(role).toBe('analyst');
+    expect(error).toEqual({ statusCode: 403, message: 'You do not have permission to edit this form' });
+  });
+
+  it('returns the form and role when the action is allowed', async () => {
+    prisma.form.findUnique.mockResolvedValue({ id: 'form-1', workspaceId: 'ws-1' });
+    prisma.workspaceMember.findUnique.mockResolvedValue({ workspaceId: 'ws-1', userId: 'user-1', role: 'analyst' });
+
+    const { form, role, error } = await getFormAccess('form-1', 'user-1', 'responses.view');
+
+    expect(form).toEqual({ id: 'form-1', workspaceId: 'ws-1' });
+    expect(role).toBe('analyst');
+    expect(error).toBeNull();
+    expect(prisma.workspaceMember.findUnique).toHaveBeenCalledWith({
+      where: { workspaceId_userId: { workspaceId: 'ws-1', userId: 'user-1' } }
+    });
+  });
+});
+
+describe('getWorkspaceAccess', () => {
+  it('reports workspaces the user is not a member of as not found', async () => {
+    expect((await getWorkspaceAccess('ws-1', 'user-1')).error).toEqual({ statusCode: 404, message: 'Workspace not found' });
+  });
+
+  it('lets any member in when no permission is asked for', async () => {
+    prisma.workspaceMember.findUnique.mockResolvedValue({ role: 'viewer', workspace: { id: 'ws-1', name: 'Team' } });
+
+    expect(await getWorkspaceAccess('ws-1', 'user-1')).toEqual({
+      workspace: { id: 'ws-1', name: 'Team' },
+      role: 'viewer',
+      error: null
+    });
+    expect((await getWorkspaceAccess('ws-1', 'user-1', 'workspace.manage')).error).toEqual({
+      statusCode: 403,
+      message: 'You do not have permission to manage this workspace'
+    });
+  });
+});
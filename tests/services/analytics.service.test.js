@@ -0,0 +1,270 @@
+// backend/tests/services/analytics.service.test.js
+// Analytics queries run in the database - these tests feed their result rows back in
+// and check how they are put together
+
+jest.mock('@prisma/client', () => require('../helpers/prismaMock').prismaModule);
+
+const { prisma, resetPrisma } = require('../helpers/prismaMock');
+const {
+  getQuestionDistributions,
+  getTimeseries,
+  getFunnel,
+  getCompletionTiming,
+  getDwellTimes,
+  isFastCompletion,
+  getTrafficBreakdown
+} = require('../../src/services/analytics.service');
+
+/**
+ * Answer each raw query with the rows of the first entry whose marker appears in its SQL
+ * @param {Array} results - [[marker, rows], ...]
+ */
+function answerQueries(results) {
+  prisma.$queryRaw.mockImplementation(async (strings) => {
+    const sql = strings.join('?');
+    const match = results.find(([marker]) => sql.includes(marker));
+    return match ? match[1] : [];
+  });
+}
+
+const queriedSql = () => prisma.$queryRaw.mock.calls.map(([strings]) => strings.join('?'));
+
+beforeEach(() => {
+  resetPrisma();
+});
+
+describe('getQuestionDistributions', () => {
+  it('runs no query for a form without questions', async () => {
+    expect(await getQuestionDistributions([])).toEqual({});
+    expect(prisma.$queryRaw).not.toHaveBeenCalled();
+  });
+
+  it('only runs the queries the question types need', async () => {
+    await getQuestionDistributions([{ id: 'q1', type: 'multipleChoice', options: ['Yes'] }]);
+
+    const sql = queriedSql();
+    expect(sql).toHaveLength(2);
+    expect(sql.some(text => text.includes('GROUP BY "questionId", "value"'))).toBe(true);
+  });
+
+  it('counts options and percentages of the respondents who answered, including unpicked and unknown options', async () => {
+    answerQueries([
+      ['OR "fileUrl" IS NOT NULL', [{ questionId: 'q1', count: 4 }, { questionId: 'q2', count: 2 }]],
+      ['GROUP BY "questionId", "value"', [
+        { questionId: 'q1', value: 'yes', count: 2 },
+        { questionId: 'q1', value: 'Yes please', count: 1 },
+        { questionId: 'q1', value: 'Maybe', count: 1 }
+      ]],
+      ['jsonb_array_elements_text', [
+        { questionId: 'q2', value: 'Ham', count: 2 },
+        { questionId: 'q2', value: 'Olives', count: 1 }
+      ]]
+    ]);
+
+    const distributions = await getQuestionDistributions([
+      { id: 'q1', type: 'multipleChoice', options: [{ value: 'yes', label: 'Yes please' }, 'No'] },
+      { id: 'q2', type: 'checkboxes', options: ['Ham', 'Olives', 'Pineapple'] }
+    ]);
+
+    expect(distributions.q1).toEqual({
+      kind: 'choice',
+      answered: 4,
+      options: [
+        { value: 'yes', label: 'Yes please', count: 3, percentage: 75 },
+        { value: 'No', label: 'No', count: 0, percentage: 0 }
+      ],
+      other: [{ value: 'Maybe', count: 1, percentage: 25 }]
+    });
+    // Selections of a multi-select question add up to more than the respondents
+    expect(distributions.q2.kind).toBe('multiChoice');
+    expect(distributions.q2.options.map(option => option.percentage)).toEqual([100, 50, 0]);
+  });
+
+  it('summarizes numbers with percentiles and equal-width buckets, and scales per value', async () => {
+    answerQueries([
+      ['OR "fileUrl" IS NOT NULL', [{ questionId: 'age', count: 3 }, { questionId: 'stars', count: 2 }]],
+      ['percentile_cont(0.25)', [
+        { questionId: 'age', count: 3, min: 20, max: 40, mean: 26.666666, p25: 20, median: 20, p75: 30, p90: 36 },
+        { questionId: 'stars', count: 2, min: 4, max: 5, mean: 4.5, p25: 4.25, median: 4.5, p75: 4.75, p90: 4.9 }
+      ]],
+      ['ORDER BY 2', [{ questionId: 'stars', value: 4, count: 1 }, { questionId: 'stars', value: 5, count: 1 }]],
+      ['width_bucket', [{ questionId: 'age', bucket: 10, count: 1 }, { questionId: 'age', bucket: 1, count: 2 }]]
+    ]);
+
+    const distributions = await getQuestionDistributions([
+      { id: 'age', type: 'number' },
+      { id: 'stars', type: 'rating' }
+    ]);
+
+    expect(distributions.age).toEqual({
+      kind: 'numeric',
+      answered: 3,
+      count: 3,
+      min: 20,
+      max: 40,
+      mean: 26.67,
+      median: 20,
+      percentiles: { p25: 20, p50: 20, p75: 30, p90: 36 },
+      histogram: [{ from: 20, to: 22, count: 2 }, { from: 38, to: 40, count: 1 }]
+    });
+    expect(distributions.stars.histogram).toEqual([{ value: 4, count: 1 }, { value: 5, count: 1 }]);
+    // Ratings are counted per value, not bucketed
+    const [, bucketedIds] = prisma.$queryRaw.mock.calls.find(([strings]) => strings.join('?').includes('width_bucket'));
+    expect(bucketedIds).toEqual(['age']);
+  });
+
+  it('reports date ranges, text lengths and frequent terms', async () => {
+    answerQueries([
+      ['OR "fileUrl" IS NOT NULL', [{ questionId: 'when', count: 2 }, { questionId: 'why', count: 2 }]],
+      ['safe_date', [{ questionId: 'when', count: 2, earliest: '2025-01-01', latest: '2025-03-01' }]],
+      ['char_length(btrim', [{ questionId: 'why', count: 2, min: 4, max: 10, mean: 7, median: 7 }]],
+      ['regexp_split_to_table', [{ questionId: 'why', term: 'pizza', count: 2 }]]
+    ]);
+
+    const distributions = await getQuestionDistributions([
+      { id: 'when', type: 'date' },
+      { id: 'why', type: 'longText' },
+      { id: 'cv', type: 'fileUpload' }
+    ]);
+
+    expect(distributions).toEqual({
+      when: { kind: 'date', answered: 2, count: 2, earliest: '2025-01-01', latest: '2025-03-01' },
+      why: {
+        kind: 'text',
+        answered: 2,
+        length: { min: 4, max: 10, mean: 7, median: 7 },
+        topTerms: [{ term: 'pizza', count: 2 }]
+      },
+      cv: { kind: 'file', answered: 0 }
+    });
+  });
+});
+
+describe('getTimeseries', () => {
+  it('buckets in the requested time zone and returns the rows in order', async () => {
+    const rows = [
+      { start: new Date('2025-03-30T23:00:00Z'), local: '2025-03-31T00:00:00', visits: 2, uniqueVisitors: 1, starts: 1, completions: 0 },
+      { start: new Date('2025-03-31T22:00:00Z'), local: '2025-04-01T00:00:00', visits: 0, uniqueVisitors: 0, starts: 0, completions: 0 }
+    ];
+    prisma.$queryRaw.mockResolvedValue(rows);
+
+    const result = await getTimeseries('form-1', {
+      interval: 'day',
+      from: new Date('2025-03-30T23:00:00Z'),
+      to: new Date('2025-03-31T23:00:00Z'),
+      timeZone: 'Europe/Paris'
+    });
+
+    expect(result).toBe(rows);
+    const [strings, ...values] = prisma.$queryRaw.mock.calls[0];
+    // Gaps are filled from a generated series of buckets rather than only the buckets with data
+    expect(strings.join('?')).toContain('generate_series');
+    expect(strings.join('?')).toContain('FROM buckets');
+    expect(values).toEqual(expect.arrayContaining(['day', 'Europe/Paris', '1 day', '2025-03-30T23:00:00.000Z', 'form-1']));
+  });
+});
+
+describe('getFunnel', () => {
+  it('measures each question against the responses that reached it', async () => {
+    answerQueries([
+      ['COUNT(DISTINCT "visitorHash")::int AS "uniqueVisitors"', [{ visited: 200, uniqueVisitors: 150 }]],
+      ['"visitsWithResponse"', [{ visitsWithResponse: 50, started: 60, startedFromVisit: 50, completed: 30 }]],
+      ['last_reached', [
+        { questionId: 'q1', reached: 60, answered: 55, abandoned: 5 },
+        // Only shown when logic asks for it, so it is reached by few responses
+        { questionId: 'q2', reached: 10, answered: 4, abandoned: 2 },
+        { questionId: 'q3', reached: 0, answered: 0, abandoned: 0 }
+      ]]
+    ]);
+
+    expect(await getFunnel('form-1')).toEqual({
+      visited: 200,
+      uniqueVisitors: 150,
+      visitsWithResponse: 50,
+      started: 60,
+      startedFromVisit: 50,
+      completed: 30,
+      startRate: 25,
+      completionRate: 50,
+      questions: {
+        q1: { reached: 60, answered: 55, abandoned: 5, answerRate: 91.67, dropoffRate: 8.33 },
+        q2: { reached: 10, answered: 4, abandoned: 2, answerRate: 40, dropoffRate: 20 },
+        q3: { reached: 0, answered: 0, abandoned: 0, answerRate: 0, dropoffRate: 0 }
+      }
+    });
+    // Reached means shown, not only answered
+    const sql = queriedSql().find(text => text.includes('last_reached'));
+    expect(sql).toContain('FROM "question_views" v');
+    expect(sql).toContain('"isCompleted" = false');
+  });
+});
+
+describe('getCompletionTiming', () => {
+  it('rounds the statistics and flags completions far faster than the median', async () => {
+    prisma.$queryRaw.mockResolvedValue([
+      { completed: 20, min: 12.345, median: 120.5, p90: 300.123, max: 900, fastCompletions: 2 }
+    ]);
+
+    const timing = await getCompletionTiming('form-1');
+
+    expect(timing).toEqual({
+      completed: 20,
+      min: 12.35,
+      median: 120.5,
+      p90: 300.12,
+      max: 900,
+      fastThreshold: 30.13,
+      fastCompletions: 2
+    });
+    expect(isFastCompletion(20, timing)).toBe(true);
+    expect(isFastCompletion(45, timing)).toBe(false);
+    expect(isFastCompletion(null, timing)).toBe(false);
+  });
+
+  it('flags nothing until there are enough completions to compare', async () => {
+    prisma.$queryRaw.mockResolvedValue([{ completed: 3, min: 1, median: 60, p90: 90, max: 100, fastCompletions: 1 }]);
+
+    const timing = await getCompletionTiming('form-1');
+
+    expect(timing.fastThreshold).toBeNull();
+    expect(timing.fastCompletions).toBe(0);
+    expect(isFastCompletion(1, timing)).toBe(false);
+  });
+});
+
+describe('getDwellTimes', () => {
+  it('keys the median and p90 dwell time by question', async () => {
+    prisma.$queryRaw.mockResolvedValue([{ questionId: 'q1', count: 8, median: 4.567, p90: 12 }]);
+
+    expect(await getDwellTimes('form-1')).toEqual({ q1: { count: 8, median: 4.57, p90: 12 } });
+    // Answers changed before the view was recorded would give negative times
+    expect(queriedSql()[0]).toContain('a."createdAt" >= v."viewedAt"');
+  });
+});
+
+describe('getTrafficBreakdown', () => {
+  const chrome = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36';
+  const iphone = 'Mozilla/5.0 (iPhone; CPU iPhone OS 17_2 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.2 Mobile/15E148 Safari/604.1';
+
+  it('adds up visits and conversions per source, campaign, device and country', async () => {
+    prisma.$queryRaw.mockResolvedValue([
+      { referrer: 'https://www.google.com/', userAgent: chrome, utmSource: null, utmMedium: null, utmCampaign: null, country: 'FR', visits: 10, started: 4, completed: 2 },
+      { referrer: 'https://news.google.com/', userAgent: iphone, utmSource: null, utmMedium: null, utmCampaign: null, country: null, visits: 5, started: 1, completed: 1 },
+      { referrer: null, userAgent: iphone, utmSource: 'newsletter', utmMedium: 'email', utmCampaign: 'spring', country: 'FR', visits: 20, started: 10, completed: 8 }
+    ]);
+
+    const breakdown = await getTrafficBreakdown('form-1', { from: new Date('2025-01-01T00:00:00Z') });
+
+    expect(breakdown.sources).toEqual([
+      { source: 'newsletter', medium: 'email', visits: 20, started: 10, completed: 8, startRate: 50, completionRate: 80, conversionRate: 40 },
+      { source: 'google', medium: 'organic', visits: 15, started: 5, completed: 3, startRate: 33.33, completionRate: 60, conversionRate: 20 }
+    ]);
+    expect(breakdown.campaigns.map(entry => [entry.campaign, entry.visits])).toEqual([['spring', 20], ['(not set)', 15]]);
+    expect(breakdown.devices.map(entry => [entry.deviceType, entry.visits])).toEqual([['mobile', 25], ['desktop', 10]]);
+    expect(breakdown.countries.map(entry => [entry.country, entry.visits])).toEqual([['FR', 30], ['(unknown)', 5]]);
+
+    const [strings, ...values] = prisma.$queryRaw.mock.calls[0];
+    expect(strings.join('?')).toContain('v."isBot" = false');
+    expect(values).toEqual(['form-1', '2025-01-01T00:00:00.000Z', '2025-01-01T00:00:00.000Z', null, null]);
+  });
+});
@@ -0,0 +1,83 @@
+// backend/tests/services/email.service.test.js
+// Email transports selected by EMAIL_TRANSPORT
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+jest.mock('../../src/utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn() }));
+
+const logger = require('../../src/utils/logger');
+
+const originalEnv = { ...process.env };
+let directory;
+
+/**
+ * Load the service afresh, since it creates its transport once per process
+ */
+function loadService(env) {
+  process.env = { ...originalEnv, ...env };
+  let service;
+  jest.isolateModules(() => {
+    service = require('../../src/services/email.service');
+  });
+  return service;
+}
+
+const message = {
+  to: ['owner@example.com'],
+  subject: 'New response',
+  text: 'Secret answer',
+  html: '<p>Secret answer</p>'
+};
+
+beforeAll(() => {
+  directory = fs.mkdtempSync(path.join(os.tmpdir(), 'emails-'));
+});
+
+afterAll(() => {
+  process.env = originalEnv;
+  fs.rmSync(directory, { recursive: true, force: true });
+});
+
+beforeEach(() => {
+  logger.info.mockClear();
+});
+
+describe('sendEmail', () => {
+  it('writes each message to a file with the file transport', async () => {
+    const { sendEmail } = loadService({ EMAIL_TRANSPORT: 'file', EMAIL_FILE_DIR: directory, EMAIL_FROM: 'Forms <forms@example.com>' });
+
+    const { file } = await sendEmail(message);
+
+    expect(path.dirname(file)).toBe(directory);
+    const contents = fs.readFileSync(file, 'utf8');
+    expect(contents).toContain('To: owner@example.com');
+    expect(contents).toContain('From: Forms <forms@example.com>');
+    expect(contents).toContain('Secret answer');
+  });
+
+  it('logs only the recipient and subject with the console transport', async () => {
+    const { sendEmail } = loadService({ EMAIL_TRANSPORT: undefined, SMTP_HOST: undefined });
+
+    const result = await sendEmail(message);
+
+    expect(result.file).toBeNull();
+    expect(logger.info).toHaveBeenCalledWith('Email "New response" to owner@example.com');
+    expect(JSON.stringify(logger.info.mock.calls)).not.toContain('Secret answer');
+  });
+
+  it('refuses unknown transports', async () => {
+    const { sendEmail } = loadService({ EMAIL_TRANSPORT: 'pigeon' });
+
+    await expect(sendEmail(message)).rejects.toThrow('Unknown EMAIL_TRANSPORT "pigeon" - use smtp, file or console');
+  });
+});
+
+describe('getFrontendUrl', () => {
+  it('defaults to the first CORS origin without a trailing slash', () => {
+    expect(loadService({ FRONTEND_URL: undefined, CORS_ORIGIN: 'https://app.example.com/, https://other.example.com' })
+      .getFrontendUrl()).toBe('https://app.example.com');
+    expect(loadService({ FRONTEND_URL: 'https://forms.example.com//' }).getFrontendUrl()).toBe('https://forms.example.com');
+  });
+});
@@ -0,0 +1,95 @@
+// backend/tests/services/formAvailability.service.test.js
+// Form availability: publish state, schedule and response cap
+
+jest.mock('@prisma/client', () => require('../helpers/prismaMock').prismaModule);
+
+const { prisma, resetPrisma } = require('../helpers/prismaMock');
+const {
+  getAvailability,
+  checkFormAvailability,
+  toUnavailableBody
+} = require('../../src/services/formAvailability.service');
+
+const now = new Date('2025-06-15T12:00:00Z');
+const published = { id: 'form-1', isPublished: true, closedReason: null };
+
+function settings(fields = {}) {
+  return { opensAt: null, closesAt: null, maxResponses: null, closedMessage: null, ...fields };
+}
+
+beforeEach(() => {
+  resetPrisma();
+});
+
+describe('getAvailability', () => {
+  it('is open when published with no schedule or cap', () => {
+    expect(getAvailability(published, settings(), 0, now)).toMatchObject({ isOpen: true, formStatus: 'open', reason: null });
+    expect(getAvailability(published, null, 0, now).isOpen).toBe(true);
+  });
+
+  it('is closed when unpublished, with the reason it was closed automatically', () => {
+    expect(getAvailability({ isPublished: false, closedReason: null }, settings(), 0, now))
+      .toMatchObject({ isOpen: false, formStatus: 'closed', reason: 'unpublished' });
+    expect(getAvailability({ isPublished: false, closedReason: 'responseLimit' }, settings(), 0, now).reason)
+      .toBe('responseLimit');
+  });
+
+  it('is scheduled before opensAt and closed from closesAt', () => {
+    const window = settings({ opensAt: new Date('2025-07-01T00:00:00Z'), closesAt: new Date('2025-08-01T00:00:00Z') });
+
+    expect(getAvailability(published, window, 0, now)).toMatchObject({
+      isOpen: false,
+      formStatus: 'scheduled',
+      reason: 'notYetOpen',
+      message: 'This form is not open yet'
+    });
+    expect(getAvailability(published, window, 0, new Date('2025-07-15T00:00:00Z')).isOpen).toBe(true);
+    expect(getAvailability(published, window, 0, new Date('2025-08-01T00:00:00Z')))
+      .toMatchObject({ formStatus: 'closed', reason: 'schedule' });
+  });
+
+  it('closes once the response cap is reached, with the custom message', () => {
+    const capped = settings({ maxResponses: 10, closedMessage: 'We have enough answers, thanks!' });
+
+    expect(getAvailability(published, capped, 9, now).isOpen).toBe(true);
+    expect(getAvailability(published, capped, 10, now)).toMatchObject({
+      isOpen: false,
+      reason: 'responseLimit',
+      message: 'We have enough answers, thanks!'
+    });
+  });
+});
+
+describe('checkFormAvailability', () => {
+  it('only counts completed responses when there is a cap', async () => {
+    prisma.formSettings.findUnique.mockResolvedValue(settings());
+
+    expect((await checkFormAvailability(published)).isOpen).toBe(true);
+    expect(prisma.response.count).not.toHaveBeenCalled();
+  });
+
+  it('compares completed responses with the cap', async () => {
+    prisma.formSettings.findUnique.mockResolvedValue(settings({ maxResponses: 2 }));
+    prisma.response.count.mockResolvedValue(2);
+
+    const availability = await checkFormAvailability(published);
+
+    expect(availability.reason).toBe('responseLimit');
+    expect(prisma.response.count).toHaveBeenCalledWith({ where: { formId: 'form-1', isCompleted: true } });
+  });
+});
+
+describe('toUnavailableBody', () => {
+  it('describes why the form is not open', () => {
+    const body = toUnavailableBody(getAvailability(published, settings({ closesAt: now }), 0, now));
+
+    expect(body).toEqual({
+      status: 'error',
+      message: 'This form is no longer accepting responses',
+      formStatus: 'closed',
+      reason: 'schedule',
+      opensAt: null,
+      closesAt: now
+    });
+  });
+});
@@ -0,0 +1,131 @@
+// backend/tests/services/formDocument.service.test.js
+// Portable form documents: export, validation on import, and the round trip between them
+
+const {
+  FORM_DOCUMENT_TYPE,
+  FORM_DOCUMENT_VERSION,
+  toFormDocument,
+  parseFormDocument
+} = require('../../src/services/formDocument.service');
+
+const definition = {
+  title: 'Feedback',
+  description: 'Tell us',
+  theme: { primaryColor: '#000000', backgroundColor: '#ffffff', fontFamily: 'Inter' },
+  settings: {
+    requireSignIn: false,
+    shuffleQuestions: false,
+    notificationEmails: ['team@example.com'],
+    notificationRules: [{ questionId: 'cuid-1', operator: 'equals', value: 'No', emails: ['support@example.com'] }],
+    receiptQuestionId: 'cuid-3',
+    maxResponses: 100
+  },
+  questions: [
+    { id: 'cuid-1', title: 'Happy?', type: 'multipleChoice', isRequired: true, options: ['Yes', 'No'], validation: null, conditionalLogic: null },
+    {
+      id: 'cuid-2',
+      title: 'Why not?',
+      type: 'longText',
+      isRequired: false,
+      options: null,
+      validation: { max: 500 },
+      conditionalLogic: {
+        enabled: true,
+        rules: [
+          { targetQuestionId: 'cuid-1', operator: 'equals', value: 'No', action: 'show' },
+          { targetQuestionId: 'deleted-question', operator: 'isNotEmpty', value: null, action: 'hide' }
+        ]
+      }
+    },
+    { id: 'cuid-3', title: 'Email', type: 'email', isRequired: false, options: null, validation: null, conditionalLogic: null }
+  ]
+};
+
+function document(fields = {}) {
+  return { ...toFormDocument(definition), ...fields };
+}
+
+describe('toFormDocument', () => {
+  it('replaces database IDs with question keys', () => {
+    const exported = toFormDocument(definition);
+
+    expect(exported).toMatchObject({ type: FORM_DOCUMENT_TYPE, version: FORM_DOCUMENT_VERSION });
+    expect(exported.questions.map(question => question.key)).toEqual(['q1', 'q2', 'q3']);
+    expect(exported.questions[1].conditionalLogic.rules).toEqual([
+      { question: 'q1', operator: 'equals', value: 'No', action: 'show' }
+    ]);
+    expect(exported.settings.notificationRules).toEqual([
+      { question: 'q1', operator: 'equals', value: 'No', emails: ['support@example.com'] }
+    ]);
+    expect(exported.settings.receiptQuestion).toBe('q3');
+    expect(JSON.stringify(exported)).not.toMatch(/cuid-/);
+  });
+});
+
+describe('parseFormDocument', () => {
+  it('turns an exported document back into the same definition, keyed by question key', () => {
+    const { definition: parsed, errors } = parseFormDocument(JSON.parse(JSON.stringify(toFormDocument(definition))));
+
+    expect(errors).toEqual([]);
+    expect(parsed.title).toBe('Feedback');
+    expect(parsed.questions.map(question => question.id)).toEqual(['q1', 'q2', 'q3']);
+    expect(parsed.questions[1].conditionalLogic.rules).toEqual([
+      { targetQuestionId: 'q1', operator: 'equals', value: 'No', action: 'show' }
+    ]);
+    expect(parsed.settings).toMatchObject({
+      notificationRules: [{ questionId: 'q1', operator: 'equals', value: 'No', emails: ['support@example.com'] }],
+      receiptQuestionId: 'q3',
+      maxResponses: 100
+    });
+  });
+
+  it('refuses other document types and versions', () => {
+    const { definition: parsed, errors } = parseFormDocument(document({ type: 'other.form', version: 2 }));
+
+    expect(parsed).toBeNull();
+    expect(errors.map(error => error.path)).toEqual(['type', 'version']);
+  });
+
+  it('reports duplicate keys and rules on unknown questions with their path', () => {
+    const exported = document();
+    exported.questions[2].key = 'q1';
+    delete exported.settings.receiptQuestion;
+    exported.questions[1].conditionalLogic.rules.push({ question: 'q9', operator: 'equals', value: 'x', action: 'show' });
+
+    const { errors } = parseFormDocument(exported);
+
+    expect(errors).toEqual([
+      { path: 'questions.2.key', message: 'Duplicate question key "q1"' },
+      { path: 'questions.1.conditionalLogic.rules.1.question', message: 'Rule refers to unknown question key "q9"' }
+    ]);
+  });
+
+  it('refuses unknown operators and actions', () => {
+    const exported = document();
+    exported.questions[1].conditionalLogic.rules = [{ question: 'q1', operator: 'resembles', value: 'x', action: 'explode' }];
+
+    const { errors } = parseFormDocument(exported);
+
+    expect(errors.map(error => error.message)).toEqual(['Unknown operator "resembles"', 'Unknown action "explode"']);
+  });
+
+  it('refuses a close date before the open date', () => {
+    const exported = document({
+      settings: { opensAt: '2025-02-01T00:00:00Z', closesAt: '2025-01-01T00:00:00Z' }
+    });
+
+    expect(parseFormDocument(exported).errors).toEqual([
+      { path: 'settings.closesAt', message: 'closesAt must be after opensAt' }
+    ]);
+  });
+
+  it('refuses rules that look at questions in random pools', () => {
+    const exported = document({ settings: { questionPools: [{ id: 'extra', draw: 1 }] } });
+    exported.questions[0].poolId = 'extra';
+
+    expect(parseFormDocument(exported).errors).toEqual([{
+      path: 'questions.1.conditionalLogic.rules.0.question',
+      message: 'Rule refers to question "q1" in a random pool, which may not be shown'
+    }]);
+  });
+});
@@ -0,0 +1,190 @@
+// backend/tests/services/formVersion.service.test.js
+// Publishing versions, serving the live definition and restoring drafts
+
+jest.mock('@prisma/client', () => require('../helpers/prismaMock').prismaModule);
+
+const { prisma, resetPrisma } = require('../helpers/prismaMock');
+const {
+  publishVersion,
+  getLiveDefinition,
+  getResponseDefinition,
+  diffDefinitions,
+  restoreDraft
+} = require('../../src/services/formVersion.service');
+
+function draftForm(fields = {}) {
+  return {
+    id: 'form-1',
+    title: 'Feedback',
+    description: 'Tell us',
+    theme: null,
+    settings: {
+      requireSignIn: false,
+      notificationEmails: [{ email: 'team@example.com' }],
+      opensAt: null,
+      closesAt: new Date('2030-01-01T00:00:00Z'),
+      maxResponses: 100
+    },
+    questions: [
+      { id: 'q1', title: 'Name', type: 'shortText', isRequired: true, order: 0, conditionalLogic: null },
+      {
+        id: 'q2',
+        title: 'Why?',
+        type: 'longText',
+        isRequired: false,
+        order: 1,
+        conditionalLogic: {
+          enabled: true,
+          rules: [{ id: 'r1', targetQuestionId: 'q1', operator: 'isNotEmpty', value: null, action: 'show' }]
+        }
+      }
+    ],
+    ...fields
+  };
+}
+
+function definition(questions, fields = {}) {
+  return { title: 'Feedback', description: null, theme: null, settings: null, questions, ...fields };
+}
+
+beforeEach(() => {
+  resetPrisma();
+});
+
+describe('publishVersion', () => {
+  it('snapshots the draft as the next version and makes it live', async () => {
+    prisma.form.findUnique.mockResolvedValue(draftForm());
+    prisma.formVersion.findFirst.mockResolvedValue({ version: 2 });
+    prisma.formVersion.create.mockImplementation(({ data }) => Promise.resolve({ id: 'version-3', ...data }));
+    prisma.form.update.mockImplementation(({ data }) => Promise.resolve({ id: 'form-1', ...data }));
+
+    const { form, version } = await publishVersion('form-1', 'user-1');
+
+    expect(version.version).toBe(3);
+    expect(version.publishedById).toBe('user-1');
+    expect(version.snapshot.questions.map(q => q.id)).toEqual(['q1', 'q2']);
+    expect(version.snapshot.questions[1].conditionalLogic.rules).toEqual([
+      { targetQuestionId: 'q1', operator: 'isNotEmpty', value: null, action: 'show' }
+    ]);
+    expect(version.snapshot.settings.notificationEmails).toEqual(['team@example.com']);
+    expect(form).toMatchObject({ isPublished: true, liveVersionId: 'version-3', closedAt: null, closedReason: null });
+    expect(prisma.$transaction).toHaveBeenCalledTimes(1);
+  });
+
+  it('starts at version 1', async () => {
+    prisma.form.findUnique.mockResolvedValue(draftForm());
+    prisma.formVersion.findFirst.mockResolvedValue(null);
+    prisma.formVersion.create.mockImplementation(({ data }) => Promise.resolve({ id: 'version-1', ...data }));
+
+    const { version } = await publishVersion('form-1', 'user-1');
+
+    expect(version.version).toBe(1);
+  });
+});
+
+describe('getLiveDefinition', () => {
+  it('serves the live version snapshot rather than the draft', async () => {
+    const snapshot = definition([{ id: 'q1', title: 'Published title' }]);
+    prisma.form.findUnique.mockResolvedValue({ id: 'form-1', liveVersion: { id: 'version-1', snapshot } });
+
+    const live = await getLiveDefinition('form-1');
+
+    expect(live.definition).toBe(snapshot);
+    expect(live.version.id).toBe('version-1');
+    expect(prisma.form.findUnique).toHaveBeenCalledTimes(1);
+  });
+
+  it('falls back to the draft for forms published before versioning', async () => {
+    prisma.form.findUnique
+      .mockResolvedValueOnce({ id: 'form-1', liveVersion: null })
+      .mockResolvedValueOnce(draftForm());
+
+    const live = await getLiveDefinition('form-1');
+
+    expect(live.version).toBeNull();
+    expect(live.definition.questions.map(q => q.id)).toEqual(['q1', 'q2']);
+  });
+
+  it('returns null for a missing form', async () => {
+    expect(await getLiveDefinition('missing')).toBeNull();
+  });
+});
+
+describe('getResponseDefinition', () => {
+  it('uses the version a response was started against', async () => {
+    const snapshot = definition([{ id: 'q1' }]);
+    prisma.formVersion.findUnique.mockResolvedValue({ id: 'version-1', snapshot });
+
+    expect(await getResponseDefinition({ formId: 'form-1', formVersionId: 'version-1' })).toBe(snapshot);
+    expect(prisma.form.findUnique).not.toHaveBeenCalled();
+  });
+});
+
+describe('diffDefinitions', () => {
+  it('reports added, removed, changed and reordered questions', () => {
+    const from = definition([
+      { id: 'q1', title: 'Name', type: 'shortText' },
+      { id: 'q2', title: 'Age', type: 'number' },
+      { id: 'q3', title: 'Email', type: 'email' }
+    ]);
+    const to = definition([
+      { id: 'q3', title: 'Email', type: 'email' },
+      { id: 'q1', title: 'Full name', type: 'shortText' },
+      { id: 'q4', title: 'Phone', type: 'phone' }
+    ], { title: 'Feedback 2024' });
+
+    const diff = diffDefinitions(from, to);
+
+    expect(diff.form).toEqual({ title: { from: 'Feedback', to: 'Feedback 2024' } });
+    expect(diff.questions.added).toEqual([{ id: 'q4', title: 'Phone' }]);
+    expect(diff.questions.removed).toEqual([{ id: 'q2', title: 'Age' }]);
+    expect(diff.questions.changed).toEqual([
+      { id: 'q1', title: 'Full name', changes: { title: { from: 'Name', to: 'Full name' } } }
+    ]);
+    expect(diff.questions.reordered).toBe(true);
+  });
+});
+
+describe('restoreDraft', () => {
+  const restored = definition([{
+    id: 'q1',
+    title: 'Name',
+    type: 'shortText',
+    options: null,
+    validation: null,
+    conditionalLogic: null
+  }], {
+    settings: {
+      requireSignIn: true,
+      notificationEmails: [],
+      closesAt: '2020-01-01T00:00:00.000Z',
+      maxResponses: 5
+    }
+  });
+
+  beforeEach(() => {
+    prisma.formSettings.upsert.mockResolvedValue({ id: 'settings-1' });
+  });
+
+  it('soft-deletes questions missing from the restored version', async () => {
+    await restoreDraft(prisma, 'form-1', restored);
+
+    expect(prisma.question.delete).not.toHaveBeenCalled();
+    expect(prisma.question.deleteMany).not.toHaveBeenCalled();
+    expect(prisma.question.updateMany).toHaveBeenCalledWith({
+      where: { formId: 'form-1', id: { notIn: ['q1'] }, deletedAt: null },
+      data: { deletedAt: expect.any(Date) }
+    });
+    expect(prisma.question.upsert).toHaveBeenCalledWith(expect.objectContaining({
+      where: { id: 'q1' },
+      update: expect.objectContaining({ title: 'Name', deletedAt: null })
+    }));
+  });
+
+  it('leaves live settings such as the schedule and response cap alone', async () => {
+    await restoreDraft(prisma, 'form-1', restored);
+
+    const { update } = prisma.formSettings.upsert.mock.calls[0][0];
+    expect(update).toEqual({ requireSignIn: true });
+  });
+});
@@ -0,0 +1,61 @@
+// backend/tests/services/geoip.service.test.js
+// Country lookup from a local range file
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+jest.mock('../../src/utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn() }));
+
+const originalPath = process.env.GEOIP_DATABASE_PATH;
+let directory;
+
+/**
+ * Load the service afresh, since it reads the database once per process
+ */
+function loadService(databasePath) {
+  if (databasePath === undefined) {
+    delete process.env.GEOIP_DATABASE_PATH;
+  } else {
+    process.env.GEOIP_DATABASE_PATH = databasePath;
+  }
+  let service;
+  jest.isolateModules(() => {
+    service = require('../../src/services/geoip.service');
+  });
+  return service;
+}
+
+beforeAll(() => {
+  directory = fs.mkdtempSync(path.join(os.tmpdir(), 'geoip-'));
+});
+
+afterAll(() => {
+  fs.rmSync(directory, { recursive: true, force: true });
+  process.env.GEOIP_DATABASE_PATH = originalPath;
+});
+
+describe('lookupCountry', () => {
+  it('finds the range an address falls in', () => {
+    const file = path.join(directory, 'ranges.csv');
+    fs.writeFileSync(file, [
+      'ip_start,ip_end,country',
+      '"8.8.8.0","8.8.8.255","us"',
+      '16777216,16777471,AU',
+      '81.2.69.0,81.2.69.255,GB',
+      'garbage line'
+    ].join('\n'));
+    const { lookupCountry } = loadService(file);
+
+    expect(lookupCountry('8.8.8.8')).toBe('US');
+    expect(lookupCountry('1.0.0.1')).toBe('AU');
+    expect(lookupCountry('::ffff:81.2.69.160')).toBe('GB');
+    expect(lookupCountry('81.2.70.1')).toBeNull();
+    expect(lookupCountry('2001:db8::1')).toBeNull();
+  });
+
+  it('returns null without a database, or when the file cannot be read', () => {
+    expect(loadService(undefined).lookupCountry('8.8.8.8')).toBeNull();
+    expect(loadService(path.join(directory, 'missing.csv')).lookupCountry('8.8.8.8')).toBeNull();
+  });
+});
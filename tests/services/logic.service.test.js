@@ -0,0 +1,146 @@
+// backend/tests/services/logic.service.test.js
+// Conditional logic engine: operators, actions and the respondent's path
+
+const {
+  normalizeOperator,
+  normalizeAction,
+  evaluateRule,
+  resolveQuestionFlow,
+  isQuestionVisible,
+  getNextQuestion
+} = require('../../src/services/logic.service');
+
+function question(id, rules = [], type = 'shortText') {
+  return {
+    id,
+    type,
+    title: id,
+    conditionalLogic: rules.length > 0 ? { enabled: true, rules } : null
+  };
+}
+
+function rule(targetQuestionId, operator, value, action) {
+  return { targetQuestionId, operator, value, action };
+}
+
+const visibleIds = flow => flow.visibleQuestions.map(q => q.id);
+
+describe('normalizeOperator / normalizeAction', () => {
+  it('accepts aliases in any case and separator style', () => {
+    expect(normalizeOperator('Greater Than')).toBe('greaterThan');
+    expect(normalizeOperator('gte')).toBe('greaterThanOrEqual');
+    expect(normalizeOperator('does-not-contain')).toBe('notContains');
+    expect(normalizeAction('skip-to')).toBe('skipTo');
+    expect(normalizeAction('Submit')).toBe('endForm');
+  });
+
+  it('returns null for unknown names', () => {
+    expect(normalizeOperator('resembles')).toBeNull();
+    expect(normalizeAction('explode')).toBeNull();
+  });
+});
+
+describe('evaluateRule', () => {
+  const answers = { age: '42', colours: ['red', 'Blue'], name: 'Ada Lovelace', when: '2024-05-01', blank: '' };
+
+  it.each([
+    ['equals', 'age', '42.0', true],
+    ['notEquals', 'age', '41', true],
+    ['greaterThan', 'age', '9', true],
+    ['lessThanOrEqual', 'age', '42', true],
+    ['contains', 'name', 'LOVE', true],
+    ['startsWith', 'name', 'ada', true],
+    ['endsWith', 'name', 'ada', false],
+    ['greaterThan', 'when', '2024-04-30', true],
+    ['isEmpty', 'blank', null, true],
+    ['isNotEmpty', 'missing', null, false]
+  ])('%s on %s with %p is %p', (operator, target, value, expected) => {
+    expect(evaluateRule(rule(target, operator, value, 'show'), answers)).toBe(expected);
+  });
+
+  it('matches multi-select answers when any selection matches', () => {
+    expect(evaluateRule(rule('colours', 'equals', 'blue', 'show'), answers)).toBe(true);
+    expect(evaluateRule(rule('colours', 'notEquals', 'red', 'show'), answers)).toBe(false);
+  });
+
+  it('never matches an unknown operator', () => {
+    expect(evaluateRule(rule('age', 'resembles', '42', 'show'), answers)).toBe(false);
+  });
+
+  it('does not compare numbers with text ordering', () => {
+    expect(evaluateRule(rule('name', 'greaterThan', '5', 'show'), answers)).toBe(false);
+  });
+});
+
+describe('resolveQuestionFlow', () => {
+  it('shows every question when there is no logic', () => {
+    const flow = resolveQuestionFlow([question('a'), question('b')], {});
+    expect(visibleIds(flow)).toEqual(['a', 'b']);
+    expect(flow.hiddenQuestionIds).toEqual([]);
+  });
+
+  it('only shows a question with show rules when one of them matches', () => {
+    const questions = [
+      question('a'),
+      question('b', [rule('a', 'equals', 'yes', 'show'), rule('a', 'equals', 'maybe', 'show')])
+    ];
+    expect(visibleIds(resolveQuestionFlow(questions, {}))).toEqual(['a']);
+    expect(visibleIds(resolveQuestionFlow(questions, { a: 'maybe' }))).toEqual(['a', 'b']);
+  });
+
+  it('hides a question when a hide rule matches', () => {
+    const questions = [question('a'), question('b', [rule('a', 'equals', 'no', 'hide')])];
+    const flow = resolveQuestionFlow(questions, { a: 'no' });
+    expect(visibleIds(flow)).toEqual(['a']);
+    expect(flow.hiddenQuestionIds).toEqual(['b']);
+  });
+
+  it('skips the questions between the answered question and the skip target', () => {
+    const questions = [
+      question('a'),
+      question('b'),
+      question('c'),
+      question('d', [rule('a', 'equals', 'skip', 'skipTo')])
+    ];
+    expect(visibleIds(resolveQuestionFlow(questions, { a: 'skip' }))).toEqual(['a', 'd']);
+    expect(visibleIds(resolveQuestionFlow(questions, { a: 'stay' }))).toEqual(['a', 'b', 'c', 'd']);
+  });
+
+  it('ends the form before a question whose end rule matches', () => {
+    const questions = [question('a'), question('b'), question('c', [rule('a', 'equals', 'stop', 'endForm')])];
+    const flow = resolveQuestionFlow(questions, { a: 'stop' });
+    expect(visibleIds(flow)).toEqual(['a', 'b']);
+    expect(flow.endedBeforeQuestionId).toBe('c');
+    expect(flow.hiddenQuestionIds).toEqual(['c']);
+  });
+
+  it('ignores answers to hidden questions when evaluating later rules', () => {
+    const questions = [
+      question('a'),
+      question('b', [rule('a', 'equals', 'yes', 'show')]),
+      question('c', [rule('b', 'equals', 'yes', 'show')])
+    ];
+    const flow = resolveQuestionFlow(questions, { a: 'no', b: 'yes' });
+    expect(visibleIds(flow)).toEqual(['a']);
+    expect(flow.visibleAnswers).toEqual({ a: 'no' });
+  });
+
+  it('ignores rules that look at a later question or are disabled', () => {
+    const questions = [
+      question('a', [rule('b', 'equals', 'x', 'hide')]),
+      { ...question('b'), conditionalLogic: { enabled: false, rules: [rule('a', 'isEmpty', null, 'hide')] } }
+    ];
+    expect(visibleIds(resolveQuestionFlow(questions, { b: 'x' }))).toEqual(['a', 'b']);
+  });
+});
+
+describe('isQuestionVisible / getNextQuestion', () => {
+  const questions = [question('a'), question('b', [rule('a', 'equals', 'no', 'hide')]), question('c')];
+
+  it('follows the path under the current answers', () => {
+    const flow = resolveQuestionFlow(questions, { a: 'no' });
+    expect(isQuestionVisible(flow, 'b')).toBe(false);
+    expect(getNextQuestion(flow, 'a').id).toBe('c');
+    expect(getNextQuestion(flow, 'c')).toBeNull();
+  });
+});
@@ -0,0 +1,140 @@
+// backend/tests/services/notification.service.test.js
+// Submission notifications: owner summary, routed recipients and the respondent receipt
+
+jest.mock('@prisma/client', () => require('../helpers/prismaMock').prismaModule);
+jest.mock('../../src/utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn() }));
+jest.mock('../../src/services/email.service', () => ({
+  ...jest.requireActual('../../src/services/email.service'),
+  sendEmail: jest.fn().mockResolvedValue({ messageId: 'message-1', file: null })
+}));
+
+const { prisma, resetPrisma } = require('../helpers/prismaMock');
+const { sendEmail } = require('../../src/services/email.service');
+const { sendSubmissionNotifications } = require('../../src/services/notification.service');
+
+const definition = {
+  title: 'Support',
+  description: null,
+  theme: null,
+  settings: null,
+  questions: [
+    { id: 'q1', title: 'Happy?', type: 'multipleChoice', isRequired: true, order: 0, conditionalLogic: null },
+    {
+      id: 'q2',
+      title: 'What went wrong?',
+      type: 'longText',
+      isRequired: false,
+      order: 1,
+      conditionalLogic: {
+        enabled: true,
+        rules: [{ targetQuestionId: 'q1', operator: 'equals', value: 'No', action: 'show' }]
+      }
+    },
+    { id: 'q3', title: 'Email', type: 'email', isRequired: false, order: 2, conditionalLogic: null }
+  ]
+};
+
+function useResponse(answers, settings) {
+  prisma.response.findUnique.mockResolvedValue({
+    id: 'response-1',
+    formId: 'form-1',
+    formVersionId: 'version-1',
+    completedAt: new Date('2025-01-01T10:00:00Z'),
+    answers,
+    form: {
+      id: 'form-1',
+      title: 'Support <team>',
+      settings: {
+        notifyOnSubmission: true,
+        sendReceipt: false,
+        receiptQuestionId: 'q3',
+        notificationRules: null,
+        confirmationMessage: null,
+        notificationEmails: [{ email: 'owner@example.com' }],
+        ...settings
+      }
+    }
+  });
+}
+
+beforeEach(() => {
+  resetPrisma();
+  sendEmail.mockClear();
+  prisma.formVersion.findUnique.mockResolvedValue({ id: 'version-1', snapshot: definition });
+});
+
+describe('sendSubmissionNotifications', () => {
+  it('emails the owners a summary of the answers, replying to the respondent', async () => {
+    useResponse([
+      { questionId: 'q1', value: 'Yes', fileUrl: null },
+      { questionId: 'q3', value: ' ada@example.com ', fileUrl: null }
+    ]);
+
+    const result = await sendSubmissionNotifications('response-1');
+
+    expect(result).toEqual({ recipients: ['owner@example.com'], receipt: null });
+    expect(sendEmail).toHaveBeenCalledTimes(1);
+    const message = sendEmail.mock.calls[0][0];
+    expect(message).toMatchObject({
+      to: ['owner@example.com'],
+      subject: 'New response to "Support <team>"',
+      replyTo: 'ada@example.com'
+    });
+    expect(message.text).toContain('Happy?\nYes');
+    expect(message.html).toContain('Support &lt;team&gt;');
+    // Questions hidden by logic are left out
+    expect(message.text).not.toContain('What went wrong?');
+  });
+
+  it('adds the recipients of matching routing rules, once each', async () => {
+    useResponse([
+      { questionId: 'q1', value: 'No', fileUrl: null },
+      { questionId: 'q2', value: '<script>alert(1)</script>', fileUrl: null }
+    ], {
+      notificationRules: [
+        { questionId: 'q1', operator: 'equals', value: 'No', emails: ['support@example.com', 'OWNER@example.com'] },
+        { questionId: 'q1', operator: 'equals', value: 'Yes', emails: ['sales@example.com'] }
+      ]
+    });
+
+    const result = await sendSubmissionNotifications('response-1');
+
+    expect(result.recipients).toEqual(['owner@example.com', 'support@example.com']);
+    const message = sendEmail.mock.calls[0][0];
+    expect(message.replyTo).toBeUndefined();
+    expect(message.html).toContain('&lt;script&gt;alert(1)&lt;/script&gt;');
+    expect(message.html).not.toContain('<script>');
+  });
+
+  it('sends the respondent a receipt at their answer to the receipt question', async () => {
+    useResponse([
+      { questionId: 'q1', value: 'Yes', fileUrl: null },
+      { questionId: 'q3', value: 'ada@example.com', fileUrl: null }
+    ], { notifyOnSubmission: false, sendReceipt: true, confirmationMessage: 'Thanks, Ada' });
+
+    const result = await sendSubmissionNotifications('response-1');
+
+    expect(result).toEqual({ recipients: [], receipt: 'ada@example.com' });
+    expect(sendEmail).toHaveBeenCalledTimes(1);
+    expect(sendEmail.mock.calls[0][0]).toMatchObject({
+      to: 'ada@example.com',
+      subject: 'Your response to "Support <team>"'
+    });
+    expect(sendEmail.mock.calls[0][0].text).toMatch(/^Thanks, Ada\n/);
+  });
+
+  it('sends no receipt to an answer that is not an email address', async () => {
+    useResponse([{ questionId: 'q3', value: 'not an address', fileUrl: null }], { notifyOnSubmission: false, sendReceipt: true });
+
+    expect(await sendSubmissionNotifications('response-1')).toEqual({ recipients: [], receipt: null });
+    expect(sendEmail).not.toHaveBeenCalled();
+  });
+
+  it('sends nothing when notifications are off', async () => {
+    useResponse([], { notifyOnSubmission: false });
+
+    expect(await sendSubmissionNotifications('response-1')).toEqual({ recipients: [], receipt: null });
+    expect(sendEmail).not.toHaveBeenCalled();
+    expect(prisma.formVersion.findUnique).not.toHaveBeenCalled();
+  });
+});
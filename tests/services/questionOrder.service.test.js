@@ -0,0 +1,113 @@
+// backend/tests/services/questionOrder.service.test.js
+// Per-response question order: random pools, question shuffling and option shuffling
+
+const {
+  arrangeDefinition,
+  findRulesOnPooledQuestions
+} = require('../../src/services/questionOrder.service');
+
+function question(id, fields = {}) {
+  return { id, title: id, type: 'shortText', isPinned: false, poolId: null, shuffleOptions: false, conditionalLogic: null, ...fields };
+}
+
+function showIf(targetQuestionId) {
+  return { enabled: true, rules: [{ targetQuestionId, operator: 'equals', value: 'Yes', action: 'show' }] };
+}
+
+function definition(questions, settings) {
+  return { title: 'Quiz', description: null, theme: null, settings, questions };
+}
+
+const ids = arranged => arranged.questions.map(q => q.id);
+const seeds = Array.from({ length: 30 }, (_, index) => `response-${index}`);
+
+describe('arrangeDefinition', () => {
+  it('leaves forms without shuffling or pools untouched', () => {
+    const form = definition([question('a'), question('b')], { shuffleQuestions: false });
+    expect(arrangeDefinition(form, 'response-1')).toBe(form);
+  });
+
+  it('gives the same response the same order every time', () => {
+    const form = definition(['a', 'b', 'c', 'd', 'e'].map(id => question(id)), { shuffleQuestions: true });
+
+    expect(ids(arrangeDefinition(form, 'response-1'))).toEqual(ids(arrangeDefinition(form, 'response-1')));
+    expect(new Set(seeds.map(seed => ids(arrangeDefinition(form, seed)).join())).size).toBeGreaterThan(1);
+  });
+
+  it('keeps pinned questions and questions involved in logic in place', () => {
+    const form = definition([
+      question('intro', { isPinned: true }),
+      question('b'),
+      question('gate'),
+      question('follow-up', { conditionalLogic: showIf('gate') }),
+      question('e'),
+      question('f')
+    ], { shuffleQuestions: true });
+
+    seeds.forEach(seed => {
+      const order = ids(arrangeDefinition(form, seed));
+      expect(order[0]).toBe('intro');
+      expect(order[2]).toBe('gate');
+      expect(order[3]).toBe('follow-up');
+    });
+  });
+
+  it('shuffles options around pinned ones', () => {
+    const options = ['Red', 'Green', 'Blue', 'Yellow', { value: 'Other', pinned: true }];
+    const form = definition([question('colour', { type: 'multipleChoice', options, shuffleOptions: true })], {});
+
+    seeds.forEach(seed => {
+      const arranged = arrangeDefinition(form, seed).questions[0].options;
+      expect(arranged).toHaveLength(5);
+      expect(arranged[4]).toEqual({ value: 'Other', pinned: true });
+    });
+  });
+
+  it('draws the declared number of questions from each pool, in form order', () => {
+    const form = definition([
+      question('name'),
+      ...['p1', 'p2', 'p3', 'p4'].map(id => question(id, { poolId: 'maths' })),
+      question('end')
+    ], { questionPools: [{ id: 'maths', draw: 2 }] });
+
+    seeds.forEach(seed => {
+      const order = ids(arrangeDefinition(form, seed));
+      expect(order).toHaveLength(4);
+      expect(order[0]).toBe('name');
+      expect(order[3]).toBe('end');
+      expect(order.slice(1, 3).map(id => Number(id.slice(1)))).toEqual(
+        order.slice(1, 3).map(id => Number(id.slice(1))).sort()
+      );
+    });
+  });
+
+  it('keeps the pooled questions that rules look at, for versions published before they were refused', () => {
+    const form = definition([
+      question('p1', { poolId: 'extra' }),
+      question('p2', { poolId: 'extra' }),
+      question('follow-up', { conditionalLogic: showIf('p1') })
+    ], { questionPools: [{ id: 'extra', draw: 1 }] });
+
+    seeds.forEach(seed => {
+      expect(ids(arrangeDefinition(form, seed))).toContain('p1');
+    });
+  });
+});
+
+describe('findRulesOnPooledQuestions', () => {
+  it('reports rules that look at a question in a declared pool', () => {
+    const questions = [
+      question('gate'),
+      question('p1', { poolId: 'extra', conditionalLogic: showIf('gate') }),
+      question('p2', { poolId: 'undeclared' }),
+      question('a', { conditionalLogic: showIf('p1') }),
+      question('b', { conditionalLogic: showIf('p2') }),
+      question('c', { conditionalLogic: { ...showIf('p1'), enabled: false } })
+    ];
+
+    expect(findRulesOnPooledQuestions(questions, [{ id: 'extra', draw: 1 }])).toEqual([
+      { questionIndex: 3, ruleIndex: 0, targetQuestionId: 'p1' }
+    ]);
+    expect(findRulesOnPooledQuestions(questions, null)).toEqual([]);
+  });
+});
@@ -0,0 +1,124 @@
+// backend/tests/services/upload.service.test.js
+// Removing uploaded files: expired uploads, deleted owners and the storage report
+
+jest.mock('@prisma/client', () => require('../helpers/prismaMock').prismaModule);
+jest.mock('../../src/utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn() }));
+jest.mock('../../src/services/storage.service', () => ({
+  deleteFile: jest.fn().mockResolvedValue(),
+  getFileUrl: jest.fn(key => `https://files.example.com/${key}`),
+  listFiles: jest.fn()
+}));
+
+const { prisma, resetPrisma } = require('../helpers/prismaMock');
+const { deleteFile, listFiles } = require('../../src/services/storage.service');
+const {
+  getUploadRetentionHours,
+  expiredUploadsWhere,
+  purgeUploads,
+  buildStorageReport,
+  deleteUntrackedFiles
+} = require('../../src/services/upload.service');
+
+const HOUR_MS = 60 * 60 * 1000;
+const originalRetention = process.env.UPLOAD_RETENTION_HOURS;
+
+function uploads(count, from = 0) {
+  return Array.from({ length: count }, (_, index) => ({
+    id: `upload-${String(from + index).padStart(4, '0')}`,
+    storageKey: `uploads/file-${from + index}`
+  }));
+}
+
+async function* files(list) {
+  yield* list;
+}
+
+beforeEach(() => {
+  resetPrisma();
+  deleteFile.mockReset().mockResolvedValue();
+  delete process.env.UPLOAD_RETENTION_HOURS;
+});
+
+afterAll(() => {
+  process.env.UPLOAD_RETENTION_HOURS = originalRetention;
+});
+
+describe('getUploadRetentionHours', () => {
+  it('reads UPLOAD_RETENTION_HOURS and falls back to a day', () => {
+    expect(getUploadRetentionHours()).toBe(24);
+    process.env.UPLOAD_RETENTION_HOURS = '6';
+    expect(getUploadRetentionHours()).toBe(6);
+    process.env.UPLOAD_RETENTION_HOURS = '-1';
+    expect(getUploadRetentionHours()).toBe(24);
+  });
+});
+
+describe('expiredUploadsWhere', () => {
+  it('matches uploads not part of an answer since before the cutoff', () => {
+    const cutoff = new Date('2025-01-01T00:00:00Z');
+    expect(expiredUploadsWhere(cutoff)).toEqual({ answerId: null, createdAt: { lt: cutoff } });
+  });
+});
+
+describe('purgeUploads', () => {
+  it('deletes the files, then the uploads, in batches', async () => {
+    prisma.upload.findMany
+      .mockResolvedValueOnce(uploads(100))
+      .mockResolvedValueOnce(uploads(2, 100));
+    prisma.upload.deleteMany
+      .mockResolvedValueOnce({ count: 100 })
+      .mockResolvedValueOnce({ count: 2 });
+
+    expect(await purgeUploads({ answerId: null })).toEqual({ deleted: 102, failed: 0 });
+
+    expect(deleteFile).toHaveBeenCalledTimes(102);
+    expect(prisma.upload.findMany.mock.calls[1][0].where).toEqual({
+      AND: [{ answerId: null }, { id: { gt: 'upload-0099' } }]
+    });
+  });
+
+  it('keeps uploads whose file could not be deleted, for a later run', async () => {
+    prisma.upload.findMany.mockResolvedValueOnce(uploads(2));
+    prisma.upload.deleteMany.mockResolvedValue({ count: 1 });
+    deleteFile.mockRejectedValueOnce(new Error('Access denied')).mockResolvedValueOnce();
+
+    expect(await purgeUploads({ id: { in: ['upload-0000', 'upload-0001'] } })).toEqual({ deleted: 1, failed: 1 });
+    expect(prisma.upload.deleteMany).toHaveBeenCalledWith({ where: { id: { in: ['upload-0001'] } } });
+  });
+});
+
+describe('buildStorageReport', () => {
+  it('lists expired uploads and old untracked files without deleting anything', async () => {
+    const old = new Date(Date.now() - 48 * HOUR_MS);
+    prisma.upload.findMany.mockResolvedValue([{ id: 'upload-1', storageKey: 'uploads/a', size: 100 }]);
+    listFiles.mockReturnValue(files([
+      { key: 'uploads/tracked', size: 1, lastModified: old },
+      { key: 'uploads/legacy-answer', size: 2, lastModified: old },
+      { key: 'uploads/orphan', size: 300, lastModified: old },
+      { key: 'uploads/in-flight', size: 4, lastModified: new Date() }
+    ]));
+    prisma.upload.findUnique.mockImplementation(async ({ where }) => (where.storageKey === 'uploads/tracked' ? { id: 'upload-2' } : null));
+    prisma.answer.count.mockImplementation(async ({ where }) => (where.fileUrl.endsWith('legacy-answer') ? 1 : 0));
+
+    const report = await buildStorageReport();
+
+    expect(report.retentionHours).toBe(24);
+    expect(report.expiredUploads).toMatchObject({ count: 1, bytes: 100 });
+    expect(report.untrackedFiles).toEqual({
+      count: 1,
+      bytes: 300,
+      items: [{ key: 'uploads/orphan', size: 300, lastModified: old }]
+    });
+    expect(listFiles).toHaveBeenCalledWith('uploads/');
+    expect(deleteFile).not.toHaveBeenCalled();
+    expect(prisma.upload.deleteMany).not.toHaveBeenCalled();
+  });
+});
+
+describe('deleteUntrackedFiles', () => {
+  it('counts the files it could not delete', async () => {
+    deleteFile.mockResolvedValueOnce().mockRejectedValueOnce(new Error('gone'));
+
+    expect(await deleteUntrackedFiles([{ key: 'uploads/a' }, { key: 'uploads/b' }])).toEqual({ deleted: 1, failed: 1 });
+  });
+});
@@ -0,0 +1,151 @@
+// backend/tests/services/validation.service.test.js
+// Answer validation, validation patterns and upload limits
+
+const {
+  validateAnswer,
+  validateUpload,
+  getUploadLimits,
+  checkPattern
+} = require('../../src/services/validation.service');
+const { parseAnswerValue } = require('../../src/utils/answers');
+
+function question(type, fields = {}) {
+  return { id: 'q1', type, isRequired: false, options: null, validation: null, ...fields };
+}
+
+const rules = result => result.errors.map(error => error.rule);
+
+describe('validateAnswer', () => {
+  it('requires an answer to a required question', () => {
+    expect(rules(validateAnswer(question('shortText', { isRequired: true }), '  '))).toEqual(['required']);
+    expect(rules(validateAnswer(question('shortText'), ''))).toEqual([]);
+  });
+
+  it('accepts a file URL as the answer to a required question', () => {
+    const result = validateAnswer(question('shortText', { isRequired: true }), null, 'https://files.example.com/a.pdf');
+    expect(result.errors).toEqual([]);
+    expect(result.fileUrl).toBe('https://files.example.com/a.pdf');
+  });
+
+  it.each([
+    ['email', 'ada@example.com', 'ada@example'],
+    ['url', 'https://example.com', 'ftp://example.com'],
+    ['phone', '+44 20 7946 0958', '12ab'],
+    ['date', '2024-02-29', 'next tuesday'],
+    ['number', '3.5', 'three']
+  ])('checks the format of %s answers', (type, valid, invalid) => {
+    expect(rules(validateAnswer(question(type), valid))).toEqual([]);
+    expect(rules(validateAnswer(question(type), invalid))).toEqual(['format']);
+  });
+
+  it('bounds numbers, dates and text length with min and max', () => {
+    expect(rules(validateAnswer(question('number', { validation: { min: 1, max: 5 } }), '6'))).toEqual(['max']);
+    expect(rules(validateAnswer(question('date', { validation: { min: '2024-01-01' } }), '2023-12-31'))).toEqual(['min']);
+    expect(rules(validateAnswer(question('shortText', { validation: { min: 3 } }), 'ab'))).toEqual(['min']);
+  });
+
+  it('only accepts listed options for choice questions', () => {
+    const dropdown = question('dropdown', { options: [{ value: 'red' }, 'green'] });
+    expect(rules(validateAnswer(dropdown, 'green'))).toEqual([]);
+    expect(rules(validateAnswer(dropdown, 'blue'))).toEqual(['choice']);
+    expect(rules(validateAnswer(dropdown, ['red', 'green']))).toEqual(['choice']);
+  });
+
+  it('stores multi-select answers as a JSON array and bounds the number of selections', () => {
+    const checkboxes = question('checkboxes', { options: ['a', 'b', 'c'], validation: { max: 2 } });
+    const result = validateAnswer(checkboxes, '["a","b"]');
+    expect(result.errors).toEqual([]);
+    expect(result.value).toBe('["a","b"]');
+    expect(rules(validateAnswer(checkboxes, ['a', 'b', 'c']))).toEqual(['max']);
+  });
+
+  it('keeps text that looks like JSON as text', () => {
+    const result = validateAnswer(question('shortText'), '[1, 2]');
+    expect(result.errors).toEqual([]);
+    expect(result.value).toBe('[1, 2]');
+  });
+
+  it('refuses several values for a single-value question', () => {
+    expect(rules(validateAnswer(question('shortText'), ['a', 'b']))).toEqual(['type']);
+  });
+
+  it('checks text against validation.pattern with the question message', () => {
+    const postcode = question('shortText', { validation: { pattern: '^[0-9]{5}$', message: 'Five digits' } });
+    expect(validateAnswer(postcode, '75001').errors).toEqual([]);
+    expect(validateAnswer(postcode, '7500').errors).toEqual([
+      expect.objectContaining({ rule: 'pattern', message: 'Five digits' })
+    ]);
+  });
+
+  it('does not run patterns against very long answers', () => {
+    const result = validateAnswer(question('longText', { validation: { pattern: '^a+$' } }), 'a'.repeat(1001));
+    expect(rules(result)).toEqual(['pattern']);
+  });
+
+  it('runs patterns in linear time, even those that backtrack catastrophically in JavaScript', () => {
+    const started = Date.now();
+    const nested = validateAnswer(question('longText', { validation: { pattern: '^(a+)+$' } }), `${'a'.repeat(999)}!`);
+    const stars = validateAnswer(question('longText', { validation: { pattern: '^.*.*.*.*.*x$' } }), 'a'.repeat(1000));
+
+    expect(rules(nested)).toEqual(['pattern']);
+    expect(rules(stars)).toEqual(['pattern']);
+    expect(Date.now() - started).toBeLessThan(1000);
+  });
+
+  it('ignores unsupported patterns saved before patterns were checked', () => {
+    const result = validateAnswer(question('shortText', { validation: { pattern: '^(a)\\1$' } }), 'ab');
+    expect(result.errors).toEqual([]);
+  });
+});
+
+describe('checkPattern', () => {
+  it.each([
+    [''],
+    ['^[A-Z]{2}[0-9]{4}$'],
+    ['^\\d{5}(-\\d{4})?$'],
+    ['^(?:abc)+$'],
+    ['^(a+)+$'],
+    ['^.*.*.*.*.*x$']
+  ])('accepts %p', pattern => {
+    expect(checkPattern(pattern)).toBeNull();
+  });
+
+  it.each([
+    ['(a)\\1', /not supported/],
+    ['^(?=a)', /not supported/],
+    ['(?P<word>a)', /not a valid regular expression/],
+    ['([', /not a valid regular expression/],
+    ['a'.repeat(201), /at most 200 characters/]
+  ])('refuses %p', (pattern, message) => {
+    expect(checkPattern(pattern)).toMatch(message);
+  });
+});
+
+describe('file answers', () => {
+  const upload = question('fileUpload', { validation: { maxFiles: 2, maxFileSize: 1000, allowedTypes: ['image/*'] } });
+
+  it('reads limits from validation', () => {
+    expect(getUploadLimits(upload)).toEqual({ maxFileSize: 1000, minFiles: 0, maxFiles: 2, allowedTypes: ['image/*'] });
+  });
+
+  it('checks the type and size of an upload', () => {
+    expect(validateUpload(upload, { contentType: 'image/png', size: 10 })).toEqual([]);
+    expect(validateUpload(upload, { contentType: 'application/pdf', size: 2000 }).map(error => error.rule))
+      .toEqual(['fileType', 'maxFileSize']);
+  });
+
+  it('stores several files as a JSON array and caps their number', () => {
+    const result = validateAnswer(upload, null, ['https://f/1', 'https://f/2']);
+    expect(result).toEqual({ value: '["https://f/1","https://f/2"]', fileUrl: 'https://f/1', errors: [] });
+    expect(rules(validateAnswer(upload, null, ['https://f/1', 'https://f/2', 'https://f/3']))).toEqual(['maxFiles']);
+  });
+});
+
+describe('parseAnswerValue', () => {
+  it('parses JSON arrays only for questions that store lists', () => {
+    expect(parseAnswerValue('["a","b"]', 'checkboxes')).toEqual(['a', 'b']);
+    expect(parseAnswerValue('["a","b"]', 'shortText')).toBe('["a","b"]');
+    expect(parseAnswerValue('[not json', 'checkboxes')).toBe('[not json');
+    expect(parseAnswerValue(null, 'checkboxes')).toBeNull();
+  });
+});
@@ -0,0 +1,92 @@
+// backend/tests/services/visit.service.test.js
+// Visits are counted once per page load, by a daily-rotating visitor hash instead of the raw IP
+
+jest.mock('@prisma/client', () => require('../helpers/prismaMock').prismaModule);
+jest.mock('../../src/services/geoip.service', () => ({ lookupCountry: jest.fn().mockReturnValue('FR') }));
+
+const { prisma, resetPrisma } = require('../helpers/prismaMock');
+const { recordVisit } = require('../../src/services/visit.service');
+
+const browser = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36';
+
+function visitRequest(fields = {}) {
+  return {
+    ip: '203.0.113.7',
+    headers: { 'user-agent': browser, referer: 'https://forms.example.com/f/form-1?utm_source=Newsletter' },
+    ...fields
+  };
+}
+
+beforeEach(() => {
+  resetPrisma();
+  prisma.visitorSalt.upsert.mockResolvedValue({ day: new Date().toISOString().slice(0, 10), salt: 'salt-of-the-day' });
+  prisma.formVisit.create.mockImplementation(async ({ data }) => ({ id: 'visit-new', ...data }));
+});
+
+describe('recordVisit', () => {
+  it('stores a visitor hash, never the raw IP address', async () => {
+    const visit = await recordVisit(visitRequest(), 'form-1');
+
+    const { data } = prisma.formVisit.create.mock.calls[0][0];
+    expect(data.visitorHash).toMatch(/^[0-9a-f]{64}$/);
+    expect(JSON.stringify(data)).not.toContain('203.0.113.7');
+    expect(data).toMatchObject({ formId: 'form-1', isBot: false, utmSource: 'newsletter', country: 'FR' });
+    expect(visit.id).toBe('visit-new');
+  });
+
+  it('hashes the same visitor differently on each form', async () => {
+    await recordVisit(visitRequest(), 'form-1');
+    await recordVisit(visitRequest(), 'form-1');
+    await recordVisit(visitRequest(), 'form-2');
+    await recordVisit(visitRequest({ ip: '203.0.113.8' }), 'form-1');
+
+    const hashes = prisma.formVisit.create.mock.calls.map(([{ data }]) => data.visitorHash);
+    expect(hashes[0]).toBe(hashes[1]);
+    expect(hashes[2]).not.toBe(hashes[0]);
+    expect(hashes[3]).not.toBe(hashes[0]);
+  });
+
+  it('reuses a recent visit by the same visitor instead of counting a reload', async () => {
+    prisma.formVisit.findFirst.mockResolvedValue({ id: 'visit-earlier' });
+
+    const visit = await recordVisit(visitRequest(), 'form-1');
+
+    expect(visit.id).toBe('visit-earlier');
+    const { where } = prisma.formVisit.findFirst.mock.calls[0][0];
+    expect(where.formId).toBe('form-1');
+    expect(Date.now() - where.visitedAt.gte.getTime()).toBeGreaterThanOrEqual(30 * 60 * 1000);
+    expect(prisma.formVisit.create).not.toHaveBeenCalled();
+  });
+
+  it('reuses the visit the client passes back, when it belongs to the form', async () => {
+    prisma.formVisit.findFirst.mockResolvedValueOnce({ id: 'visit-1', formId: 'form-1' });
+
+    const visit = await recordVisit(visitRequest(), 'form-1', { visitId: 'visit-1' });
+
+    expect(visit.id).toBe('visit-1');
+    expect(prisma.formVisit.findFirst).toHaveBeenCalledWith({ where: { id: 'visit-1', formId: 'form-1' } });
+    expect(prisma.formVisit.create).not.toHaveBeenCalled();
+  });
+
+  it('flags crawlers and scripted clients as bots', async () => {
+    await recordVisit(visitRequest({ headers: { 'user-agent': 'Mozilla/5.0 (compatible; bingbot/2.0)' } }), 'form-1');
+    await recordVisit(visitRequest({ headers: { 'user-agent': 'Mozilla/5.0 HeadlessChrome/120.0.0.0' } }), 'form-1');
+    await recordVisit(visitRequest({ headers: { 'user-agent': 'curl/8.4.0' } }), 'form-1');
+
+    expect(prisma.formVisit.create.mock.calls.map(([{ data }]) => data.isBot)).toEqual([true, true, true]);
+  });
+
+  it('deletes the salts of earlier days', async () => {
+    // The salt is cached for the day, so load the service again to see it created
+    let freshRecordVisit;
+    jest.isolateModules(() => {
+      freshRecordVisit = require('../../src/services/visit.service').recordVisit;
+    });
+
+    await freshRecordVisit(visitRequest(), 'form-1');
+
+    const today = new Date().toISOString().slice(0, 10);
+    expect(prisma.visitorSalt.upsert.mock.calls[0][0].where).toEqual({ day: today });
+    expect(prisma.visitorSalt.deleteMany).toHaveBeenCalledWith({ where: { day: { lt: today } } });
+  });
+});
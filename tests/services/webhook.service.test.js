@@ -0,0 +1,209 @@
+// backend/tests/services/webhook.service.test.js
+// Webhook deliveries: signing, public addresses only, no redirects, retries and disabling
+
+jest.mock('@prisma/client', () => require('../helpers/prismaMock').prismaModule);
+jest.mock('../../src/utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn() }));
+jest.mock('../../src/utils/publicAddress', () => {
+  const actual = jest.requireActual('../../src/utils/publicAddress');
+  return {
+    ...actual,
+    checkPublicUrl: jest.fn(actual.checkPublicUrl),
+    publicLookup: jest.fn(actual.publicLookup)
+  };
+});
+
+const crypto = require('crypto');
+const dns = require('dns');
+const http = require('http');
+const { prisma, resetPrisma } = require('../helpers/prismaMock');
+const publicAddress = require('../../src/utils/publicAddress');
+const {
+  MAX_ATTEMPTS,
+  signPayload,
+  emitWebhookEvent,
+  redeliver
+} = require('../../src/services/webhook.service');
+
+const actualPublicAddress = jest.requireActual('../../src/utils/publicAddress');
+const SECRET = 'whsec_test';
+
+let server;
+let received;
+let replyStatus;
+let baseUrl;
+
+beforeAll(async () => {
+  server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => {
+      body += chunk;
+    });
+    req.on('end', () => {
+      received.push({ method: req.method, url: req.url, headers: req.headers, body });
+      res.writeHead(replyStatus, replyStatus === 302 ? { Location: `${baseUrl}/elsewhere` } : {});
+      res.end('ignored');
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  baseUrl = `http://localhost:${server.address().port}`;
+});
+
+afterAll(async () => {
+  await new Promise(resolve => server.close(resolve));
+});
+
+function useWebhook(fields = {}) {
+  const webhook = { id: 'webhook-1', formId: 'form-1', url: `${baseUrl}/hook`, secret: SECRET, isActive: true, consecutiveFailures: 0, ...fields };
+  prisma.webhook.findMany.mockResolvedValue([webhook]);
+  prisma.webhookDelivery.create.mockImplementation(async ({ data }) => ({ ...data, attempts: 0, status: 'pending', webhook }));
+  return webhook;
+}
+
+const deliveryUpdate = () => prisma.webhookDelivery.update.mock.calls[0][0].data;
+
+beforeEach(() => {
+  resetPrisma();
+  received = [];
+  replyStatus = 200;
+  prisma.webhookDelivery.updateMany.mockResolvedValue({ count: 1 });
+  prisma.webhookDelivery.update.mockImplementation(async ({ data }) => ({ id: 'delivery-1', ...data }));
+  // The test server runs on localhost - let it through unless a test checks addresses
+  publicAddress.checkPublicUrl.mockResolvedValue(null);
+  publicAddress.publicLookup.mockImplementation((hostname, options, callback) => dns.lookup(hostname, { ...options, family: 4 }, callback));
+});
+
+describe('signPayload', () => {
+  it('signs the timestamp and body with HMAC-SHA256', () => {
+    const expected = crypto.createHmac('sha256', SECRET).update('1700000000.{"a":1}').digest('hex');
+    expect(signPayload(SECRET, '{"a":1}', 1700000000)).toBe(`t=1700000000,v1=${expected}`);
+  });
+});
+
+describe('emitWebhookEvent', () => {
+  it('posts a signed payload to each subscribed webhook', async () => {
+    useWebhook();
+
+    const deliveries = await emitWebhookEvent('form-1', 'response.completed', { response: { id: 'response-1' } });
+
+    expect(prisma.webhook.findMany).toHaveBeenCalledWith({
+      where: { formId: 'form-1', isActive: true, events: { has: 'response.completed' } }
+    });
+    expect(deliveries).toHaveLength(1);
+    expect(received).toHaveLength(1);
+    const [{ headers, body }] = received;
+    expect(JSON.parse(body)).toMatchObject({ event: 'response.completed', formId: 'form-1', data: { response: { id: 'response-1' } } });
+    expect(headers['x-triddle-event']).toBe('response.completed');
+    expect(headers['x-triddle-delivery']).toBe(deliveries[0].id);
+    const timestamp = Number(headers['x-triddle-signature'].match(/^t=(\d+),/)[1]);
+    expect(headers['x-triddle-signature']).toBe(signPayload(SECRET, body, timestamp));
+    expect(deliveryUpdate()).toMatchObject({ status: 'succeeded', responseStatus: 200, error: null, nextAttemptAt: null });
+  });
+
+  it('does not build the event data when nobody subscribes', async () => {
+    prisma.webhook.findMany.mockResolvedValue([]);
+    const buildData = jest.fn();
+
+    expect(await emitWebhookEvent('form-1', 'answer.submitted', buildData)).toEqual([]);
+    expect(buildData).not.toHaveBeenCalled();
+  });
+
+  it('never throws', async () => {
+    prisma.webhook.findMany.mockRejectedValue(new Error('database is down'));
+
+    await expect(emitWebhookEvent('form-1', 'form.updated', {})).resolves.toEqual([]);
+  });
+});
+
+describe('deliveries', () => {
+  it('report redirects instead of following them', async () => {
+    useWebhook();
+    replyStatus = 302;
+
+    await emitWebhookEvent('form-1', 'form.published', { form: { id: 'form-1' } });
+
+    expect(received.map(request => request.url)).toEqual(['/hook']);
+    expect(deliveryUpdate()).toMatchObject({ status: 'pending', responseStatus: 302, error: 'Endpoint responded with 302' });
+  });
+
+  it('check the URL again at delivery time and send nothing to private addresses', async () => {
+    publicAddress.checkPublicUrl.mockImplementation(actualPublicAddress.checkPublicUrl);
+    useWebhook({ url: 'http://169.254.169.254/latest/meta-data' });
+
+    await emitWebhookEvent('form-1', 'form.updated', { form: { id: 'form-1' } });
+
+    expect(deliveryUpdate()).toMatchObject({
+      status: 'pending',
+      responseStatus: null,
+      error: '169.254.169.254 does not resolve to a public address'
+    });
+  });
+
+  it('connect only to the public address that was checked', async () => {
+    // A host that passed the check and now resolves to a private address
+    publicAddress.publicLookup.mockImplementation(actualPublicAddress.publicLookup);
+    useWebhook();
+
+    await emitWebhookEvent('form-1', 'form.updated', { form: { id: 'form-1' } });
+
+    expect(received).toEqual([]);
+    expect(deliveryUpdate().error).toBe('localhost does not resolve to a public address');
+  });
+
+  it('are retried with exponential backoff', async () => {
+    replyStatus = 500;
+    const webhook = useWebhook();
+    prisma.webhookDelivery.create.mockImplementation(async ({ data }) => ({ ...data, attempts: 2, status: 'pending', webhook }));
+
+    const before = Date.now();
+    await emitWebhookEvent('form-1', 'response.started', { response: { id: 'response-1' } });
+
+    const update = deliveryUpdate();
+    expect(update.status).toBe('pending');
+    // Third attempt - four minutes until the next one
+    expect(update.nextAttemptAt.getTime() - before).toBeGreaterThanOrEqual(4 * 60 * 1000);
+    expect(update.nextAttemptAt.getTime() - Date.now()).toBeLessThanOrEqual(4 * 60 * 1000);
+  });
+
+  it('are not attempted twice at once', async () => {
+    useWebhook();
+    prisma.webhookDelivery.updateMany.mockResolvedValue({ count: 0 });
+
+    await emitWebhookEvent('form-1', 'response.started', { response: { id: 'response-1' } });
+
+    expect(received).toEqual([]);
+    expect(prisma.webhookDelivery.update).not.toHaveBeenCalled();
+  });
+
+  it('disable the webhook after too many deliveries in a row use up their attempts', async () => {
+    replyStatus = 500;
+    const webhook = useWebhook({ consecutiveFailures: 4 });
+    prisma.webhookDelivery.create.mockImplementation(async ({ data }) => ({ ...data, attempts: MAX_ATTEMPTS - 1, status: 'pending', webhook }));
+    prisma.webhook.update.mockResolvedValueOnce({ ...webhook, consecutiveFailures: 5 });
+
+    await emitWebhookEvent('form-1', 'response.started', { response: { id: 'response-1' } });
+
+    expect(deliveryUpdate()).toMatchObject({ status: 'failed', nextAttemptAt: null });
+    expect(prisma.webhook.update).toHaveBeenCalledWith({
+      where: { id: 'webhook-1' },
+      data: { isActive: false, disabledAt: expect.any(Date) }
+    });
+    expect(prisma.webhookDelivery.updateMany).toHaveBeenLastCalledWith({
+      where: { webhookId: 'webhook-1', status: 'pending' },
+      data: { status: 'failed', nextAttemptAt: null, error: 'Webhook disabled after repeated failures' }
+    });
+  });
+});
+
+describe('redeliver', () => {
+  it('sends the payload again as a new delivery with a single attempt', async () => {
+    replyStatus = 500;
+    const webhook = useWebhook({ isActive: false });
+
+    await redeliver({ id: 'delivery-0', webhookId: 'webhook-1', event: 'form.updated', payload: { id: 'delivery-0', event: 'form.updated' }, webhook });
+
+    expect(JSON.parse(received[0].body).id).not.toBe('delivery-0');
+    expect(deliveryUpdate()).toMatchObject({ status: 'failed', nextAttemptAt: null });
+    // A manual attempt does not count towards disabling the webhook
+    expect(prisma.webhook.update).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,98 @@
+// backend/tests/utils/formFilters.test.js
+// Forms listing filters, sorting and cursor pagination
+
+const { buildFormWhere, buildFormOrderBy } = require('../../src/utils/formFilters');
+const { parseCursorPagination, toPageArgs, toPage } = require('../../src/utils/pagination');
+
+const scope = { workspace: { members: { some: { userId: 'user-1' } } } };
+
+describe('buildFormWhere', () => {
+  it('keeps the access scope and adds nothing without filters', () => {
+    expect(buildFormWhere(scope, {})).toEqual({ where: scope, search: null, errors: [] });
+  });
+
+  it('filters by workspace, status and dates', () => {
+    const { where, errors } = buildFormWhere(scope, {
+      workspaceId: 'ws-1',
+      status: 'draft',
+      createdFrom: '2024-01-01',
+      createdTo: '2024-12-31',
+      respondedSince: '2024-06-01'
+    });
+
+    expect(errors).toEqual([]);
+    expect(where).toEqual({
+      ...scope,
+      workspaceId: 'ws-1',
+      isPublished: false,
+      createdAt: { gte: new Date('2024-01-01'), lte: new Date('2024-12-31') },
+      responses: { some: { startedAt: { gte: new Date('2024-06-01') } } }
+    });
+  });
+
+  it('returns the search separately, leaving the where clause to the full-text query', () => {
+    const { where, search, errors } = buildFormWhere(scope, { q: '  "customer survey" -draft ' });
+
+    expect(errors).toEqual([]);
+    expect(search).toBe('"customer survey" -draft');
+    expect(where).toEqual(scope);
+    expect(buildFormWhere(scope, { q: '   ' }).search).toBeNull();
+  });
+
+  it('reports every invalid parameter', () => {
+    const { errors } = buildFormWhere(scope, {
+      status: 'archived',
+      updatedFrom: 'yesterday',
+      workspaceId: '',
+      q: 'x'.repeat(201)
+    });
+
+    expect(errors.map(error => error.field)).toEqual(['workspaceId', 'q', 'status', 'updatedFrom']);
+  });
+});
+
+describe('buildFormOrderBy', () => {
+  it('sorts newest first by default with the ID as a tie-breaker', () => {
+    expect(buildFormOrderBy({})).toEqual({ orderBy: [{ createdAt: 'desc' }, { id: 'desc' }], errors: [] });
+  });
+
+  it('sorts titles A to Z by default', () => {
+    expect(buildFormOrderBy({ sort: 'title' }).orderBy[0]).toEqual({ title: 'asc' });
+  });
+
+  it('sorts by response count and last response time', () => {
+    expect(buildFormOrderBy({ sort: 'responseCount' }).orderBy[0]).toEqual({ responses: { _count: 'desc' } });
+    expect(buildFormOrderBy({ sort: 'lastResponseAt', order: 'asc' }).orderBy[0])
+      .toEqual({ lastResponseAt: { sort: 'asc', nulls: 'last' } });
+  });
+
+  it('refuses unknown sort fields and orders', () => {
+    const { orderBy, errors } = buildFormOrderBy({ sort: 'owner', order: 'up' });
+
+    expect(orderBy).toBeNull();
+    expect(errors.map(error => error.field)).toEqual(['sort', 'order']);
+  });
+});
+
+describe('cursor pagination', () => {
+  it('defaults and bounds the page size', () => {
+    expect(parseCursorPagination({})).toEqual({ limit: 25, cursor: null, errors: [] });
+    expect(parseCursorPagination({ limit: '10', cursor: 'form-9' })).toEqual({ limit: 10, cursor: 'form-9', errors: [] });
+    expect(parseCursorPagination({ limit: '500' }).errors).toEqual([
+      { field: 'limit', message: 'limit must be an integer between 1 and 100' }
+    ]);
+    expect(parseCursorPagination({ limit: '2.5' }, { maxLimit: 10 }).errors).toHaveLength(1);
+  });
+
+  it('fetches one extra row and starts after the cursor', () => {
+    expect(toPageArgs({ limit: 2, cursor: null })).toEqual({ take: 3 });
+    expect(toPageArgs({ limit: 2, cursor: 'b' })).toEqual({ take: 3, cursor: { id: 'b' }, skip: 1 });
+  });
+
+  it('returns the next cursor only when more rows exist', () => {
+    const rows = [{ id: 'a' }, { id: 'b' }, { id: 'c' }];
+
+    expect(toPage(rows, 2)).toEqual({ items: [{ id: 'a' }, { id: 'b' }], nextCursor: 'b', hasMore: true });
+    expect(toPage(rows, 3)).toEqual({ items: rows, nextCursor: null, hasMore: false });
+  });
+});
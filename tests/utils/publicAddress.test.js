@@ -0,0 +1,66 @@
+// backend/tests/utils/publicAddress.test.js
+// Outgoing requests only reach public internet addresses
+
+const { isPrivateAddress, checkPublicUrl } = require('../../src/utils/publicAddress');
+
+describe('isPrivateAddress', () => {
+  it.each([
+    '127.0.0.1',
+    '10.1.2.3',
+    '172.16.0.1',
+    '192.168.1.1',
+    '169.254.169.254',
+    '100.64.0.1',
+    '0.0.0.0',
+    '::1',
+    '::',
+    'fd00::1',
+    'fe80::1%eth0',
+    'not an address'
+  ])('refuses %s', address => {
+    expect(isPrivateAddress(address)).toBe(true);
+  });
+
+  it.each([
+    ['IPv4-mapped', '::ffff:127.0.0.1'],
+    ['IPv4-mapped in hex', '::ffff:a9fe:a9fe'],
+    ['IPv4-compatible', '::127.0.0.1'],
+    ['NAT64', '64:ff9b::10.0.0.1'],
+    ['NAT64 in hex', '64:ff9b::7f00:1'],
+    ['6to4', '2002:7f00:1::'],
+    ['6to4 of a private network', '2002:c0a8:101::1']
+  ])('refuses private IPv4 addresses inside %s IPv6 addresses', (kind, address) => {
+    expect(isPrivateAddress(address)).toBe(true);
+  });
+
+  it.each([
+    ['local-use NAT64', '64:ff9b:1::808:808'],
+    ['Teredo', '2001:0:4136:e378:8000:63bf:3fff:fdd2']
+  ])('refuses %s addresses, whose IPv4 destination cannot be checked', (kind, address) => {
+    expect(isPrivateAddress(address)).toBe(true);
+  });
+
+  it.each([
+    '8.8.8.8',
+    '2606:4700:4700::1111',
+    '2001:4860:4860::8888',
+    '::ffff:8.8.8.8',
+    '64:ff9b::8.8.8.8',
+    '2002:808:808::1'
+  ])('accepts %s', address => {
+    expect(isPrivateAddress(address)).toBe(false);
+  });
+});
+
+describe('checkPublicUrl', () => {
+  it('checks IP literals without a lookup', async () => {
+    expect(await checkPublicUrl('http://169.254.169.254/latest/meta-data')).toMatch(/does not resolve to a public address/);
+    expect(await checkPublicUrl('http://[::ffff:7f00:1]:8080/')).toMatch(/does not resolve to a public address/);
+    expect(await checkPublicUrl('https://[2002:7f00:1::]/hook')).toMatch(/does not resolve to a public address/);
+    expect(await checkPublicUrl('https://8.8.8.8/hook')).toBeNull();
+  });
+
+  it('refuses URLs that do not parse', async () => {
+    expect(await checkPublicUrl('not a url')).toBe('URL is not valid');
+  });
+});
@@ -0,0 +1,75 @@
+// backend/tests/utils/responseFilters.test.js
+// Response listing and export filters and sorting
+
+const { buildResponseWhere, buildResponseOrderBy } = require('../../src/utils/responseFilters');
+
+describe('buildResponseWhere', () => {
+  it('only scopes to the form without filters', () => {
+    expect(buildResponseWhere('form-1', {})).toEqual({ where: { formId: 'form-1' }, errors: [] });
+  });
+
+  it('filters by status and date ranges', () => {
+    const { where, errors } = buildResponseWhere('form-1', {
+      status: 'partial',
+      startedFrom: '2025-01-01',
+      startedTo: '2025-01-31',
+      completedFrom: '2025-01-15'
+    });
+
+    expect(errors).toEqual([]);
+    expect(where).toEqual({
+      formId: 'form-1',
+      isCompleted: false,
+      startedAt: { gte: new Date('2025-01-01'), lte: new Date('2025-01-31') },
+      completedAt: { gte: new Date('2025-01-15') }
+    });
+  });
+
+  it('turns answer conditions into relation filters', () => {
+    const { where } = buildResponseWhere('form-1', {
+      answer: {
+        q1: { equals: 'Yes' },
+        q2: { contains: 'pizza', in: 'Ham, Olives' }
+      }
+    });
+
+    expect(where.AND).toEqual([
+      { answers: { some: { questionId: 'q1', value: { equals: 'Yes' } } } },
+      { answers: { some: { questionId: 'q2', value: { contains: 'pizza', mode: 'insensitive' } } } },
+      { answers: { some: { questionId: 'q2', value: { in: ['Ham', 'Olives'] } } } }
+    ]);
+  });
+
+  it('reports each invalid parameter', () => {
+    const { errors } = buildResponseWhere('form-1', {
+      status: 'done',
+      completedTo: 'later',
+      answer: { q1: { matches: 'x' }, q2: 'Yes' }
+    });
+
+    expect(errors.map(error => error.field)).toEqual(['status', 'completedTo', 'answer[q1][matches]', 'answer[q2]']);
+  });
+});
+
+describe('buildResponseOrderBy', () => {
+  it('sorts newest first by default, with the ID as a tie-breaker', () => {
+    expect(buildResponseOrderBy({})).toEqual({ orderBy: [{ startedAt: 'desc' }, { id: 'desc' }], errors: [] });
+  });
+
+  it('keeps partial responses last when sorting by completion', () => {
+    expect(buildResponseOrderBy({ sort: 'completedAt', order: 'asc' }).orderBy).toEqual([
+      { completedAt: { sort: 'asc', nulls: 'last' } },
+      { id: 'asc' }
+    ]);
+  });
+
+  it('refuses other fields and directions', () => {
+    expect(buildResponseOrderBy({ sort: 'title', order: 'up' })).toEqual({
+      orderBy: null,
+      errors: [
+        { field: 'sort', message: 'sort must be one of: startedAt, completedAt' },
+        { field: 'order', message: 'order must be "asc" or "desc"' }
+      ]
+    });
+  });
+});
@@ -0,0 +1,56 @@
+// backend/tests/utils/trafficSource.test.js
+// UTM capture and referrer classification
+
+const { parseUtm, classifySource } = require('../../src/utils/trafficSource');
+
+describe('parseUtm', () => {
+  it('prefers explicit parameters and falls back to the page URL', () => {
+    expect(parseUtm(
+      { utm_source: ' Newsletter ', utm_medium: '' },
+      'https://forms.example.com/f/1?utm_medium=Email&utm_campaign=spring&utm_source=ignored'
+    )).toEqual({
+      utmSource: 'newsletter',
+      utmMedium: 'email',
+      utmCampaign: 'spring',
+      utmTerm: null,
+      utmContent: null
+    });
+  });
+
+  it('ignores page URLs that do not parse and caps long values', () => {
+    const utm = parseUtm({ utm_campaign: 'x'.repeat(500) }, 'not a url');
+
+    expect(utm.utmSource).toBeNull();
+    expect(utm.utmCampaign).toHaveLength(200);
+  });
+});
+
+describe('classifySource', () => {
+  const originalOrigin = process.env.CORS_ORIGIN;
+
+  beforeEach(() => {
+    process.env.CORS_ORIGIN = 'https://forms.example.com';
+  });
+
+  afterAll(() => {
+    process.env.CORS_ORIGIN = originalOrigin;
+  });
+
+  it.each([
+    [{ referrer: 'https://www.google.co.uk/search?q=triddle' }, { source: 'google', medium: 'organic' }],
+    [{ referrer: 'https://l.facebook.com/l.php' }, { source: 'facebook.com', medium: 'social' }],
+    [{ referrer: 'https://t.co/abc' }, { source: 't.co', medium: 'social' }],
+    [{ referrer: 'https://blog.example.org/post' }, { source: 'blog.example.org', medium: 'referral' }],
+    [{ referrer: 'https://forms.example.com/f/1' }, { source: '(direct)', medium: '(none)' }],
+    [{ referrer: null }, { source: '(direct)', medium: '(none)' }]
+  ])('classifies the referrer of %j', (visit, expected) => {
+    expect(classifySource(visit)).toEqual(expected);
+  });
+
+  it('lets UTM tags win over the referrer', () => {
+    expect(classifySource({ referrer: 'https://www.google.com/', utmSource: 'newsletter', utmMedium: 'email' }))
+      .toEqual({ source: 'newsletter', medium: 'email' });
+    expect(classifySource({ referrer: 'https://blog.example.org/', utmMedium: 'cpc' }))
+      .toEqual({ source: 'blog.example.org', medium: 'cpc' });
+  });
+});
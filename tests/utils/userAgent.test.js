@@ -0,0 +1,35 @@
+// backend/tests/utils/userAgent.test.js
+// User agent classification into device type, OS and browser
+
+const { parseUserAgent } = require('../../src/utils/userAgent');
+
+const USER_AGENTS = {
+  chromeWindows: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
+  edgeWindows: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36 Edg/120.0.0.0',
+  safariMac: 'Mozilla/5.0 (Macintosh; Intel Mac OS X 14_2) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.2 Safari/605.1.15',
+  safariIphone: 'Mozilla/5.0 (iPhone; CPU iPhone OS 17_2 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.2 Mobile/15E148 Safari/604.1',
+  chromeAndroid: 'Mozilla/5.0 (Linux; Android 14; Pixel 8) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Mobile Safari/537.36',
+  androidTablet: 'Mozilla/5.0 (Linux; Android 13; SM-X700) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
+  firefoxLinux: 'Mozilla/5.0 (X11; Linux x86_64; rv:121.0) Gecko/20100101 Firefox/121.0',
+  googlebot: 'Mozilla/5.0 (compatible; Googlebot/2.1; +http://www.google.com/bot.html)'
+};
+
+describe('parseUserAgent', () => {
+  it.each([
+    ['chromeWindows', { deviceType: 'desktop', os: 'Windows', browser: 'Chrome' }],
+    ['edgeWindows', { deviceType: 'desktop', os: 'Windows', browser: 'Edge' }],
+    ['safariMac', { deviceType: 'desktop', os: 'macOS', browser: 'Safari' }],
+    ['safariIphone', { deviceType: 'mobile', os: 'iOS', browser: 'Safari' }],
+    ['chromeAndroid', { deviceType: 'mobile', os: 'Android', browser: 'Chrome' }],
+    ['androidTablet', { deviceType: 'tablet', os: 'Android', browser: 'Chrome' }],
+    ['firefoxLinux', { deviceType: 'desktop', os: 'Linux', browser: 'Firefox' }],
+    ['googlebot', { deviceType: 'bot', os: 'Other', browser: 'Bot' }]
+  ])('classifies %s', (name, expected) => {
+    expect(parseUserAgent(USER_AGENTS[name])).toEqual(expected);
+  });
+
+  it('reports missing user agents as unknown', () => {
+    expect(parseUserAgent(undefined)).toEqual({ deviceType: 'unknown', os: 'Unknown', browser: 'Unknown' });
+    expect(parseUserAgent('  ')).toEqual({ deviceType: 'unknown', os: 'Unknown', browser: 'Unknown' });
+  });
+});